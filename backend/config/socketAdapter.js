@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+
+// Route socket.io emits through MongoDB so a user connected to any instance
+// receives notifications sent by another one. With SOCKET_ADAPTER unset the
+// default in-memory adapter is kept, which is all a single instance (or a
+// test run) needs. The mongo adapter relies on change streams, so MongoDB
+// must run as a replica set.
+const configureSocketAdapter = async (io) => {
+  const adapter = process.env.SOCKET_ADAPTER || 'memory';
+
+  if (adapter === 'memory') {
+    console.log('🔌 Socket.io using in-memory adapter (single instance)');
+    return adapter;
+  }
+
+  if (adapter !== 'mongo') {
+    throw new Error(`Unknown SOCKET_ADAPTER "${adapter}" (expected "memory" or "mongo")`);
+  }
+
+  const db = mongoose.connection.db;
+
+  // A capped collection keeps the event log from growing without bound
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, { capped: true, size: 1e6 });
+  } catch (error) {
+    // Collection already exists
+    if (error.codeName !== 'NamespaceExists') throw error;
+  }
+
+  io.adapter(createAdapter(db.collection(ADAPTER_COLLECTION)));
+  console.log('🔌 Socket.io using MongoDB adapter (multi-instance)');
+  return adapter;
+};
+
+module.exports = configureSocketAdapter;
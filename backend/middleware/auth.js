@@ -1,5 +1,39 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionLive } = require('../utils/sessions');
+const { isApiToken, findApiToken } = require('../utils/apiTokens');
+
+// Personal API tokens only work on routes that opted in with
+// allowApiToken (middleware/authorize) and only with the matching scope.
+// Responds and returns null when the token can't be used here.
+const authenticateApiToken = async (req, res, token) => {
+  const apiToken = await findApiToken(token);
+  if (!apiToken) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API token'
+    });
+    return null;
+  }
+
+  if (!req.apiTokenScope) {
+    res.status(403).json({
+      success: false,
+      message: 'API tokens cannot be used for this endpoint'
+    });
+    return null;
+  }
+
+  if (!apiToken.scopes.includes(req.apiTokenScope)) {
+    res.status(403).json({
+      success: false,
+      message: `This API token is missing the ${req.apiTokenScope} scope`
+    });
+    return null;
+  }
+
+  return apiToken;
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -13,11 +47,30 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let userId;
+    let apiToken = null;
+    let decoded = null;
+
+    if (isApiToken(token)) {
+      apiToken = await authenticateApiToken(req, res, token);
+      if (!apiToken) return;
+      userId = apiToken.user;
+    } else {
+      // Verify token
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Signed-out and revoked sessions no longer count, even before the token expires
+      if (!(await isSessionLive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended, please sign in again'
+        });
+      }
+      userId = decoded.id;
+    }
     
     // Check if user still exists
-    const user = await User.findById(decoded.id).select('-password');
+    const user = await User.findById(userId).select('-password');
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -33,8 +86,13 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Add user to request
+    // Add user and session (or API token) to request
     req.user = user;
+    if (apiToken) {
+      req.apiToken = apiToken;
+    } else {
+      req.sessionId = decoded.sid;
+    }
     next();
   } catch (error) {
     console.error('Auth middleware error:', error.message);
@@ -0,0 +1,37 @@
+const rateLimit = require('express-rate-limit');
+
+// Per-IP limits on the public auth endpoints. Per-account throttling of
+// wrong passwords lives in utils/loginThrottle.
+const limitHandler = (message) => (req, res, next, options) => {
+  const retryAfter = Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 1);
+  console.warn(`🚦 Rate limit hit by ${req.ip} on ${req.originalUrl}`);
+
+  res.status(options.statusCode).json({
+    success: false,
+    retryAfter,
+    message
+  });
+};
+
+// Passwords, 2FA codes and reset tokens
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 20,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: limitHandler('Too many sign-in attempts from this network, please try again later')
+});
+
+// Endpoints that send email
+const mailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: parseInt(process.env.MAIL_RATE_LIMIT, 10) || 5,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: limitHandler('Too many emails requested from this network, please try again later')
+});
+
+module.exports = {
+  loginLimiter,
+  mailLimiter
+};
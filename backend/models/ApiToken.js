@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Personal access token for scripts. Only a hash of the secret is stored;
+// the token itself is shown once when created.
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Start of the token, so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: ['routines:read', 'routines:write', 'notifications:respond']
+    }],
+    validate: [scopes => scopes.length > 0, 'Pick at least one scope']
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+apiTokenSchema.methods.isExpired = function(now = new Date()) {
+  return Boolean(this.expiresAt && this.expiresAt <= now);
+};
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -40,7 +40,7 @@ const notificationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'delivered', 'completed', 'dismissed', 'snoozed'],
+    enum: ['pending', 'delivered', 'completed', 'dismissed', 'snoozed', 'missed', 'ignored', 'suppressed'],
     default: 'pending',
     index: true
   },
@@ -50,7 +50,34 @@ const notificationSchema = new mongoose.Schema({
       enum: ['completed', 'snoozed', 'dismissed', 'ignored'] 
     },
     responseTime: { type: Number }, // seconds to respond
-    timestamp: { type: Date }
+    timestamp: { type: Date },
+    responseId: { type: String } // Client id of the response, the same response arrives via socket and REST
+  },
+  snoozeCount: {
+    type: Number,
+    default: 0
+  },
+  // Set once the routine's snooze limit was hit
+  escalation: {
+    action: { type: String, enum: ['force', 'urgent', 'auto-dismiss'] },
+    at: { type: Date }
+  },
+  // Progress through the routine's escalation chain while nobody responds
+  escalationStep: {
+    type: Number,
+    default: 0
+  },
+  nextEscalationAt: {
+    type: Date
+  },
+  // What Do-Not-Disturb did with this notification; suppressed and deferred
+  // alarms were never put in front of the user, so they are not "ignored"
+  dnd: {
+    action: { type: String, enum: ['suppressed', 'deferred', 'silent', 'breakthrough'] },
+    reason: { type: String, enum: ['manual', 'quiet-hours'] },
+    at: { type: Date },
+    deferredUntil: { type: Date },
+    originalScheduledFor: { type: Date }
   },
   deliveryAttempts: {
     type: Number,
@@ -72,6 +99,13 @@ const notificationSchema = new mongoose.Schema({
   },
   metadata: {
     originalSchedule: { type: String }, // Original scheduled time
+    timezone: { type: String }, // Time zone the schedule was evaluated in
+    occurrenceAt: { type: Date }, // Exact schedule occurrence this notification belongs to
+    deliveredLate: { type: Boolean, default: false }, // Fired by scheduler catch-up
+    sequenceRun: { type: mongoose.Schema.Types.ObjectId, ref: 'SequenceRun' }, // Sequence run this alarm is a step of
+    sequenceStep: { type: Number },
+    rescheduled: { type: Boolean }, // Moved once by the user; the schedule and adaptive timing leave it alone
+    replayedAt: { type: Date }, // Re-queued by an admin after it was missed
     adaptiveAdjustment: { type: Number, default: 0 } // Applied timing adjustment
   }
 }, {
@@ -82,6 +116,12 @@ const notificationSchema = new mongoose.Schema({
 notificationSchema.index({ user: 1, status: 1 });
 notificationSchema.index({ scheduledFor: 1, status: 1 });
 notificationSchema.index({ routine: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, nextEscalationAt: 1 });
+// One notification per routine occurrence and recipient; guards the queue against double inserts
+notificationSchema.index(
+  { routine: 1, user: 1, 'metadata.occurrenceAt': 1 },
+  { unique: true, partialFilterExpression: { 'metadata.occurrenceAt': { $exists: true } } }
+);
 
 // Method to mark as delivered
 notificationSchema.methods.markAsDelivered = function() {
@@ -91,22 +131,85 @@ notificationSchema.methods.markAsDelivered = function() {
   return this.save();
 };
 
-// Method to handle user response
-notificationSchema.methods.handleUserResponse = function(action, responseTime) {
-  this.status = action === 'snoozed' ? 'snoozed' : action;
-  this.userResponse = {
-    action,
-    responseTime,
-    timestamp: new Date()
+// Snooze rules of the notification's routine, with the schema defaults
+notificationSchema.statics.getSnoozePolicy = function(routine) {
+  const settings = routine?.notificationSettings || {};
+  return {
+    snoozeDuration: settings.snoozeDuration || 5,
+    maxSnoozes: settings.maxSnoozes ?? 3,
+    escalation: settings.escalation || 'force'
   };
-  
-  if (action === 'completed') {
-    this.completedAt = new Date();
-  } else if (action === 'snoozed') {
-    this.snoozedUntil = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
+};
+
+// Apply a user response without saving. Snoozes are limited to the routine's
+// snoozeDuration and maxSnoozes; a snooze past the limit escalates instead.
+// Returns { action, duplicate, escalated, snoozeMinutes, snoozesRemaining }.
+notificationSchema.methods.applyUserResponse = function(action, { responseTime = 0, snoozeMinutes, responseId, routine } = {}) {
+  if (responseId && this.userResponse?.responseId === responseId) {
+    return { action: this.userResponse.action, duplicate: true };
   }
-  
-  return this.save();
+
+  const now = new Date();
+  const policy = this.constructor.getSnoozePolicy(routine || this.routine);
+  const recordResponse = (recordedAction) => {
+    this.userResponse = { action: recordedAction, responseTime, timestamp: now, responseId };
+  };
+
+  // Any answer stops the escalation chain, except a refused snooze below
+  const nextEscalationAt = this.nextEscalationAt;
+  this.nextEscalationAt = undefined;
+
+  if (action !== 'snoozed') {
+    this.status = action;
+    recordResponse(action);
+    if (action === 'completed') {
+      this.completedAt = now;
+    }
+    return { action };
+  }
+
+  if (this.snoozeCount >= policy.maxSnoozes) {
+    this.escalation = { action: policy.escalation, at: now };
+
+    if (policy.escalation === 'auto-dismiss') {
+      this.status = 'ignored';
+      recordResponse('ignored');
+      return { action: 'ignored', escalated: policy.escalation, snoozesRemaining: 0 };
+    }
+
+    // 'force' and 'urgent' keep the alarm up; 'urgent' also makes it louder
+    if (policy.escalation === 'urgent') {
+      this.type = 'urgent';
+      this.volume = 1;
+    }
+    this.status = 'delivered';
+    this.nextEscalationAt = nextEscalationAt;
+    this.set('userResponse.responseId', responseId);
+    return { action: 'escalated', escalated: policy.escalation, snoozesRemaining: 0 };
+  }
+
+  const requested = parseInt(snoozeMinutes, 10);
+  const minutes = requested > 0 ? Math.min(requested, policy.snoozeDuration) : policy.snoozeDuration;
+
+  this.status = 'snoozed';
+  this.snoozeCount += 1;
+  this.snoozedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+  recordResponse('snoozed');
+
+  return {
+    action: 'snoozed',
+    snoozeMinutes: minutes,
+    snoozesRemaining: Math.max(0, policy.maxSnoozes - this.snoozeCount)
+  };
+};
+
+// Method to handle user response
+notificationSchema.methods.handleUserResponse = async function(action, responseTime, options = {}) {
+  const result = this.applyUserResponse(action, { ...options, responseTime });
+  if (!result.duplicate) {
+    await this.save();
+  }
+  return result;
 };
 
 // Static method to get pending notifications
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezone');
+const { FREQUENCIES, isCalendarDate, validateRecurrence } = require('../utils/recurrence');
 
 const scheduleSchema = new mongoose.Schema({
   time: {
@@ -19,6 +21,46 @@ const scheduleSchema = new mongoose.Schema({
   }]
 });
 
+const calendarDate = {
+  validator: function(date) {
+    return !date || isCalendarDate(date);
+  },
+  message: 'Dates must be valid YYYY-MM-DD dates'
+};
+
+// RRULE-style recurrence, evaluated in the routine's time zone.
+// Used alongside (or instead of) the simple weekly `schedule` entries.
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  interval: { type: Number, default: 1, min: 1, max: 1000 },
+  // Times of day for daily and longer frequencies
+  times: [{ type: String, trim: true }],
+  // Daily window for minutely/hourly frequencies
+  windowStart: { type: String, trim: true },
+  windowEnd: { type: String, trim: true },
+  byWeekday: [{ type: Number, min: 0, max: 6 }],
+  // Negative values count from the end of the month (-1 = last day)
+  byMonthDay: [{ type: Number, min: -31, max: 31 }],
+  // e.g. { weekday: 1, nth: 1 } = first Monday, { weekday: 5, nth: -1 } = last Friday
+  byNthWeekday: [{
+    _id: false,
+    weekday: { type: Number, min: 0, max: 6, required: true },
+    nth: { type: Number, enum: [1, 2, 3, 4, 5, -1], required: true }
+  }],
+  byMonth: [{ type: Number, min: 1, max: 12 }],
+  // Local calendar dates (YYYY-MM-DD) in the routine's time zone
+  startDate: { type: String, validate: calendarDate },
+  endDate: { type: String, validate: calendarDate },
+  count: { type: Number, min: 1, max: 1000 },
+  excludeDates: [{ type: String, validate: calendarDate }]
+}, {
+  _id: false
+});
+
 const routineSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -43,7 +85,54 @@ const routineSchema = new mongoose.Schema({
     enum: ['work', 'break', 'exercise', 'meeting', 'personal', 'health'],
     default: 'personal'
   },
+  // 'scheduled' fires at fixed times (schedule/recurrence), 'interval' every
+  // N minutes inside a daily window, counted from the user's last response
+  kind: {
+    type: String,
+    enum: ['scheduled', 'interval'],
+    default: 'scheduled'
+  },
   schedule: [scheduleSchema],
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined,
+    validate: {
+      validator: function(recurrence) {
+        return !validateRecurrence(recurrence);
+      },
+      message: props => validateRecurrence(props.value)
+    }
+  },
+  // Settings for interval routines; empty fields fall back to the owner's
+  // breakInterval and workingHours preferences
+  intervalSettings: {
+    everyMinutes: { type: Number, min: 5, max: 720 },
+    windowStart: {
+      type: String,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Window start must be in HH:MM format']
+    },
+    windowEnd: {
+      type: String,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Window end must be in HH:MM format']
+    },
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [1, 2, 3, 4, 5]
+    },
+    // Last completion or snooze; the next alarm is counted from here
+    anchorAt: { type: Date }
+  },
+  // Optional override of the owner's time zone for this routine only
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(timeZone) {
+        return !timeZone || isValidTimeZone(timeZone);
+      },
+      message: 'Please provide a valid IANA time zone (e.g. Europe/Berlin)'
+    }
+  },
   sound: {
     type: String,
     enum: ['chime', 'bell', 'digital', 'nature'],
@@ -66,14 +155,80 @@ const routineSchema = new mongoose.Schema({
     min: 1,
     max: 5
   },
+  // Team routines ring for every member of the team; `user` is the lead
+  // who owns and edits them
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    index: true
+  },
+  // Team members who turned this routine's alarms off for themselves
+  optedOut: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Calendar event this routine was imported from, so re-imports can skip it
+  importedFrom: {
+    uid: { type: String, trim: true },
+    importedAt: { type: Date }
+  },
+  // Temporary holds (see utils/routineHolds); both end on their own once passed
+  pausedUntil: { type: Date },
+  // Original time of the one occurrence to leave out
+  skipOccurrenceAt: { type: Date },
+  // Learned shift of delivery, see utils/adaptiveTiming
   adaptiveTiming: {
     enabled: { type: Boolean, default: true },
+    // Routine-wide shift in minutes, for display; occurrences use their bucket
     adjustment: { type: Number, default: 0 },
-    lastAdjustment: { type: Date }
+    lastAdjustment: { type: Date },
+    minAdjustment: { type: Number, default: -10, min: -60, max: 0 },
+    maxAdjustment: { type: Number, default: 15, min: 0, max: 60 },
+    // EWMA weight of the newest response
+    smoothing: { type: Number, default: 0.3, min: 0.05, max: 1 },
+    overall: {
+      latency: { type: Number },
+      samples: { type: Number, default: 0 }
+    },
+    // Average minutes from occurrence to response, per local weekday and hour
+    buckets: [{
+      _id: false,
+      weekday: { type: Number, min: 0, max: 6, required: true },
+      hour: { type: Number, min: 0, max: 23, required: true },
+      latency: { type: Number, default: 0 },
+      samples: { type: Number, default: 0 },
+      updatedAt: { type: Date }
+    }]
   },
   notificationSettings: {
     snoozeDuration: { type: Number, default: 5, min: 1, max: 30 },
-    maxSnoozes: { type: Number, default: 3, min: 0, max: 10 }
+    maxSnoozes: { type: Number, default: 3, min: 0, max: 10 },
+    // What happens when the user tries to snooze past maxSnoozes
+    escalation: {
+      type: String,
+      enum: ['force', 'urgent', 'auto-dismiss'],
+      default: 'force'
+    },
+    // Re-rings for delivered alarms nobody answers; empty steps use the
+    // default chain for the routine's priority (see utils/escalationChains)
+    escalationChain: {
+      enabled: { type: Boolean, default: true },
+      steps: [{
+        _id: false,
+        afterMinutes: { type: Number, required: true, min: 1, max: 240 },
+        volumeIncrease: { type: Number, default: 0, min: 0, max: 1 },
+        sound: { type: String, enum: ['chime', 'bell', 'digital', 'nature'] }
+      }],
+      ignoreAfterMinutes: { type: Number, min: 1, max: 1440 }
+    },
+    // What to do with occurrences missed while the scheduler was down or late
+    missedPolicy: {
+      type: String,
+      enum: ['fire-late', 'mark-missed', 'skip'],
+      default: 'fire-late'
+    },
+    // Occurrences older than this are marked missed even with 'fire-late'
+    catchUpMinutes: { type: Number, default: 60, min: 1, max: 1440 }
   }
 }, {
   timestamps: true
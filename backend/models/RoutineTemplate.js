@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Routine = require('./Routine');
+
+// A value users fill in when creating routines from the template
+const parameterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9]*$/, 'Parameter keys must be letters and digits']
+  },
+  label: { type: String, required: true, trim: true, maxlength: 50 },
+  type: { type: String, enum: ['time', 'number', 'days', 'text'], required: true },
+  defaultValue: { type: mongoose.Schema.Types.Mixed },
+  min: { type: Number },
+  max: { type: Number }
+}, {
+  _id: false
+});
+
+// User-saved routine template; built-in ones live in utils/routineTemplates
+const routineTemplateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  icon: { type: String, default: '⭐' },
+  category: {
+    type: String,
+    enum: Routine.schema.path('category').enumValues,
+    default: 'personal'
+  },
+  parameters: [parameterSchema],
+  // Routine definition; "{{key}}" strings are replaced by parameter values
+  routine: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  sourceRoutine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Routine'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RoutineTemplate', routineTemplateSchema);
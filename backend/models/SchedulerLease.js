@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Time-limited lock on a background job. Whoever holds an unexpired lease
+// is the only instance allowed to run that job; an expired lease can be
+// taken over by any other instance.
+const schedulerLeaseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acquiredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SchedulerLease', schedulerLeaseSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Persistent bookkeeping for background jobs, so a restart can resume
+// where the previous process stopped instead of starting from "now"
+const schedulerStateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastEvaluatedMinute: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SchedulerState', schedulerStateSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One link of a sequence. The first step's routine fires on its own schedule;
+// every later step fires `delayMinutes` after the previous one is completed,
+// or `timeoutMinutes` after the previous one rang if nobody completes it.
+const sequenceStepSchema = new mongoose.Schema({
+  routine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Routine',
+    required: true
+  },
+  delayMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 720
+  },
+  timeoutMinutes: {
+    type: Number,
+    min: 1,
+    max: 720
+  }
+}, {
+  _id: false
+});
+
+const sequenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Sequence name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  steps: {
+    type: [sequenceStepSchema],
+    validate: {
+      validator: function(steps) {
+        const routineIds = steps.map(step => step.routine.toString());
+        return steps.length >= 2 && new Set(routineIds).size === routineIds.length;
+      },
+      message: 'A sequence needs at least two different routines'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+sequenceSchema.index({ user: 1, 'steps.0.routine': 1 });
+
+module.exports = mongoose.model('Sequence', sequenceSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const sequenceRunStepSchema = new mongoose.Schema({
+  routine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Routine',
+    required: true
+  },
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'scheduled', 'delivered', 'completed', 'timed-out', 'skipped'],
+    default: 'waiting'
+  },
+  // Copied from the sequence when the run starts, so edits don't affect it
+  delayMinutes: { type: Number, default: 0 },
+  timeoutMinutes: { type: Number },
+  scheduledFor: { type: Date },
+  deliveredAt: { type: Date },
+  finishedAt: { type: Date }
+}, {
+  _id: false
+});
+
+// One pass through a sequence, started when its first routine rings
+const sequenceRunSchema = new mongoose.Schema({
+  sequence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sequence',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'abandoned'],
+    default: 'running',
+    index: true
+  },
+  currentStep: {
+    type: Number,
+    default: 0
+  },
+  // When the next step starts anyway because the current one was not completed
+  nextTimeoutAt: {
+    type: Date
+  },
+  steps: [sequenceRunStepSchema],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+sequenceRunSchema.index({ status: 1, nextTimeoutAt: 1 });
+sequenceRunSchema.index({ 'steps.notification': 1 });
+
+module.exports = mongoose.model('SequenceRun', sequenceRunSchema);
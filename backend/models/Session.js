@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session id and are only
+// honoured while the session is live; the refresh token is stored as a
+// hash and replaced on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token this one replaced, so a replayed old token can be spotted
+  previousTokenHash: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop sessions a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+sessionSchema.methods.isLive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
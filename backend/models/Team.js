@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const teamMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A pending invitation, by email so inviting says nothing about which
+// addresses have an account. The invitee only becomes a member, and starts
+// getting the team's alarms, after accepting.
+const teamInviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A group of users sharing team routines. The lead is also a member; team
+// routines are owned by the lead and ring for every member who didn't opt out.
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  members: [teamMemberSchema],
+  invites: [teamInviteSchema]
+}, {
+  timestamps: true
+});
+
+teamSchema.index({ 'members.user': 1 });
+teamSchema.index({ 'invites.email': 1 });
+
+teamSchema.methods.isLead = function(userId) {
+  return (this.lead?._id || this.lead).toString() === userId.toString();
+};
+
+// Populated members whose account is gone have a null user
+teamSchema.methods.isMember = function(userId) {
+  return this.members.some(member => String(member.user?._id ?? member.user) === String(userId));
+};
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { isValidTimeZone } = require('../utils/timezone');
+const { isCalendarDate } = require('../utils/recurrence');
+const { DND_ACTIONS, DEFAULT_DND_RULES } = require('../utils/quietHours');
+
+const timeOfDay = [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Time must be in HH:MM format'];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -41,6 +46,16 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(timeZone) {
+        return !timeZone || isValidTimeZone(timeZone);
+      },
+      message: 'Please provide a valid IANA time zone (e.g. Europe/Berlin)'
+    }
+  },
   preferences: {
     defaultVolume: { type: Number, default: 0.7, min: 0, max: 1 },
     defaultSound: { type: String, default: 'chime', enum: ['chime', 'bell', 'digital', 'nature'] },
@@ -48,7 +63,35 @@ const userSchema = new mongoose.Schema({
       start: { type: String, default: '09:00' },
       end: { type: String, default: '17:00' }
     },
-    breakInterval: { type: Number, default: 60, min: 15 }
+    breakInterval: { type: Number, default: 60, min: 15 },
+    // Daily Do-Not-Disturb window in the user's time zone, may wrap midnight
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00', match: timeOfDay },
+      end: { type: String, default: '07:00', match: timeOfDay },
+      // What happens to alarms of each priority; critical always rings
+      rules: {
+        low: { type: String, enum: DND_ACTIONS, default: DEFAULT_DND_RULES.low },
+        medium: { type: String, enum: DND_ACTIONS, default: DEFAULT_DND_RULES.medium },
+        high: { type: String, enum: DND_ACTIONS, default: DEFAULT_DND_RULES.high },
+        urgent: { type: String, enum: DND_ACTIONS, default: DEFAULT_DND_RULES.urgent }
+      }
+    }
+  },
+  // Ad-hoc Do-Not-Disturb ("DND for 2 hours")
+  dndUntil: {
+    type: Date
+  },
+  // Vacation mode: no routine alarms on these local dates (inclusive)
+  vacation: {
+    startDate: { type: String, validate: [date => !date || isCalendarDate(date), 'Dates must be valid YYYY-MM-DD dates'] },
+    endDate: { type: String, validate: [date => !date || isCalendarDate(date), 'Dates must be valid YYYY-MM-DD dates'] }
+  },
+  // Secret for the read-only iCalendar subscription URL; rotating it
+  // invalidates every calendar app subscribed with the old one
+  calendarFeed: {
+    token: { type: String },
+    createdAt: { type: Date }
   },
   responsiveness: {
     completionRate: { type: Number, default: 0, min: 0, max: 100 },
@@ -61,6 +104,49 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Id of the latest emailed token per purpose (see utils/accountEmails);
+  // cleared once used, so each link works only once
+  emailTokens: {
+    type: new mongoose.Schema({
+      passwordReset: { type: String },
+      emailVerification: { type: String }
+    }, { _id: false }),
+    select: false
+  },
+  // TOTP second factor (see utils/totp). The secret and the hashed
+  // recovery codes are never returned by default.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    // Waiting for the first code from the authenticator app
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    // Time step of the last accepted code, so it can't be used twice
+    lastUsedStep: { type: Number, select: false }
+  },
+  // Failed sign-ins, for throttling and temporary lockout (see
+  // utils/loginThrottle). Reset by a successful sign-in.
+  loginSecurity: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: { type: Date },
+    lockedUntil: { type: Date }
+  },
+  // Least to most privileged, see middleware/authorize: team admins can
+  // create teams, system admins also manage users and the scheduler
+  role: {
+    type: String,
+    enum: ['user', 'team-admin', 'system-admin'],
+    default: 'user',
+    index: true
+  },
   lastLogin: {
     type: Date
   },
@@ -78,6 +164,8 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+userSchema.index({ 'calendarFeed.token': 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -98,15 +186,17 @@ userSchema.pre('save', function(next) {
 });
 
 // Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Access tokens are short-lived and tied to a session (see utils/sessions.js)
+userSchema.methods.generateAuthToken = function(sessionId) {
   const token = jwt.sign(
     { 
       id: this._id,
       username: this.username,
-      email: this.email 
+      email: this.email,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
   return token;
 };
@@ -145,6 +235,10 @@ userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.__v;
+  delete user.emailTokens;
+  if (user.twoFactor) {
+    user.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt };
+  }
   return user;
 };
 
@@ -28,6 +28,10 @@ const userMetricSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  notificationsIgnored: {
+    type: Number,
+    default: 0
+  },
   totalNotifications: {
     type: Number,
     default: 0
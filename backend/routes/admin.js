@@ -0,0 +1,228 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const { ROLES, requireRole } = require('../middleware/authorize');
+const { revokeSessions } = require('../utils/sessions');
+
+const USER_FIELDS = 'username email firstName lastName role isActive lastLogin loginCount createdAt';
+const PAGE_SIZE = 50;
+const MAX_FAILED_HOURS = 7 * 24;
+const MAX_REPLAY = 200;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Everything here is for system admins
+router.use(auth, requireRole('system-admin'));
+
+// List users, e.g. ?search=ann&page=2
+router.get('/users', async (req, res) => {
+  try {
+    const search = String(req.query.search || '').trim();
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const query = search
+      ? {
+          $or: ['username', 'email', 'firstName', 'lastName']
+            .map(field => ({ [field]: { $regex: escapeRegExp(search), $options: 'i' } }))
+        }
+      : {};
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      total,
+      page,
+      pageSize: PAGE_SIZE,
+      roles: ROLES,
+      users
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Change a user's role or (de)activate the account. Deactivated users are
+// signed out of every session and their routines stop ringing.
+router.patch('/users/:id', async (req, res) => {
+  try {
+    const { isActive, role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.params.id === req.user.id && (isActive === false || (role && role !== req.user.role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate or demote your own account'
+      });
+    }
+
+    const updates = {};
+    if (typeof isActive === 'boolean') updates.isActive = isActive;
+    if (role !== undefined) updates.role = role;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...updates, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    ).select(USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (typeof isActive === 'boolean') {
+      if (!isActive) {
+        await revokeSessions(req.app.get('io'), { user: user._id });
+      }
+
+      // Queues follow the account: cleared when deactivated, rebuilt when
+      // reactivated, for their own routines and their teams'
+      const scheduler = req.app.get('notificationScheduler');
+      if (scheduler) {
+        await scheduler.rescheduleUserRoutines(user._id);
+      }
+
+      console.log(`👤 ${req.user.email} ${isActive ? 'reactivated' : 'deactivated'} ${user.email}`);
+    }
+    if (role !== undefined) {
+      console.log(`👤 ${req.user.email} set the role of ${user.email} to ${user.role}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Scheduler status with queue health across all users
+router.get('/scheduler', async (req, res) => {
+  try {
+    const scheduler = req.app.get('notificationScheduler');
+    const now = new Date();
+    const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+    const [pending, overdue, missed, delivered] = await Promise.all([
+      Notification.countDocuments({ status: 'pending' }),
+      Notification.countDocuments({ status: 'pending', scheduledFor: { $lt: new Date(now.getTime() - 60 * 1000) } }),
+      Notification.countDocuments({ status: 'missed', scheduledFor: { $gte: dayAgo } }),
+      Notification.countDocuments({ deliveredAt: { $gte: dayAgo } })
+    ]);
+
+    res.json({
+      success: true,
+      scheduler: scheduler ? scheduler.getStatus() : null,
+      queue: { pending, overdue, missedLast24h: missed, deliveredLast24h: delivered }
+    });
+  } catch (error) {
+    console.error('Error fetching scheduler status:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Alarms that were never delivered, e.g. ?hours=24
+router.get('/deliveries/failed', async (req, res) => {
+  try {
+    const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), MAX_FAILED_HOURS);
+    const notifications = await Notification.find({
+      status: 'missed',
+      deliveredAt: { $exists: false },
+      scheduledFor: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) }
+    })
+      .populate('user', 'username email')
+      .sort({ scheduledFor: -1 })
+      .limit(MAX_REPLAY);
+
+    res.json({
+      success: true,
+      hours,
+      count: notifications.length,
+      notifications: notifications.map(notification => ({
+        id: notification._id,
+        title: notification.title,
+        user: notification.user,
+        routineId: notification.routine,
+        scheduledFor: notification.scheduledFor,
+        occurrenceAt: notification.metadata?.occurrenceAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching failed deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Deliver missed alarms now: { ids: [...] }
+router.post('/deliveries/replay', async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_REPLAY ||
+        !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: `Pick between 1 and ${MAX_REPLAY} notifications`
+      });
+    }
+
+    const scheduler = req.app.get('notificationScheduler');
+    const replayed = await scheduler.replayNotifications(ids);
+
+    console.log(`🔁 ${req.user.email} replayed ${replayed} missed notification(s)`);
+    res.json({
+      success: true,
+      message: `Replayed ${replayed} notification${replayed === 1 ? '' : 's'}`,
+      replayed
+    });
+  } catch (error) {
+    console.error('Error replaying deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
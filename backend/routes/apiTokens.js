@@ -0,0 +1,145 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const ApiToken = require('../models/ApiToken');
+const auth = require('../middleware/auth');
+const { SCOPES, generateApiToken } = require('../utils/apiTokens');
+
+const MAX_TOKENS_PER_USER = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+// Never includes the hash; the token itself is only shown once at creation
+const toTokenSummary = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  lastUsedAt: apiToken.lastUsedAt,
+  createdAt: apiToken.createdAt,
+  expiresAt: apiToken.expiresAt,
+  expired: apiToken.isExpired()
+});
+
+// Tokens are managed from a signed-in session only, never with another token
+
+// @desc    List personal API tokens
+// @route   GET /api/tokens
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const apiTokens = await ApiToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      scopes: SCOPES,
+      tokens: apiTokens.map(toTokenSummary)
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create a personal API token
+// @route   POST /api/tokens
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: `Scopes must be one or more of: ${SCOPES.join(', ')}`
+      });
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const existing = await ApiToken.countDocuments({ user: req.user._id });
+    if (existing >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_TOKENS_PER_USER} API tokens, revoke one first`
+      });
+    }
+
+    const { token, tokenHash, prefix } = generateApiToken();
+    const apiToken = await ApiToken.create({
+      user: req.user._id,
+      name,
+      tokenHash,
+      prefix,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    console.log(`🔑 API token "${apiToken.name}" created for ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now, it will not be shown again.',
+      token,
+      apiToken: toTokenSummary(apiToken)
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revoke a personal API token
+// @route   DELETE /api/tokens/:id
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const apiToken = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ApiToken.findOneAndDelete({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    console.log(`🔑 API token "${apiToken.name}" revoked for ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
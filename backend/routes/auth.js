@@ -1,16 +1,86 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth'); // Fixed import path
+const { createSession, rotateSession, revokeSessions, describeDevice } = require('../utils/sessions');
+const { sendVerificationEmail, sendPasswordResetEmail, consumeEmailToken } = require('../utils/accountEmails');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const {
+  generateRecoveryCodes,
+  createLoginChallenge,
+  readLoginChallenge,
+  verifySecondFactor,
+  countRecoveryCodes
+} = require('../utils/twoFactor');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  checkUnknownEmailAllowed,
+  recordUnknownEmailLogin,
+  sendLoginRefused
+} = require('../utils/loginThrottle');
 
 const router = express.Router();
 
+// Comma-separated emails that get the system-admin role, so a fresh
+// deployment has someone who can open the admin console. Only once the
+// address is verified: otherwise whoever signs up with it first would.
+const getBootstrapAdmins = () => (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const isBootstrapAdmin = (email) => getBootstrapAdmins().includes(String(email).toLowerCase());
+
+// Sets the role on a verified bootstrap admin; the caller saves the user
+const promoteBootstrapAdmin = (user) => {
+  if (user.emailVerified && isBootstrapAdmin(user.email) && user.role !== 'system-admin') {
+    user.role = 'system-admin';
+    console.log(`🛡️ ${user.email} promoted to system-admin from ADMIN_EMAILS`);
+  }
+};
+
+// Last step of every login: start a session for this device and answer
+// with the tokens and the user
+const completeLogin = async (req, res, user) => {
+  promoteBootstrapAdmin(user);
+
+  // Update last login, forgetting earlier failed attempts
+  user.loginSecurity = { failedAttempts: 0 };
+  await user.updateLastLogin();
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      timezone: user.timezone,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactor.enabled,
+      preferences: user.preferences,
+      dndUntil: user.dndUntil,
+      vacation: user.vacation
+    }
+  });
+};
+
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password, firstName, lastName } = req.body;
+    const { username, email, password, firstName, lastName, timezone } = req.body;
 
     // Validation
     if (!username || !email || !password || !firstName || !lastName) {
@@ -38,24 +108,36 @@ router.post('/register', async (req, res) => {
       email,
       password,
       firstName,
-      lastName
+      lastName,
+      timezone
     });
 
     await user.save();
 
-    // Generate token
-    const token = user.generateAuthToken();
+    // A mail problem shouldn't stop the sign-up; the link can be resent
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.warn('⚠️ Warning: Could not send verification email:', mailError.message);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         firstName: user.firstName,
-        lastName: user.lastName
+        lastName: user.lastName,
+        timezone: user.timezone,
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
 
@@ -96,16 +178,33 @@ router.post('/login', async (req, res) => {
     // Check if user exists and password is correct
     const user = await User.findOne({ email }).select('+password');
     
+    // Unknown emails are throttled and locked like accounts, so neither
+    // answer tells an attacker whether the email is registered
     if (!user) {
+      const allowed = checkUnknownEmailAllowed(email);
+      const next = allowed.allowed ? recordUnknownEmailLogin(email) : allowed;
+      if (!allowed.allowed || next.locked) {
+        return sendLoginRefused(res, next);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    // Throttled or locked accounts don't get to try
+    const allowed = checkLoginAllowed(user);
+    if (!allowed.allowed) {
+      return sendLoginRefused(res, allowed);
+    }
+
     // Check password
     const isPasswordCorrect = await user.correctPassword(password);
     if (!isPasswordCorrect) {
+      const next = await recordFailedLogin(user);
+      if (next.locked) {
+        return sendLoginRefused(res, next);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -120,28 +219,85 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Update last login
-    await user.updateLastLogin();
+    // With 2FA on, the password only earns a short-lived challenge that
+    // POST /login/2fa exchanges for tokens
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
 
-    // Generate token
-    const token = user.generateAuthToken();
+    await completeLogin(req, res, user);
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        preferences: user.preferences
-      }
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
     });
+  }
+});
+
+// @desc    Finish a login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = readLoginChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        challengeExpired: true,
+        message: 'Your sign-in attempt expired, please enter your password again'
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a code'
+      });
+    }
+
+    const user = await User.findById(userId);
 
+    // Codes are throttled like passwords
+    const allowed = user ? checkLoginAllowed(user) : { allowed: true };
+    if (!allowed.allowed) {
+      return sendLoginRefused(res, allowed);
+    }
+
+    const method = await verifySecondFactor(userId, { code, recoveryCode });
+    if (!method) {
+      const next = user ? await recordFailedLogin(user) : {};
+      if (next.locked) {
+        return sendLoginRefused(res, next);
+      }
+      return res.status(401).json({
+        success: false,
+        message: recoveryCode ? 'Invalid or already used recovery code' : 'Invalid code'
+      });
+    }
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    if (method === 'recovery') {
+      console.log(`🔑 ${user.email} signed in with a recovery code`);
+    }
+
+    await completeLogin(req, res, user);
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during login'
@@ -162,7 +318,13 @@ router.get('/me', auth, async (req, res) => {
         email: req.user.email,
         firstName: req.user.firstName,
         lastName: req.user.lastName,
+        timezone: req.user.timezone,
+        role: req.user.role,
+        emailVerified: req.user.emailVerified,
+        twoFactorEnabled: req.user.twoFactor.enabled,
         preferences: req.user.preferences,
+        dndUntil: req.user.dndUntil,
+        vacation: req.user.vacation,
         responsiveness: req.user.responsiveness,
         createdAt: req.user.createdAt
       }
@@ -176,4 +338,435 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const user = email ? await User.findOne({ email, isActive: true }) : null;
+
+    if (user) {
+      await sendPasswordResetEmail(user);
+      console.log(`🔑 Password reset requested for ${user.email}`);
+    }
+
+    // Same answer either way, so the form can't be used to probe for accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link is on its way'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending reset email'
+    });
+  }
+});
+
+// @desc    Choose a new password with an emailed reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Checked before the token is used up
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const user = await consumeEmailToken(token, 'passwordReset');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired'
+      });
+    }
+
+    // A new password also lifts a lockout
+    user.password = password;
+    user.loginSecurity = { failedAttempts: 0 };
+    await user.save();
+
+    // Whoever knew the old password is signed out
+    await revokeSessions(req.app.get('io'), { user: user._id });
+
+    console.log(`🔑 Password reset for ${user.email}`);
+    res.json({
+      success: true,
+      message: 'Password updated, please sign in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @desc    Confirm an email address with an emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await consumeEmailToken(req.body.token, 'emailVerification');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    promoteBootstrapAdmin(user);
+    await user.save();
+
+    console.log(`✅ Email verified for ${user.email}`);
+    res.json({
+      success: true,
+      message: 'Email address confirmed'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// @desc    Send the verification email again
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email address is already confirmed'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @desc    Swap a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await rotateSession(req.body.refreshToken);
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please sign in again'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @desc    Sign out this device
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSessions(req.app.get('io'), { _id: req.sessionId });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @desc    Sign out every device, including this one
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.app.get('io'), { user: req.user._id });
+
+    console.log(`🔐 ${req.user.email} logged out of ${revoked} session(s)`);
+    res.json({
+      success: true,
+      message: 'Logged out everywhere',
+      revoked
+    });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @desc    List signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: describeDevice(session.userAgent),
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const revoked = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await revokeSessions(req.app.get('io'), { _id: req.params.id, user: req.user._id })
+      : 0;
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Re-check the password before sensitive account changes. Responds and
+// returns false when it is wrong.
+const confirmPassword = async (req, res) => {
+  const user = await User.findById(req.user._id).select('+password');
+  if (!req.body.password || !(await user.correctPassword(req.body.password))) {
+    res.status(401).json({
+      success: false,
+      message: 'Password is incorrect'
+    });
+    return false;
+  }
+  return true;
+};
+
+// @desc    Two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      enabled: req.user.twoFactor.enabled,
+      enabledAt: req.user.twoFactor.enabledAt,
+      recoveryCodesLeft: req.user.twoFactor.enabled ? await countRecoveryCodes(req.user._id) : 0
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Start 2FA enrollment: a new secret to add to an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already on'
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    const otpauthUri = buildOtpauthUri({ secret, account: req.user.email });
+    res.json({
+      success: true,
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @desc    Finish enrollment with a first code; returns the recovery codes once
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    const secret = user.twoFactor.pendingSecret;
+    const step = secret ? verifyCode(secret, req.body.code) : null;
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: secret ? 'Invalid code, check the time on your device and try again' : 'Start the setup first'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': secret,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.lastUsedStep': step
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+
+    console.log(`🔐 Two-factor authentication turned on for ${user.email}`);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while turning on two-factor authentication'
+    });
+  }
+});
+
+// @desc    Replace the recovery codes (password required)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', auth, async (req, res) => {
+  try {
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is off'
+      });
+    }
+    if (!(await confirmPassword(req, res))) return;
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes created; the old ones no longer work',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating recovery codes'
+    });
+  }
+});
+
+// @desc    Turn 2FA off (password required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    if (!(await confirmPassword(req, res))) return;
+
+    await User.updateOne({ _id: req.user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1
+      }
+    });
+
+    console.log(`🔓 Two-factor authentication turned off for ${req.user.email}`);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is off'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while turning off two-factor authentication'
+    });
+  }
+});
+
 module.exports = router;
@@ -92,6 +92,7 @@ router.get('/analytics', auth, async (req, res) => {
     // Get notifications for the period
     const notifications = await Notification.find({
       user: req.user.id,
+      status: { $nin: ['pending', 'suppressed'] },
       createdAt: { $gte: startDate, $lte: endDate }
     }).populate('routine', 'title category');
     
@@ -145,6 +146,12 @@ router.get('/analytics', auth, async (req, res) => {
           },
           snoozed: {
             $sum: { $cond: [{ $eq: ['$status', 'snoozed'] }, 1, 0] }
+          },
+          ignored: {
+            $sum: { $cond: [{ $eq: ['$status', 'ignored'] }, 1, 0] }
+          },
+          suppressed: {
+            $sum: { $cond: [{ $eq: ['$status', 'suppressed'] }, 1, 0] }
           }
         }
       },
@@ -311,6 +318,7 @@ router.get('/insights', auth, async (req, res) => {
     
     const notifications = await Notification.find({
       user: req.user.id,
+      status: { $nin: ['pending', 'suppressed'] },
       createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // Last 7 days
     });
     
@@ -357,6 +365,7 @@ router.get('/daily', auth, async (req, res) => {
     // Get notifications for the day
     const notifications = await Notification.find({
       user: req.user.id,
+      status: { $nin: ['pending', 'suppressed'] },
       createdAt: { $gte: targetDate, $lt: nextDay }
     }).populate('routine', 'title category');
     
@@ -4,16 +4,45 @@ const UserMetric = require('../models/UserMetric');
 const Routine = require('../models/Routine');
 const Notification = require('../models/Notification');
 const auth = require('../middleware/auth');
+const { requireRole, allowApiToken } = require('../middleware/authorize');
+const { finishNotificationResponse } = require('../utils/notificationResponses');
+
+// Lets scripts with a personal API token list and answer notifications
+const allowResponder = allowApiToken('notifications:respond');
+
+// Longest delay the response-sync test may hold a request open for
+const MAX_SIMULATED_DELAY_MS = 5000;
+
+// Use the server's scheduler so requeued notifications land in its timer wheel
+const getScheduler = (req) => {
+  const scheduler = req.app.get('notificationScheduler');
+  if (scheduler) return scheduler;
+
+  const NotificationScheduler = require('../utils/notificationScheduler');
+  return new NotificationScheduler(req.app.get('io'));
+};
 
 // Get user notifications
-router.get('/', auth, async (req, res) => {
+router.get('/', allowResponder, auth, async (req, res) => {
   try {
-    const { limit = 50, status } = req.query;
+    const { limit = 50, status, includeUpcoming, from, to } = req.query;
     const query = { user: req.user.id };
     
     if (status) {
       query.status = status;
     }
+
+    // Date range on the scheduled time, e.g. for the calendar
+    if (from || to) {
+      query.scheduledFor = {};
+      if (from) query.scheduledFor.$gte = new Date(from);
+      if (to) query.scheduledFor.$lt = new Date(to);
+    }
+
+    // Queued future occurrences are not history - only return them on request
+    if (includeUpcoming !== 'true') {
+      query.$nor = [{ status: 'pending', scheduledFor: { $gt: new Date() } }];
+    }
     
     const notifications = await Notification.find(query)
       .populate('routine', 'title category')
@@ -29,16 +58,16 @@ router.get('/', auth, async (req, res) => {
 // ============================================
 // ENHANCED RESPONSE ENDPOINT - FIXED VERSION
 // ============================================
-router.post('/:id/response', auth, async (req, res) => {
+router.post('/:id/response', allowResponder, auth, async (req, res) => {
   const session = await Notification.startSession();
   session.startTransaction();
   
   try {
-    const { action, responseTime, snoozeMinutes = 5 } = req.body;
+    const { action, responseTime, snoozeMinutes, responseId } = req.body;
     
     console.log(`📢 Processing ${action} response for notification ${req.params.id}`);
     console.log(`⏱️ Response time: ${responseTime} seconds`);
-    console.log(`⏰ Snooze minutes: ${snoozeMinutes}`);
+    console.log(`⏰ Requested snooze minutes: ${snoozeMinutes || 'routine default'}`);
     
     // Find notification with lock to prevent race conditions
     const notification = await Notification.findOne({
@@ -90,23 +119,22 @@ router.post('/:id/response', auth, async (req, res) => {
     notification.processing = true;
     await notification.save({ session });
 
-    // Update notification based on action
-    notification.status = action;
-    notification.userResponse = {
-      action,
+    // Apply the response with the routine's snooze limits
+    const result = notification.applyUserResponse(action, {
       responseTime: responseTime || 0,
-      timestamp: new Date()
-    };
-    
-    if (action === 'completed') {
-      notification.completedAt = new Date();
-      console.log(`✅ Notification marked as completed at ${notification.completedAt.toLocaleString()}`);
-    } else if (action === 'dismissed') {
-      console.log(`❌ Notification dismissed at ${new Date().toLocaleString()}`);
+      snoozeMinutes,
+      responseId,
+      routine: notification.routine
+    });
+
+    if (result.duplicate) {
+      console.log(`🔁 Response ${responseId} already applied to notification ${req.params.id}`);
+    } else if (result.escalated) {
+      console.log(`🚨 Snooze limit reached, escalation: ${result.escalated}`);
     } else if (action === 'snoozed') {
-      const snoozeTime = new Date(Date.now() + snoozeMinutes * 60 * 1000);
-      notification.snoozedUntil = snoozeTime;
-      console.log(`⏰ Notification snoozed until ${snoozeTime.toLocaleString()}`);
+      console.log(`⏰ Notification snoozed until ${notification.snoozedUntil.toLocaleString()} (${result.snoozesRemaining} snoozes left)`);
+    } else {
+      console.log(`✅ Notification ${action} at ${new Date().toLocaleString()}`);
     }
 
     // Remove processing flag
@@ -114,46 +142,37 @@ router.post('/:id/response', auth, async (req, res) => {
     
     await notification.save({ session });
 
-    // Update user metrics
-    try {
-      await UserMetric.updateForResponse(req.user.id, action, responseTime || 0);
-      console.log(`📊 Updated metrics for ${action} action`);
-    } catch (metricError) {
-      console.warn('⚠️ Could not update user metrics:', metricError.message);
-      // Don't fail the transaction for metrics errors
-    }
-
-    // Update routine adaptive timing if applicable
-    if (notification.routine && notification.routine.adaptiveTiming?.enabled) {
-      try {
-        const NotificationScheduler = require('../utils/notificationScheduler');
-        const notificationScheduler = new NotificationScheduler();
-        await notificationScheduler.updateAdaptiveTiming(
-          notification.routine._id,
-          notification.userResponse
-        );
-        console.log(`🔄 Updated adaptive timing for routine ${notification.routine.title}`);
-      } catch (timingError) {
-        console.warn('⚠️ Could not update adaptive timing:', timingError.message);
-      }
-    }
-
     // Commit transaction
     await session.commitTransaction();
     session.endSession();
 
+    // Metrics, adaptive timing, interval re-anchoring and escalation
+    await finishNotificationResponse({
+      notification,
+      result,
+      userId: req.user.id,
+      responseTime: responseTime || 0,
+      scheduler: getScheduler(req)
+    });
+
+    const responseMessage = result.escalated
+      ? `Snooze limit reached - ${result.escalated === 'auto-dismiss' ? 'alarm dismissed as ignored' : 'alarm stays active'}`
+      : `Notification ${action} successfully`;
+
     // Send response to all connected devices
     const io = req.app.get('io');
     if (io) {
       const updateData = {
         notificationId: notification._id,
         status: notification.status,
-        action,
+        action: result.action,
         responseTime: responseTime || 0,
         snoozedUntil: notification.snoozedUntil,
+        snoozeCount: notification.snoozeCount,
+        escalation: notification.escalation?.action || null,
         completedAt: notification.completedAt,
         timestamp: new Date(),
-        message: `Notification ${action} successfully`,
+        message: responseMessage,
         userResponse: notification.userResponse
       };
       
@@ -164,12 +183,16 @@ router.post('/:id/response', auth, async (req, res) => {
     // Prepare response
     const response = { 
       success: true,
-      message: `Notification ${action} successfully`,
+      message: responseMessage,
+      escalated: result.escalated || null,
       notification: {
         id: notification._id,
         status: notification.status,
+        type: notification.type,
         userResponse: notification.userResponse,
         snoozedUntil: notification.snoozedUntil,
+        snoozeCount: notification.snoozeCount,
+        snoozesRemaining: result.snoozesRemaining,
         completedAt: notification.completedAt,
         responseTime: responseTime || 0
       }
@@ -212,30 +235,39 @@ router.post('/:id/response', auth, async (req, res) => {
 });
 
 // Snooze notification (legacy endpoint for backward compatibility)
-router.post('/:id/snooze', auth, async (req, res) => {
+router.post('/:id/snooze', allowResponder, auth, async (req, res) => {
   try {
-    const { minutes = 5 } = req.body;
+    const { minutes } = req.body;
     const notification = await Notification.findOne({
       _id: req.params.id,
       user: req.user.id
-    });
+    }).populate('routine');
     
     if (!notification) {
       return res.status(404).json({ message: 'Notification not found' });
     }
     
-    notification.status = 'snoozed';
-    notification.snoozedUntil = new Date(Date.now() + minutes * 60 * 1000);
-    notification.userResponse = {
-      action: 'snoozed',
-      timestamp: new Date()
-    };
-    
-    await notification.save();
+    const result = await notification.handleUserResponse('snoozed', 0, { snoozeMinutes: minutes });
+
+    await finishNotificationResponse({
+      notification,
+      result,
+      userId: req.user.id,
+      scheduler: getScheduler(req)
+    });
+
+    if (result.escalated) {
+      return res.json({
+        message: 'Snooze limit reached',
+        escalated: result.escalated,
+        status: notification.status
+      });
+    }
     
     res.json({ 
-      message: `Notification snoozed for ${minutes} minutes`,
-      snoozedUntil: notification.snoozedUntil 
+      message: `Notification snoozed for ${result.snoozeMinutes} minutes`,
+      snoozedUntil: notification.snoozedUntil,
+      snoozesRemaining: result.snoozesRemaining
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -256,7 +288,7 @@ router.get('/stats', auth, async (req, res) => {
       }
     ]);
     
-    const total = await Notification.countDocuments({ user: req.user.id });
+    const total = await Notification.countDocuments({ user: req.user.id, status: { $ne: 'pending' } });
     const completed = await Notification.countDocuments({ 
       user: req.user.id, 
       status: 'completed' 
@@ -373,7 +405,8 @@ router.get('/analytics', auth, async (req, res) => {
     });
     
     const totalNotifications = await Notification.countDocuments({ 
-      user: req.user.id 
+      user: req.user.id,
+      status: { $ne: 'pending' }
     });
     const completedNotifications = await Notification.countDocuments({ 
       user: req.user.id, 
@@ -525,7 +558,7 @@ router.post('/clear-snoozed', auth, async (req, res) => {
 });
 
 // Get notification by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', allowResponder, auth, async (req, res) => {
   try {
     const notification = await Notification.findOne({
       _id: req.params.id,
@@ -548,10 +581,11 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// Test notification endpoint (for debugging)
-router.post('/test/response-sync', auth, async (req, res) => {
+// Test notification endpoint (for debugging, admins only)
+router.post('/test/response-sync', auth, requireRole('system-admin'), async (req, res) => {
   try {
-    const { action = 'completed', responseTime = 5, simulateDelay = 0 } = req.body;
+    const { action = 'completed', responseTime = 5 } = req.body;
+    const simulateDelay = Math.min(Math.max(Number(req.body.simulateDelay) || 0, 0), MAX_SIMULATED_DELAY_MS);
     
     console.log(`🧪 Testing response sync with action: ${action}, delay: ${simulateDelay}ms`);
     
@@ -596,7 +630,7 @@ router.post('/test/response-sync', auth, async (req, res) => {
 });
 
 // Check if a notification is being processed
-router.get('/:id/status', auth, async (req, res) => {
+router.get('/:id/status', allowResponder, auth, async (req, res) => {
   try {
     const notification = await Notification.findOne({
       _id: req.params.id,
@@ -1,7 +1,49 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const Routine = require('../models/Routine');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { allowApiToken } = require('../middleware/authorize');
+const { resolveTimeZone, getOccurrencesBetween } = require('../utils/occurrences');
+const { getDeliverableOccurrences } = require('../utils/routineHolds');
+const { getUpcomingForUser } = require('../utils/upcoming');
+const { getAdjustment, explainAdjustment } = require('../utils/adaptiveTiming');
+const { buildCalendar } = require('../utils/ical');
+const { convertCalendar } = require('../utils/icalImport');
+const { toJsonBundle, toCsvBundle, readBundle } = require('../utils/routineBundle');
+
+const MAX_PAUSE_DAYS = 365;
+const MAX_UPCOMING_DAYS = 31;
+const FEED_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+// Adaptive timing fields clients may change; the learned model is server-owned
+const ADAPTIVE_SETTINGS = ['enabled', 'minAdjustment', 'maxAdjustment', 'smoothing'];
+
+// Personal API tokens can read routines with routines:read and change
+// them with routines:write
+router.use(allowApiToken(req => (['GET', 'HEAD'].includes(req.method) ? 'routines:read' : 'routines:write')));
+
+// Team and opt-outs are managed through /api/teams
+const toRoutineUpdate = ({ adaptiveTiming, team, optedOut, ...updates }) => {
+  if (adaptiveTiming) {
+    ADAPTIVE_SETTINGS.forEach(field => {
+      if (adaptiveTiming[field] !== undefined) {
+        updates[`adaptiveTiming.${field}`] = adaptiveTiming[field];
+      }
+    });
+  }
+  return updates;
+};
+
+// Use the server's scheduler so queued notifications land in its timer wheel
+const getScheduler = (req) => {
+  const scheduler = req.app.get('notificationScheduler');
+  if (scheduler) return scheduler;
+
+  const NotificationScheduler = require('../utils/notificationScheduler');
+  return new NotificationScheduler(req.app.get('io'));
+};
 
 // Get all routines for user
 router.get('/', auth, async (req, res) => {
@@ -21,6 +63,426 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Exact upcoming fire times, e.g. ?from=2026-10-18T00:00:00Z&to=2026-10-19T00:00:00Z
+// (defaults to the next 24 hours)
+router.get('/upcoming', auth, async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid from/to range'
+      });
+    }
+    if (to - from > MAX_UPCOMING_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `The range can span at most ${MAX_UPCOMING_DAYS} days`
+      });
+    }
+
+    const upcoming = await getUpcomingForUser(req.user, from, to);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      count: upcoming.length,
+      upcoming
+    });
+  } catch (error) {
+    console.error('Error fetching upcoming occurrences:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Express answers If-None-Match itself from the ETag of the body, so
+// calendar apps polling an unchanged feed get a 304
+const sendCalendar = async (res, user, disposition) => {
+  const routines = await Routine.find({ user: user._id, isActive: true }).sort({ createdAt: 1 });
+  const calendar = buildCalendar(routines, user, { name: `${user.firstName}'s routines` });
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="notifyflow-routines.ics"`,
+    'Cache-Control': 'private, no-cache'
+  });
+  res.send(calendar);
+};
+
+const describeFeed = (req, calendarFeed) => {
+  if (!calendarFeed?.token) return null;
+
+  const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${calendarFeed.token}.ics`;
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:'),
+    createdAt: calendarFeed.createdAt
+  };
+};
+
+// Download the active routines as an .ics file
+router.get('/calendar.ics', auth, async (req, res) => {
+  try {
+    await sendCalendar(res, req.user, 'attachment');
+  } catch (error) {
+    console.error('Error exporting calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Subscription URL of the calendar feed, if one was created
+router.get('/calendar-feed', auth, (req, res) => {
+  res.json({
+    success: true,
+    feed: describeFeed(req, req.user.calendarFeed)
+  });
+});
+
+// Create the subscription URL, or replace it so the old one stops working
+router.post('/calendar-feed', auth, async (req, res) => {
+  try {
+    const calendarFeed = {
+      token: crypto.randomBytes(24).toString('hex'),
+      createdAt: new Date()
+    };
+    await User.updateOne({ _id: req.user._id }, { $set: { calendarFeed } });
+    console.log(`📅 Calendar feed ${req.user.calendarFeed?.token ? 'rotated' : 'created'} for ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL created',
+      feed: describeFeed(req, calendarFeed)
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Turn the subscription off
+router.delete('/calendar-feed', auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeed: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Public, read-only feed for calendar apps; the token in the URL is the
+// only credential. Built on every request, so it follows routine changes.
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const user = FEED_TOKEN_PATTERN.test(token)
+      ? await User.findOne({ 'calendarFeed.token': token, isActive: true }).select('-password')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    await sendCalendar(res, user, 'inline');
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Convert an uploaded .ics and flag events that were imported before
+const previewImport = async (req) => {
+  const events = convertCalendar(req.body.ics, req.user);
+  const uids = events.map(event => event.uid).filter(Boolean);
+  const existing = await Routine.find({ user: req.user.id, 'importedFrom.uid': { $in: uids } }).select('importedFrom.uid');
+  const imported = new Set(existing.map(routine => routine.importedFrom.uid));
+
+  return events.map(event => ({ ...event, duplicate: !!event.uid && imported.has(event.uid) }));
+};
+
+const validateImportBody = (req, res) => {
+  if (typeof req.body.ics !== 'string' || !req.body.ics.includes('BEGIN:VCALENDAR')) {
+    res.status(400).json({
+      success: false,
+      message: 'Please upload an iCalendar (.ics) file'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Show how each event of an .ics file would become a routine, without saving
+router.post('/import/calendar/preview', auth, async (req, res) => {
+  try {
+    if (!validateImportBody(req, res)) return;
+
+    const events = await previewImport(req);
+    if (events.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no events'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: events.length,
+      events
+    });
+  } catch (error) {
+    console.error('Error previewing calendar import:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create routines from the events picked in the preview ({ ics, events: [index, ...] });
+// without a selection every convertible event that wasn't imported before is used
+router.post('/import/calendar', auth, async (req, res) => {
+  try {
+    if (!validateImportBody(req, res)) return;
+
+    const events = await previewImport(req);
+    const selected = Array.isArray(req.body.events) ? new Set(req.body.events.map(Number)) : null;
+    const routines = [];
+    const skipped = [];
+    const errors = [];
+
+    for (const event of events) {
+      if (selected ? !selected.has(event.index) : event.duplicate) continue;
+
+      if (!event.routine) {
+        skipped.push({ index: event.index, summary: event.summary, reason: event.problems.join('; ') });
+        continue;
+      }
+
+      const routine = new Routine({
+        ...event.routine,
+        user: req.user.id,
+        importedFrom: { uid: event.uid, importedAt: new Date() }
+      });
+      const validationError = routine.validateSync();
+      if (validationError) {
+        errors.push({
+          index: event.index,
+          summary: event.summary,
+          errors: [...new Set(Object.values(validationError.errors).map(error => error.message))]
+        });
+      }
+      routines.push(routine);
+    }
+
+    // All or nothing: one bad event must not leave a partial import behind
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} event${errors.length === 1 ? ' has' : 's have'} errors; nothing was imported`,
+        errors,
+        skipped
+      });
+    }
+
+    const created = [];
+    for (const routine of routines) {
+      created.push(await routine.save());
+
+      try {
+        await getScheduler(req).scheduleRoutineNotifications(routine);
+      } catch (schedulerError) {
+        console.warn('⚠️ Warning: Could not schedule notifications:', schedulerError.message);
+      }
+    }
+
+    console.log(`📥 Imported ${created.length} routine(s) from a calendar for ${req.user.email}`);
+
+    res.status(created.length > 0 ? 201 : 200).json({
+      success: true,
+      message: `Imported ${created.length} routine${created.length === 1 ? '' : 's'}`,
+      routines: created,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error importing calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Bundle of all routines for moving them to another account: ?format=json|csv
+router.get('/export', auth, async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const routines = await Routine.find({ user: req.user.id }).sort({ createdAt: 1 });
+    const filename = `notifyflow-routines-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      return res.type('text/csv').send(toCsvBundle(routines));
+    }
+    res.json(toJsonBundle(routines));
+  } catch (error) {
+    console.error('Error exporting routines:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Import a bundle from /export: { data, format: 'json'|'csv', mode: 'merge'|'replace', dryRun }.
+// 'merge' updates routines with the same title and adds the rest, 'replace'
+// deletes every existing routine first. Only personal routines take part:
+// team routines the caller leads are never matched or deleted. Nothing is written while any row
+// has errors; a dry run only reports what would happen.
+router.post('/import', auth, async (req, res) => {
+  try {
+    const { data, format = 'json', mode = 'merge', dryRun = false } = req.body;
+
+    if (!data) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the bundle to import'
+      });
+    }
+    if (!['json', 'csv'].includes(format) || !['merge', 'replace'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or csv, mode must be merge or replace'
+      });
+    }
+
+    let bundle;
+    try {
+      bundle = readBundle(data, format, req.user.id);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the bundle: ${parseError.message}`
+      });
+    }
+
+    const existing = await Routine.find({ user: req.user.id, team: { $exists: false } });
+    const byTitle = new Map();
+    existing.forEach(routine => {
+      const key = routine.title.trim().toLowerCase();
+      if (!byTitle.has(key)) byTitle.set(key, routine);
+    });
+
+    const plan = { created: [], updated: [], deleted: [] };
+    const matched = new Set();
+    bundle.routines.forEach(entry => {
+      const match = mode === 'merge' ? byTitle.get(String(entry.data.title).trim().toLowerCase()) : null;
+      if (match && !matched.has(match.id)) {
+        matched.add(match.id);
+        plan.updated.push({ ...entry, routine: match });
+      } else {
+        plan.created.push(entry);
+      }
+    });
+    if (mode === 'replace') {
+      plan.deleted = existing;
+    }
+
+    const summary = {
+      mode,
+      dryRun: !!dryRun,
+      created: plan.created.map(({ row, data: routine }) => ({ row, title: routine.title })),
+      updated: plan.updated.map(({ row, routine }) => ({ row, title: routine.title, id: routine._id })),
+      deleted: plan.deleted.map(routine => ({ title: routine.title, id: routine._id })),
+      errors: bundle.errors
+    };
+
+    if (dryRun || bundle.errors.length > 0) {
+      return res.status(bundle.errors.length > 0 && !dryRun ? 400 : 200).json({
+        success: bundle.errors.length === 0,
+        message: bundle.errors.length > 0
+          ? `${bundle.errors.length} row${bundle.errors.length === 1 ? ' has' : 's have'} errors; nothing was imported`
+          : 'Dry run: nothing was changed',
+        ...summary
+      });
+    }
+
+    const scheduler = getScheduler(req);
+    const saved = [];
+
+    // New routines go in before any old one is removed, so a failed save
+    // leaves the account as it was instead of empty
+    try {
+      for (const { data: routineData } of plan.created) {
+        saved.push(await new Routine({ ...routineData, user: req.user.id }).save());
+      }
+    } catch (saveError) {
+      await Routine.deleteMany({ _id: { $in: saved.map(routine => routine._id) } });
+      throw saveError;
+    }
+    for (const { data: routineData, routine } of plan.updated) {
+      const { adaptiveTiming, ...fields } = routineData;
+      routine.set({ ...fields, recurrence: fields.recurrence, intervalSettings: fields.intervalSettings });
+      Object.entries(adaptiveTiming || {}).forEach(([field, value]) => routine.set(`adaptiveTiming.${field}`, value));
+      saved.push(await routine.save());
+    }
+
+    if (plan.deleted.length > 0) {
+      const Notification = require('../models/Notification');
+      const ids = plan.deleted.map(routine => routine._id);
+      await Routine.deleteMany({ _id: { $in: ids }, user: req.user.id, team: { $exists: false } });
+      await Notification.deleteMany({ routine: { $in: ids } });
+    }
+
+    for (const routine of saved) {
+      try {
+        await scheduler.scheduleRoutineNotifications(routine);
+      } catch (schedulerError) {
+        console.warn('⚠️ Warning: Could not schedule notifications:', schedulerError.message);
+      }
+    }
+
+    console.log(`📦 Bundle import (${mode}) for ${req.user.email}: ${summary.created.length} created, ${summary.updated.length} updated, ${summary.deleted.length} deleted`);
+
+    res.json({
+      success: true,
+      message: `Imported ${saved.length} routine${saved.length === 1 ? '' : 's'}`,
+      ...summary,
+      routines: saved
+    });
+  } catch (error) {
+    console.error('Error importing routines:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Get specific routine
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -52,8 +514,9 @@ router.get('/:id', auth, async (req, res) => {
 // Create new routine
 router.post('/', auth, async (req, res) => {
   try {
+    const { team, optedOut, ...fields } = req.body;
     const routine = new Routine({
-      ...req.body,
+      ...fields,
       user: req.user.id
     });
     
@@ -61,9 +524,7 @@ router.post('/', auth, async (req, res) => {
     
     // Schedule notifications for this routine
     try {
-      const NotificationScheduler = require('../utils/notificationScheduler');
-      const notificationScheduler = new NotificationScheduler();
-      await notificationScheduler.scheduleRoutineNotifications(routine);
+      await getScheduler(req).scheduleRoutineNotifications(routine);
     } catch (schedulerError) {
       console.warn('⚠️ Warning: Could not schedule notifications:', schedulerError.message);
       // Don't fail the routine creation if scheduling fails
@@ -95,7 +556,7 @@ router.put('/:id', auth, async (req, res) => {
   try {
     const routine = await Routine.findOneAndUpdate(
       { _id: req.params.id, user: req.user.id },
-      { ...req.body, updatedAt: new Date() },
+      { ...toRoutineUpdate(req.body), updatedAt: new Date() },
       { new: true, runValidators: true }
     );
     
@@ -106,15 +567,11 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
     
-    // Reschedule notifications if schedule changed
-    if (req.body.schedule || req.body.isActive !== undefined) {
-      try {
-        const NotificationScheduler = require('../utils/notificationScheduler');
-        const notificationScheduler = new NotificationScheduler();
-        await notificationScheduler.scheduleRoutineNotifications(routine);
-      } catch (schedulerError) {
-        console.warn('⚠️ Warning: Could not reschedule notifications:', schedulerError.message);
-      }
+    // Rebuild the queue - schedule, time zone, sound or title may have changed
+    try {
+      await getScheduler(req).scheduleRoutineNotifications(routine);
+    } catch (schedulerError) {
+      console.warn('⚠️ Warning: Could not reschedule notifications:', schedulerError.message);
     }
     
     res.json({
@@ -138,6 +595,54 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+// Explain the routine's current adaptive timing shift
+router.get('/:id/adaptive-timing', auth, async (req, res) => {
+  try {
+    const routine = await Routine.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).populate('user');
+
+    if (!routine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routine not found'
+      });
+    }
+
+    const timeZone = resolveTimeZone(routine, routine.user);
+    const [nextOccurrence] = getDeliverableOccurrences(routine, routine.user, new Date(), 1, timeZone);
+    const adjustment = getAdjustment(routine, nextOccurrence?.at, timeZone);
+    const model = routine.adaptiveTiming || {};
+
+    res.json({
+      success: true,
+      timezone: timeZone,
+      adjustment: adjustment.minutes,
+      source: adjustment.source,
+      explanation: explainAdjustment(adjustment),
+      next: nextOccurrence ? {
+        occurrenceAt: nextOccurrence.at,
+        scheduledFor: new Date(nextOccurrence.at.getTime() + adjustment.minutes * 60 * 1000),
+        adjustment: adjustment.minutes
+      } : null,
+      model: {
+        enabled: model.enabled,
+        bounds: adjustment.bounds,
+        smoothing: model.smoothing,
+        overall: model.overall,
+        buckets: model.buckets || []
+      }
+    });
+  } catch (error) {
+    console.error('Error explaining adaptive timing:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Delete routine
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -199,10 +704,7 @@ router.patch('/:id/toggle', auth, async (req, res) => {
     
     // Reschedule notifications based on active status
     try {
-      const NotificationScheduler = require('../utils/notificationScheduler');
-      const io = req.app.get('io');
-      const notificationScheduler = new NotificationScheduler(io);
-      await notificationScheduler.scheduleRoutineNotifications(routine);
+      await getScheduler(req).scheduleRoutineNotifications(routine);
     } catch (schedulerError) {
       console.warn('⚠️ Warning: Could not reschedule notifications:', schedulerError.message);
     }
@@ -224,6 +726,164 @@ router.patch('/:id/toggle', auth, async (req, res) => {
   }
 });
 
+// Find one of the user's routines, rebuild its queue after `change` and
+// answer with the updated routine
+const updateRoutineHold = async (req, res, change, message) => {
+  try {
+    const routine = await Routine.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).populate('user');
+
+    if (!routine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routine not found'
+      });
+    }
+
+    const error = await change(routine);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    routine.updatedAt = new Date();
+    await routine.save();
+
+    try {
+      await getScheduler(req).scheduleRoutineNotifications(routine);
+    } catch (schedulerError) {
+      console.warn('⚠️ Warning: Could not reschedule notifications:', schedulerError.message);
+    }
+
+    await routine.depopulate('user');
+    res.json({
+      success: true,
+      message: typeof message === 'function' ? message(routine) : message,
+      routine
+    });
+  } catch (error) {
+    console.error('Error updating routine hold:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Pause a routine until a given time; it resumes on its own
+router.post('/:id/pause', auth, (req, res) => updateRoutineHold(req, res, (routine) => {
+  const until = new Date(req.body.until);
+  const now = new Date();
+
+  if (Number.isNaN(until.getTime()) || until <= now) {
+    return 'Pause must end in the future';
+  }
+  if (until - now > MAX_PAUSE_DAYS * 24 * 60 * 60 * 1000) {
+    return `Routines can be paused for at most ${MAX_PAUSE_DAYS} days`;
+  }
+
+  routine.pausedUntil = until;
+  console.log(`⏸️ Routine "${routine.title}" paused until ${until.toISOString()}`);
+  return null;
+}, 'Routine paused'));
+
+// Resume a paused routine right away
+router.delete('/:id/pause', auth, (req, res) => updateRoutineHold(req, res, (routine) => {
+  routine.pausedUntil = undefined;
+  return null;
+}, 'Routine resumed'));
+
+// Leave out only the next occurrence
+router.post('/:id/skip-next', auth, (req, res) => updateRoutineHold(req, res, (routine) => {
+  routine.skipOccurrenceAt = undefined;
+
+  const timeZone = resolveTimeZone(routine, routine.user);
+  const [next] = getDeliverableOccurrences(routine, routine.user, new Date(), 1, timeZone);
+  if (!next) {
+    return 'This routine has no upcoming occurrence to skip';
+  }
+
+  routine.skipOccurrenceAt = next.at;
+  console.log(`⏭️ Skipping next occurrence of "${routine.title}" at ${next.at.toISOString()}`);
+  return null;
+}, (routine) => `Skipping the occurrence at ${routine.skipOccurrenceAt.toISOString()}`));
+
+// Undo a skip
+router.delete('/:id/skip-next', auth, (req, res) => updateRoutineHold(req, res, (routine) => {
+  routine.skipOccurrenceAt = undefined;
+  return null;
+}, 'Next occurrence restored'));
+
+// Move a single occurrence, e.g. dragged in the calendar; the routine's
+// schedule stays as it is
+router.post('/:id/occurrences/reschedule', auth, async (req, res) => {
+  try {
+    const occurrenceAt = new Date(req.body.occurrenceAt);
+    const scheduledFor = new Date(req.body.scheduledFor);
+
+    if (Number.isNaN(occurrenceAt.getTime()) || Number.isNaN(scheduledFor.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide occurrenceAt and scheduledFor'
+      });
+    }
+    if (scheduledFor <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Occurrences can only be moved into the future'
+      });
+    }
+
+    const routine = await Routine.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    }).populate('user');
+
+    if (!routine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active routine not found'
+      });
+    }
+
+    const timeZone = resolveTimeZone(routine, routine.user);
+    const occurrence = getOccurrencesBetween(routine, occurrenceAt, new Date(occurrenceAt.getTime() + 1), timeZone)
+      .find(o => o.at.getTime() === occurrenceAt.getTime());
+
+    if (!occurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'This routine has no occurrence at that time'
+      });
+    }
+
+    const notification = await getScheduler(req).rescheduleOccurrence(routine, occurrence, scheduledFor);
+    if (!notification) {
+      return res.status(409).json({
+        success: false,
+        message: 'This occurrence has already rung'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Occurrence rescheduled',
+      notification
+    });
+  } catch (error) {
+    console.error('Error rescheduling occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Schedule notifications for a routine
 router.post('/:id/schedule', auth, async (req, res) => {
   try {
@@ -241,17 +901,20 @@ router.post('/:id/schedule', auth, async (req, res) => {
     
     console.log(`📅 Scheduling notifications for routine: ${routine.title}`);
     
-    // Import the notification scheduler
-    const NotificationScheduler = require('../utils/notificationScheduler');
-    const io = req.app.get('io');
-    const notificationScheduler = new NotificationScheduler(io);
-    
-    // Schedule notifications
-    await notificationScheduler.scheduleRoutineNotifications(routine);
+    // Materialize the next occurrences as pending notifications
+    const occurrences = await getScheduler(req).scheduleRoutineNotifications(routine);
     
     res.json({ 
       success: true, 
-      message: 'Notifications scheduled successfully' 
+      message: routine.isActive
+        ? 'Notifications scheduled successfully'
+        : 'Routine is inactive - queued notifications cleared',
+      scheduledCount: occurrences.length,
+      upcoming: occurrences.map(o => ({
+        occurrenceAt: o.at,
+        time: o.time,
+        timezone: o.timeZone
+      }))
     });
   } catch (error) {
     console.error('Error scheduling notifications:', error);
@@ -329,10 +992,7 @@ router.put('/:id/notifications', auth, async (req, res) => {
     
     // Then schedule new notifications if routine is active
     if (routine.isActive) {
-      const NotificationScheduler = require('../utils/notificationScheduler');
-      const io = req.app.get('io');
-      const notificationScheduler = new NotificationScheduler(io);
-      await notificationScheduler.scheduleRoutineNotifications(routine);
+      await getScheduler(req).scheduleRoutineNotifications(routine);
     }
     
     res.json({ 
@@ -0,0 +1,240 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Sequence = require('../models/Sequence');
+const SequenceRun = require('../models/SequenceRun');
+const Routine = require('../models/Routine');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const { abandonRun } = require('../utils/sequenceRunner');
+
+const ROUTINE_FIELDS = 'title category isActive';
+
+// Only the owner's routines can be chained, each at most once. Returns an
+// error message, or null when the steps are fine.
+const validateStepRoutines = async (steps, userId) => {
+  if (!Array.isArray(steps)) return 'Steps must be a list';
+
+  const routineIds = steps.map(step => String(step?.routine ?? ''));
+  if (routineIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Every step needs a valid routine';
+  }
+  if (new Set(routineIds).size !== routineIds.length) {
+    return 'A routine can only appear once in a sequence';
+  }
+
+  const count = await Routine.countDocuments({ _id: { $in: routineIds }, user: userId });
+  return count === routineIds.length ? null : 'Every step must be one of your routines';
+};
+
+// Stop a run and drop the queued alarm of its next step
+const stopRun = async (run, scheduler) => {
+  const current = run.steps[run.currentStep];
+  if (current?.status === 'scheduled' && current.notification) {
+    await Notification.deleteOne({ _id: current.notification, status: 'pending' });
+  }
+  return abandonRun(run, run.currentStep, scheduler);
+};
+
+// Get all sequences for user
+router.get('/', auth, async (req, res) => {
+  try {
+    const sequences = await Sequence.find({ user: req.user.id })
+      .populate('steps.routine', ROUTINE_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: sequences.length,
+      sequences
+    });
+  } catch (error) {
+    console.error('Error fetching sequences:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get sequence runs, e.g. ?status=running for the dashboard
+router.get('/runs', auth, async (req, res) => {
+  try {
+    const { status, limit = 10 } = req.query;
+    const query = { user: req.user.id };
+    if (status) query.status = status;
+
+    const runs = await SequenceRun.find(query)
+      .populate('sequence', 'name')
+      .populate('steps.routine', ROUTINE_FIELDS)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 10, 50));
+
+    res.json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    console.error('Error fetching sequence runs:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Cancel a running sequence
+router.post('/runs/:id/cancel', auth, async (req, res) => {
+  try {
+    const run = await SequenceRun.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      status: 'running'
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Running sequence not found'
+      });
+    }
+
+    const cancelled = await stopRun(run, req.app.get('notificationScheduler'));
+
+    res.json({
+      success: true,
+      message: 'Sequence cancelled',
+      run: cancelled
+    });
+  } catch (error) {
+    console.error('Error cancelling sequence run:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create new sequence
+router.post('/', auth, async (req, res) => {
+  try {
+    const stepError = await validateStepRoutines(req.body.steps, req.user.id);
+    if (stepError) {
+      return res.status(400).json({
+        success: false,
+        message: stepError
+      });
+    }
+
+    const sequence = new Sequence({
+      name: req.body.name,
+      steps: req.body.steps,
+      isActive: req.body.isActive,
+      user: req.user.id
+    });
+
+    await sequence.save();
+    await sequence.populate('steps.routine', ROUTINE_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sequence created successfully',
+      sequence
+    });
+  } catch (error) {
+    console.error('Error creating sequence:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update sequence; runs already in progress keep the steps they started with
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const sequence = await Sequence.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!sequence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sequence not found'
+      });
+    }
+
+    const stepError = req.body.steps !== undefined && await validateStepRoutines(req.body.steps, req.user.id);
+    if (stepError) {
+      return res.status(400).json({
+        success: false,
+        message: stepError
+      });
+    }
+
+    ['name', 'steps', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) sequence[field] = req.body[field];
+    });
+
+    await sequence.save();
+    await sequence.populate('steps.routine', ROUTINE_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Sequence updated successfully',
+      sequence
+    });
+  } catch (error) {
+    console.error('Error updating sequence:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete sequence and stop its running runs
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const sequence = await Sequence.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!sequence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sequence not found'
+      });
+    }
+
+    const scheduler = req.app.get('notificationScheduler');
+    const runs = await SequenceRun.find({ sequence: sequence._id, status: 'running' });
+    for (const run of runs) {
+      await stopRun(run, scheduler);
+    }
+
+    res.json({
+      success: true,
+      message: 'Sequence deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting sequence:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
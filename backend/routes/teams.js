@@ -0,0 +1,588 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const router = express.Router();
+const Team = require('../models/Team');
+const Routine = require('../models/Routine');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+
+const MEMBER_FIELDS = 'username firstName lastName email';
+const MAX_MEMBERS = 100;
+const MAX_REPORT_DAYS = 90;
+
+// Load a team the user belongs to, answering 404/403 when not allowed.
+// Returns null after responding.
+const loadTeam = async (req, res, { leadOnly = false } = {}) => {
+  const team = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Team.findById(req.params.id).populate('members.user', MEMBER_FIELDS)
+    : null;
+
+  if (!team || !team.isMember(req.user.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Team not found'
+    });
+    return null;
+  }
+
+  if (leadOnly && !team.isLead(req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the team lead can do this'
+    });
+    return null;
+  }
+
+  return team;
+};
+
+const loadTeamRoutine = async (req, res, team) => {
+  const routine = mongoose.Types.ObjectId.isValid(req.params.routineId)
+    ? await Routine.findOne({ _id: req.params.routineId, team: team._id })
+    : null;
+
+  if (!routine) {
+    res.status(404).json({
+      success: false,
+      message: 'Routine not found'
+    });
+  }
+  return routine;
+};
+
+// Membership changes add or drop queued alarms of every team routine
+const rescheduleTeamRoutines = async (req, teamId) => {
+  const scheduler = req.app.get('notificationScheduler');
+  if (!scheduler) return;
+
+  const routines = await Routine.find({ team: teamId, isActive: true });
+  for (const routine of routines) {
+    await scheduler.scheduleRoutineNotifications(routine);
+  }
+};
+
+// Members whose account was deleted populate as null and are left out.
+// Only the lead sees pending invitations.
+const describeTeam = (team, userId) => {
+  const { invites, ...described } = team.toObject({ versionKey: false });
+  const isLead = team.isLead(userId);
+  return {
+    ...described,
+    members: described.members.filter(member => member.user),
+    ...(isLead ? { invites } : {}),
+    isLead
+  };
+};
+
+// Load a team with a pending invitation, for the invitee or the team lead.
+// Returns { team, invite }, or null after responding.
+const loadInvite = async (req, res) => {
+  const team = mongoose.Types.ObjectId.isValid(req.params.id) && mongoose.Types.ObjectId.isValid(req.params.inviteId)
+    ? await Team.findById(req.params.id)
+    : null;
+  const invite = team?.invites.id(req.params.inviteId);
+
+  if (!invite || (invite.email !== req.user.email && !team.isLead(req.user.id))) {
+    res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+    return null;
+  }
+
+  return { team, invite };
+};
+
+// A team routine as a member sees it
+const describeRoutine = (routine, userId) => ({
+  ...routine.toObject({ versionKey: false }),
+  optedOut: routine.optedOut.some(id => id.toString() === userId.toString())
+});
+
+// Get the teams the user is a member of
+router.get('/', auth, async (req, res) => {
+  try {
+    const teams = await Team.find({ 'members.user': req.user.id })
+      .populate('members.user', MEMBER_FIELDS)
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: teams.length,
+      teams: teams.map(team => describeTeam(team, req.user.id))
+    });
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get the pending invitations for the current user's email
+router.get('/invites', auth, async (req, res) => {
+  try {
+    const teams = await Team.find({ 'invites.email': req.user.email })
+      .populate('invites.invitedBy', MEMBER_FIELDS)
+      .sort({ name: 1 });
+
+    const invites = teams.flatMap(team => team.invites
+      .filter(invite => invite.email === req.user.email)
+      .map(invite => ({
+        _id: invite._id,
+        team: { _id: team._id, name: team.name },
+        invitedBy: invite.invitedBy,
+        invitedAt: invite.invitedAt
+      })));
+
+    res.json({
+      success: true,
+      count: invites.length,
+      invites
+    });
+  } catch (error) {
+    console.error('Error fetching team invites:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create a team led by the current user (team admins)
+router.post('/', auth, requireRole('team-admin'), async (req, res) => {
+  try {
+    const team = new Team({
+      name: req.body.name,
+      lead: req.user.id,
+      members: [{ user: req.user.id }]
+    });
+    await team.save();
+    await team.populate('members.user', MEMBER_FIELDS);
+
+    console.log(`👥 Team "${team.name}" created by user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      message: 'Team created successfully',
+      team: describeTeam(team, req.user.id)
+    });
+  } catch (error) {
+    console.error('Error creating team:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get a team with its members and routines
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    const routines = await Routine.find({ team: team._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      team: describeTeam(team, req.user.id),
+      routines: routines.map(routine => describeRoutine(routine, req.user.id))
+    });
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Rename a team (lead only)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, { leadOnly: true });
+    if (!team) return;
+
+    team.name = req.body.name;
+    await team.save();
+
+    res.json({
+      success: true,
+      message: 'Team updated successfully',
+      team: describeTeam(team, req.user.id)
+    });
+  } catch (error) {
+    console.error('Error updating team:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete a team and its routines (lead only)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, { leadOnly: true });
+    if (!team) return;
+
+    const routines = await Routine.find({ team: team._id }).select('_id');
+    const routineIds = routines.map(routine => routine._id);
+    await Notification.deleteMany({ routine: { $in: routineIds }, status: { $in: ['pending', 'snoozed'] } });
+    await Routine.deleteMany({ _id: { $in: routineIds } });
+    await team.deleteOne();
+
+    console.log(`👥 Team "${team.name}" deleted with ${routineIds.length} routine(s)`);
+    res.json({
+      success: true,
+      message: 'Team deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Invite a member by email (lead only). Nobody is added, and no alarms
+// ring, until the invitee accepts. The answer is the same whether or not
+// the email has an account.
+router.post('/:id/members', auth, async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, { leadOnly: true });
+    if (!team) return;
+
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!validator.isEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email'
+      });
+    }
+
+    if (team.members.some(member => member.user?.email === email)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user is already a member'
+      });
+    }
+
+    if (team.invites.some(invite => invite.email === email)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email has already been invited'
+      });
+    }
+
+    if (team.members.length + team.invites.length >= MAX_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        message: `Teams can have at most ${MAX_MEMBERS} members and invitations`
+      });
+    }
+
+    team.invites.push({ email, invitedBy: req.user.id });
+    await team.save();
+
+    console.log(`👥 Invited ${email} to team "${team.name}"`);
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent. They join the team once they accept it.',
+      team: describeTeam(team, req.user.id)
+    });
+  } catch (error) {
+    console.error('Error inviting team member:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Accept an invitation; the team's routines start ringing for the new member
+router.post('/:id/invites/:inviteId/accept', auth, async (req, res) => {
+  try {
+    const loaded = await loadInvite(req, res);
+    if (!loaded) return;
+    const { team, invite } = loaded;
+
+    if (invite.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the invited user can accept this invitation'
+      });
+    }
+
+    // The invitation went to an address; make sure this account owns it
+    if (!req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before joining a team'
+      });
+    }
+
+    if (team.members.length >= MAX_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        message: `Teams can have at most ${MAX_MEMBERS} members`
+      });
+    }
+
+    invite.deleteOne();
+    if (!team.isMember(req.user.id)) {
+      team.members.push({ user: req.user.id });
+    }
+    await team.save();
+    await team.populate('members.user', MEMBER_FIELDS);
+    await rescheduleTeamRoutines(req, team._id);
+
+    console.log(`👥 ${req.user.email} joined team "${team.name}"`);
+    res.json({
+      success: true,
+      message: `You joined ${team.name}`,
+      team: describeTeam(team, req.user.id)
+    });
+  } catch (error) {
+    console.error('Error accepting team invite:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Decline an invitation (invitee) or withdraw it (lead)
+router.delete('/:id/invites/:inviteId', auth, async (req, res) => {
+  try {
+    const loaded = await loadInvite(req, res);
+    if (!loaded) return;
+    const { team, invite } = loaded;
+
+    const declined = invite.email === req.user.email;
+    invite.deleteOne();
+    await team.save();
+
+    res.json({
+      success: true,
+      message: declined ? 'Invitation declined' : 'Invitation withdrawn'
+    });
+  } catch (error) {
+    console.error('Error removing team invite:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Remove a member (lead), or leave the team (any member except the lead)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    const leaving = req.params.userId === req.user.id.toString();
+    if (!leaving && !team.isLead(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team lead can remove members'
+      });
+    }
+
+    if (team.isLead(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The team lead cannot leave; delete the team instead'
+      });
+    }
+
+    if (!team.isMember(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // Also drops members whose account is gone, which would fail validation
+    team.members = team.members.filter(member => member.user && String(member.user._id ?? member.user) !== req.params.userId);
+    await team.save();
+    await Routine.updateMany({ team: team._id }, { $pull: { optedOut: req.params.userId } });
+    await rescheduleTeamRoutines(req, team._id);
+
+    res.json({
+      success: true,
+      message: leaving ? 'You left the team' : 'Member removed successfully',
+      team: describeTeam(team, req.user.id)
+    });
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create a team routine (lead only). The lead owns it and edits it through
+// /api/routines like any other routine.
+router.post('/:id/routines', auth, async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, { leadOnly: true });
+    if (!team) return;
+
+    const { optedOut, ...fields } = req.body;
+    const routine = new Routine({
+      ...fields,
+      user: req.user.id,
+      team: team._id
+    });
+    await routine.save();
+
+    try {
+      await req.app.get('notificationScheduler').scheduleRoutineNotifications(routine);
+    } catch (schedulerError) {
+      console.warn('⚠️ Warning: Could not schedule notifications:', schedulerError.message);
+    }
+
+    console.log(`👥 Team routine "${routine.title}" created for "${team.name}"`);
+    res.status(201).json({
+      success: true,
+      message: 'Team routine created successfully',
+      routine: describeRoutine(routine, req.user.id)
+    });
+  } catch (error) {
+    console.error('Error creating team routine:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Turn a team routine's alarms off or back on for the current member
+router.put('/:id/routines/:routineId/opt-out', auth, async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    const routine = await loadTeamRoutine(req, res, team);
+    if (!routine) return;
+
+    const optedOut = req.body.optedOut !== false;
+    const updated = await Routine.findByIdAndUpdate(
+      routine._id,
+      optedOut ? { $addToSet: { optedOut: req.user.id } } : { $pull: { optedOut: req.user.id } },
+      { new: true }
+    );
+
+    try {
+      await req.app.get('notificationScheduler').scheduleRoutineNotifications(updated);
+    } catch (schedulerError) {
+      console.warn('⚠️ Warning: Could not reschedule notifications:', schedulerError.message);
+    }
+
+    res.json({
+      success: true,
+      message: optedOut ? 'You will no longer get this routine' : 'You will get this routine again',
+      routine: describeRoutine(updated, req.user.id)
+    });
+  } catch (error) {
+    console.error('Error updating team routine opt-out:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Who answered each recent occurrence of a team routine (lead only),
+// e.g. ?days=14
+router.get('/:id/routines/:routineId/report', auth, async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, { leadOnly: true });
+    if (!team) return;
+
+    const routine = await loadTeamRoutine(req, res, team);
+    if (!routine) return;
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), MAX_REPORT_DAYS);
+    const now = new Date();
+    const notifications = await Notification.find({
+      routine: routine._id,
+      'metadata.occurrenceAt': { $gte: new Date(now.getTime() - days * 24 * 60 * 60 * 1000), $lte: now }
+    })
+      .populate('user', MEMBER_FIELDS)
+      .sort({ 'metadata.occurrenceAt': -1 });
+
+    const occurrences = new Map();
+    const members = new Map(team.members.filter(member => member.user).map(member => [
+      member.user._id.toString(),
+      { user: member.user, optedOut: routine.optedOut.some(id => id.equals(member.user._id)), counts: {} }
+    ]));
+
+    notifications.forEach(notification => {
+      if (!notification.user) return;
+
+      const key = notification.metadata.occurrenceAt.toISOString();
+      if (!occurrences.has(key)) {
+        occurrences.set(key, { occurrenceAt: notification.metadata.occurrenceAt, counts: {}, responses: [] });
+      }
+
+      const occurrence = occurrences.get(key);
+      const status = notification.status;
+      occurrence.counts[status] = (occurrence.counts[status] || 0) + 1;
+      occurrence.responses.push({
+        user: notification.user,
+        status,
+        respondedAt: notification.userResponse?.timestamp,
+        responseTime: notification.userResponse?.responseTime
+      });
+
+      const member = members.get(notification.user._id.toString());
+      if (member) member.counts[status] = (member.counts[status] || 0) + 1;
+    });
+
+    res.json({
+      success: true,
+      routine: { _id: routine._id, title: routine.title },
+      days,
+      occurrences: [...occurrences.values()],
+      members: [...members.values()]
+    });
+  } catch (error) {
+    console.error('Error fetching team routine report:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const RoutineTemplate = require('../models/RoutineTemplate');
+const Routine = require('../models/Routine');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const {
+  BUILT_IN_TEMPLATES,
+  BUILT_IN_PACKS,
+  findBuiltInTemplate,
+  findBuiltInPack,
+  describeTemplate,
+  describePack,
+  instantiateTemplate,
+  deriveTemplate
+} = require('../utils/routineTemplates');
+
+const MAX_USER_TEMPLATES = 100;
+const MAX_INSTANTIATE = 20;
+
+// Built-in template by id, or one of the user's saved templates
+const findTemplate = async (id, userId) => {
+  const builtIn = findBuiltInTemplate(id);
+  if (builtIn) return builtIn;
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return RoutineTemplate.findOne({ _id: id, user: userId });
+};
+
+// Get built-in and saved templates, plus the built-in packs
+router.get('/', auth, async (req, res) => {
+  try {
+    const [user, saved] = await Promise.all([
+      User.findById(req.user.id),
+      RoutineTemplate.find({ user: req.user.id }).sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      templates: [...BUILT_IN_TEMPLATES, ...saved].map(template => describeTemplate(template, user)),
+      packs: BUILT_IN_PACKS.map(pack => describePack(pack, user))
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Save one of the user's routines as a template
+router.post('/', auth, async (req, res) => {
+  try {
+    const { routineId, name, description, icon } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(routineId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'routineId must be a routine id'
+      });
+    }
+
+    const routine = await Routine.findOne({ _id: routineId, user: req.user.id });
+    if (!routine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routine not found'
+      });
+    }
+
+    if (await RoutineTemplate.countDocuments({ user: req.user.id }) >= MAX_USER_TEMPLATES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${MAX_USER_TEMPLATES} templates`
+      });
+    }
+
+    const template = new RoutineTemplate({
+      ...deriveTemplate(routine),
+      user: req.user.id,
+      name: name || routine.title,
+      description: description ?? routine.description,
+      ...(icon ? { icon } : {})
+    });
+    await template.save();
+
+    const user = await User.findById(req.user.id);
+    res.status(201).json({
+      success: true,
+      message: 'Template saved successfully',
+      template: describeTemplate(template, user)
+    });
+  } catch (error) {
+    console.error('Error saving template:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create routines from templates, either
+// { templates: [{ id, params }] } or { pack, params }.
+// Nothing is created unless every template fills in to a valid routine.
+router.post('/instantiate', auth, async (req, res) => {
+  try {
+    const { pack: packId, params } = req.body;
+    let requested = req.body.templates;
+
+    if (packId) {
+      const pack = findBuiltInPack(packId);
+      if (!pack) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template pack not found'
+        });
+      }
+      requested = pack.templates.map(id => ({ id, params }));
+    }
+
+    if (!Array.isArray(requested) || requested.length === 0 || requested.length > MAX_INSTANTIATE) {
+      return res.status(400).json({
+        success: false,
+        message: `Pick between 1 and ${MAX_INSTANTIATE} templates`
+      });
+    }
+
+    const malformed = requested.findIndex(entry => !entry || typeof entry !== 'object' || Array.isArray(entry));
+    if (malformed !== -1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: [`Template ${malformed + 1} must be an object like { id, params }`]
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const results = await Promise.all(requested.map(async ({ id, params: values }) => {
+      const template = await findTemplate(String(id), req.user.id);
+      if (!template) return { id, errors: ['Template not found'] };
+      return { id, name: template.name, ...instantiateTemplate(template, values, user) };
+    }));
+
+    const errors = results
+      .filter(result => result.errors.length > 0)
+      .map(({ id, name, errors: messages }) => ({ id, name, errors: messages }));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some templates could not be used; no routines were created',
+        errors
+      });
+    }
+
+    const routines = await Routine.insertMany(results.map(result => ({ ...result.data, user: req.user.id })));
+
+    const scheduler = req.app.get('notificationScheduler');
+    for (const routine of routines) {
+      try {
+        await scheduler.scheduleRoutineNotifications(routine);
+      } catch (schedulerError) {
+        console.warn('⚠️ Warning: Could not schedule notifications:', schedulerError.message);
+      }
+    }
+
+    console.log(`📚 Created ${routines.length} routine(s) from templates for user ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      message: `Created ${routines.length} routine${routines.length === 1 ? '' : 's'}`,
+      routines
+    });
+  } catch (error) {
+    console.error('Error creating routines from templates:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete a saved template; routines created from it are kept
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (findBuiltInTemplate(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in templates cannot be deleted'
+      });
+    }
+
+    const template = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await RoutineTemplate.findOneAndDelete({ _id: req.params.id, user: req.user.id })
+      : null;
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const Routine = require('../models/Routine');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
 
 // Test notification endpoint
 router.post('/test-notification', auth, async (req, res) => {
@@ -65,12 +66,11 @@ router.post('/test-notification', auth, async (req, res) => {
   }
 });
 
-// Get scheduler status
-router.get('/scheduler-status', auth, async (req, res) => {
+// Get scheduler status (admins only)
+router.get('/scheduler-status', auth, requireRole('system-admin'), async (req, res) => {
   try {
     const NotificationScheduler = require('../utils/notificationScheduler');
-    const io = req.app.get('io');
-    const scheduler = new NotificationScheduler(io);
+    const scheduler = req.app.get('notificationScheduler') || new NotificationScheduler(req.app.get('io'));
     
     const status = scheduler.getStatus();
     
@@ -185,8 +185,8 @@ function calculateNextSchedule(schedule) {
   return null;
 }
 
-// Get system diagnostics
-router.get('/diagnostics', auth, async (req, res) => {
+// Get system diagnostics (admins only)
+router.get('/diagnostics', auth, requireRole('system-admin'), async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
     const routinesCount = await Routine.countDocuments({ user: req.user.id });
@@ -236,18 +236,14 @@ router.get('/diagnostics', auth, async (req, res) => {
   }
 });
 
-// Manual trigger for scheduler check (admin/debug only)
-router.post('/trigger-scheduler-check', auth, async (req, res) => {
+// Manual trigger for scheduler check (admins only)
+router.post('/trigger-scheduler-check', auth, requireRole('system-admin'), async (req, res) => {
   try {
-    // Only allow if user is admin or for debugging
-    const user = await User.findById(req.user.id);
-    
-    console.log(`🔍 Manual scheduler trigger requested by ${user.email}`);
+    console.log(`🔍 Manual scheduler trigger requested by ${req.user.email}`);
     
     // Import and trigger scheduler check
     const NotificationScheduler = require('../utils/notificationScheduler');
-    const io = req.app.get('io');
-    const scheduler = new NotificationScheduler(io);
+    const scheduler = req.app.get('notificationScheduler') || new NotificationScheduler(req.app.get('io'));
     
     await scheduler.checkScheduledRoutines();
     
@@ -2,7 +2,22 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const UserMetric = require('../models/UserMetric');
+const Routine = require('../models/Routine');
 const auth = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/timezone');
+const { isCalendarDate } = require('../utils/recurrence');
+
+const MAX_VACATION_DAYS = 90;
+const RESPONSIVENESS_FIELDS = ['completionRate', 'averageResponseTime', 'totalNotifications', 'completedNotifications'];
+const PREFERENCE_FIELDS = ['defaultVolume', 'defaultSound', 'breakInterval'];
+
+// Rebuild the queues of all the user's active routines, team ones included
+const rescheduleRoutines = async (req) => {
+  const scheduler = req.app.get('notificationScheduler');
+  if (!scheduler) return;
+
+  await scheduler.rescheduleUserRoutines(req.user._id);
+};
 
 // Get user profile
 router.get('/profile', auth, async (req, res) => {
@@ -17,14 +32,32 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
-// Update user preferences
+// Update user preferences. Only the given keys change; quiet hours have
+// their own route and are left alone.
 router.put('/preferences', auth, async (req, res) => {
   try {
+    const update = {};
+    PREFERENCE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) update[`preferences.${field}`] = req.body[field];
+    });
+    ['start', 'end'].forEach(key => {
+      if (req.body.workingHours?.[key] !== undefined) update[`preferences.workingHours.${key}`] = req.body.workingHours[key];
+    });
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      { preferences: req.body },
+      { $set: update },
       { new: true, runValidators: true }
     ).select('-password');
+
+    // Interval routines without their own settings follow these preferences
+    const scheduler = req.app.get('notificationScheduler');
+    if (scheduler) {
+      const intervalRoutines = await Routine.find({ user: req.user.id, kind: 'interval', isActive: true });
+      for (const routine of intervalRoutines) {
+        await scheduler.scheduleRoutineNotifications(routine);
+      }
+    }
     
     res.json(user);
   } catch (error) {
@@ -32,6 +65,150 @@ router.put('/preferences', auth, async (req, res) => {
   }
 });
 
+// Update user time zone (IANA name, e.g. "America/New_York")
+router.put('/timezone', auth, async (req, res) => {
+  try {
+    const { timezone } = req.body;
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Please provide a valid IANA time zone' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { timezone },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update quiet hours (daily Do-Not-Disturb window and per-priority rules)
+router.put('/quiet-hours', auth, async (req, res) => {
+  try {
+    const { enabled, start, end, rules } = req.body;
+    const update = {};
+
+    if (enabled !== undefined) update['preferences.quietHours.enabled'] = !!enabled;
+    if (start !== undefined) update['preferences.quietHours.start'] = start;
+    if (end !== undefined) update['preferences.quietHours.end'] = end;
+    ['low', 'medium', 'high', 'urgent'].forEach(key => {
+      if (rules?.[key] !== undefined) update[`preferences.quietHours.rules.${key}`] = rules[key];
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    const scheduler = req.app.get('notificationScheduler');
+    if (scheduler) {
+      await scheduler.releaseDeferredNotifications(user._id);
+    }
+
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Turn on Do-Not-Disturb for the next N minutes
+router.post('/dnd', auth, async (req, res) => {
+  try {
+    const minutes = parseInt(req.body.minutes, 10);
+
+    if (!minutes || minutes < 1 || minutes > 24 * 60) {
+      return res.status(400).json({ message: 'Do-Not-Disturb must last between 1 minute and 24 hours' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { dndUntil: new Date(Date.now() + minutes * 60 * 1000) } },
+      { new: true }
+    ).select('-password');
+
+    const scheduler = req.app.get('notificationScheduler');
+    if (scheduler) {
+      await scheduler.releaseDeferredNotifications(user._id);
+    }
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Turn off ad-hoc Do-Not-Disturb; alarms it deferred become due
+router.delete('/dnd', auth, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $unset: { dndUntil: 1 } },
+      { new: true }
+    ).select('-password');
+
+    const scheduler = req.app.get('notificationScheduler');
+    if (scheduler) {
+      await scheduler.releaseDeferredNotifications(user._id);
+    }
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Start vacation mode for a range of local dates (inclusive)
+router.put('/vacation', auth, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.body;
+
+    if (!isCalendarDate(startDate) || !isCalendarDate(endDate)) {
+      return res.status(400).json({ message: 'Please provide start and end dates as YYYY-MM-DD' });
+    }
+    if (endDate < startDate) {
+      return res.status(400).json({ message: 'Vacation must end on or after its start date' });
+    }
+    if ((Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000) >= MAX_VACATION_DAYS) {
+      return res.status(400).json({ message: `Vacations can last at most ${MAX_VACATION_DAYS} days` });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { vacation: { startDate, endDate } } },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    await rescheduleRoutines(req);
+    console.log(`🏖️ Vacation mode set for ${user.email}: ${startDate} to ${endDate}`);
+
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// End vacation mode early
+router.delete('/vacation', auth, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $unset: { vacation: 1 } },
+      { new: true }
+    ).select('-password');
+
+    await rescheduleRoutines(req);
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Get user metrics
 router.get('/metrics', auth, async (req, res) => {
   try {
@@ -52,18 +229,20 @@ router.get('/metrics', auth, async (req, res) => {
   }
 });
 
-// Update user responsiveness
+// Update user responsiveness. Only these stats are written, never other
+// User fields (role, emailVerified, twoFactor, loginSecurity, ...).
 router.patch('/responsiveness', auth, async (req, res) => {
   try {
+    const updates = { 'responsiveness.lastActive': new Date() };
+    RESPONSIVENESS_FIELDS.forEach(field => {
+      const value = req.body[`responsiveness.${field}`] ?? req.body.responsiveness?.[field] ?? req.body[field];
+      if (value !== undefined) updates[`responsiveness.${field}`] = value;
+    });
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      { 
-        $set: { 
-          'responsiveness.lastActive': new Date(),
-          ...req.body 
-        } 
-      },
-      { new: true }
+      { $set: updates },
+      { new: true, runValidators: true }
     ).select('-password');
     
     res.json(user);
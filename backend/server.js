@@ -1,6 +1,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const helmet = require('helmet');
 const http = require('http');
 const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
@@ -11,6 +12,7 @@ const PORT = process.env.PORT || 5000;
 
 // Import database connection
 const connectDB = require('./config/database');
+const configureSocketAdapter = require('./config/socketAdapter');
 
 // Import Models
 const User = require('./models/User');
@@ -24,10 +26,22 @@ const userRoutes = require('./routes/users');
 const routineRoutes = require('./routes/routines');
 const notificationRoutes = require('./routes/notifications');
 const metricsRoutes = require('./routes/metrics');
+const sequenceRoutes = require('./routes/sequences');
+const templateRoutes = require('./routes/templates');
+const teamRoutes = require('./routes/teams');
 const testRoutes = require('./routes/test'); // NEW: Test routes
+const adminRoutes = require('./routes/admin');
+const apiTokenRoutes = require('./routes/apiTokens');
+
+// Import Middleware
+const auth = require('./middleware/auth');
+const { requireRole } = require('./middleware/authorize');
+const { loginLimiter, mailLimiter } = require('./middleware/rateLimit');
 
 // Import Services
 const NotificationScheduler = require('./utils/notificationScheduler');
+const { finishNotificationResponse } = require('./utils/notificationResponses');
+const { isSessionLive } = require('./utils/sessions');
 
 const app = express();
 const server = http.createServer(app);
@@ -47,7 +61,14 @@ const notificationScheduler = new NotificationScheduler(io);
 // Connect to MongoDB
 connectDB();
 
+// Behind a load balancer, e.g. TRUST_PROXY=1, so rate limits see client IPs
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
+app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
   credentials: true,
@@ -96,6 +117,10 @@ app.get('/api/notifications/test', (req, res) => {
   });
 });
 
+// Brute-force and email-spam limits per IP (also covers /login/2fa)
+app.use(['/api/auth/login', '/api/auth/reset-password'], loginLimiter);
+app.use(['/api/auth/register', '/api/auth/forgot-password', '/api/auth/resend-verification'], mailLimiter);
+
 // Register all routes
 console.log('1. Registering /api/auth');
 app.use('/api/auth', authRoutes);
@@ -115,6 +140,21 @@ app.use('/api/metrics', metricsRoutes);
 console.log('6. Registering /api/test'); // NEW: Test routes
 app.use('/api/test', testRoutes);
 
+console.log('7. Registering /api/sequences');
+app.use('/api/sequences', sequenceRoutes);
+
+console.log('8. Registering /api/templates');
+app.use('/api/templates', templateRoutes);
+
+console.log('9. Registering /api/teams');
+app.use('/api/teams', teamRoutes);
+
+console.log('10. Registering /api/admin');
+app.use('/api/admin', adminRoutes);
+
+console.log('11. Registering /api/tokens');
+app.use('/api/tokens', apiTokenRoutes);
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
@@ -123,9 +163,16 @@ app.get('/api/health', (req, res) => {
     '/api/auth/login',
     '/api/auth/register',
     '/api/auth/me',
+    '/api/auth/refresh',
+    '/api/auth/sessions',
     '/api/routines',
     '/api/notifications',
     '/api/metrics/analytics',
+    '/api/sequences',
+    '/api/templates',
+    '/api/teams',
+    '/api/admin/users',
+    '/api/tokens',
     '/api/test/test-notification', // NEW: Added test route
     '/api/test/scheduler-status'   // NEW: Added scheduler status route
   ];
@@ -135,6 +182,7 @@ app.get('/api/health', (req, res) => {
     message: 'NotifyFlow API is running',
     database: dbStatus,
     scheduler: notificationScheduler.isRunning ? 'running' : 'stopped',
+    schedulerLeader: notificationScheduler.elector.isLeader,
     environment: process.env.NODE_ENV || 'development',
     timestamp: new Date().toISOString(),
     version: '1.0.0',
@@ -152,11 +200,27 @@ app.get('/api', (req, res) => {
       auth: {
         login: 'POST /api/auth/login',
         register: 'POST /api/auth/register',
-        profile: 'GET /api/auth/me'
+        profile: 'GET /api/auth/me',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        logoutEverywhere: 'POST /api/auth/logout-all',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:id',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        verifyEmail: 'POST /api/auth/verify-email',
+        resendVerification: 'POST /api/auth/resend-verification',
+        loginTwoFactor: 'POST /api/auth/login/2fa',
+        twoFactorStatus: 'GET /api/auth/2fa',
+        twoFactorSetup: 'POST /api/auth/2fa/setup',
+        twoFactorEnable: 'POST /api/auth/2fa/enable',
+        twoFactorDisable: 'POST /api/auth/2fa/disable',
+        recoveryCodes: 'POST /api/auth/2fa/recovery-codes'
       },
       users: {
         profile: 'GET /api/users/profile',
         preferences: 'PUT /api/users/preferences',
+        timezone: 'PUT /api/users/timezone',
         metrics: 'GET /api/users/metrics'
       },
       routines: {
@@ -164,7 +228,8 @@ app.get('/api', (req, res) => {
         create: 'POST /api/routines',
         update: 'PUT /api/routines/:id',
         delete: 'DELETE /api/routines/:id',
-        toggle: 'PATCH /api/routines/:id/toggle'
+        toggle: 'PATCH /api/routines/:id/toggle',
+        schedule: 'POST /api/routines/:id/schedule'
       },
       notifications: {
         getAll: 'GET /api/notifications',
@@ -177,6 +242,36 @@ app.get('/api', (req, res) => {
         insights: 'GET /api/metrics/insights',
         daily: 'GET /api/metrics/daily?date=YYYY-MM-DD'
       },
+      templates: {
+        getAll: 'GET /api/templates',
+        save: 'POST /api/templates',
+        instantiate: 'POST /api/templates/instantiate',
+        delete: 'DELETE /api/templates/:id'
+      },
+      teams: {
+        getAll: 'GET /api/teams',
+        create: 'POST /api/teams',
+        invite: 'POST /api/teams/:id/members',
+        invites: 'GET /api/teams/invites',
+        acceptInvite: 'POST /api/teams/:id/invites/:inviteId/accept',
+        declineInvite: 'DELETE /api/teams/:id/invites/:inviteId',
+        removeMember: 'DELETE /api/teams/:id/members/:userId',
+        createRoutine: 'POST /api/teams/:id/routines',
+        optOut: 'PUT /api/teams/:id/routines/:routineId/opt-out',
+        report: 'GET /api/teams/:id/routines/:routineId/report?days=14'
+      },
+      admin: {
+        users: 'GET /api/admin/users?search=',
+        updateUser: 'PATCH /api/admin/users/:id',
+        scheduler: 'GET /api/admin/scheduler',
+        failedDeliveries: 'GET /api/admin/deliveries/failed?hours=24',
+        replay: 'POST /api/admin/deliveries/replay'
+      },
+      tokens: {
+        getAll: 'GET /api/tokens',
+        create: 'POST /api/tokens',
+        revoke: 'DELETE /api/tokens/:id'
+      },
       test: { // NEW: Test endpoints
         test: 'GET /api/test',
         notificationsTest: 'GET /api/notifications/test',
@@ -187,8 +282,8 @@ app.get('/api', (req, res) => {
   });
 });
 
-// Debug endpoint to list all registered routes
-app.get('/api/debug/routes', (req, res) => {
+// Debug endpoint to list all registered routes (admins only)
+app.get('/api/debug/routes', auth, requireRole('system-admin'), (req, res) => {
   const routes = [];
   
   app._router.stack.forEach((middleware) => {
@@ -272,6 +367,7 @@ app.use((req, res, next) => {
 
 // Store io instance in app for access in routes
 app.set('io', io);
+app.set('notificationScheduler', notificationScheduler);
 
 // Socket.io authentication middleware
 io.use(async (socket, next) => {
@@ -293,13 +389,20 @@ io.use(async (socket, next) => {
       return next(new Error('Authentication error: User not found or inactive'));
     }
 
+    // Revoked sessions cannot open new sockets
+    if (!(await isSessionLive(decoded.sid))) {
+      return next(new Error('Authentication error: Session has ended'));
+    }
+
     socket.userId = decoded.id;
+    socket.sessionId = decoded.sid;
     socket.user = decoded;
     socket.username = user.username;
     next();
   } catch (error) {
     console.error('Socket authentication error:', error.message);
-    next(new Error('Authentication error: Invalid token'));
+    // Clients refresh their access token on this exact message
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Authentication error: Invalid token'));
   }
 });
 
@@ -307,8 +410,10 @@ io.use(async (socket, next) => {
 io.on('connection', (socket) => {
   console.log(`✅ User connected: ${socket.userId} (${socket.username}) - Socket: ${socket.id}`);
 
-  // Join user-specific room for targeted messaging
+  // Join user-specific room for targeted messaging, and a session room so
+  // revoking the session can drop its sockets
   socket.join(socket.userId);
+  socket.join(`session:${socket.sessionId}`);
 
   // Send connection confirmation
   socket.emit('connection-established', {
@@ -349,7 +454,7 @@ io.on('connection', (socket) => {
   // Handle notification responses from client
   socket.on('notification-response', async (data) => {
     try {
-      const { notificationId, action, responseTime, snoozeMinutes } = data;
+      const { notificationId, action, responseTime, snoozeMinutes, responseId } = data;
       
       console.log(`📢 Notification response from user ${socket.userId}:`, {
         notificationId,
@@ -358,8 +463,13 @@ io.on('connection', (socket) => {
         snoozeMinutes
       });
 
+      if (!['completed', 'snoozed', 'dismissed'].includes(action)) {
+        socket.emit('error', { message: `Invalid action: ${action}` });
+        return;
+      }
+
       // Find and update notification
-      const notification = await Notification.findById(notificationId);
+      const notification = await Notification.findById(notificationId).populate('routine');
 
       if (!notification) {
         socket.emit('error', { message: 'Notification not found' });
@@ -372,47 +482,29 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Handle different response actions
-      if (action === 'snoozed' && snoozeMinutes) {
-        notification.status = 'snoozed';
-        notification.snoozedUntil = new Date(Date.now() + snoozeMinutes * 60 * 1000);
-        notification.userResponse = {
-          action: 'snoozed',
-          responseTime,
-          timestamp: new Date()
-        };
-      } else {
-        notification.status = action;
-        notification.userResponse = {
-          action,
-          responseTime,
-          timestamp: new Date()
-        };
-        
-        if (action === 'completed') {
-          notification.completedAt = new Date();
-        }
-      }
-
-      await notification.save();
-
-      // Update user metrics
-      await UserMetric.updateForResponse(socket.userId, action, responseTime);
+      // Apply the response with the routine's snooze limits
+      const result = await notification.handleUserResponse(action, responseTime, {
+        snoozeMinutes,
+        responseId
+      });
 
-      // Update adaptive timing for the routine
-      if (notification.routine && notification.userResponse) {
-        await notificationScheduler.updateAdaptiveTiming(
-          notification.routine,
-          notification.userResponse
-        );
-      }
+      // Metrics, adaptive timing, interval re-anchoring and escalation
+      await finishNotificationResponse({
+        notification,
+        result,
+        userId: socket.userId,
+        responseTime,
+        scheduler: notificationScheduler
+      });
 
       // Emit update to all user's devices
       io.to(socket.userId).emit('notification-updated', {
         notificationId: notification._id,
         status: notification.status,
-        action,
+        action: result.action,
         snoozedUntil: notification.snoozedUntil,
+        snoozeCount: notification.snoozeCount,
+        escalation: notification.escalation?.action || null,
         completedAt: notification.completedAt,
         timestamp: new Date()
       });
@@ -450,7 +542,7 @@ io.on('connection', (socket) => {
       
       if (routine) {
         // Reschedule notifications if needed
-        if (updates.schedule || updates.isActive !== undefined) {
+        if (updates.schedule || updates.recurrence !== undefined || updates.isActive !== undefined) {
           await notificationScheduler.scheduleRoutineNotifications(routine);
         }
         
@@ -499,12 +591,12 @@ mongoose.connection.on('disconnected', () => {
 });
 
 // Graceful shutdown
-const gracefulShutdown = () => {
+const gracefulShutdown = async () => {
   console.log('\n🛑 Received shutdown signal. Starting graceful shutdown...');
   
-  // Stop notification scheduler
+  // Stop notification scheduler and hand its lease to another instance
   if (notificationScheduler.isRunning) {
-    notificationScheduler.stop();
+    await notificationScheduler.stop();
   }
   
   // Close socket.io connections
@@ -546,7 +638,14 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Start server only after MongoDB is connected
-mongoose.connection.once('open', () => {
+mongoose.connection.once('open', async () => {
+  // Share socket.io rooms across instances before anyone connects
+  try {
+    await configureSocketAdapter(io);
+  } catch (error) {
+    console.error('❌ Failed to configure socket.io adapter:', error);
+  }
+
   // Start notification scheduler
   try {
     notificationScheduler.start();
@@ -563,7 +662,7 @@ mongoose.connection.once('open', () => {
 📊 Environment: ${process.env.NODE_ENV || 'development'}
 🔗 MongoDB: ${mongoose.connection.host}/${mongoose.connection.name}
 🌐 Frontend: ${process.env.FRONTEND_URL || 'http://localhost:3000'}
-⏰ Scheduler: ${notificationScheduler.isRunning ? '✅ Running' : '❌ Stopped'}
+⏰ Scheduler: ${notificationScheduler.isRunning ? '✅ Running' : '❌ Stopped'} (instance ${notificationScheduler.elector.instanceId})
 🔌 WebSocket: Ready
 ───────────────────────────────────
 ✅ API Test: http://localhost:${PORT}/api/test
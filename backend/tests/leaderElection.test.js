@@ -0,0 +1,124 @@
+const SchedulerLease = require('../models/SchedulerLease');
+const LeaderElector = require('../utils/leaderElection');
+
+const TTL_MS = 30 * 1000;
+
+// No database here: the single lease document lives in memory and the
+// conditional upsert is applied to it the way MongoDB would, including the
+// duplicate key error when the filter misses an existing lease
+let lease;
+
+beforeEach(() => {
+  lease = null;
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval'] });
+  jest.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+
+  jest.spyOn(SchedulerLease, 'findOneAndUpdate').mockImplementation(async (filter, { $set, $setOnInsert }) => {
+    if (!lease) {
+      lease = { _id: 'lease-1', name: filter.name, ...$setOnInsert, ...$set };
+      return { ...lease };
+    }
+
+    const [ours, expired] = filter.$or;
+    if (lease.owner !== ours.owner && !(lease.expiresAt < expired.expiresAt.$lt)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    Object.assign(lease, $set);
+    return { ...lease };
+  });
+  jest.spyOn(SchedulerLease, 'updateOne').mockImplementation(async (filter, { $set }) => {
+    Object.assign(lease, $set);
+  });
+  jest.spyOn(SchedulerLease, 'deleteOne').mockImplementation(async (filter) => {
+    if (lease?.owner === filter.owner) lease = null;
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+const elector = (instanceId, events = []) => new LeaderElector({
+  name: 'notification-scheduler',
+  instanceId,
+  ttlMs: TTL_MS,
+  onElected: () => events.push(`${instanceId} elected`),
+  onRevoked: () => events.push(`${instanceId} revoked`)
+});
+
+const advance = (ms) => jest.setSystemTime(Date.now() + ms);
+
+describe('LeaderElector', () => {
+  test('the first instance acquires a free lease', async () => {
+    const events = [];
+    const first = elector('a', events);
+    const second = elector('b', events);
+
+    expect(await first.tryAcquire()).toBe(true);
+    expect(await second.tryAcquire()).toBe(false);
+    expect(events).toEqual(['a elected']);
+    expect(lease.owner).toBe('a');
+    expect(first.getStatus()).toMatchObject({ isLeader: true, leaseExpiresAt: new Date(Date.now() + TTL_MS) });
+  });
+
+  test('renewing extends the lease and keeps the leader', async () => {
+    const events = [];
+    const first = elector('a', events);
+    const second = elector('b', events);
+    await first.tryAcquire();
+
+    for (let i = 0; i < 5; i++) {
+      advance(10 * 1000);
+      expect(await first.tryAcquire()).toBe(true);
+      expect(await second.tryAcquire()).toBe(false);
+    }
+
+    expect(lease.expiresAt).toEqual(new Date(Date.now() + TTL_MS));
+    expect(events).toEqual(['a elected']);
+  });
+
+  test('another instance takes over once the leader stops renewing', async () => {
+    const events = [];
+    const first = elector('a', events);
+    const second = elector('b', events);
+    await first.tryAcquire();
+
+    advance(TTL_MS - 1000);
+    expect(await second.tryAcquire()).toBe(false);
+
+    advance(2000);
+    expect(await second.tryAcquire()).toBe(true);
+    expect(lease.owner).toBe('b');
+
+    // The old leader finds out on its next attempt
+    expect(await first.tryAcquire()).toBe(false);
+    expect(events).toEqual(['a elected', 'b elected', 'a revoked']);
+  });
+
+  test('stopping releases the lease for the next instance', async () => {
+    const first = elector('a');
+    const second = elector('b');
+    await first.tryAcquire();
+
+    await first.stop();
+
+    expect(first.isLeader).toBe(false);
+    expect(await second.tryAcquire()).toBe(true);
+  });
+
+  test('keeps leading through database errors only while the lease lasts', async () => {
+    const first = elector('a');
+    await first.tryAcquire();
+    SchedulerLease.findOneAndUpdate.mockRejectedValue(new Error('connection lost'));
+
+    advance(10 * 1000);
+    await expect(first.tryAcquire()).rejects.toThrow('connection lost');
+    expect(first.isLeader).toBe(true);
+
+    advance(TTL_MS);
+    await expect(first.tryAcquire()).rejects.toThrow('connection lost');
+    expect(first.isLeader).toBe(false);
+  });
+});
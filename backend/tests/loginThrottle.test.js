@@ -0,0 +1,80 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+
+// No database here: one registered account lives in memory, with the
+// counter updates recordFailedLogin makes applied to it
+const EMAIL = 'ada@example.com';
+let user;
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const login = (email) => request(app).post('/api/auth/login').send({ email, password: 'wrong-password' });
+
+// Status and Retry-After of attempts made `gapSeconds` apart
+const attempt = async (email, count, gapSeconds) => {
+  const answers = [];
+  for (let i = 0; i < count; i++) {
+    const response = await login(email);
+    answers.push([response.status, response.body.retryAfter]);
+    jest.setSystemTime(Date.now() + gapSeconds * 1000);
+  }
+  return answers;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval'] });
+  jest.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+
+  user = new User({
+    username: 'ada',
+    email: EMAIL,
+    password: 'correct-password',
+    firstName: 'Ada',
+    lastName: 'Lovelace'
+  });
+
+  jest.spyOn(User, 'findOne').mockImplementation((filter) => ({
+    select: async () => (filter.email === EMAIL ? user : null)
+  }));
+  jest.spyOn(User.prototype, 'correctPassword').mockImplementation(async (password) => password === 'correct-password');
+  jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, update) => {
+    const loginSecurity = user.loginSecurity;
+    if (update.$inc) loginSecurity.failedAttempts = (loginSecurity.failedAttempts || 0) + 1;
+    Object.entries(update.$set).forEach(([field, value]) => user.set(field, value));
+    if (update.$unset) loginSecurity.lockedUntil = undefined;
+    return { select: async () => user };
+  });
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, { $set }) => {
+    Object.entries($set).forEach(([field, value]) => user.set(field, value));
+  });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('login throttling for unknown emails', () => {
+  test('answers quick retries like a registered account', async () => {
+    const registered = await attempt(EMAIL, 8, 1);
+    const unknown = await attempt('nobody@example.com', 8, 1);
+
+    expect(registered.map(([status]) => status)).toContain(429);
+    expect(unknown).toEqual(registered);
+  });
+
+  test('locks out like a registered account', async () => {
+    const registered = await attempt(EMAIL, 12, 301);
+    const unknown = await attempt('someone-else@example.com', 12, 301);
+
+    expect(registered.map(([status]) => status)).toContain(423);
+    expect(unknown).toEqual(registered);
+  });
+});
@@ -0,0 +1,69 @@
+const NotificationScheduler = require('../utils/notificationScheduler');
+const Routine = require('../models/Routine');
+const SchedulerState = require('../models/SchedulerState');
+
+const NOW = new Date('2026-03-02T09:00:30Z');
+const minutesAgo = (minutes) => new Date(NOW.getTime() - 30 * 1000 - minutes * 60 * 1000);
+
+// No database here: the scheduler state and routine list are fixed, and
+// each routine's catch-up start is recorded instead of materialized
+let lastEvaluatedMinute;
+let routines;
+let scheduler;
+let catchUpFrom;
+
+beforeEach(() => {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval'] });
+  jest.setSystemTime(NOW);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  catchUpFrom = new Map();
+  jest.spyOn(SchedulerState, 'findOne').mockImplementation(async () => ({ lastEvaluatedMinute }));
+  jest.spyOn(Routine, 'find').mockReturnValue({ populate: async () => routines });
+
+  scheduler = new NotificationScheduler(null);
+  jest.spyOn(scheduler, 'clearExpiredHolds').mockResolvedValue();
+  jest.spyOn(scheduler, 'materializeRoutine').mockImplementation(async (routine, { from }) => {
+    catchUpFrom.set(routine.title, from.toISOString());
+    return [];
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+const routine = (title, createdAt, updatedAt = createdAt) => ({ title, createdAt, updatedAt });
+
+describe('replenishQueue catch-up', () => {
+  test.each([
+    ['replays from the minute after the last evaluated one', minutesAgo(180), '2026-03-02T06:01:00.000Z'],
+    ['looks back at most a day', minutesAgo(3 * 24 * 60), '2026-03-01T09:00:00.000Z'],
+    ['starts at the current minute without a marker', undefined, '2026-03-02T09:00:00.000Z']
+  ])('%s', async (name, marker, expected) => {
+    lastEvaluatedMinute = marker;
+    routines = [routine('Old', new Date('2025-01-01T00:00:00Z'))];
+
+    await scheduler.replenishQueue();
+
+    expect(catchUpFrom.get('Old')).toBe(expected);
+  });
+
+  test('does not replay occurrences from before a routine was created or re-timed', async () => {
+    lastEvaluatedMinute = minutesAgo(180);
+    routines = [
+      routine('Old', new Date('2025-01-01T00:00:00Z')),
+      routine('Created during downtime', minutesAgo(60)),
+      routine('Re-timed during downtime', new Date('2025-01-01T00:00:00Z'), minutesAgo(30))
+    ];
+
+    await scheduler.replenishQueue();
+
+    expect(Object.fromEntries(catchUpFrom)).toEqual({
+      'Old': '2026-03-02T06:01:00.000Z',
+      'Created during downtime': minutesAgo(60).toISOString(),
+      'Re-timed during downtime': minutesAgo(30).toISOString()
+    });
+  });
+});
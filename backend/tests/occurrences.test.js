@@ -0,0 +1,82 @@
+const { resolveTimeZone, getOccurrencesBetween, getUpcomingOccurrences } = require('../utils/occurrences');
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+const dailyAt = (time) => ({ kind: 'scheduled', schedule: [{ time, days: EVERY_DAY }] });
+
+const between = (routine, from, to, timeZone) => (
+  getOccurrencesBetween(routine, new Date(from), new Date(to), timeZone).map(occurrence => occurrence.at.toISOString())
+);
+
+describe('getOccurrencesBetween', () => {
+  // Three local days around each 2026 DST change, midnight to midnight
+  test.each([
+    ['spring forward, New York', 'America/New_York', '02:30', '2026-03-07T05:00:00Z', '2026-03-10T04:00:00Z',
+      ['2026-03-07T07:30:00.000Z', '2026-03-08T07:30:00.000Z', '2026-03-09T06:30:00.000Z']],
+    ['spring forward, Berlin', 'Europe/Berlin', '02:30', '2026-03-27T23:00:00Z', '2026-03-30T22:00:00Z',
+      ['2026-03-28T01:30:00.000Z', '2026-03-29T01:30:00.000Z', '2026-03-30T00:30:00.000Z']],
+    ['fall back, New York', 'America/New_York', '01:30', '2026-10-31T04:00:00Z', '2026-11-03T05:00:00Z',
+      ['2026-10-31T05:30:00.000Z', '2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z']],
+    ['fall back, Berlin', 'Europe/Berlin', '02:30', '2026-10-23T22:00:00Z', '2026-10-26T23:00:00Z',
+      ['2026-10-24T00:30:00.000Z', '2026-10-25T00:30:00.000Z', '2026-10-26T01:30:00.000Z']]
+  ])('a daily %s alarm rings once a day (%s)', (name, timeZone, time, from, to, expected) => {
+    expect(between(dailyAt(time), from, to, timeZone)).toEqual(expected);
+  });
+
+  test.each([
+    ['America/New_York', ['2026-03-02T14:00:00.000Z', '2026-03-04T14:00:00.000Z']],
+    ['Europe/Berlin', ['2026-03-02T08:00:00.000Z', '2026-03-04T08:00:00.000Z']],
+    ['Asia/Tokyo', ['2026-03-02T00:00:00.000Z', '2026-03-04T00:00:00.000Z']]
+  ])('Monday and Wednesday at 09:00 in %s', (timeZone, expected) => {
+    const routine = { kind: 'scheduled', schedule: [{ time: '09:00', days: [1, 3] }] };
+
+    expect(between(routine, '2026-03-02T00:00:00Z', '2026-03-05T00:00:00Z', timeZone)).toEqual(expected);
+  });
+
+  test('counts an instant shared by the schedule and the recurrence once', () => {
+    const routine = {
+      ...dailyAt('09:00'),
+      recurrence: { frequency: 'daily', times: ['09:00', '18:00'], startDate: '2026-03-01' }
+    };
+
+    expect(between(routine, '2026-03-02T00:00:00Z', '2026-03-03T00:00:00Z', 'Europe/Berlin')).toEqual([
+      '2026-03-02T08:00:00.000Z',
+      '2026-03-02T17:00:00.000Z'
+    ]);
+  });
+
+  test('interval routines step through the window in local time', () => {
+    const routine = {
+      kind: 'interval',
+      intervalSettings: { everyMinutes: 120, windowStart: '09:00', windowEnd: '13:00', days: [1] }
+    };
+
+    expect(between(routine, '2026-03-02T00:00:00Z', '2026-03-03T00:00:00Z', 'America/New_York')).toEqual([
+      '2026-03-02T16:00:00.000Z',
+      '2026-03-02T18:00:00.000Z'
+    ]);
+  });
+});
+
+describe('getUpcomingOccurrences', () => {
+  test('looks past the first week for rare occurrences', () => {
+    const routine = { kind: 'scheduled', schedule: [{ time: '07:15', days: [6] }] };
+    const upcoming = getUpcomingOccurrences(routine, new Date('2026-03-01T00:00:00Z'), 3, 'Europe/Berlin');
+
+    expect(upcoming.map(occurrence => occurrence.at.toISOString())).toEqual([
+      '2026-03-07T06:15:00.000Z',
+      '2026-03-14T06:15:00.000Z',
+      '2026-03-21T06:15:00.000Z'
+    ]);
+  });
+});
+
+describe('resolveTimeZone', () => {
+  test.each([
+    ['the routine\'s own zone first', { timezone: 'Asia/Tokyo', user: { timezone: 'Europe/Berlin' } }, { timezone: 'America/New_York' }, 'Asia/Tokyo'],
+    ['then the given user\'s', { user: { timezone: 'Europe/Berlin' } }, { timezone: 'America/New_York' }, 'America/New_York'],
+    ['then the owner\'s', { user: { timezone: 'Europe/Berlin' } }, undefined, 'Europe/Berlin']
+  ])('uses %s', (name, routine, user, expected) => {
+    expect(resolveTimeZone(routine, user)).toBe(expected);
+  });
+});
@@ -0,0 +1,110 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'memory';
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const { getOutbox, clearOutbox } = require('../utils/mailer');
+
+// No database here: the few User queries the reset flow makes run
+// against one in-memory account
+const EMAIL = 'ada@example.com';
+let user;
+
+const matches = (filter) => Object.entries(filter).every(([field, value]) => {
+  const actual = user.get(field);
+  return String(actual) === String(value);
+});
+
+const resetTokenFromMail = (message) => decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const forgotPassword = (email = EMAIL) => request(app).post('/api/auth/forgot-password').send({ email });
+const resetPassword = (token, password = 'new-secret') => request(app).post('/api/auth/reset-password').send({ token, password });
+
+beforeEach(() => {
+  clearOutbox();
+  user = new User({
+    username: 'ada',
+    email: EMAIL,
+    password: 'old-secret',
+    firstName: 'Ada',
+    lastName: 'Lovelace'
+  });
+
+  jest.spyOn(User, 'findOne').mockImplementation(async (filter) => (matches(filter) ? user : null));
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, { $set }) => {
+    Object.entries($set).forEach(([field, value]) => user.set(field, value));
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, { $unset }) => {
+    if (!matches(filter)) return null;
+    Object.keys($unset).forEach(field => user.set(field, undefined));
+    return user;
+  });
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Session, 'find').mockReturnValue({ select: async () => [] });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('forgot-password → reset-password', () => {
+  test('emails a reset link that sets the new password', async () => {
+    const forgot = await forgotPassword();
+    expect(forgot.status).toBe(200);
+
+    expect(getOutbox()).toHaveLength(1);
+    const [message] = getOutbox();
+    expect(message.to).toBe(EMAIL);
+    expect(message.text).toContain('/reset-password?token=');
+
+    const reset = await resetPassword(resetTokenFromMail(message));
+    expect(reset.status).toBe(200);
+    expect(reset.body.success).toBe(true);
+    expect(user.password).toBe('new-secret');
+  });
+
+  test('accepts a reset link only once', async () => {
+    await forgotPassword();
+    const token = resetTokenFromMail(getOutbox()[0]);
+
+    expect((await resetPassword(token)).status).toBe(200);
+
+    const reused = await resetPassword(token, 'another-secret');
+    expect(reused.status).toBe(400);
+    expect(reused.body.success).toBe(false);
+    expect(user.password).toBe('new-secret');
+  });
+
+  test('rejects a link superseded by a newer one', async () => {
+    await forgotPassword();
+    await forgotPassword();
+    const [first, second] = getOutbox().map(resetTokenFromMail);
+
+    const stale = await resetPassword(first);
+    expect(stale.status).toBe(400);
+    expect(user.password).toBe('old-secret');
+
+    expect((await resetPassword(second)).status).toBe(200);
+  });
+
+  test('answers the same for unknown emails without sending mail', async () => {
+    const known = await forgotPassword();
+    clearOutbox();
+    const unknown = await forgotPassword('nobody@example.com');
+
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(getOutbox()).toHaveLength(0);
+  });
+});
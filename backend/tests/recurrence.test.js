@@ -0,0 +1,169 @@
+const { isCalendarDate, getTimesOfDay, expandRecurrence, validateRecurrence } = require('../utils/recurrence');
+
+// Dates (UTC) or instants on which a recurrence fires in [from, to)
+const expand = (recurrence, from, to, timeZone = 'UTC') => (
+  expandRecurrence(recurrence, new Date(from), new Date(to), timeZone).map(occurrence => occurrence.at.toISOString())
+);
+
+const datesOf = (instants) => instants.map(instant => instant.slice(0, 10));
+
+describe('expandRecurrence', () => {
+  // March 2026 starts on a Sunday; the 2nd is a Monday
+  test.each([
+    ['every other week on Monday and Wednesday',
+      { frequency: 'weekly', interval: 2, byWeekday: [1, 3], times: ['09:00'], startDate: '2026-03-02' },
+      ['2026-03-02', '2026-03-04', '2026-03-16', '2026-03-18', '2026-03-30']],
+    ['weekly on the start date\'s weekday without BYDAY',
+      { frequency: 'weekly', times: ['09:00'], startDate: '2026-03-05' },
+      ['2026-03-05', '2026-03-12', '2026-03-19', '2026-03-26']],
+    ['every third day',
+      { frequency: 'daily', interval: 3, times: ['09:00'], startDate: '2026-03-01' },
+      ['2026-03-01', '2026-03-04', '2026-03-07', '2026-03-10', '2026-03-13', '2026-03-16', '2026-03-19', '2026-03-22', '2026-03-25', '2026-03-28', '2026-03-31']],
+    ['daily on weekdays only',
+      { frequency: 'daily', byWeekday: [1, 2, 3, 4, 5], times: ['09:00'], startDate: '2026-03-01', endDate: '2026-03-08' },
+      ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06']],
+    ['until an end date, inclusive',
+      { frequency: 'daily', times: ['09:00'], startDate: '2026-03-01', endDate: '2026-03-03' },
+      ['2026-03-01', '2026-03-02', '2026-03-03']],
+    ['nothing before the start date',
+      { frequency: 'daily', times: ['09:00'], startDate: '2026-03-29' },
+      ['2026-03-29', '2026-03-30', '2026-03-31']],
+    ['skipping excluded dates',
+      { frequency: 'weekly', byWeekday: [2], times: ['09:00'], startDate: '2026-03-01', excludeDates: ['2026-03-10', '2026-03-24'] },
+      ['2026-03-03', '2026-03-17', '2026-03-31']]
+  ])('%s', (name, recurrence, expected) => {
+    expect(datesOf(expand(recurrence, '2026-03-01T00:00:00Z', '2026-04-01T00:00:00Z'))).toEqual(expected);
+  });
+
+  test.each([
+    ['counts every time of day',
+      { frequency: 'daily', count: 3, times: ['08:00', '20:00'], startDate: '2026-03-02' },
+      '2026-03-01T00:00:00Z',
+      ['2026-03-02T08:00:00.000Z', '2026-03-02T20:00:00.000Z', '2026-03-03T08:00:00.000Z']],
+    ['counts from the start date, not from the window',
+      { frequency: 'daily', count: 5, times: ['08:00'], startDate: '2026-03-01' },
+      '2026-03-03T00:00:00Z',
+      ['2026-03-03T08:00:00.000Z', '2026-03-04T08:00:00.000Z', '2026-03-05T08:00:00.000Z']],
+    ['lets excluded dates use up the count',
+      { frequency: 'daily', count: 3, times: ['08:00'], startDate: '2026-03-01', excludeDates: ['2026-03-02'] },
+      '2026-03-01T00:00:00Z',
+      ['2026-03-01T08:00:00.000Z', '2026-03-03T08:00:00.000Z']],
+    ['stops at whichever of count and end date comes first',
+      { frequency: 'weekly', byWeekday: [1, 4], count: 10, times: ['08:00'], startDate: '2026-03-01', endDate: '2026-03-09' },
+      '2026-03-01T00:00:00Z',
+      ['2026-03-02T08:00:00.000Z', '2026-03-05T08:00:00.000Z', '2026-03-09T08:00:00.000Z']]
+  ])('COUNT %s', (name, recurrence, from, expected) => {
+    expect(expand(recurrence, from, '2026-04-01T00:00:00Z')).toEqual(expected);
+  });
+
+  test.each([
+    ['the last day of every month',
+      { frequency: 'monthly', byMonthDay: [-1], times: ['09:00'], startDate: '2026-01-01' },
+      '2026-01-01', '2026-07-01',
+      ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31', '2026-06-30']],
+    ['the second to last day of every month',
+      { frequency: 'monthly', byMonthDay: [-2], times: ['09:00'], startDate: '2026-01-01' },
+      '2026-01-01', '2026-04-01',
+      ['2026-01-30', '2026-02-27', '2026-03-30']],
+    ['the 31st, skipping shorter months',
+      { frequency: 'monthly', times: ['09:00'], startDate: '2026-01-31' },
+      '2026-01-01', '2026-07-01',
+      ['2026-01-31', '2026-03-31', '2026-05-31']],
+    ['the 30th, skipping February',
+      { frequency: 'monthly', byMonthDay: [30], times: ['09:00'], startDate: '2026-01-01' },
+      '2026-01-01', '2026-04-01',
+      ['2026-01-30', '2026-03-30']],
+    ['the end of February, leap years included',
+      { frequency: 'yearly', byMonth: [2], byMonthDay: [-1], times: ['09:00'], startDate: '2027-01-01' },
+      '2027-01-01', '2029-01-01',
+      ['2027-02-28', '2028-02-29']],
+    ['February 29th only in leap years',
+      { frequency: 'yearly', times: ['09:00'], startDate: '2028-02-29' },
+      '2028-01-01', '2033-01-01',
+      ['2028-02-29', '2032-02-29']],
+    ['the last Friday of every month',
+      { frequency: 'monthly', byNthWeekday: [{ nth: -1, weekday: 5 }], times: ['09:00'], startDate: '2026-01-01' },
+      '2026-01-01', '2026-06-01',
+      ['2026-01-30', '2026-02-27', '2026-03-27', '2026-04-24', '2026-05-29']],
+    ['the fifth Sunday, where there is one',
+      { frequency: 'monthly', byNthWeekday: [{ nth: 5, weekday: 0 }], times: ['09:00'], startDate: '2026-01-01' },
+      '2026-01-01', '2026-07-01',
+      ['2026-03-29', '2026-05-31']]
+  ])('month ends: %s', (name, recurrence, from, to, expected) => {
+    expect(datesOf(expand(recurrence, `${from}T00:00:00Z`, `${to}T00:00:00Z`))).toEqual(expected);
+  });
+
+  // Fixed local times across each zone's spring DST change
+  test.each([
+    ['America/New_York', '2026-03-06', '2026-03-10',
+      ['2026-03-06T14:00:00.000Z', '2026-03-07T14:00:00.000Z', '2026-03-08T13:00:00.000Z', '2026-03-09T13:00:00.000Z']],
+    ['Europe/Berlin', '2026-03-27', '2026-03-31',
+      ['2026-03-27T08:00:00.000Z', '2026-03-28T08:00:00.000Z', '2026-03-29T07:00:00.000Z', '2026-03-30T07:00:00.000Z']]
+  ])('daily at 09:00 in %s keeps the local time', (timeZone, startDate, endDate, expected) => {
+    const recurrence = { frequency: 'daily', times: ['09:00'], startDate };
+
+    expect(expand(recurrence, `${startDate}T00:00:00Z`, `${endDate}T00:00:00Z`, timeZone)).toEqual(expected);
+  });
+
+  test.each([
+    ['America/New_York', '2026-03-08', ['2026-03-08T06:00:00.000Z', '2026-03-08T07:30:00.000Z', '2026-03-08T08:00:00.000Z']],
+    ['Europe/Berlin', '2026-03-29', ['2026-03-29T00:00:00.000Z', '2026-03-29T01:30:00.000Z', '2026-03-29T02:00:00.000Z']]
+  ])('a time in the %s DST gap shifts forward', (timeZone, date, expected) => {
+    const recurrence = { frequency: 'daily', times: ['01:00', '02:30', '04:00'], startDate: date, endDate: date };
+
+    expect(expand(recurrence, `${date}T00:00:00Z`, `${date}T12:00:00Z`, timeZone)).toEqual(expected);
+  });
+
+  test.each([
+    ['America/New_York', '2026-11-01', '01:30', ['2026-11-01T05:30:00.000Z']],
+    ['Europe/Berlin', '2026-10-25', '02:30', ['2026-10-25T00:30:00.000Z']]
+  ])('a repeated hour in %s fires on its first occurrence only', (timeZone, date, time, expected) => {
+    const recurrence = { frequency: 'daily', times: [time], startDate: date, endDate: date };
+
+    expect(expand(recurrence, `${date}T00:00:00Z`, `${date}T12:00:00Z`, timeZone)).toEqual(expected);
+  });
+
+  test('uses the anchor date when there is no start date', () => {
+    const recurrence = { frequency: 'weekly', times: ['09:00'] };
+    const fired = expandRecurrence(recurrence, new Date('2026-03-01T00:00:00Z'), new Date('2026-03-22T00:00:00Z'), 'UTC', new Date('2026-03-04T12:00:00Z'));
+
+    expect(datesOf(fired.map(occurrence => occurrence.at.toISOString()))).toEqual(['2026-03-04', '2026-03-11', '2026-03-18']);
+  });
+});
+
+describe('getTimesOfDay', () => {
+  test.each([
+    ['sorted, unique explicit times', { frequency: 'daily', times: ['18:00', '09:00', '09:00'] }, [540, 1080]],
+    ['hourly steps through the window', { frequency: 'hourly', interval: 2, windowStart: '09:00', windowEnd: '15:00' }, [540, 660, 780, 900]],
+    ['minutely steps include the window end', { frequency: 'minutely', interval: 15, windowStart: '09:00', windowEnd: '09:45' }, [540, 555, 570, 585]]
+  ])('%s', (name, recurrence, expected) => {
+    expect(getTimesOfDay(recurrence)).toEqual(expected);
+  });
+});
+
+describe('validateRecurrence', () => {
+  test.each([
+    [{ frequency: 'daily', times: ['09:00'] }, null],
+    [{ frequency: 'fortnightly', times: ['09:00'] }, 'Frequency must be one of: minutely, hourly, daily, weekly, monthly, yearly'],
+    [{ frequency: 'minutely', interval: 1 }, 'Minute-based recurrences must be at least 5 minutes apart'],
+    [{ frequency: 'hourly', windowStart: '17:00', windowEnd: '09:00' }, 'Window end must be after window start'],
+    [{ frequency: 'weekly', times: [] }, 'Add at least one time of day to the recurrence'],
+    [{ frequency: 'daily', times: ['9am'] }, 'Recurrence times must be in HH:MM format'],
+    [{ frequency: 'daily', times: ['09:00'], startDate: '2026-02-30' }, 'Recurrence dates must be valid YYYY-MM-DD dates'],
+    [{ frequency: 'daily', times: ['09:00'], startDate: '2026-03-10', endDate: '2026-03-01' }, 'End date must not be before start date']
+  ])('%j → %s', (recurrence, expected) => {
+    expect(validateRecurrence(recurrence)).toBe(expected);
+  });
+});
+
+describe('isCalendarDate', () => {
+  test.each([
+    ['2028-02-29', true],
+    ['2027-02-29', false],
+    ['2026-04-31', false],
+    ['2026-4-1', false],
+    [20260401, false]
+  ])('%s → %s', (value, expected) => {
+    expect(isCalendarDate(value)).toBe(expected);
+  });
+});
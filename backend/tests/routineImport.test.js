@@ -0,0 +1,131 @@
+const express = require('express');
+const request = require('supertest');
+const Routine = require('../models/Routine');
+const Notification = require('../models/Notification');
+const { toJsonBundle } = require('../utils/routineBundle');
+
+// Signed in as one fixed user; the routes under test only read req.user
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  req.user = { id: '64b000000000000000000001', _id: '64b000000000000000000001', email: 'ada@example.com', timezone: 'Europe/Berlin' };
+  next();
+});
+
+const USER_ID = '64b000000000000000000001';
+
+const routineRoutes = require('../routes/routines');
+
+const scheduler = { scheduleRoutineNotifications: jest.fn(async () => {}) };
+
+const app = express();
+app.use(express.json());
+app.set('notificationScheduler', scheduler);
+app.use('/api/routines', routineRoutes);
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(([uid, summary]) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SUMMARY:${summary}`,
+    'DTSTART;TZID=Europe/Berlin:20260302T090000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO',
+    'END:VEVENT'
+  ]),
+  'END:VCALENDAR'
+].join('\r\n');
+
+// No database here: nothing was imported before, and saves are recorded
+let saved;
+
+beforeEach(() => {
+  saved = [];
+  jest.spyOn(Routine, 'find').mockReturnValue({ select: async () => [] });
+  jest.spyOn(Routine.prototype, 'save').mockImplementation(async function() {
+    saved.push(this.title);
+    return this;
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /import/calendar', () => {
+  test('creates a routine per event', async () => {
+    const response = await request(app)
+      .post('/api/routines/import/calendar')
+      .send({ ics: calendar(['a@example.com', 'Stand-up'], ['b@example.com', 'Review']) });
+
+    expect(response.status).toBe(201);
+    expect(saved).toEqual(['Stand-up', 'Review']);
+  });
+
+  test('saves nothing when any event fails validation', async () => {
+    // Events only fail once they carry the import marker, i.e. in the import itself
+    const validateSync = Routine.prototype.validateSync;
+    jest.spyOn(Routine.prototype, 'validateSync').mockImplementation(function(...args) {
+      if (this.importedFrom?.uid === 'b@example.com') {
+        return { errors: { title: { message: 'Title is taken' } } };
+      }
+      return validateSync.apply(this, args);
+    });
+
+    const response = await request(app)
+      .post('/api/routines/import/calendar')
+      .send({ ics: calendar(['a@example.com', 'Stand-up'], ['b@example.com', 'Review']) });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([{ index: 1, summary: 'Review', errors: ['Title is taken'] }]);
+    expect(saved).toEqual([]);
+  });
+});
+
+describe('POST /import in replace mode', () => {
+  const routine = (title) => new Routine({ title, description: title, user: USER_ID, schedule: [{ time: '09:00', days: [1] }] });
+  const bundle = () => toJsonBundle([routine('Stretch'), routine('Water')]);
+
+  // Every write in order, against the existing 'Old' routine
+  let writes;
+
+  beforeEach(() => {
+    writes = [];
+    const existing = routine('Old');
+    Routine.find.mockResolvedValue([existing]);
+    Routine.prototype.save.mockImplementation(async function() {
+      writes.push(`save ${this.title}`);
+      return this;
+    });
+    jest.spyOn(Routine, 'deleteMany').mockImplementation(async (filter) => {
+      const ids = filter._id.$in.map(String);
+      writes.push(ids.includes(String(existing._id)) ? 'delete Old' : `roll back ${ids.length}`);
+    });
+    jest.spyOn(Notification, 'deleteMany').mockImplementation(async () => {
+      writes.push('delete Old notifications');
+    });
+  });
+
+  const replace = () => request(app).post('/api/routines/import').send({ data: bundle(), mode: 'replace' });
+
+  test('saves the new routines before deleting the old ones', async () => {
+    const response = await replace();
+
+    expect(response.status).toBe(200);
+    expect(writes).toEqual(['save Stretch', 'save Water', 'delete Old', 'delete Old notifications']);
+  });
+
+  test('keeps the old routines when a save fails', async () => {
+    Routine.prototype.save.mockImplementation(async function() {
+      if (this.title === 'Water') throw new Error('connection lost');
+      writes.push(`save ${this.title}`);
+      return this;
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await replace();
+
+    expect(response.status).toBe(500);
+    expect(writes).toEqual(['save Stretch', 'roll back 1']);
+  });
+});
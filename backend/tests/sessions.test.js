@@ -0,0 +1,77 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { rotateSession } = require('../utils/sessions');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// No database here: one session document lives in memory. findById hands
+// out a snapshot, and the conditional update is applied to the stored copy
+// only when its filter still matches, like MongoDB would.
+let stored;
+let user;
+
+const snapshot = () => new Session({ ...stored, user: undefined });
+
+beforeEach(() => {
+  user = new User({ username: 'ada', email: 'ada@example.com', password: 'secret', firstName: 'Ada', lastName: 'Lovelace' });
+  const session = new Session({ user: user._id, refreshTokenHash: 'pending', expiresAt: new Date(Date.now() + 60000) });
+  stored = session.toObject();
+
+  jest.spyOn(Session, 'findById').mockImplementation(() => ({
+    populate: async () => {
+      const copy = snapshot();
+      copy.user = user;
+      return copy;
+    }
+  }));
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+    if (stored.refreshTokenHash !== filter.refreshTokenHash || stored.revokedAt) return null;
+    Object.assign(stored, $set);
+    return snapshot();
+  });
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, { $set }) => {
+    Object.assign(stored, $set);
+  });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const issueToken = () => {
+  const token = `${stored._id}.${crypto.randomBytes(8).toString('hex')}`;
+  stored.refreshTokenHash = hashToken(token);
+  return token;
+};
+
+describe('rotateSession', () => {
+  test('swaps a refresh token for a new one', async () => {
+    const token = issueToken();
+    const rotated = await rotateSession(token);
+
+    expect(rotated.refreshToken).not.toBe(token);
+    expect(stored.refreshTokenHash).toBe(hashToken(rotated.refreshToken));
+    expect(stored.previousTokenHash).toBe(hashToken(token));
+  });
+
+  test('lets only one of two concurrent refreshes with the same token through', async () => {
+    const token = issueToken();
+    const results = await Promise.all([rotateSession(token), rotateSession(token)]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(stored.refreshTokenHash).toBe(hashToken(results.find(Boolean).refreshToken));
+  });
+
+  test('revokes the session when a used token comes back', async () => {
+    const token = issueToken();
+    const rotated = await rotateSession(token);
+
+    expect(await rotateSession(token)).toBeNull();
+    expect(stored.revokedAt).toBeInstanceOf(Date);
+    expect(await rotateSession(rotated.refreshToken)).toBeNull();
+  });
+});
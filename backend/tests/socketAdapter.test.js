@@ -0,0 +1,127 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { Adapter } = require('socket.io-adapter');
+const configureSocketAdapter = require('../config/socketAdapter');
+
+// No database here: a shared in-memory collection stands in for the capped
+// adapter collection. Inserts reach every open change stream except the
+// publisher's own, like the adapter's $match on uid does against MongoDB.
+const createEventLog = () => {
+  const streams = [];
+  const collection = {
+    watch: (pipeline) => {
+      const stream = new EventEmitter();
+      stream.closed = false;
+      stream.ignoredUid = pipeline[0].$match['fullDocument.uid'].$ne;
+      stream.close = async () => { stream.closed = true; };
+      streams.push(stream);
+      return stream;
+    },
+    insertOne: async (document) => {
+      const insertedId = new mongoose.Types.ObjectId();
+      streams
+        .filter(stream => !stream.closed && stream.ignoredUid !== document.uid)
+        .forEach(stream => setImmediate(() => stream.emit('change', {
+          operationType: 'insert',
+          fullDocument: { ...document, _id: insertedId }
+        })));
+      return { insertedId };
+    }
+  };
+
+  return {
+    createCollection: jest.fn(async () => {}),
+    collection: () => collection
+  };
+};
+
+const settle = () => new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+
+let servers;
+
+beforeEach(() => {
+  servers = [];
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  // The servers never listened, so only their adapters need closing
+  await Promise.all(servers.map(io => io.of('/').adapter.close()));
+  delete process.env.SOCKET_ADAPTER;
+  delete mongoose.connection.db;
+  jest.restoreAllMocks();
+});
+
+const startInstance = async () => {
+  const io = new Server();
+  servers.push(io);
+  await configureSocketAdapter(io);
+  return io;
+};
+
+describe('configureSocketAdapter', () => {
+  test('keeps the in-memory adapter by default', async () => {
+    const io = await startInstance();
+
+    expect(io.of('/').adapter.constructor).toBe(Adapter);
+  });
+
+  test('rejects unknown adapters', async () => {
+    process.env.SOCKET_ADAPTER = 'redis';
+
+    await expect(configureSocketAdapter(new Server())).rejects.toThrow('Unknown SOCKET_ADAPTER "redis"');
+  });
+
+  test('reuses an existing adapter collection', async () => {
+    process.env.SOCKET_ADAPTER = 'mongo';
+    const db = createEventLog();
+    db.createCollection.mockRejectedValue(Object.assign(new Error('exists'), { codeName: 'NamespaceExists' }));
+    mongoose.connection.db = db;
+
+    await startInstance();
+
+    expect(db.createCollection).toHaveBeenCalledWith('socket.io-adapter-events', { capped: true, size: 1e6 });
+  });
+
+  describe('with the mongo adapter', () => {
+    let first;
+    let second;
+
+    beforeEach(async () => {
+      process.env.SOCKET_ADAPTER = 'mongo';
+      mongoose.connection.db = createEventLog();
+
+      first = await startInstance();
+      second = await startInstance();
+      await settle();
+    });
+
+    test('delivers room emits to sockets on the other instance', async () => {
+      const broadcast = jest.spyOn(Adapter.prototype, 'broadcast');
+
+      first.to('user-1').emit('notification', { title: 'Stretch' });
+      await settle();
+
+      const secondAdapter = second.of('/').adapter;
+      const delivered = broadcast.mock.contexts.indexOf(secondAdapter);
+      expect(delivered).not.toBe(-1);
+      expect(broadcast.mock.calls[delivered][0].data).toEqual(['notification', { title: 'Stretch' }]);
+      expect([...broadcast.mock.calls[delivered][1].rooms]).toEqual(['user-1']);
+    });
+
+    test('disconnects a revoked session\'s sockets on every instance', async () => {
+      const disconnect = jest.spyOn(Adapter.prototype, 'disconnectSockets');
+
+      first.in('session:abc').disconnectSockets(true);
+      await settle();
+
+      const contexts = disconnect.mock.contexts;
+      expect(contexts).toEqual(expect.arrayContaining([first.of('/').adapter, second.of('/').adapter]));
+      disconnect.mock.calls.forEach(([opts, close]) => {
+        expect([...opts.rooms]).toEqual(['session:abc']);
+        expect(close).toBe(true);
+      });
+    });
+  });
+});
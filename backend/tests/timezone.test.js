@@ -0,0 +1,93 @@
+const { getZonedParts, getTimeZoneOffset, zonedTimeToUtc, isValidTimeZone } = require('../utils/timezone');
+
+// 2026 DST transitions: New York springs forward on March 8 and falls back
+// on November 1 (at 02:00 local); Berlin on March 29 and October 25.
+const wallTime = (value) => {
+  const [date, time] = value.split(' ');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return { year, month, day, hour, minute };
+};
+
+describe('zonedTimeToUtc', () => {
+  test.each([
+    // Ordinary winter and summer times
+    ['America/New_York', '2026-01-15 09:00', '2026-01-15T14:00:00.000Z'],
+    ['America/New_York', '2026-07-15 09:00', '2026-07-15T13:00:00.000Z'],
+    ['Europe/Berlin', '2026-01-15 09:00', '2026-01-15T08:00:00.000Z'],
+    ['Europe/Berlin', '2026-07-15 09:00', '2026-07-15T07:00:00.000Z'],
+    ['Asia/Tokyo', '2026-03-08 02:30', '2026-03-07T17:30:00.000Z'],
+    // Either side of the spring gap
+    ['America/New_York', '2026-03-08 01:59', '2026-03-08T06:59:00.000Z'],
+    ['America/New_York', '2026-03-08 03:00', '2026-03-08T07:00:00.000Z'],
+    ['Europe/Berlin', '2026-03-29 01:59', '2026-03-29T00:59:00.000Z'],
+    ['Europe/Berlin', '2026-03-29 03:00', '2026-03-29T01:00:00.000Z']
+  ])('%s %s is %s', (timeZone, local, expected) => {
+    expect(zonedTimeToUtc(wallTime(local), timeZone).toISOString()).toBe(expected);
+  });
+
+  // 02:30 does not exist that night; it rings at 03:30 instead
+  test.each([
+    ['America/New_York', '2026-03-08 02:30', '2026-03-08T07:30:00.000Z', '03:30'],
+    ['America/New_York', '2026-03-08 02:00', '2026-03-08T07:00:00.000Z', '03:00'],
+    ['Europe/Berlin', '2026-03-29 02:30', '2026-03-29T01:30:00.000Z', '03:30'],
+    ['Europe/Berlin', '2026-03-29 02:59', '2026-03-29T01:59:00.000Z', '03:59']
+  ])('%s %s falls in the DST gap and shifts forward to %s', (timeZone, local, expected, shiftedTo) => {
+    const at = zonedTimeToUtc(wallTime(local), timeZone);
+    const parts = getZonedParts(at, timeZone);
+
+    expect(at.toISOString()).toBe(expected);
+    expect(`${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`).toBe(shiftedTo);
+  });
+
+  // The hour happens twice that night; the first (summer time) one is used
+  test.each([
+    ['America/New_York', '2026-11-01 01:30', '2026-11-01T05:30:00.000Z', '2026-11-01T06:30:00.000Z'],
+    ['America/New_York', '2026-11-01 01:00', '2026-11-01T05:00:00.000Z', '2026-11-01T06:00:00.000Z'],
+    ['Europe/Berlin', '2026-10-25 02:30', '2026-10-25T00:30:00.000Z', '2026-10-25T01:30:00.000Z'],
+    ['Europe/Berlin', '2026-10-25 02:00', '2026-10-25T00:00:00.000Z', '2026-10-25T01:00:00.000Z']
+  ])('%s %s is repeated and resolves to the first occurrence', (timeZone, local, first, second) => {
+    const at = zonedTimeToUtc(wallTime(local), timeZone);
+
+    expect(at.toISOString()).toBe(first);
+    // Both instants really do show the same wall time
+    expect(getZonedParts(new Date(second), timeZone)).toMatchObject(wallTime(local));
+  });
+});
+
+describe('getZonedParts', () => {
+  test.each([
+    ['2026-03-08T06:59:00Z', 'America/New_York', { year: 2026, month: 3, day: 8, hour: 1, minute: 59, weekday: 0 }],
+    ['2026-03-08T07:00:00Z', 'America/New_York', { year: 2026, month: 3, day: 8, hour: 3, minute: 0, weekday: 0 }],
+    ['2026-12-31T23:30:00Z', 'Europe/Berlin', { year: 2027, month: 1, day: 1, hour: 0, minute: 30, weekday: 5 }],
+    ['2026-01-01T03:00:00Z', 'America/New_York', { year: 2025, month: 12, day: 31, hour: 22, minute: 0, weekday: 3 }]
+  ])('%s in %s', (instant, timeZone, expected) => {
+    expect(getZonedParts(new Date(instant), timeZone)).toMatchObject(expected);
+  });
+});
+
+describe('getTimeZoneOffset', () => {
+  test.each([
+    ['2026-03-08T06:59:00Z', 'America/New_York', -300],
+    ['2026-03-08T07:00:00Z', 'America/New_York', -240],
+    ['2026-11-01T05:59:00Z', 'America/New_York', -240],
+    ['2026-11-01T06:00:00Z', 'America/New_York', -300],
+    ['2026-03-29T00:59:00Z', 'Europe/Berlin', 60],
+    ['2026-03-29T01:00:00Z', 'Europe/Berlin', 120],
+    ['2026-07-01T00:00:00Z', 'Asia/Kolkata', 330]
+  ])('%s in %s is %i minutes', (instant, timeZone, expected) => {
+    expect(getTimeZoneOffset(new Date(instant), timeZone)).toBe(expected);
+  });
+});
+
+describe('isValidTimeZone', () => {
+  test.each([
+    ['America/New_York', true],
+    ['UTC', true],
+    ['Mars/Olympus_Mons', false],
+    ['', false],
+    [undefined, false]
+  ])('%s → %s', (timeZone, expected) => {
+    expect(isValidTimeZone(timeZone)).toBe(expected);
+  });
+});
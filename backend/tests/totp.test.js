@@ -0,0 +1,62 @@
+const { generateSecret, generateCode, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+// RFC 6238 Appendix B, SHA-1: the ASCII secret "12345678901234567890" in
+// base32. The RFC lists 8-digit codes; 6-digit codes are their last digits.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe('generateCode', () => {
+  test.each(RFC_VECTORS)('matches the RFC 6238 vector at T=%i', (seconds, expected) => {
+    expect(generateCode(RFC_SECRET, stepAt(seconds))).toBe(expected.slice(-6));
+  });
+
+  test('works with generated secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateCode(secret, 1)).toMatch(/^\d{6}$/);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1111111111 * 1000;
+  const step = stepAt(1111111111);
+
+  test('returns the step of a current code', () => {
+    expect(verifyCode(RFC_SECRET, '050471', { now })).toBe(step);
+  });
+
+  test('allows one step of clock drift either way', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+  });
+
+  test('rejects codes two steps away', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now })).toBeNull();
+  });
+
+  test('ignores spaces and rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '050 471', { now })).toBe(step);
+    expect(verifyCode(RFC_SECRET, '05047', { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined, { now })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  test('describes the secret for authenticator apps', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, account: 'ada@example.com' });
+    expect(uri).toBe(
+      `otpauth://totp/NotifyFlow%3Aada%40example.com?secret=${RFC_SECRET}&issuer=NotifyFlow&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const { generateCode } = require('../utils/totp');
+const { generateRecoveryCodes, verifySecondFactor } = require('../utils/twoFactor');
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const NOW = 1111111111 * 1000;
+const STEP = Math.floor(NOW / 1000 / 30);
+const USER_ID = '64b000000000000000000001';
+
+// No database here: the user's 2FA state lives in memory and the two
+// conditional updates verifySecondFactor relies on are applied to it
+let twoFactor;
+
+beforeEach(() => {
+  const { codes, hashes } = generateRecoveryCodes();
+  twoFactor = { enabled: true, secret: SECRET, recoveryCodes: hashes, lastUsedStep: undefined, codes };
+
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ twoFactor }) });
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    if (update.$pull) {
+      const hash = update.$pull['twoFactor.recoveryCodes'];
+      if (!twoFactor.enabled || !twoFactor.recoveryCodes.includes(hash)) return { modifiedCount: 0 };
+      twoFactor.recoveryCodes = twoFactor.recoveryCodes.filter(item => item !== hash);
+      return { modifiedCount: 1 };
+    }
+
+    const step = update.$set['twoFactor.lastUsedStep'];
+    if (twoFactor.lastUsedStep !== undefined && twoFactor.lastUsedStep >= step) return { modifiedCount: 0 };
+    twoFactor.lastUsedStep = step;
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifySecondFactor', () => {
+  test('accepts a current authenticator code once', async () => {
+    const code = generateCode(SECRET, STEP);
+
+    expect(await verifySecondFactor(USER_ID, { code })).toBe('totp');
+    expect(twoFactor.lastUsedStep).toBe(STEP);
+    expect(await verifySecondFactor(USER_ID, { code })).toBeNull();
+  });
+
+  test('rejects an older code after a newer one was used', async () => {
+    expect(await verifySecondFactor(USER_ID, { code: generateCode(SECRET, STEP + 1) })).toBe('totp');
+    expect(await verifySecondFactor(USER_ID, { code: generateCode(SECRET, STEP) })).toBeNull();
+    expect(await verifySecondFactor(USER_ID, { code: generateCode(SECRET, STEP - 1) })).toBeNull();
+  });
+
+  test('rejects wrong codes without claiming a step', async () => {
+    expect(await verifySecondFactor(USER_ID, { code: generateCode(SECRET, STEP + 2) })).toBeNull();
+    expect(twoFactor.lastUsedStep).toBeUndefined();
+  });
+
+  test('accepts each recovery code once, ignoring case and dashes', async () => {
+    const [first, second] = twoFactor.codes;
+
+    expect(await verifySecondFactor(USER_ID, { recoveryCode: first.toUpperCase().replace('-', '') })).toBe('recovery');
+    expect(await verifySecondFactor(USER_ID, { recoveryCode: first })).toBeNull();
+    expect(await verifySecondFactor(USER_ID, { recoveryCode: second })).toBe('recovery');
+    expect(twoFactor.recoveryCodes).toHaveLength(8);
+  });
+});
@@ -0,0 +1,81 @@
+const Routine = require('../models/Routine');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getUpcomingForUser } = require('../utils/upcoming');
+
+const person = (username, timezone) => new User({
+  username,
+  email: `${username}@example.com`,
+  password: 'secret',
+  firstName: username,
+  lastName: 'Example',
+  timezone
+});
+
+// A member in Tokyo and the team lead in New York
+const member = person('kenji', 'Asia/Tokyo');
+const lead = person('ada', 'America/New_York');
+const team = { _id: '64b0000000000000000000aa' };
+
+const daily = (title, owner, extra = {}) => {
+  const routine = new Routine({
+    title,
+    user: owner._id,
+    schedule: [{ time: '09:00', days: [0, 1, 2, 3, 4, 5, 6] }],
+    ...extra
+  });
+  routine.user = owner;
+  return routine;
+};
+
+// No database here: the routine query is recorded and answered from a
+// fixed list, and nothing is queued yet
+let routineFilter;
+let routines;
+
+beforeEach(() => {
+  routines = [];
+  jest.spyOn(Team, 'find').mockReturnValue({ select: async () => [team] });
+  jest.spyOn(Routine, 'find').mockImplementation((filter) => {
+    routineFilter = filter;
+    return { populate: async () => routines };
+  });
+  jest.spyOn(Notification, 'find').mockReturnValue({ populate: async () => [] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const from = new Date('2026-03-02T00:00:00Z');
+const to = new Date('2026-03-03T00:00:00Z');
+
+describe('getUpcomingForUser', () => {
+  test('looks up own routines and those of teams not opted out of', async () => {
+    await getUpcomingForUser(member, from, to, from);
+
+    expect(Team.find).toHaveBeenCalledWith({ 'members.user': member._id });
+    expect(routineFilter).toEqual({
+      isActive: true,
+      $or: [
+        { user: member._id, team: { $exists: false } },
+        { team: { $in: [team._id] }, optedOut: { $ne: member._id } }
+      ]
+    });
+  });
+
+  test('lists team routines in the lead\'s time zone and own ones in the user\'s', async () => {
+    routines = [
+      daily('Stand-up', lead, { team: team._id }),
+      daily('Stretch', member)
+    ];
+
+    const upcoming = await getUpcomingForUser(member, from, to, from);
+
+    expect(upcoming.map(entry => [entry.title, entry.fireAt.toISOString(), entry.timezone])).toEqual([
+      ['Stretch', '2026-03-02T00:00:00.000Z', 'Asia/Tokyo'],
+      ['Stand-up', '2026-03-02T14:00:00.000Z', 'America/New_York']
+    ]);
+  });
+});
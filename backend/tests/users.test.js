@@ -0,0 +1,92 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+
+const USER_ID = '64b000000000000000000001';
+
+// Signed in as one fixed user; the routes under test only read req.user
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  req.user = { id: '64b000000000000000000001', _id: '64b000000000000000000001' };
+  next();
+});
+
+const userRoutes = require('../routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+// No database here: the update each request sends is recorded instead
+let updates;
+
+beforeEach(() => {
+  updates = [];
+  jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, update) => {
+    updates.push({ id: String(id), update });
+    return { select: async () => ({}) };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const patchResponsiveness = (body) => request(app).patch('/api/users/responsiveness').send(body);
+const writtenFields = () => Object.keys(updates[0].update.$set);
+
+describe('PATCH /responsiveness', () => {
+  test('writes the responsiveness stats', async () => {
+    const response = await patchResponsiveness({ completionRate: 80, 'responsiveness.averageResponseTime': 12 });
+
+    expect(response.status).toBe(200);
+    expect(updates[0].id).toBe(USER_ID);
+    expect(updates[0].update.$set).toMatchObject({
+      'responsiveness.completionRate': 80,
+      'responsiveness.averageResponseTime': 12
+    });
+    expect(updates[0].update.$set['responsiveness.lastActive']).toBeInstanceOf(Date);
+  });
+
+  test('cannot change the role', async () => {
+    await patchResponsiveness({ role: 'system-admin', completionRate: 50 });
+
+    expect(writtenFields()).toEqual(['responsiveness.lastActive', 'responsiveness.completionRate']);
+  });
+
+  test('cannot mark the email verified or replace its tokens', async () => {
+    await patchResponsiveness({ emailVerified: true, emailTokens: { verifyHash: 'x' }, completionRate: 50 });
+
+    expect(writtenFields()).toEqual(['responsiveness.lastActive', 'responsiveness.completionRate']);
+  });
+
+  test('cannot turn off two-factor authentication', async () => {
+    await patchResponsiveness({ 'twoFactor.enabled': false, twoFactor: { enabled: false }, completionRate: 50 });
+
+    expect(writtenFields()).toEqual(['responsiveness.lastActive', 'responsiveness.completionRate']);
+  });
+
+  test('cannot reset the lockout counters', async () => {
+    await patchResponsiveness({ loginSecurity: {}, 'loginSecurity.failedAttempts': 0, completionRate: 50 });
+
+    expect(writtenFields()).toEqual(['responsiveness.lastActive', 'responsiveness.completionRate']);
+  });
+});
+
+describe('PUT /preferences', () => {
+  test('sets only the given preferences, leaving quiet hours alone', async () => {
+    const response = await request(app).put('/api/users/preferences').send({
+      defaultVolume: 0.4,
+      workingHours: { start: '08:00' },
+      quietHours: { enabled: false },
+      role: 'system-admin'
+    });
+
+    expect(response.status).toBe(200);
+    expect(updates[0].update).toEqual({
+      $set: {
+        'preferences.defaultVolume': 0.4,
+        'preferences.workingHours.start': '08:00'
+      }
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+
+// Emailed links carry a signed token for one purpose. Only the newest
+// token per purpose is accepted, and only once: its id is stored on the
+// user and cleared when used.
+const PURPOSES = {
+  passwordReset: { expiresIn: '1h', path: '/reset-password' },
+  emailVerification: { expiresIn: '24h', path: '/verify-email' }
+};
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const createEmailToken = async (user, purpose) => {
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  await User.updateOne({ _id: user._id }, { $set: { [`emailTokens.${purpose}`]: tokenId } });
+
+  return jwt.sign(
+    { id: user._id, jti: tokenId },
+    process.env.JWT_SECRET,
+    { expiresIn: PURPOSES[purpose].expiresIn, audience: purpose }
+  );
+};
+
+const emailLink = (purpose, token) => `${frontendUrl()}${PURPOSES[purpose].path}?token=${encodeURIComponent(token)}`;
+
+const sendVerificationEmail = async (user) => {
+  const token = await createEmailToken(user, 'emailVerification');
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your NotifyFlow email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening this link:\n${emailLink('emailVerification', token)}\n\nThe link is valid for 24 hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createEmailToken(user, 'passwordReset');
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your NotifyFlow password',
+    text: `Hi ${user.firstName},\n\nSomeone asked to reset the password of your NotifyFlow account. To choose a new one, open this link:\n${emailLink('passwordReset', token)}\n\nThe link is valid for 1 hour. If this wasn't you, you can ignore this email.`
+  });
+};
+
+// The user a token was issued to, with the token marked as used; null when
+// it is invalid, expired, superseded or already used
+const consumeEmailToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET, { audience: purpose });
+  } catch (error) {
+    return null;
+  }
+
+  // Clearing the id in the same query makes a second use fail
+  const user = await User.findOneAndUpdate(
+    { _id: decoded.id, isActive: true, [`emailTokens.${purpose}`]: decoded.jti },
+    { $unset: { [`emailTokens.${purpose}`]: 1 } },
+    { new: true }
+  );
+  return user;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  consumeEmailToken
+};
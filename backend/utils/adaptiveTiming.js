@@ -0,0 +1,185 @@
+const { getZonedParts } = require('./timezone');
+
+// Adaptive timing learns, per weekday and hour, how many minutes after the
+// scheduled occurrence the user actually gets to a routine, as an
+// exponentially weighted moving average (EWMA). Delivery is then shifted by
+// that latency minus a short reaction allowance, within the routine's bounds.
+// Latency can be negative: a user who acts on early alarms before the
+// scheduled time teaches the routine to ring earlier still, down to
+// minAdjustment.
+//
+// Offsets are measured from the original occurrence, not from the shifted
+// delivery, so a correct shift is stable: answering a +4 alarm right away
+// keeps teaching "+4".
+const DEFAULT_BOUNDS = { min: -10, max: 15 };
+const DEFAULT_SMOOTHING = 0.3;
+const MIN_SAMPLES = 3; // Buckets with fewer samples fall back to the routine-wide average
+const REACTION_ALLOWANCE_MINUTES = 1; // Time a user needs to react to a well-timed alarm
+const MAX_OFFSET_MINUTES = 120; // Longer gaps either way are absence, not timing
+
+const DAY_NAMES = ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'];
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const getBounds = (adaptiveTiming = {}) => ({
+  min: adaptiveTiming.minAdjustment ?? DEFAULT_BOUNDS.min,
+  max: adaptiveTiming.maxAdjustment ?? DEFAULT_BOUNDS.max
+});
+
+const getBucketKey = (date, timeZone) => {
+  const parts = getZonedParts(new Date(date), timeZone);
+  return { weekday: parts.weekday, hour: parts.hour };
+};
+
+// Minutes between the occurrence and the moment the user was ready for it
+// (negative when that was before the occurrence), or null when the response
+// says nothing about timing
+const getResponseOffset = (notification, action, { snoozeMinutes = 0, respondedAt } = {}) => {
+  const occurrenceAt = notification.metadata?.occurrenceAt;
+  if (!occurrenceAt) return null; // One-off alarms (sequence steps, tests) have no schedule to tune
+  if (notification.dnd?.action === 'deferred') return null; // Delay came from Do-Not-Disturb
+  if (notification.metadata?.rescheduled) return null; // The user picked the time by hand
+
+  // A completion after a snooze was already learned from the snooze itself
+  if (action === 'completed' && notification.snoozeCount > 0) return null;
+  if (action !== 'completed' && action !== 'snoozed') return null;
+
+  const answeredAt = respondedAt || notification.userResponse?.timestamp || new Date();
+  let offset = (new Date(answeredAt) - new Date(occurrenceAt)) / 60000;
+  if (action === 'snoozed') {
+    offset += snoozeMinutes;
+  }
+
+  if (Math.abs(offset) > MAX_OFFSET_MINUTES) return null;
+  return offset;
+};
+
+const ewma = (previous, sample, smoothing) => (
+  previous === undefined || previous === null
+    ? sample
+    : smoothing * sample + (1 - smoothing) * previous
+);
+
+// Fold one observed offset into the routine's model (mutates adaptiveTiming)
+const learnFromResponse = (adaptiveTiming, bucketKey, offset, now = new Date()) => {
+  const smoothing = adaptiveTiming.smoothing || DEFAULT_SMOOTHING;
+
+  const overall = adaptiveTiming.overall || {};
+  adaptiveTiming.overall = {
+    latency: round(ewma(overall.latency, offset, smoothing), 2),
+    samples: (overall.samples || 0) + 1
+  };
+
+  if (!adaptiveTiming.buckets) adaptiveTiming.buckets = [];
+  const bucket = adaptiveTiming.buckets.find(b =>
+    b.weekday === bucketKey.weekday && b.hour === bucketKey.hour
+  );
+
+  if (bucket) {
+    bucket.latency = round(ewma(bucket.latency, offset, smoothing), 2);
+    bucket.samples = (bucket.samples || 0) + 1;
+    bucket.updatedAt = now;
+  } else {
+    adaptiveTiming.buckets.push({
+      ...bucketKey,
+      latency: round(offset, 2),
+      samples: 1,
+      updatedAt: now
+    });
+  }
+
+  return adaptiveTiming;
+};
+
+// Shift for one occurrence. Returns { minutes, source, latency, samples,
+// bucket, clamped, bounds } where source is 'disabled', 'learning',
+// 'bucket' or 'overall'.
+const getAdjustment = (routine, occurrenceAt, timeZone) => {
+  const adaptiveTiming = routine?.adaptiveTiming || {};
+  const bounds = getBounds(adaptiveTiming);
+  const bucketKey = occurrenceAt ? getBucketKey(occurrenceAt, timeZone) : null;
+  const base = { minutes: 0, bounds, bucket: bucketKey, clamped: false };
+
+  if (!adaptiveTiming.enabled) {
+    return { ...base, source: 'disabled' };
+  }
+
+  const bucket = bucketKey && (adaptiveTiming.buckets || []).find(b =>
+    b.weekday === bucketKey.weekday && b.hour === bucketKey.hour
+  );
+
+  let source = null;
+  let model = null;
+  if (bucket && bucket.samples >= MIN_SAMPLES) {
+    source = 'bucket';
+    model = bucket;
+  } else if (adaptiveTiming.overall?.samples >= MIN_SAMPLES) {
+    source = 'overall';
+    model = adaptiveTiming.overall;
+  }
+
+  if (!model) {
+    return {
+      ...base,
+      source: 'learning',
+      samples: bucket?.samples || adaptiveTiming.overall?.samples || 0
+    };
+  }
+
+  const raw = Math.round(model.latency - REACTION_ALLOWANCE_MINUTES);
+  const minutes = Math.min(bounds.max, Math.max(bounds.min, raw));
+
+  return {
+    ...base,
+    minutes,
+    source,
+    latency: model.latency,
+    samples: model.samples,
+    clamped: minutes !== raw
+  };
+};
+
+const formatMinutes = (minutes) => (minutes > 0 ? `+${minutes}` : `${minutes}`);
+
+const describeLatency = (latency) => (latency < 0
+  ? `${round(-latency)} min before`
+  : `${round(latency)} min after`);
+
+// Human readable reason for an adjustment returned by getAdjustment
+const explainAdjustment = (adjustment) => {
+  const { minutes, source, latency, samples, bucket, clamped, bounds } = adjustment;
+
+  if (source === 'disabled') {
+    return 'Adaptive timing is off, so this routine fires exactly on schedule.';
+  }
+
+  if (source === 'learning') {
+    return `Still learning: ${samples} of ${MIN_SAMPLES} responses needed before the timing is adjusted.`;
+  }
+
+  const where = source === 'bucket'
+    ? `on ${DAY_NAMES[bucket.weekday]} around ${String(bucket.hour).padStart(2, '0')}:00`
+    : 'across all days (not enough history for this day and hour yet)';
+
+  let explanation = `Fires at ${formatMinutes(minutes)} min: ${where} you get to it about ` +
+    `${describeLatency(latency)} the scheduled time (weighted average of ${samples} responses, ` +
+    `recent ones count more), minus ${REACTION_ALLOWANCE_MINUTES} min to react.`;
+
+  if (clamped) {
+    explanation += ` Limited to the routine's bounds of ${formatMinutes(bounds.min)}…${formatMinutes(bounds.max)} min.`;
+  }
+
+  return explanation;
+};
+
+module.exports = {
+  DEFAULT_BOUNDS,
+  DEFAULT_SMOOTHING,
+  MIN_SAMPLES,
+  REACTION_ALLOWANCE_MINUTES,
+  getBucketKey,
+  getResponseOffset,
+  learnFromResponse,
+  getAdjustment,
+  explainAdjustment
+};
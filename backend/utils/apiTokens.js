@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+
+// Personal access tokens look like "nfp_<64 hex chars>" so they can't be
+// mistaken for session JWTs
+const TOKEN_PREFIX = 'nfp_';
+const SCOPES = ApiToken.schema.path('scopes').caster.enumValues;
+
+// lastUsedAt is only written when it is this stale, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isApiToken = (token) => String(token || '').startsWith(TOKEN_PREFIX);
+
+const generateApiToken = () => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    token,
+    tokenHash: hashApiToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6)
+  };
+};
+
+// The live token document for a presented token, or null
+const findApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashApiToken(token) });
+  if (!apiToken || apiToken.isExpired()) return null;
+
+  const now = new Date();
+  if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    apiToken.lastUsedAt = now;
+    await ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: now } });
+  }
+  return apiToken;
+};
+
+module.exports = {
+  SCOPES,
+  isApiToken,
+  generateApiToken,
+  findApiToken
+};
@@ -0,0 +1,86 @@
+// Escalation chains for delivered alarms that get no response. Every step
+// re-rings the alarm `afterMinutes` after delivery, optionally louder or
+// with another sound; at `ignoreAfterMinutes` the alarm is marked ignored.
+const MAX_VOLUME = 1;
+
+// Defaults by routine priority (1 = low ... 5 = critical)
+const DEFAULT_CHAINS = {
+  low: {
+    steps: [{ afterMinutes: 5, volumeIncrease: 0 }],
+    ignoreAfterMinutes: 15
+  },
+  high: {
+    steps: [
+      { afterMinutes: 3, volumeIncrease: 0.15 },
+      { afterMinutes: 6, volumeIncrease: 0.15, sound: 'bell' }
+    ],
+    ignoreAfterMinutes: 20
+  },
+  critical: {
+    steps: [
+      { afterMinutes: 1, volumeIncrease: 0.2 },
+      { afterMinutes: 3, volumeIncrease: 0.2, sound: 'bell' },
+      { afterMinutes: 5, volumeIncrease: 1, sound: 'digital' }
+    ],
+    ignoreAfterMinutes: 30
+  }
+};
+
+const getDefaultChain = (priority = 1) => {
+  if (priority >= 4) return DEFAULT_CHAINS.critical;
+  if (priority >= 3) return DEFAULT_CHAINS.high;
+  return DEFAULT_CHAINS.low;
+};
+
+// The routine's chain, falling back to the priority default for missing parts
+const resolveEscalationChain = (routine) => {
+  const settings = routine?.notificationSettings?.escalationChain || {};
+  const fallback = getDefaultChain(routine?.priority);
+  const customSteps = (settings.steps || []).filter(step => step && step.afterMinutes > 0);
+  const steps = (customSteps.length > 0 ? customSteps : fallback.steps)
+    .map(step => ({
+      afterMinutes: step.afterMinutes,
+      volumeIncrease: step.volumeIncrease || 0,
+      sound: step.sound || null
+    }))
+    .sort((a, b) => a.afterMinutes - b.afterMinutes);
+
+  const lastStepMinutes = steps.length > 0 ? steps[steps.length - 1].afterMinutes : 0;
+  let ignoreAfterMinutes = settings.ignoreAfterMinutes || fallback.ignoreAfterMinutes;
+  // Never give up before the last re-ring had a chance
+  if (ignoreAfterMinutes <= lastStepMinutes) {
+    ignoreAfterMinutes = lastStepMinutes + 5;
+  }
+
+  return {
+    enabled: settings.enabled !== false,
+    steps,
+    ignoreAfterMinutes
+  };
+};
+
+// When the step after `stepIndex` is due; past the last step that is the
+// moment the alarm is marked ignored. Null when the chain is disabled.
+const getNextEscalationAt = (deliveredAt, chain, stepIndex = 0) => {
+  if (!chain.enabled || !deliveredAt) return null;
+
+  const minutes = stepIndex < chain.steps.length
+    ? chain.steps[stepIndex].afterMinutes
+    : chain.ignoreAfterMinutes;
+
+  return new Date(new Date(deliveredAt).getTime() + minutes * 60 * 1000);
+};
+
+// Volume and sound for a re-ring, based on what the alarm currently plays
+const applyEscalationStep = (step, { volume = 0.7, sound = 'chime' } = {}) => ({
+  volume: Math.min(MAX_VOLUME, Math.round((volume + (step.volumeIncrease || 0)) * 100) / 100),
+  sound: step.sound || sound
+});
+
+module.exports = {
+  DEFAULT_CHAINS,
+  getDefaultChain,
+  resolveEscalationChain,
+  getNextEscalationAt,
+  applyEscalationStep
+};
@@ -0,0 +1,416 @@
+const { getZonedParts, getTimeZoneOffset, zonedTimeToUtc, addDays } = require('./timezone');
+const { resolveTimeZone, resolveIntervalSettings, getOccurrencesBetween } = require('./occurrences');
+const { getTimesOfDay, expandRecurrence } = require('./recurrence');
+const { isHeld } = require('./routineHolds');
+
+// RFC 5545 export of routine schedules. Every rule becomes a recurring
+// VEVENT in the routine's time zone, so calendar apps expand the series
+// themselves and follow DST exactly like the scheduler does.
+
+const PRODUCT_ID = '-//NotifyFlow//Routines//EN';
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVENT_MINUTES = 5; // Alarms have no length; this keeps them visible in day views
+const SEARCH_WINDOW_DAYS = 31;
+const SEARCH_HORIZON_YEARS = 30;
+const HOLD_HORIZON_DAYS = 31;
+const MAX_HOLD_EXDATES = 500;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Backslashes, separators and newlines are escaped in TEXT values
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatLocal = ({ year, month, day, hour = 0, minute = 0 }) => (
+  `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}00`
+);
+
+const formatOffset = (minutes) => (
+  `${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`
+);
+
+const parseDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return addDays({ year, month, day }, 0);
+};
+
+// Offset changes of a zone between two instants, to the minute
+const findTransitions = (timeZone, from, to) => {
+  const transitions = [];
+  let previous = getTimeZoneOffset(from, timeZone);
+
+  for (let at = from.getTime() + DAY_MS; at <= to.getTime(); at += DAY_MS) {
+    const offset = getTimeZoneOffset(new Date(at), timeZone);
+    if (offset === previous) continue;
+
+    let low = at - DAY_MS;
+    let high = at;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (getTimeZoneOffset(new Date(middle), timeZone) === previous) low = middle;
+      else high = middle;
+    }
+
+    transitions.push({ at: high, from: previous, to: offset });
+    previous = offset;
+  }
+
+  return transitions;
+};
+
+// VTIMEZONE with one observance per offset change in the years the
+// events cover, computed from the runtime's zone data
+const buildTimeZone = (timeZone, fromYear, toYear) => {
+  const from = new Date(Date.UTC(fromYear, 0, 1));
+  const transitions = findTransitions(timeZone, from, new Date(Date.UTC(toYear + 1, 0, 1)));
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(getTimeZoneOffset(from, timeZone));
+    lines.push(
+      'BEGIN:STANDARD',
+      `DTSTART:${formatLocal({ year: fromYear, month: 1, day: 1 })}`,
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      'END:STANDARD'
+    );
+  }
+
+  transitions.forEach(transition => {
+    const type = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+    // The onset is written in the local time in effect before the change
+    const onset = new Date(transition.at + transition.from * 60000);
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${formatLocal({
+        year: onset.getUTCFullYear(),
+        month: onset.getUTCMonth() + 1,
+        day: onset.getUTCDate(),
+        hour: onset.getUTCHours(),
+        minute: onset.getUTCMinutes()
+      })}`,
+      `TZOFFSETFROM:${formatOffset(transition.from)}`,
+      `TZOFFSETTO:${formatOffset(transition.to)}`,
+      `END:${type}`
+    );
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+// Times of day (minutes after midnight) as few BYHOUR/BYMINUTE pairs as
+// possible: hours that fire at the same minutes share one rule
+const groupTimes = (times) => {
+  const byHour = new Map();
+  [...new Set(times)].sort((a, b) => a - b).forEach(minutes => {
+    const hour = Math.floor(minutes / 60);
+    if (!byHour.has(hour)) byHour.set(hour, []);
+    byHour.get(hour).push(minutes % 60);
+  });
+
+  const groups = new Map();
+  byHour.forEach((minutes, hour) => {
+    const key = minutes.join(',');
+    if (!groups.has(key)) groups.set(key, { hours: [], minutes });
+    groups.get(key).hours.push(hour);
+  });
+
+  return [...groups.values()];
+};
+
+const inGroup = (group, hour, minute) => group.hours.includes(hour) && group.minutes.includes(minute);
+
+const timeRule = (group) => [`BYHOUR=${group.hours.join(',')}`, `BYMINUTE=${group.minutes.join(',')}`, 'BYSECOND=0'];
+
+// First local day on or after `from` that falls on one of `days`
+const firstWeekday = (from, days) => {
+  for (let offset = 0; offset < 7; offset++) {
+    const date = addDays(from, offset);
+    if (days.includes(date.weekday)) return date;
+  }
+  return null;
+};
+
+// Recurrences firing on the union of month days and nth weekdays become
+// two rules, since RRULE intersects BYMONTHDAY with BYDAY
+const splitRecurrence = (recurrence) => {
+  const byMonthDay = recurrence.byMonthDay || [];
+  const byNthWeekday = recurrence.byNthWeekday || [];
+  const monthBased = recurrence.frequency === 'monthly' || recurrence.frequency === 'yearly';
+
+  if (!monthBased || byMonthDay.length === 0 || byNthWeekday.length === 0) return [recurrence];
+  return [
+    { ...recurrence, byNthWeekday: [] },
+    { ...recurrence, byMonthDay: [] }
+  ];
+};
+
+const recurrenceRule = (recurrence, anchor) => {
+  const interval = Math.max(1, recurrence.interval || 1);
+  const byWeekday = recurrence.byWeekday || [];
+  const byMonthDay = recurrence.byMonthDay || [];
+  const byNthWeekday = recurrence.byNthWeekday || [];
+  const weekdays = (days) => `BYDAY=${days.map(day => WEEKDAY_CODES[day]).join(',')}`;
+
+  // Month-based rules without day filters fire on the anchor's day
+  const dayOfMonth = () => {
+    if (byMonthDay.length > 0) return [`BYMONTHDAY=${byMonthDay.join(',')}`];
+    if (byNthWeekday.length > 0) {
+      return [`BYDAY=${byNthWeekday.map(rule => `${rule.nth}${WEEKDAY_CODES[rule.weekday]}`).join(',')}`];
+    }
+    return [`BYMONTHDAY=${anchor.day}`];
+  };
+
+  switch (recurrence.frequency) {
+    case 'minutely':
+    case 'hourly':
+      // The interval steps through the daily window, which BYHOUR/BYMINUTE spell out
+      return ['FREQ=DAILY', ...(byWeekday.length > 0 ? [weekdays(byWeekday)] : [])];
+    case 'daily':
+      return [`FREQ=DAILY`, `INTERVAL=${interval}`, ...(byWeekday.length > 0 ? [weekdays(byWeekday)] : [])];
+    case 'weekly':
+      return ['FREQ=WEEKLY', `INTERVAL=${interval}`, weekdays(byWeekday.length > 0 ? byWeekday : [anchor.weekday]), 'WKST=SU'];
+    case 'monthly':
+      return ['FREQ=MONTHLY', `INTERVAL=${interval}`, ...dayOfMonth()];
+    case 'yearly': {
+      const byMonth = recurrence.byMonth?.length > 0 ? recurrence.byMonth : [anchor.month];
+      return ['FREQ=YEARLY', `INTERVAL=${interval}`, `BYMONTH=${byMonth.join(',')}`, ...dayOfMonth()];
+    }
+    default:
+      return null;
+  }
+};
+
+// First instance of each time group, searched window by window from the anchor.
+// DTSTART has to be a real instance: RFC 5545 always counts it as the first one.
+const findFirstInstances = (recurrence, groups, anchorAt, timeZone) => {
+  const found = new Array(groups.length).fill(null);
+  const openEnded = { ...recurrence, count: undefined, excludeDates: [] };
+  const horizon = anchorAt.getTime() + SEARCH_HORIZON_YEARS * 365 * DAY_MS;
+
+  for (let from = anchorAt.getTime(); from < horizon && found.includes(null); from += SEARCH_WINDOW_DAYS * DAY_MS) {
+    const to = new Date(Math.min(from + SEARCH_WINDOW_DAYS * DAY_MS, horizon));
+    for (const occurrence of expandRecurrence(openEnded, new Date(from), to, timeZone, anchorAt)) {
+      const [hour, minute] = occurrence.time.split(':').map(Number);
+      const index = groups.findIndex((group, i) => !found[i] && inGroup(group, hour, minute));
+      if (index === -1) continue;
+
+      const date = getZonedParts(occurrence.at, timeZone);
+      found[index] = { year: date.year, month: date.month, day: date.day, hour, minute };
+      if (!found.includes(null)) break;
+    }
+  }
+
+  return found;
+};
+
+// Last instant a recurrence fires: the end of its endDate, or the last of
+// `count` occurrences (excluded dates count too, as in RFC 5545)
+const findUntil = (recurrence, anchorAt, timeZone) => {
+  let until = null;
+
+  if (recurrence.endDate) {
+    until = new Date(zonedTimeToUtc(addDays(parseDate(recurrence.endDate), 1), timeZone).getTime() - 1000);
+  }
+
+  if (recurrence.count) {
+    const horizon = new Date(anchorAt.getTime() + SEARCH_HORIZON_YEARS * 365 * DAY_MS);
+    const occurrences = expandRecurrence({ ...recurrence, excludeDates: [] }, anchorAt, horizon, timeZone, anchorAt);
+    if (occurrences.length > 0) {
+      const last = occurrences[occurrences.length - 1].at;
+      until = until && until < last ? until : last;
+    }
+  }
+
+  return until;
+};
+
+// Schedule rules of one routine as { dtstart, rule, exdates, note }
+const getRoutineRules = (routine, user, timeZone) => {
+  const created = getZonedParts(routine.createdAt ? new Date(routine.createdAt) : new Date(), timeZone);
+  const rules = [];
+
+  if (routine.kind === 'interval') {
+    const { everyMinutes, windowStart, windowEnd, days } = resolveIntervalSettings(routine, user);
+    const toMinutes = (time) => time.split(':').map(Number).reduce((hours, minutes) => hours * 60 + minutes);
+    const times = [];
+    for (let minutes = toMinutes(windowStart) + everyMinutes; minutes <= toMinutes(windowEnd); minutes += everyMinutes) {
+      times.push(minutes);
+    }
+
+    const date = firstWeekday(created, days);
+    if (!date) return rules;
+
+    groupTimes(times).forEach(group => rules.push({
+      dtstart: { ...date, hour: group.hours[0], minute: group.minutes[0] },
+      rule: ['FREQ=WEEKLY', `BYDAY=${days.map(day => WEEKDAY_CODES[day]).join(',')}`, ...timeRule(group)],
+      exdates: [],
+      // Live alarms count from the last response, so the feed shows the plain window
+      note: `Every ${everyMinutes} minutes between ${windowStart} and ${windowEnd}, counted from your last response`
+    }));
+    return rules;
+  }
+
+  (routine.schedule || []).forEach(entry => {
+    if (!entry.time || !Array.isArray(entry.days) || entry.days.length === 0) return;
+
+    const [hour, minute] = entry.time.split(':').map(Number);
+    const date = firstWeekday(created, entry.days);
+    rules.push({
+      dtstart: { ...date, hour, minute },
+      rule: ['FREQ=WEEKLY', `BYDAY=${entry.days.map(day => WEEKDAY_CODES[day]).join(',')}`],
+      exdates: []
+    });
+  });
+
+  const recurrence = routine.recurrence;
+  if (recurrence?.frequency) {
+    const anchor = recurrence.startDate ? parseDate(recurrence.startDate) : created;
+    const anchorAt = zonedTimeToUtc(anchor, timeZone);
+    const until = findUntil(recurrence, anchorAt, timeZone);
+    const groups = groupTimes(getTimesOfDay(recurrence));
+
+    splitRecurrence(recurrence).forEach(variant => {
+      const rule = recurrenceRule(variant, anchor);
+      if (!rule) return;
+
+      findFirstInstances(variant, groups, anchorAt, timeZone).forEach((dtstart, index) => {
+        if (!dtstart || (until && zonedTimeToUtc(dtstart, timeZone) > until)) return;
+
+        const group = groups[index];
+        const exdates = (recurrence.excludeDates || []).flatMap(excluded => group.hours.flatMap(hour =>
+          group.minutes.map(minute => ({ ...parseDate(excluded), hour, minute }))
+        ));
+
+        rules.push({
+          dtstart,
+          rule: [...rule, ...timeRule(group), ...(until ? [`UNTIL=${formatUtc(until)}`] : [])],
+          exdates
+        });
+      });
+    });
+  }
+
+  return rules;
+};
+
+// Upcoming occurrences left out by pause, skip-next or vacation
+const getHeldOccurrences = (routine, user, timeZone, now) => {
+  const to = new Date(now.getTime() + HOLD_HORIZON_DAYS * DAY_MS);
+  return getOccurrencesBetween(routine, now, to, timeZone)
+    .filter(occurrence => isHeld(routine, user, occurrence.at))
+    .slice(0, MAX_HOLD_EXDATES)
+    .map(occurrence => occurrence.at);
+};
+
+const buildEvents = (routine, user, timeZone, now) => {
+  const held = getHeldOccurrences(routine, user, timeZone, now);
+  const stamp = formatUtc(routine.updatedAt || routine.createdAt || now);
+
+  return getRoutineRules(routine, user, timeZone).map((entry, index) => {
+    const description = [routine.description, entry.note].filter(Boolean).join('\n\n');
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${routine._id}-${index}@notifyflow`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${stamp}`,
+      `DTSTART;TZID=${timeZone}:${formatLocal(entry.dtstart)}`,
+      `DURATION:PT${EVENT_MINUTES}M`,
+      `RRULE:${entry.rule.join(';')}`
+    ];
+
+    if (entry.exdates.length > 0) {
+      lines.push(`EXDATE;TZID=${timeZone}:${entry.exdates.map(formatLocal).join(',')}`);
+    }
+    if (held.length > 0) {
+      lines.push(`EXDATE:${held.map(formatUtc).join(',')}`);
+    }
+
+    lines.push(
+      `SUMMARY:${escapeText(routine.title)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `CATEGORIES:${escapeText(String(routine.category || 'personal').toUpperCase())}`,
+      'TRANSP:TRANSPARENT',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(routine.title)}`,
+      'TRIGGER:PT0S',
+      'END:VALARM',
+      'END:VEVENT'
+    );
+    return { startYear: entry.dtstart.year, lines };
+  });
+};
+
+// VCALENDAR with the user's active routines, CRLF-terminated
+const buildCalendar = (routines, user, { name = 'NotifyFlow routines', now = new Date() } = {}) => {
+  const zones = new Map();
+  const events = [];
+
+  routines
+    .filter(routine => routine.isActive !== false)
+    .forEach(routine => {
+      const plain = typeof routine.toObject === 'function' ? routine.toObject() : routine;
+      const timeZone = resolveTimeZone(plain, user);
+
+      buildEvents(plain, user, timeZone, now).forEach(({ startYear, lines }) => {
+        zones.set(timeZone, Math.min(zones.get(timeZone) ?? startYear, startYear));
+        events.push(lines);
+      });
+    });
+
+  const nowYear = now.getUTCFullYear();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(user?.timezone ? [`X-WR-TIMEZONE:${user.timezone}`] : []),
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  zones.forEach((startYear, timeZone) => {
+    lines.push(...buildTimeZone(timeZone, Math.min(startYear, nowYear - 1), nowYear + 2));
+  });
+  events.forEach(event => lines.push(...event));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,466 @@
+const Routine = require('../models/Routine');
+const { isValidTimeZone, getZonedParts, getTimeZoneOffset, zonedTimeToUtc, addDays } = require('./timezone');
+const { resolveTimeZone } = require('./occurrences');
+
+// Turns the VEVENTs of an .ics file into routine documents. Every event
+// is converted separately and reports what could not be carried over:
+// `problems` keep it from being imported, `warnings` mean it was
+// approximated.
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCY_MAP = {
+  MINUTELY: 'minutely',
+  HOURLY: 'hourly',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly'
+};
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYHOUR', 'BYMINUTE', 'BYSECOND', 'WKST'];
+const CATEGORIES = Routine.schema.path('category').enumValues;
+const MAX_COUNT = 1000;
+const MAX_EVENTS = 500;
+const DAY_MINUTES = 24 * 60;
+const ALL_DAY_MINUTES = 9 * 60; // When all-day events ring
+
+const pad = (value) => String(value).padStart(2, '0');
+const formatDate = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+const formatTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// Splits on `separator` outside double quotes
+const splitOutsideQuotes = (value, separator) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of value) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts;
+};
+
+// NAME;PARAM=value:content -> { name, params, value }
+const parseContentLine = (line) => {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...params] = splitOutsideQuotes(line.slice(0, colon), ';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, ...value] = param.split('=');
+      return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+    })),
+    value: line.slice(colon + 1)
+  };
+};
+
+// VEVENTs with their properties (name -> list) and VALARMs
+const parseCalendar = (text) => {
+  const lines = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  const events = [];
+  const stack = [];
+
+  lines.forEach(line => {
+    const property = line.trim() && parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      stack.push({ type: property.value.toUpperCase(), properties: {}, alarms: [] });
+      return;
+    }
+
+    if (property.name === 'END') {
+      const component = stack.pop();
+      const parent = stack[stack.length - 1];
+      if (component?.type === 'VEVENT') events.push(component);
+      if (component?.type === 'VALARM' && parent?.type === 'VEVENT') parent.alarms.push(component);
+      return;
+    }
+
+    const component = stack[stack.length - 1];
+    if (!component) return;
+    (component.properties[property.name] = component.properties[property.name] || []).push(property);
+  });
+
+  return events;
+};
+
+const first = (event, name) => event.properties[name]?.[0];
+
+// DATE or DATE-TIME value as written ({ date, minutes }), the instant it
+// names and, for UTC values, the minutes from the written to the local clock.
+// Date-only values are read at `allDayMinutes`.
+const parseDateValue = (value, timeZone, allDayMinutes = 0) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const date = addDays({ year: Number(year), month: Number(month), day: Number(day) }, 0);
+  const allDay = hour === undefined;
+  const minutes = allDay ? allDayMinutes : Number(hour) * 60 + Number(minute);
+  const clock = { ...date, hour: Math.floor(minutes / 60), minute: minutes % 60 };
+  const instant = utc
+    ? new Date(Date.UTC(date.year, date.month - 1, date.day, clock.hour, clock.minute))
+    : zonedTimeToUtc(clock, timeZone);
+
+  return { date, minutes, allDay, utc: !!utc, instant, shift: utc ? getTimeZoneOffset(instant, timeZone) : 0 };
+};
+
+// Local date and minutes when an alarm `lead` minutes before `instant` rings
+const getFireTime = (instant, lead, timeZone) => {
+  const local = getZonedParts(new Date(instant.getTime() - lead * 60000), timeZone);
+  return { date: addDays(local, 0), minutes: local.hour * 60 + local.minute };
+};
+
+// IANA zone of a TZID; Outlook and some exporters prefix or rename them
+const resolveEventTimeZone = (tzid, fallback, warnings) => {
+  if (!tzid) return fallback;
+  if (isValidTimeZone(tzid)) return tzid;
+
+  const suffix = /([A-Za-z_]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?)$/.exec(tzid)?.[1];
+  if (suffix && isValidTimeZone(suffix)) return suffix;
+
+  warnings.push(`Unknown time zone "${tzid}", times are read in your time zone`);
+  return fallback;
+};
+
+// Signed ISO 8601 duration in minutes, e.g. -PT15M -> -15
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+  const total = Number(weeks) * 7 * DAY_MINUTES + Number(days) * DAY_MINUTES + Number(hours) * 60 + Number(minutes);
+  return sign === '-' ? -total : total;
+};
+
+// Minutes the routine should ring before the event start: the earliest
+// display/audio reminder relative to the start
+const getAlarmLead = (event, warnings) => {
+  const leads = [];
+
+  event.alarms.forEach(alarm => {
+    const trigger = first(alarm, 'TRIGGER');
+    if (!trigger) return;
+
+    if (trigger.params.VALUE === 'DATE-TIME') {
+      warnings.push('Reminders at a fixed date and time were ignored');
+      return;
+    }
+
+    const offset = parseDuration(trigger.value);
+    if (offset === null) return;
+    if (trigger.params.RELATED === 'END') {
+      warnings.push('A reminder relative to the event end was measured from its start');
+    }
+    leads.push(-offset);
+  });
+
+  if (leads.length > 1) {
+    warnings.push('Only the earliest of several reminders is used');
+  }
+  return leads.length > 0 ? Math.max(...leads) : 0;
+};
+
+const parseRule = (value) => Object.fromEntries(value.split(';')
+  .filter(Boolean)
+  .map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=').toUpperCase()];
+  }));
+
+const parseNumbers = (value) => (value ? value.split(',').map(Number) : []);
+
+// BYDAY list -> plain weekdays and { weekday, nth } entries
+const parseWeekdays = (value, problems) => {
+  const weekdays = [];
+  const nthWeekdays = [];
+
+  (value ? value.split(',') : []).forEach(entry => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+    if (!match) {
+      problems.push(`Unrecognized weekday "${entry}"`);
+      return;
+    }
+
+    const weekday = WEEKDAY_CODES.indexOf(match[2]);
+    if (match[1] === undefined) {
+      weekdays.push(weekday);
+      return;
+    }
+
+    const nth = Number(match[1]);
+    if ((nth >= 1 && nth <= 5) || nth === -1) {
+      nthWeekdays.push({ weekday, nth });
+    } else {
+      problems.push(`"${entry}" (the ${nth}th weekday) can't be represented`);
+    }
+  });
+
+  return { weekdays, nthWeekdays };
+};
+
+const shiftWeekdays = (weekdays, days) => weekdays.map(weekday => (((weekday + days) % 7) + 7) % 7);
+
+// Schedule fields of a routine from DTSTART, RRULE, EXDATE and the reminder lead
+const convertSchedule = (event, start, timeZone, lead, warnings, problems) => {
+  const ruleProperty = first(event, 'RRULE');
+  if (!ruleProperty) {
+    const fire = getFireTime(start.instant, lead, timeZone);
+    if (start.instant.getTime() - lead * 60000 <= Date.now()) {
+      problems.push('One-time event that is already over');
+      return null;
+    }
+    return {
+      recurrence: { frequency: 'daily', times: [formatTime(fire.minutes)], startDate: formatDate(fire.date), count: 1 }
+    };
+  }
+
+  if (event.properties.RDATE) warnings.push('Extra dates (RDATE) were ignored');
+
+  const rule = parseRule(ruleProperty.value);
+  const frequency = FREQUENCY_MAP[rule.FREQ];
+  if (!frequency) {
+    problems.push(`Repeating ${String(rule.FREQ || 'without a frequency').toLowerCase()} is not supported`);
+    return null;
+  }
+
+  Object.keys(rule)
+    .filter(part => !SUPPORTED_RULE_PARTS.includes(part))
+    .forEach(part => problems.push(`Rule part ${part} can't be represented`));
+  if (parseNumbers(rule.BYSECOND).some(second => second !== 0)) {
+    problems.push('Alarms at specific seconds are not supported');
+  }
+
+  const interval = Number(rule.INTERVAL || 1);
+  const { weekdays, nthWeekdays } = parseWeekdays(rule.BYDAY, problems);
+  const byMonthDay = parseNumbers(rule.BYMONTHDAY);
+  const byMonth = parseNumbers(rule.BYMONTH);
+  const byHour = parseNumbers(rule.BYHOUR);
+  const byMinute = parseNumbers(rule.BYMINUTE);
+  const monthBased = frequency === 'monthly' || frequency === 'yearly';
+  const stepped = frequency === 'minutely' || frequency === 'hourly';
+
+  // Times on the written clock, moved to the local clock and by the
+  // reminder lead. They all have to land on the same day, which may
+  // differ from the written one (weekdays then move along).
+  const writtenTimes = stepped
+    ? [start.minutes]
+    : (byHour.length > 0 ? byHour : [Math.floor(start.minutes / 60)])
+      .flatMap(hour => (byMinute.length > 0 ? byMinute : [start.minutes % 60]).map(minute => hour * 60 + minute));
+  const fireTimes = writtenTimes.map(time => time + start.shift - lead);
+  const dayShift = Math.floor(fireTimes[0] / DAY_MINUTES);
+  const times = [...new Set(fireTimes.map(time => time - Math.floor(time / DAY_MINUTES) * DAY_MINUTES))]
+    .sort((a, b) => a - b);
+  const startDate = addDays(start.date, dayShift);
+
+  if (fireTimes.some(time => Math.floor(time / DAY_MINUTES) !== dayShift)) {
+    problems.push('The reminder or time zone moves some times to another day');
+  }
+  if (nthWeekdays.length > 0 && !monthBased) {
+    problems.push('Numbered weekdays only work with monthly or yearly repeats');
+  }
+  if (monthBased && weekdays.length > 0) {
+    problems.push('Every matching weekday of a month can\'t be represented; use a weekly repeat');
+  }
+  if (frequency === 'yearly' && nthWeekdays.length > 0 && byMonth.length === 0) {
+    problems.push('Numbered weekdays of the whole year can\'t be represented');
+  }
+  if (monthBased && dayShift !== 0) {
+    problems.push('The reminder or time zone moves the alarm to another day than the event');
+  }
+  if (byMonthDay.length > 0 && nthWeekdays.length > 0) {
+    warnings.push('Month days and numbered weekdays are combined (either matches) instead of both having to match');
+  }
+  if (frequency === 'weekly' && interval > 1 && rule.WKST && rule.WKST !== 'SU') {
+    warnings.push('Weeks are counted from Sunday');
+  }
+  if (start.utc) {
+    const year = start.date.year;
+    const january = getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone);
+    const july = getTimeZoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone);
+    if (january !== july) warnings.push('Times given in UTC keep their local time across daylight saving changes');
+  }
+
+  const recurrence = { frequency, interval };
+
+  if (stepped) {
+    const step = interval * (frequency === 'hourly' ? 60 : 1);
+    if (byMinute.length > 0) problems.push('Minute filters on minutely or hourly repeats are not supported');
+    if (DAY_MINUTES % step !== 0) warnings.push('Repeats restart at the window start every day');
+
+    // Without BYHOUR the repeats run around the clock
+    const windowStart = byHour.length > 0 ? times[0] : times[0] % step;
+    const windowEnd = byHour.length > 0
+      ? Math.max(...byHour) * 60 + 59 + start.shift - lead - dayShift * DAY_MINUTES
+      : DAY_MINUTES - 1;
+    if (windowEnd < windowStart || windowEnd >= DAY_MINUTES) {
+      problems.push('The reminder or time zone moves the repeating window across midnight');
+    }
+    recurrence.windowStart = formatTime(windowStart);
+    recurrence.windowEnd = formatTime(Math.min(Math.max(windowEnd, windowStart), DAY_MINUTES - 1));
+  } else {
+    recurrence.times = times.map(formatTime);
+  }
+
+  if (weekdays.length > 0) recurrence.byWeekday = shiftWeekdays(weekdays, dayShift);
+  if (byMonthDay.length > 0) recurrence.byMonthDay = byMonthDay;
+  if (nthWeekdays.length > 0) recurrence.byNthWeekday = nthWeekdays;
+  if (byMonth.length > 0) recurrence.byMonth = byMonth;
+  recurrence.startDate = formatDate(startDate);
+
+  if (rule.COUNT) {
+    recurrence.count = Math.min(Number(rule.COUNT), MAX_COUNT);
+    if (Number(rule.COUNT) > MAX_COUNT) warnings.push(`Only the first ${MAX_COUNT} occurrences are kept`);
+  }
+
+  if (rule.UNTIL) {
+    const until = parseDateValue(rule.UNTIL, timeZone, DAY_MINUTES - 1);
+    if (!until) {
+      problems.push(`Unreadable end date "${rule.UNTIL}"`);
+    } else {
+      // The last day only counts if its first alarm rings before UNTIL
+      const last = getFireTime(until.instant, lead, timeZone);
+      recurrence.endDate = formatDate(last.minutes < times[0] ? addDays(last.date, -1) : last.date);
+    }
+  }
+
+  const excludeDates = (event.properties.EXDATE || []).flatMap(property => {
+    const exdateZone = resolveEventTimeZone(property.params.TZID, timeZone, []);
+    return property.value.split(',').map(value => parseDateValue(value, exdateZone, start.minutes));
+  });
+  if (excludeDates.length > 0) {
+    // Written like DTSTART they move with it; otherwise go by the instant
+    recurrence.excludeDates = [...new Set(excludeDates
+      .filter(Boolean)
+      .map(excluded => formatDate(excluded.utc === start.utc
+        ? addDays(excluded.date, dayShift)
+        : getFireTime(excluded.instant, lead, timeZone).date)))];
+  }
+
+  // Plain weekly repeats fit the simple weekly schedule
+  const isPlainWeekly = frequency === 'weekly' && interval === 1 && times.length === 1 &&
+    !recurrence.count && !recurrence.endDate && !recurrence.excludeDates;
+  if (isPlainWeekly) {
+    return { schedule: [{ time: recurrence.times[0], days: recurrence.byWeekday || [startDate.weekday] }] };
+  }
+
+  return { recurrence };
+};
+
+// ICS priority 1-4 is high, 5 medium, 6-9 low; 0 means undefined
+const convertPriority = (value) => {
+  const priority = Number(value);
+  if (!priority) return undefined;
+  if (priority <= 4) return 3;
+  return priority === 5 ? 2 : 1;
+};
+
+const convertEvent = (event, user, index) => {
+  const warnings = [];
+  const problems = [];
+  const uid = first(event, 'UID')?.value || null;
+  const summary = unescapeText(first(event, 'SUMMARY')?.value || '').trim();
+  const description = unescapeText(first(event, 'DESCRIPTION')?.value || '').trim();
+  const result = { index, uid, summary: summary || 'Untitled event', status: 'ok', warnings, problems, routine: null };
+
+  const dtstart = first(event, 'DTSTART');
+  if (first(event, 'RECURRENCE-ID')) {
+    problems.push('Changes to a single occurrence of a repeating event can\'t be imported');
+  }
+  if (first(event, 'STATUS')?.value.toUpperCase() === 'CANCELLED') {
+    problems.push('The event is cancelled');
+  }
+  if (!dtstart) {
+    problems.push('The event has no start time');
+  }
+
+  if (problems.length === 0) {
+    const userTimeZone = resolveTimeZone(null, user);
+    const timeZone = resolveEventTimeZone(dtstart.params.TZID, userTimeZone, warnings);
+    const start = parseDateValue(dtstart.value, timeZone, ALL_DAY_MINUTES);
+
+    if (!start) {
+      problems.push(`Unreadable start time "${dtstart.value}"`);
+    } else {
+      if (start.allDay) {
+        warnings.push(`All-day event, the alarm rings at ${formatTime(ALL_DAY_MINUTES)}`);
+      }
+
+      const lead = getAlarmLead(event, warnings);
+      const schedule = convertSchedule(event, start, timeZone, lead, warnings, problems);
+
+      if (summary.length > 100) warnings.push('The title was shortened to 100 characters');
+      if (description.length > 500) warnings.push('The description was shortened to 500 characters');
+
+      const category = (first(event, 'CATEGORIES')?.value || '')
+        .split(',')
+        .map(value => unescapeText(value).trim().toLowerCase())
+        .find(value => CATEGORIES.includes(value));
+
+      result.routine = {
+        title: result.summary.slice(0, 100),
+        description: (description || result.summary).slice(0, 500),
+        category: category || 'personal',
+        ...(convertPriority(first(event, 'PRIORITY')?.value) ? { priority: convertPriority(first(event, 'PRIORITY').value) } : {}),
+        ...(timeZone !== userTimeZone ? { timezone: timeZone } : {}),
+        ...schedule
+      };
+    }
+  }
+
+  if (problems.length === 0) {
+    const validationError = new Routine({ ...result.routine, user: user._id }).validateSync();
+    if (validationError) {
+      problems.push(...Object.values(validationError.errors).map(error => error.message));
+    }
+  }
+
+  if (problems.length > 0) {
+    result.status = 'unsupported';
+    result.routine = null;
+  } else if (warnings.length > 0) {
+    result.status = 'approximate';
+  }
+
+  return result;
+};
+
+// Preview of every event in the file, in file order
+const convertCalendar = (text, user) => {
+  const events = parseCalendar(text);
+  if (events.length > MAX_EVENTS) {
+    throw new Error(`Calendars can have at most ${MAX_EVENTS} events per import`);
+  }
+  return events.map((event, index) => convertEvent(event, user, index));
+};
+
+module.exports = {
+  parseCalendar,
+  convertCalendar
+};
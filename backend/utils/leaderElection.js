@@ -0,0 +1,133 @@
+const os = require('os');
+const crypto = require('crypto');
+const SchedulerLease = require('../models/SchedulerLease');
+
+// Unique per process, so two instances on the same host never share a lease
+const createInstanceId = () => {
+  return `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+};
+
+// Lease-based leader election. Every instance tries to acquire or renew the
+// named lease every `renewMs`; the holder stays leader while it keeps renewing
+// before `ttlMs` runs out. If the leader dies, its lease expires and another
+// instance takes over on its next attempt.
+class LeaderElector {
+  constructor({
+    name,
+    instanceId = createInstanceId(),
+    ttlMs = 30 * 1000,
+    renewMs = 10 * 1000,
+    onElected = () => {},
+    onRevoked = () => {}
+  }) {
+    this.name = name;
+    this.instanceId = instanceId;
+    this.ttlMs = ttlMs;
+    this.renewMs = renewMs;
+    this.onElected = onElected;
+    this.onRevoked = onRevoked;
+    this.isLeader = false;
+    this.leaseExpiresAt = null;
+    this.interval = null;
+  }
+
+  async start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => {
+      this.tryAcquire().catch(error => {
+        console.error(`❌ Leader election for ${this.name} failed:`, error);
+      });
+    }, this.renewMs);
+    if (this.interval.unref) this.interval.unref();
+
+    await this.tryAcquire();
+  }
+
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+
+    if (this.isLeader) {
+      this.setLeader(false);
+      // Release right away so another instance does not wait for the TTL
+      await SchedulerLease.deleteOne({ name: this.name, owner: this.instanceId });
+      console.log(`👋 Released ${this.name} lease`);
+    }
+  }
+
+  // Take the lease if it is free, expired or already ours
+  async tryAcquire() {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.ttlMs);
+
+    try {
+      const lease = await SchedulerLease.findOneAndUpdate(
+        {
+          name: this.name,
+          $or: [
+            { owner: this.instanceId },
+            { expiresAt: { $lt: now } }
+          ]
+        },
+        {
+          $set: { owner: this.instanceId, expiresAt },
+          $setOnInsert: { acquiredAt: now }
+        },
+        { upsert: true, new: true }
+      );
+
+      if (lease.owner !== this.instanceId) {
+        this.setLeader(false);
+        return false;
+      }
+
+      if (!this.isLeader) {
+        await SchedulerLease.updateOne({ _id: lease._id }, { $set: { acquiredAt: now } });
+      }
+
+      this.leaseExpiresAt = expiresAt;
+      this.setLeader(true);
+      return true;
+    } catch (error) {
+      // Duplicate key: the lease exists and another instance holds it
+      if (error.code === 11000) {
+        this.setLeader(false);
+        return false;
+      }
+
+      // Database trouble - keep leading only while our last lease is still valid
+      if (this.isLeader && (!this.leaseExpiresAt || this.leaseExpiresAt <= new Date())) {
+        this.setLeader(false);
+      }
+      throw error;
+    }
+  }
+
+  setLeader(isLeader) {
+    if (isLeader === this.isLeader) return;
+
+    this.isLeader = isLeader;
+    if (isLeader) {
+      console.log(`👑 ${this.instanceId} is now leader for ${this.name}`);
+      this.onElected();
+    } else {
+      this.leaseExpiresAt = null;
+      console.log(`🪑 ${this.instanceId} is no longer leader for ${this.name}`);
+      this.onRevoked();
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
+      leaseExpiresAt: this.leaseExpiresAt
+    };
+  }
+}
+
+module.exports = LeaderElector;
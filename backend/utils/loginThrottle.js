@@ -0,0 +1,112 @@
+const User = require('../models/User');
+
+// Per-account brute-force protection. The first few wrong passwords are
+// free; after that each retry has to wait twice as long as the last one,
+// and enough failures lock the account for a while, even for the right
+// password. A successful sign-in or password reset clears the counters.
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 5 * 60;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+const delaySeconds = (failedAttempts) => (failedAttempts < FREE_ATTEMPTS
+  ? 0
+  : Math.min(2 ** (failedAttempts - FREE_ATTEMPTS), MAX_DELAY_SECONDS));
+
+// Whether the account may try to sign in now. Returns
+// { allowed: true } or { allowed: false, locked, retryAt }.
+const checkLoginAllowed = (user, now = new Date()) => {
+  const { failedAttempts = 0, lastFailedAt, lockedUntil } = user.loginSecurity || {};
+
+  if (lockedUntil && lockedUntil > now) {
+    return { allowed: false, locked: true, retryAt: lockedUntil };
+  }
+
+  // An expired lockout starts over
+  if (lockedUntil || !lastFailedAt) return { allowed: true };
+
+  const retryAt = new Date(lastFailedAt.getTime() + delaySeconds(failedAttempts) * 1000);
+  return retryAt > now ? { allowed: false, locked: false, retryAt } : { allowed: true };
+};
+
+// Count a failed password or 2FA code; returns what the account may do next
+const recordFailedLogin = async (user) => {
+  const now = new Date();
+  const expiredLock = user.loginSecurity?.lockedUntil && user.loginSecurity.lockedUntil <= now;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    expiredLock
+      ? { $set: { 'loginSecurity.failedAttempts': 1, 'loginSecurity.lastFailedAt': now }, $unset: { 'loginSecurity.lockedUntil': 1 } }
+      : { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+    { new: true }
+  ).select('email loginSecurity');
+
+  if (updated.loginSecurity.failedAttempts >= LOCKOUT_THRESHOLD && !updated.loginSecurity.lockedUntil) {
+    updated.loginSecurity.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+    await User.updateOne({ _id: user._id }, { $set: { 'loginSecurity.lockedUntil': updated.loginSecurity.lockedUntil } });
+    console.warn(`🔒 ${updated.email} locked for ${LOCKOUT_MINUTES} minutes after ${updated.loginSecurity.failedAttempts} failed sign-ins`);
+  }
+
+  return checkLoginAllowed(updated, now);
+};
+
+// Emails without an account go through the same delays and lockout, so
+// the answers don't reveal which emails are registered. Their counters are
+// kept in memory (per instance, like the IP limits), oldest dropped first.
+const MAX_TRACKED_UNKNOWN_EMAILS = 10000;
+const unknownEmailLogins = new Map();
+
+const unknownEmailKey = (email) => String(email || '').trim().toLowerCase();
+
+const checkUnknownEmailAllowed = (email, now = new Date()) => checkLoginAllowed(
+  { loginSecurity: unknownEmailLogins.get(unknownEmailKey(email)) },
+  now
+);
+
+// recordFailedLogin for an email without an account
+const recordUnknownEmailLogin = (email, now = new Date()) => {
+  const key = unknownEmailKey(email);
+  const previous = unknownEmailLogins.get(key) || { failedAttempts: 0 };
+  const expiredLock = previous.lockedUntil && previous.lockedUntil <= now;
+
+  const loginSecurity = expiredLock
+    ? { failedAttempts: 1, lastFailedAt: now }
+    : { ...previous, failedAttempts: previous.failedAttempts + 1, lastFailedAt: now };
+  if (loginSecurity.failedAttempts >= LOCKOUT_THRESHOLD && !loginSecurity.lockedUntil) {
+    loginSecurity.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  }
+
+  // Re-insert so the Map stays ordered from least to most recently used
+  unknownEmailLogins.delete(key);
+  unknownEmailLogins.set(key, loginSecurity);
+  if (unknownEmailLogins.size > MAX_TRACKED_UNKNOWN_EMAILS) {
+    unknownEmailLogins.delete(unknownEmailLogins.keys().next().value);
+  }
+
+  return checkLoginAllowed({ loginSecurity }, now);
+};
+
+// Answer a refused attempt: 423 while locked, 429 while throttled
+const sendLoginRefused = (res, { locked, retryAt }) => {
+  const retryAfter = Math.max(Math.ceil((retryAt.getTime() - Date.now()) / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+
+  const minutes = Math.ceil(retryAfter / 60);
+  return res.status(locked ? 423 : 429).json({
+    success: false,
+    locked,
+    retryAfter,
+    message: locked
+      ? `Too many failed sign-in attempts. Your account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}, or reset your password to unlock it now.`
+      : `Too many failed sign-in attempts. Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} before trying again.`
+  });
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  checkUnknownEmailAllowed,
+  recordUnknownEmailLogin,
+  sendLoginRefused
+};
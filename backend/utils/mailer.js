@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Outgoing mail goes through one transport, picked with MAIL_TRANSPORT:
+//   console - log the message (default)
+//   memory  - keep it in an in-process outbox, for tests
+//   file    - append it as a JSON line to MAIL_FILE
+// A real provider can be plugged in with setTransport({ send }).
+const outbox = [];
+
+const transports = {
+  console: {
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  },
+  memory: {
+    send: async (message) => {
+      outbox.push(message);
+    }
+  },
+  file: {
+    send: async (message) => {
+      const file = process.env.MAIL_FILE || path.join(os.tmpdir(), 'notifyflow-mail.jsonl');
+      await fs.promises.appendFile(file, `${JSON.stringify(message)}\n`);
+    }
+  }
+};
+
+let customTransport = null;
+
+const setTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transports[name];
+};
+
+// Send { to, subject, text }. The sender comes from MAIL_FROM.
+const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'NotifyFlow <no-reply@notifyflow.local>',
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString()
+  };
+
+  await getTransport().send(message);
+  return message;
+};
+
+const getOutbox = () => outbox;
+
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getOutbox,
+  clearOutbox
+};
@@ -0,0 +1,48 @@
+const UserMetric = require('../models/UserMetric');
+const { handleSequenceResponse } = require('./sequenceRunner');
+
+// Side effects of a user response, shared by the REST endpoint and the socket
+// handler. `result` is what Notification#applyUserResponse returned.
+const finishNotificationResponse = async ({ notification, result, userId, responseTime = 0, scheduler }) => {
+  if (result.duplicate) return;
+
+  const routineId = notification.routine?._id || notification.routine;
+
+  // A refused snooze is not a response; everything else counts
+  if (result.action !== 'escalated') {
+    try {
+      await UserMetric.updateForResponse(userId, result.action, responseTime);
+    } catch (metricError) {
+      console.warn('⚠️ Could not update user metrics:', metricError.message);
+    }
+  }
+
+  if (!scheduler || !routineId) return;
+
+  if (result.action === 'completed' || result.action === 'snoozed') {
+    await scheduler.updateAdaptiveTiming(routineId, notification, { snoozeMinutes: result.snoozeMinutes });
+  }
+
+  // Interval routines count the next alarm from this response
+  if (result.action === 'completed' || result.action === 'snoozed') {
+    await scheduler.reanchorIntervalRoutine(
+      routineId,
+      result.action === 'snoozed' ? notification.snoozedUntil : new Date()
+    );
+  }
+
+  // Completing a sequence step starts the next routine of the sequence
+  if (['completed', 'dismissed', 'ignored'].includes(result.action)) {
+    await handleSequenceResponse(notification, result.action, scheduler);
+  }
+
+  // Snooze limit reached: put the alarm back on the user's screen
+  if (result.escalated === 'force' || result.escalated === 'urgent') {
+    console.log(`🚨 Snooze limit reached for ${notification.title}, escalating (${result.escalated})`);
+    scheduler.emitNotification(notification, notification.routine?._id ? notification.routine : null);
+  }
+};
+
+module.exports = {
+  finishNotificationResponse
+};
@@ -2,11 +2,70 @@ const cron = require('node-cron');
 const Routine = require('../models/Routine');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const Team = require('../models/Team');
+const SchedulerState = require('../models/SchedulerState');
+const UserMetric = require('../models/UserMetric');
+const TimerWheel = require('./timerWheel');
+const LeaderElector = require('./leaderElection');
+const {
+  resolveTimeZone,
+  getOccurrencesBetween
+} = require('./occurrences');
+const {
+  getVacationWindow,
+  isHeld,
+  getDeliverableOccurrences
+} = require('./routineHolds');
+const {
+  resolveEscalationChain,
+  getNextEscalationAt,
+  applyEscalationStep
+} = require('./escalationChains');
+const { getDndDecision } = require('./quietHours');
+const {
+  getBucketKey,
+  getResponseOffset,
+  learnFromResponse,
+  getAdjustment
+} = require('./adaptiveTiming');
+const { planOccurrence } = require('./upcoming');
+const {
+  handleSequenceDelivery,
+  handleSequenceResponse,
+  processSequenceTimeouts
+} = require('./sequenceRunner');
+
+const SCHEDULER_STATE_KEY = 'routine-scheduler';
+const SCHEDULER_LEASE_NAME = 'notification-dispatcher';
+const LEASE_TTL_MS = parseInt(process.env.SCHEDULER_LEASE_TTL_MS) || 30 * 1000; // Failover delay if the leader dies
+const LEASE_RENEW_MS = Math.floor(LEASE_TTL_MS / 3);
+const MAX_CATCH_UP_MS = 24 * 60 * 60 * 1000; // Never look back further than a day
+const QUEUE_SIZE = parseInt(process.env.NOTIFICATION_QUEUE_SIZE) || 5; // Upcoming occurrences kept per routine
+const DISPATCH_LOOKAHEAD_MS = 2 * 60 * 1000; // Load notifications due this soon into the timer wheel
+const OVERDUE_GRACE_MS = 60 * 1000; // Pending rows older than this were missed by the dispatcher
+const DND_USER_FIELDS = 'timezone preferences dndUntil'; // What quiet-hours decisions need from the user
+// How each Do-Not-Disturb decision is recorded on the notification
+const DND_RECORDED_ACTIONS = {
+  suppress: 'suppressed',
+  defer: 'deferred',
+  silent: 'silent',
+  breakthrough: 'breakthrough'
+};
 
 class NotificationScheduler {
   constructor(io) {
     this.io = io;
     this.isRunning = false;
+    this.isChecking = false;
+    this.cronJobs = [];
+    this.timerWheel = new TimerWheel({ tickMs: 1000, slotCount: 60 });
+    this.elector = new LeaderElector({
+      name: SCHEDULER_LEASE_NAME,
+      ttlMs: LEASE_TTL_MS,
+      renewMs: LEASE_RENEW_MS,
+      onElected: () => this.startLeaderJobs(),
+      onRevoked: () => this.stopLeaderJobs()
+    });
     console.log('🔔 Notification Scheduler initialized');
   }
 
@@ -17,45 +76,99 @@ class NotificationScheduler {
     }
     
     console.log('🚀 Starting notification scheduler...');
+
+    // Only the instance holding the lease runs the timed jobs below
+    this.elector.start().catch(error => {
+      console.error('❌ Error starting leader election:', error);
+    });
+    
+    this.isRunning = true;
+    console.log('✅ Notification scheduler started successfully');
+  }
+
+  // Called when this instance becomes leader
+  startLeaderJobs() {
+    if (this.cronJobs.length > 0) return;
+
+    // Fires queued notifications at their exact scheduledFor time
+    this.timerWheel.start();
     
-    // Check for due notifications every minute
-    cron.schedule('* * * * *', async () => {
+    // Load notifications that are about to become due every minute
+    this.cronJobs.push(cron.schedule('* * * * *', async () => {
       try {
-        await this.checkScheduledRoutines();
+        await this.loadDueNotifications();
       } catch (error) {
         console.error('❌ Error in cron job:', error);
       }
-    });
+    }));
+
+    // Top up every routine's queue hourly as a safety net
+    this.cronJobs.push(cron.schedule('0 * * * *', async () => {
+      try {
+        await this.replenishQueue();
+      } catch (error) {
+        console.error('❌ Error replenishing notification queue:', error);
+      }
+    }));
     
     // Check for snoozed notifications every 30 seconds
-    cron.schedule('*/30 * * * * *', async () => {
+    this.cronJobs.push(cron.schedule('*/30 * * * * *', async () => {
       try {
         await this.checkSnoozedNotifications();
       } catch (error) {
         console.error('❌ Error checking snoozed notifications:', error);
       }
-    });
+    }));
+
+    // Re-ring or give up on delivered alarms nobody answered
+    this.cronJobs.push(cron.schedule('*/30 * * * * *', async () => {
+      try {
+        await this.processEscalations();
+      } catch (error) {
+        console.error('❌ Error processing escalations:', error);
+      }
+    }));
+
+    // Start the next routine of sequences whose current step timed out
+    this.cronJobs.push(cron.schedule('* * * * *', async () => {
+      try {
+        await processSequenceTimeouts(this);
+      } catch (error) {
+        console.error('❌ Error processing sequence timeouts:', error);
+      }
+    }));
     
     // Clean up old notifications daily at midnight
-    cron.schedule('0 0 * * *', async () => {
+    this.cronJobs.push(cron.schedule('0 0 * * *', async () => {
       try {
         await this.cleanupOldNotifications();
       } catch (error) {
         console.error('❌ Error cleaning up notifications:', error);
       }
+    }));
+    
+    // Rebuild the queue and catch up on anything missed while no instance was leading
+    this.checkScheduledRoutines().catch(error => {
+      console.error('❌ Error in startup catch-up:', error);
     });
     
     // Test scheduler immediately on startup
     setTimeout(async () => {
       try {
-        await this.testScheduler();
+        if (this.elector.isLeader) await this.testScheduler();
       } catch (error) {
         console.error('❌ Scheduler test failed:', error);
       }
     }, 5000);
-    
-    this.isRunning = true;
-    console.log('✅ Notification scheduler started successfully');
+  }
+
+  // Called when this instance loses the lease; timers already in the wheel
+  // are dropped, the new leader reloads them from the queue
+  stopLeaderJobs() {
+    this.cronJobs.forEach(job => job.stop());
+    this.cronJobs = [];
+    this.timerWheel.stop();
+    this.timerWheel.clear();
   }
 
   async testScheduler() {
@@ -102,177 +215,628 @@ class NotificationScheduler {
     }
   }
 
+  // Full pass: rebuild every routine's queue, then load whatever is due
   async checkScheduledRoutines() {
+    // A slow pass must not overlap the next one; the next pass catches up instead
+    if (this.isChecking) {
+      console.log('⏭️ Previous scheduler check still running, skipping this tick');
+      return;
+    }
+
+    this.isChecking = true;
+
     try {
-      const now = new Date();
-      const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-      const currentDay = now.getDay();
-      const currentDateTime = now;
+      await this.replenishQueue();
+      await this.loadDueNotifications();
+    } catch (error) {
+      console.error('❌ Error checking scheduled routines:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
 
-      console.log(`⏰ Checking routines at ${currentTime} (Day ${currentDay})`);
+  // Materialize upcoming occurrences for all active routines. Occurrences
+  // since the last evaluated minute are materialized too, so alarms missed
+  // during downtime end up as overdue rows the dispatcher applies policy to.
+  async replenishQueue() {
+    const now = new Date();
+    const currentMinute = new Date(now);
+    currentMinute.setSeconds(0, 0);
 
-      // Find active routines with matching schedule for current time
-      const activeRoutines = await Routine.find({
-        isActive: true,
-        $or: [
-          {
-            'schedule': {
-              $elemMatch: {
-                time: currentTime,
-                days: currentDay
-              }
-            }
-          },
-          {
-            'schedule.time': currentTime,
-            'schedule.days': currentDay
-          }
-        ]
-      }).populate('user');
+    await this.clearExpiredHolds(now);
 
-      console.log(`📋 Found ${activeRoutines.length} due routines`);
+    const state = await SchedulerState.findOne({ key: SCHEDULER_STATE_KEY });
+    const earliestStart = new Date(currentMinute.getTime() - MAX_CATCH_UP_MS);
+    let catchUpFrom = state?.lastEvaluatedMinute
+      ? new Date(state.lastEvaluatedMinute.getTime() + 60 * 1000)
+      : currentMinute;
 
-      if (activeRoutines.length > 0) {
-        for (const routine of activeRoutines) {
-          console.log(`📅 Processing routine: ${routine.title} for user ${routine.user?.email}`);
-          await this.createAndSendNotification(routine, currentDateTime);
-        }
+    if (catchUpFrom < earliestStart) {
+      catchUpFrom = earliestStart;
+    }
+
+    const activeRoutines = await Routine.find({
+      isActive: true,
+      $or: [
+        { kind: 'interval' },
+        { 'schedule.0': { $exists: true } },
+        { 'recurrence.frequency': { $exists: true } }
+      ]
+    }).populate('user');
+
+    let queued = 0;
+    for (const routine of activeRoutines) {
+      // Nothing is replayed from before the routine existed or was last
+      // changed; a re-timed routine would otherwise replay its new times
+      const from = new Date(Math.max(catchUpFrom, routine.createdAt || 0, routine.updatedAt || 0));
+      const occurrences = await this.materializeRoutine(routine, { from });
+      queued += occurrences.length;
+    }
+
+    console.log(`📋 Queue replenished: ${activeRoutines.length} routines, ${queued} occurrences tracked`);
+  }
+
+  // Pauses, skips and vacations that are over; the queue already resumed at
+  // their end, this only tidies up what the UI shows
+  async clearExpiredHolds(now = new Date()) {
+    await Routine.updateMany({ pausedUntil: { $lte: now } }, { $unset: { pausedUntil: 1 } });
+    await Routine.updateMany({ skipOccurrenceAt: { $lt: now } }, { $unset: { skipOccurrenceAt: 1 } });
+
+    const vacationers = await User.find({ 'vacation.endDate': { $exists: true } }).select('timezone vacation');
+    for (const user of vacationers) {
+      const vacation = getVacationWindow(user);
+      if (!vacation || vacation.end <= now) {
+        await User.updateOne({ _id: user._id }, { $unset: { vacation: 1 } });
+        console.log(`🏖️ Vacation mode ended for user ${user._id}`);
       }
-    } catch (error) {
-      console.error('❌ Error checking scheduled routines:', error);
     }
   }
 
-  async createAndSendNotification(routine, scheduledTime) {
+  // Keep the next QUEUE_SIZE occurrences of a routine as pending notifications,
+  // one per recipient. Paused, skipped and vacation occurrences are left out.
+  async materializeRoutine(routine, { from = new Date(), count = QUEUE_SIZE } = {}) {
     try {
-      console.log(`📝 Creating notification for routine: ${routine.title}`);
-      
-      // Check if a notification was already sent recently (within last 5 minutes)
-      const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-      const existingNotification = await Notification.findOne({
-        user: routine.user._id,
-        routine: routine._id,
-        scheduledFor: { $gte: fiveMinutesAgo },
-        status: { $in: ['pending', 'delivered', 'snoozed'] }
-      });
-
-      if (existingNotification) {
-        console.log(`⏭️ Skipping duplicate notification for ${routine.title} (already sent at ${existingNotification.scheduledFor})`);
-        return;
+      if (!routine.user?.email) {
+        await routine.populate('user');
       }
 
-      // Calculate adaptive timing based on routine's historical performance
-      let adjustedTime = scheduledTime;
-      let adaptiveAdjustment = 0;
-      
-      if (routine.adaptiveTiming?.enabled && routine.adaptiveTiming.adjustment) {
-        adaptiveAdjustment = routine.adaptiveTiming.adjustment || 0;
-        
-        if (adaptiveAdjustment !== 0) {
-          const adjustmentMs = adaptiveAdjustment * 60 * 1000;
-          adjustedTime = new Date(scheduledTime.getTime() + adjustmentMs);
-          console.log(`🕒 Applied ${adaptiveAdjustment}min adjustment for ${routine.title}`);
-        }
+      if (!routine.isActive || !routine.user) {
+        await this.clearQueuedNotifications(routine._id);
+        return [];
       }
 
-      // Create notification in database
-      const notification = new Notification({
-        user: routine.user._id,
+      const now = new Date();
+      // Team routines ring at the same moment for everyone, in the lead's time zone
+      const timeZone = resolveTimeZone(routine, routine.user);
+      const missed = from < now ? getOccurrencesBetween(routine, from, now, timeZone) : [];
+      const recipients = await this.getRecipients(routine);
+      const occurrencesByTime = new Map();
+
+      // Members who left the team or opted out lose their queued alarms
+      await Notification.deleteMany({
         routine: routine._id,
-        title: routine.title,
-        message: routine.description || `Time for ${routine.title}`,
-        type: 'alarm',
-        sound: routine.sound || 'chime',
-        volume: routine.volume || 0.7,
-        scheduledFor: adjustedTime,
         status: 'pending',
-        metadata: {
-          originalSchedule: `${scheduledTime.getHours()}:${scheduledTime.getMinutes().toString().padStart(2, '0')}`,
-          adaptiveAdjustment: adaptiveAdjustment
-        }
+        user: { $nin: recipients.map(recipient => recipient._id) }
       });
 
-      await notification.save();
-      console.log(`📝 Created notification in DB: ${notification.title} for ${routine.user.email}`);
+      // Queued rows pick up edits to the routine's title, sound, etc.
+      await Notification.updateMany(
+        { routine: routine._id, status: 'pending' },
+        { $set: this.buildNotificationContent(routine) }
+      );
+
+      for (const recipient of recipients) {
+        // Each recipient's own vacation holds their copy of the alarm
+        const heldMissed = missed.filter(o => isHeld(routine, recipient, o.at));
+        const upcoming = getDeliverableOccurrences(routine, recipient, now, count, timeZone);
+        const occurrences = [...missed.filter(o => !heldMissed.includes(o)), ...upcoming];
 
-      // Send real-time notification via Socket.io
-      await this.sendRealTimeNotification(notification, routine);
+        // Drop queued rows whose occurrence is no longer part of the schedule or is held
+        await Notification.deleteMany({
+          routine: routine._id,
+          user: recipient._id,
+          status: 'pending',
+          $or: [
+            { 'metadata.occurrenceAt': { $gte: now, $nin: upcoming.map(o => o.at) }, 'metadata.rescheduled': { $ne: true } },
+            { 'metadata.occurrenceAt': { $in: heldMissed.map(o => o.at) } }
+          ]
+        });
+
+        for (const occurrence of occurrences) {
+          occurrencesByTime.set(occurrence.at.getTime(), occurrence);
+
+          // Learned shift for this occurrence's weekday and hour
+          const { scheduledFor, adaptiveAdjustment } = planOccurrence(routine, occurrence.at, timeZone);
+          const occurrenceFilter = {
+            routine: routine._id,
+            user: recipient._id,
+            'metadata.occurrenceAt': occurrence.at
+          };
+
+          await Notification.updateOne(
+            occurrenceFilter,
+            {
+              $setOnInsert: {
+                ...this.buildNotificationContent(routine),
+                type: 'alarm',
+                status: 'pending',
+                scheduledFor,
+                'metadata.originalSchedule': occurrence.time,
+                'metadata.timezone': timeZone,
+                'metadata.adaptiveAdjustment': adaptiveAdjustment
+              }
+            },
+            { upsert: true }
+          );
 
+          // Queued rows follow the model as it learns (deferred and hand-moved rows stay put)
+          await Notification.updateOne(
+            { ...occurrenceFilter, status: 'pending', 'dnd.action': { $ne: 'deferred' }, 'metadata.rescheduled': { $ne: true } },
+            { $set: { scheduledFor, 'metadata.adaptiveAdjustment': adaptiveAdjustment } }
+          );
+        }
+      }
+
+      return [...occurrencesByTime.values()].sort((a, b) => a.at - b.at);
     } catch (error) {
-      console.error('❌ Error creating/sending notification:', error);
+      console.error(`❌ Error materializing routine ${routine.title}:`, error);
+      return [];
+    }
+  }
+
+  // Users who get a routine's alarms: its owner, or for team routines every
+  // active member who hasn't opted out
+  async getRecipients(routine) {
+    if (!routine.team) return routine.user.isActive ? [routine.user] : [];
+
+    const team = await Team.findById(routine.team).populate('members.user');
+    if (!team) return [];
+
+    const optedOut = (routine.optedOut || []).map(id => id.toString());
+    return team.members
+      .map(member => member.user)
+      .filter(user => user && user.isActive && !optedOut.includes(user._id.toString()));
+  }
+
+  buildNotificationContent(routine) {
+    return {
+      title: routine.title,
+      message: routine.description || `Time for ${routine.title}`,
+      sound: routine.sound || 'chime',
+      volume: routine.volume || 0.7
+    };
+  }
+
+  async clearQueuedNotifications(routineId) {
+    const result = await Notification.deleteMany({
+      routine: routineId,
+      status: { $in: ['pending', 'snoozed'] }
+    });
+
+    if (result.deletedCount > 0) {
+      console.log(`🗑️ Removed ${result.deletedCount} queued notifications for routine ${routineId}`);
+    }
+  }
+
+  // Hand pending notifications that are due soon to the timer wheel
+  async loadDueNotifications(filter = {}) {
+    const now = new Date();
+    const currentMinute = new Date(now);
+    currentMinute.setSeconds(0, 0);
+
+    const dueNotifications = await Notification.find({
+      ...filter,
+      status: 'pending',
+      scheduledFor: { $lte: new Date(now.getTime() + DISPATCH_LOOKAHEAD_MS) }
+    })
+      .sort({ scheduledFor: 1 })
+      .populate('routine');
+
+    let loaded = 0;
+    let overdue = 0;
+    // Targeted reloads come from routine changes, so existing timers are re-timed
+    const isFullPass = Object.keys(filter).length === 0;
+
+    for (const notification of dueNotifications) {
+      const id = notification._id.toString();
+      if (isFullPass && this.timerWheel.has(id)) continue;
+
+      if (notification.scheduledFor < new Date(now.getTime() - OVERDUE_GRACE_MS)) {
+        overdue++;
+        await this.handleOverdueNotification(notification, now);
+        continue;
+      }
+
+      this.timerWheel.schedule(id, notification.scheduledFor, () => this.dispatchNotification(id));
+      loaded++;
+    }
+
+    // Only the full minute pass advances the catch-up marker
+    if (isFullPass) {
+      await SchedulerState.updateOne(
+        { key: SCHEDULER_STATE_KEY },
+        { $set: { lastEvaluatedMinute: currentMinute } },
+        { upsert: true }
+      );
+      this.lastEvaluatedMinute = currentMinute;
+    }
+
+    if (loaded > 0 || overdue > 0) {
+      console.log(`⏰ Loaded ${loaded} due notifications into the timer wheel, ${overdue} overdue`);
     }
   }
 
-  async sendRealTimeNotification(notification, routine) {
+  // Apply the routine's missed policy to a notification that was never dispatched
+  async handleOverdueNotification(notification, now = new Date()) {
     try {
-      if (!this.io) {
-        console.error('❌ Socket.io not available for real-time notification');
+      const routine = notification.routine;
+      const policy = routine?.notificationSettings?.missedPolicy || 'fire-late';
+      const catchUpMinutes = routine?.notificationSettings?.catchUpMinutes || 60;
+      const occurrenceAt = notification.metadata?.occurrenceAt || notification.scheduledFor;
+      // Alarms held back by Do-Not-Disturb, moved by the user or replayed by
+      // an admin are late from their new time
+      const dueAt = notification.dnd?.action === 'deferred' || notification.metadata?.rescheduled || notification.metadata?.replayedAt
+        ? notification.scheduledFor
+        : occurrenceAt;
+      const lateByMinutes = Math.round((now - dueAt) / 60000);
+
+      if (policy === 'skip') {
+        await Notification.deleteOne({ _id: notification._id, status: 'pending' });
+        console.log(`⏭️ Skipping missed occurrence of ${notification.title} at ${occurrenceAt.toISOString()}`);
         return;
       }
 
-      const notificationData = {
-        id: notification._id.toString(),
-        title: routine.title,
-        message: routine.description || `Time for ${routine.title}`,
-        sound: routine.sound || 'chime',
-        volume: routine.volume || 0.7,
-        routineId: routine._id.toString(),
-        timestamp: new Date(),
-        type: 'alarm'
+      if (policy === 'fire-late' && lateByMinutes <= catchUpMinutes) {
+        console.log(`⏰ Firing ${notification.title} ${lateByMinutes}min late (missed at ${occurrenceAt.toISOString()})`);
+        await Notification.updateOne(
+          { _id: notification._id },
+          { $set: { 'metadata.deliveredLate': true } }
+        );
+        await this.dispatchNotification(notification._id.toString());
+        return;
+      }
+
+      await Notification.updateOne(
+        { _id: notification._id, status: 'pending' },
+        { $set: { status: 'missed' } }
+      );
+      console.log(`📭 Marked ${notification.title} at ${occurrenceAt.toISOString()} as missed`);
+    } catch (error) {
+      console.error('❌ Error handling overdue notification:', error);
+    }
+  }
+
+  // Deliver one queued notification. The status flip is atomic, so a row that
+  // was rescheduled, cancelled or already sent is silently ignored.
+  async dispatchNotification(notificationId) {
+    try {
+      const now = new Date();
+      const claim = {
+        _id: notificationId,
+        status: 'pending',
+        scheduledFor: { $lte: new Date(now.getTime() + 1000) }
       };
 
-      console.log(`🔔 Sending real-time notification to user ${routine.user._id}:`, {
-        title: notificationData.title,
-        sound: notificationData.sound,
-        volume: notificationData.volume
-      });
+      const candidate = await Notification.findOne(claim)
+        .populate('routine')
+        .populate('user', DND_USER_FIELDS);
 
-      // Send to user's room
-      this.io.to(routine.user._id.toString()).emit('notification', notificationData);
-      
-      // Also emit to all connections for debugging
-      this.io.emit('notification-broadcast', {
-        ...notificationData,
-        userId: routine.user._id.toString(),
-        broadcast: true
-      });
+      if (!candidate) return;
 
-      // Mark as delivered
-      notification.status = 'delivered';
-      notification.deliveredAt = new Date();
-      await notification.save();
+      const dnd = this.getQuietHoursDecision(candidate, now);
+      if (dnd && (dnd.action === 'suppress' || dnd.action === 'defer')) {
+        await this.holdForQuietPeriod(candidate, dnd, claim, now);
+        if (candidate.routine) {
+          await this.materializeRoutine(candidate.routine);
+        }
+        return;
+      }
 
-      console.log(`✅ Notification delivered: ${routine.title}`);
+      const notification = await Notification.findOneAndUpdate(
+        claim,
+        {
+          $set: { status: 'delivered', deliveredAt: now, ...this.buildDndRecord(dnd, now) },
+          $inc: { deliveryAttempts: 1 }
+        },
+        { new: true }
+      ).populate('routine');
 
+      if (!notification) return;
+
+      await this.deliverNotification(notification, dnd);
+      console.log(`✅ Notification delivered${dnd ? ` (${DND_RECORDED_ACTIONS[dnd.action]})` : ''}: ${notification.title}`);
+
+      // Keep the routine's queue topped up
+      if (notification.routine) {
+        await this.materializeRoutine(notification.routine);
+      }
     } catch (error) {
-      console.error('❌ Error sending real-time notification:', error);
-      
-      // Update notification status to failed
-      notification.status = 'failed';
-      notification.deliveryAttempts += 1;
-      await notification.save();
+      console.error('❌ Error dispatching notification:', error);
     }
   }
 
+  // Do-Not-Disturb decision for a notification whose user is populated
+  getQuietHoursDecision(notification, now = new Date()) {
+    const user = notification.user;
+    return getDndDecision(user, notification.routine, now, resolveTimeZone(notification.routine, user));
+  }
+
+  buildDndRecord(dnd, now = new Date()) {
+    if (!dnd) return {};
+    return {
+      'dnd.action': DND_RECORDED_ACTIONS[dnd.action],
+      'dnd.reason': dnd.reason,
+      'dnd.at': now
+    };
+  }
+
+  // Suppress or defer a pending or snoozed notification during a quiet period.
+  // Deferred rows keep their status and simply become due when it ends.
+  async holdForQuietPeriod(notification, dnd, claim, now = new Date()) {
+    const record = this.buildDndRecord(dnd, now);
+
+    if (dnd.action === 'suppress') {
+      const result = await Notification.updateOne(claim, { $set: { ...record, status: 'suppressed' } });
+      if (result.modifiedCount > 0) {
+        console.log(`🌙 Suppressed ${notification.title} (${dnd.reason})`);
+        await handleSequenceResponse(notification, 'suppressed', this);
+      }
+      return;
+    }
+
+    const dueField = notification.status === 'snoozed' ? 'snoozedUntil' : 'scheduledFor';
+    const result = await Notification.updateOne(claim, {
+      $set: {
+        ...record,
+        [dueField]: dnd.until,
+        'dnd.deferredUntil': dnd.until,
+        'dnd.originalScheduledFor': notification.dnd?.originalScheduledFor || notification[dueField]
+      }
+    });
+
+    if (result.modifiedCount > 0) {
+      console.log(`🌙 Deferred ${notification.title} until ${dnd.until.toISOString()} (${dnd.reason})`);
+    }
+  }
+
+  // Put a freshly delivered notification in front of the user. Silent
+  // deliveries neither ring nor escalate until the user opens them.
+  async deliverNotification(notification, dnd) {
+    const silent = dnd?.action === 'silent';
+    if (!silent) {
+      await this.startEscalationChain(notification);
+    }
+    this.emitNotification(notification, notification.routine, { silent });
+    await handleSequenceDelivery(notification, this);
+  }
+
+  // Queue the routine of a sequence step as a one-off notification.
+  // Returns null when the routine is gone or paused.
+  async queueSequenceStep(run, stepIndex, at = new Date()) {
+    const routine = await Routine.findOne({ _id: run.steps[stepIndex].routine, isActive: true });
+    if (!routine) return null;
+
+    const notification = await Notification.create({
+      ...this.buildNotificationContent(routine),
+      user: run.user,
+      routine: routine._id,
+      type: 'alarm',
+      status: 'pending',
+      scheduledFor: at,
+      metadata: {
+        sequenceRun: run._id,
+        sequenceStep: stepIndex
+      }
+    });
+
+    console.log(`🔗 Queued sequence step ${stepIndex + 1}: ${routine.title} at ${at.toISOString()}`);
+
+    if (this.elector.isLeader) {
+      await this.loadDueNotifications({ _id: notification._id });
+    }
+    return notification;
+  }
+
+  emitNotification(notification, routine, { silent = false } = {}) {
+    if (!this.io) {
+      console.error('❌ Socket.io not available for real-time notification');
+      return;
+    }
+
+    const userId = (notification.user?._id || notification.user).toString();
+    const escalationStep = notification.escalationStep || 0;
+    // Escalated alarms keep the raised volume and sound stored on the notification
+    const useStoredAlarm = notification.type === 'urgent' || escalationStep > 0;
+    const snoozePolicy = Notification.getSnoozePolicy(routine);
+    const notificationData = {
+      id: notification._id.toString(),
+      title: routine?.title || notification.title,
+      message: routine?.description || notification.message,
+      sound: useStoredAlarm
+        ? (notification.sound || 'chime')
+        : (routine?.sound || notification.sound || 'chime'),
+      volume: useStoredAlarm
+        ? notification.volume
+        : (routine?.volume || notification.volume || 0.7),
+      routineId: (routine?._id || notification.routine?._id || notification.routine)?.toString(),
+      scheduledFor: notification.scheduledFor,
+      late: !!notification.metadata?.deliveredLate,
+      snoozeCount: notification.snoozeCount || 0,
+      snoozesRemaining: Math.max(0, snoozePolicy.maxSnoozes - (notification.snoozeCount || 0)),
+      snoozeDuration: snoozePolicy.snoozeDuration,
+      escalation: notification.escalation?.action || null,
+      escalationStep,
+      reRing: escalationStep > 0,
+      silent,
+      timestamp: new Date(),
+      type: notification.type || 'alarm'
+    };
+
+    console.log(`🔔 Sending real-time notification to user ${userId}:`, {
+      title: notificationData.title,
+      sound: notificationData.sound,
+      volume: notificationData.volume
+    });
+
+    // Only the owner's sockets get it
+    this.io.to(userId).emit('notification', notificationData);
+  }
+
   async checkSnoozedNotifications() {
     try {
       const now = new Date();
       const snoozedNotifications = await Notification.find({
         status: 'snoozed',
         snoozedUntil: { $lte: now }
-      }).populate('user routine');
+      })
+        .populate('routine')
+        .populate('user', DND_USER_FIELDS);
 
       console.log(`⏰ Checking ${snoozedNotifications.length} snoozed notifications`);
 
-      for (const notification of snoozedNotifications) {
+      for (const candidate of snoozedNotifications) {
+        const claim = { _id: candidate._id, status: 'snoozed', snoozedUntil: { $lte: now } };
+
+        const dnd = this.getQuietHoursDecision(candidate, now);
+        if (dnd && (dnd.action === 'suppress' || dnd.action === 'defer')) {
+          await this.holdForQuietPeriod(candidate, dnd, claim, now);
+          continue;
+        }
+
+        // Claim the row atomically so it is resent exactly once
+        const notification = await Notification.findOneAndUpdate(
+          claim,
+          {
+            $set: { status: 'delivered', deliveredAt: new Date(), ...this.buildDndRecord(dnd, now) },
+            $inc: { deliveryAttempts: 1 }
+          },
+          { new: true }
+        ).populate('routine');
+
+        if (!notification) continue;
+
         console.log(`🔔 Resending snoozed notification: ${notification.title}`);
-        await this.sendRealTimeNotification(notification, notification.routine);
+        await this.deliverNotification(notification, dnd);
       }
     } catch (error) {
       console.error('❌ Error checking snoozed notifications:', error);
     }
   }
 
+  // (Re)start the escalation chain from the notification's latest delivery
+  async startEscalationChain(notification) {
+    const chain = resolveEscalationChain(notification.routine);
+    const nextEscalationAt = getNextEscalationAt(notification.deliveredAt, chain, 0);
+
+    notification.escalationStep = 0;
+    notification.nextEscalationAt = nextEscalationAt || undefined;
+
+    await Notification.updateOne(
+      { _id: notification._id },
+      nextEscalationAt
+        ? { $set: { escalationStep: 0, nextEscalationAt } }
+        : { $set: { escalationStep: 0 }, $unset: { nextEscalationAt: 1 } }
+    );
+  }
+
+  // Walk unanswered alarms along their routine's escalation chain. Runs on
+  // the leader only, so it works while the user's tab is asleep or closed.
+  async processEscalations() {
+    const now = new Date();
+    const dueNotifications = await Notification.find({
+      status: 'delivered',
+      nextEscalationAt: { $lte: now }
+    })
+      .populate('routine')
+      .populate('user', DND_USER_FIELDS);
+
+    for (const notification of dueNotifications) {
+      try {
+        await this.escalateNotification(notification, now);
+      } catch (error) {
+        console.error(`❌ Error escalating notification ${notification._id}:`, error);
+      }
+    }
+  }
+
+  async escalateNotification(notification, now = new Date()) {
+    const chain = resolveEscalationChain(notification.routine);
+    const step = notification.escalationStep || 0;
+    // Claim the step atomically; a response or another pass wins the race
+    const claim = {
+      _id: notification._id,
+      status: 'delivered',
+      escalationStep: step,
+      nextEscalationAt: notification.nextEscalationAt
+    };
+
+    if (!chain.enabled) {
+      await Notification.updateOne(claim, { $unset: { nextEscalationAt: 1 } });
+      return;
+    }
+
+    // Re-rings wait for the end of a quiet period unless the routine may break through
+    const dnd = this.getQuietHoursDecision(notification, now);
+    if (dnd && dnd.action !== 'breakthrough') {
+      await Notification.updateOne(claim, { $set: { nextEscalationAt: dnd.until } });
+      return;
+    }
+
+    if (step < chain.steps.length) {
+      const nextStep = step + 1;
+      const alarm = applyEscalationStep(chain.steps[step], notification);
+      const escalated = await Notification.findOneAndUpdate(
+        claim,
+        {
+          $set: {
+            ...alarm,
+            escalationStep: nextStep,
+            nextEscalationAt: getNextEscalationAt(notification.deliveredAt, chain, nextStep)
+          },
+          $inc: { deliveryAttempts: 1 }
+        },
+        { new: true }
+      ).populate('routine');
+
+      if (!escalated) return;
+
+      console.log(`📢 Re-ringing ${escalated.title} (step ${nextStep}/${chain.steps.length}, volume ${alarm.volume}, ${alarm.sound})`);
+      this.emitNotification(escalated, escalated.routine);
+      return;
+    }
+
+    const ignored = await Notification.findOneAndUpdate(
+      claim,
+      {
+        $set: {
+          status: 'ignored',
+          userResponse: { action: 'ignored', timestamp: now }
+        },
+        $unset: { nextEscalationAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!ignored) return;
+
+    console.log(`📭 Nobody answered ${ignored.title}, marked as ignored`);
+    await handleSequenceResponse(ignored, 'ignored', this);
+
+    try {
+      await UserMetric.updateForResponse(ignored.user, 'ignored', 0);
+    } catch (metricError) {
+      console.warn('⚠️ Could not update user metrics:', metricError.message);
+    }
+
+    if (this.io) {
+      this.io.to(ignored.user.toString()).emit('notification-ignored', {
+        id: ignored._id.toString(),
+        routineId: ignored.routine?.toString(),
+        timestamp: now
+      });
+    }
+  }
+
   async cleanupOldNotifications() {
     try {
       const thirtyDaysAgo = new Date();
@@ -280,7 +844,7 @@ class NotificationScheduler {
 
       const result = await Notification.deleteMany({
         createdAt: { $lt: thirtyDaysAgo },
-        status: { $in: ['completed', 'dismissed', 'failed'] }
+        status: { $in: ['completed', 'dismissed', 'failed', 'missed', 'ignored'] }
       });
 
       console.log(`🧹 Cleaned up ${result.deletedCount} old notifications`);
@@ -289,25 +853,177 @@ class NotificationScheduler {
     }
   }
 
+  // Rebuild a routine's queue after it was created, edited or toggled
   async scheduleRoutineNotifications(routine) {
     try {
       console.log(`📅 Scheduling notifications for routine: ${routine.title}`);
       
       if (!routine.isActive) {
-        console.log(`⏸️ Routine ${routine.title} is inactive, skipping scheduling`);
-        return;
+        console.log(`⏸️ Routine ${routine.title} is inactive, clearing its queue`);
+        await this.clearQueuedNotifications(routine._id);
+        return [];
       }
 
-      // Delete any existing pending notifications for this routine
-      await Notification.deleteMany({
-        routine: routine._id,
-        status: { $in: ['pending', 'snoozed'] }
-      });
+      // Any instance may materialize (upserts are idempotent); only the
+      // leader owns the timer wheel, followers rely on its next minute pass
+      const occurrences = await this.materializeRoutine(routine);
+      if (this.elector.isLeader) {
+        await this.loadDueNotifications({ routine: routine._id });
+      }
 
-      console.log(`✅ Prepared routine ${routine.title} for scheduling`);
+      console.log(`✅ Queued ${occurrences.length} upcoming notifications for ${routine.title}`);
+      return occurrences;
       
     } catch (error) {
       console.error('❌ Error scheduling routine notifications:', error);
+      return [];
+    }
+  }
+
+  // Rebuild the queues of every routine that rings for a user: their own and
+  // those of the teams they belong to, e.g. after a vacation, DND or account
+  // status change
+  async rescheduleUserRoutines(userId) {
+    const teams = await Team.find({ 'members.user': userId }).select('_id');
+    const routines = await Routine.find({
+      isActive: true,
+      $or: [
+        { user: userId },
+        { team: { $in: teams.map(team => team._id) } }
+      ]
+    });
+
+    for (const routine of routines) {
+      await this.scheduleRoutineNotifications(routine);
+    }
+    return routines.length;
+  }
+
+  // Move one occurrence to another time without changing the routine's
+  // schedule; team routines move it for every member. Returns the queued
+  // notification of the routine's owner (or the first recipient), or null if
+  // it already rang.
+  async rescheduleOccurrence(routine, occurrence, scheduledFor) {
+    if (!routine.user?.email) {
+      await routine.populate('user');
+    }
+
+    const moved = [];
+    for (const recipient of await this.getRecipients(routine)) {
+      const occurrenceFilter = {
+        routine: routine._id,
+        user: recipient._id,
+        'metadata.occurrenceAt': occurrence.at
+      };
+
+      // Occurrences beyond the queue have no row yet
+      await Notification.updateOne(
+        occurrenceFilter,
+        {
+          $setOnInsert: {
+            ...this.buildNotificationContent(routine),
+            type: 'alarm',
+            status: 'pending',
+            scheduledFor,
+            'metadata.originalSchedule': occurrence.time,
+            'metadata.timezone': occurrence.timeZone
+          }
+        },
+        { upsert: true }
+      );
+
+      const notification = await Notification.findOneAndUpdate(
+        { ...occurrenceFilter, status: 'pending' },
+        { $set: { scheduledFor, 'metadata.rescheduled': true, 'metadata.adaptiveAdjustment': 0 } },
+        { new: true }
+      );
+      if (notification) moved.push(notification);
+    }
+
+    if (moved.length === 0) return null;
+
+    console.log(`📆 Moved ${routine.title} from ${occurrence.at.toISOString()} to ${scheduledFor.toISOString()} for ${moved.length} recipient(s)`);
+    if (this.elector.isLeader) {
+      await this.loadDueNotifications({ _id: { $in: moved.map(notification => notification._id) } });
+    }
+    return moved.find(notification => notification.user.equals(routine.user._id)) || moved[0];
+  }
+
+  // Queue missed notifications again so they ring now. Only rows that were
+  // never delivered qualify. Returns how many were re-queued.
+  async replayNotifications(ids) {
+    const now = new Date();
+    const result = await Notification.updateMany(
+      { _id: { $in: ids }, status: 'missed', deliveredAt: { $exists: false } },
+      { $set: { status: 'pending', scheduledFor: now, 'metadata.replayedAt': now, 'metadata.deliveredLate': true } }
+    );
+
+    console.log(`🔁 Replayed ${result.modifiedCount} missed notifications`);
+    if (result.modifiedCount > 0 && this.elector.isLeader) {
+      await this.loadDueNotifications({ _id: { $in: ids } });
+    }
+    return result.modifiedCount;
+  }
+
+  // Make a user's deferred alarms due again after their Do-Not-Disturb
+  // settings changed; the dispatcher re-checks them against the new settings
+  async releaseDeferredNotifications(userId) {
+    try {
+      const now = new Date();
+      const deferred = { user: userId, 'dnd.action': 'deferred' };
+
+      const pending = await Notification.updateMany(
+        {
+          ...deferred,
+          status: 'pending',
+          scheduledFor: { $gt: now },
+          $expr: { $eq: ['$scheduledFor', '$dnd.deferredUntil'] }
+        },
+        { $set: { scheduledFor: now } }
+      );
+      const snoozed = await Notification.updateMany(
+        {
+          ...deferred,
+          status: 'snoozed',
+          snoozedUntil: { $gt: now },
+          $expr: { $eq: ['$snoozedUntil', '$dnd.deferredUntil'] }
+        },
+        { $set: { snoozedUntil: now } }
+      );
+
+      const released = pending.modifiedCount + snoozed.modifiedCount;
+      if (released > 0) {
+        console.log(`🌅 Released ${released} deferred notifications for user ${userId}`);
+      }
+
+      if (pending.modifiedCount > 0 && this.elector.isLeader) {
+        await this.loadDueNotifications({ user: userId });
+      }
+      return released;
+    } catch (error) {
+      console.error('❌ Error releasing deferred notifications:', error);
+      return 0;
+    }
+  }
+
+  // Interval routines count from the user's last completion or snooze, so
+  // the next alarms move whenever the user responds. Team routines keep one
+  // shared timeline that no single member's response moves.
+  async reanchorIntervalRoutine(routineId, anchorAt = new Date()) {
+    try {
+      const routine = await Routine.findOneAndUpdate(
+        { _id: routineId, kind: 'interval', team: { $exists: false } },
+        { $set: { 'intervalSettings.anchorAt': anchorAt } },
+        { new: true }
+      );
+
+      if (!routine) return null;
+
+      console.log(`⏱️ Re-anchored ${routine.title} at ${anchorAt.toISOString()}`);
+      return await this.scheduleRoutineNotifications(routine);
+    } catch (error) {
+      console.error('❌ Error re-anchoring interval routine:', error);
+      return null;
     }
   }
 
@@ -330,42 +1046,30 @@ class NotificationScheduler {
     }
   }
 
-  async updateAdaptiveTiming(routineId, userResponse) {
+  // Teach the routine's timing model how long after the occurrence the user
+  // got to it, then re-time the routine's queued notifications. Team routines
+  // ring at their set time for everyone and don't learn.
+  async updateAdaptiveTiming(routineId, notification, { snoozeMinutes = 0 } = {}) {
     try {
-      const routine = await Routine.findById(routineId);
-      if (!routine || !routine.adaptiveTiming?.enabled) return;
-
-      const { action, responseTime } = userResponse;
-      let adjustment = routine.adaptiveTiming.adjustment || 0;
-
-      // Adjust timing based on user response
-      switch (action) {
-        case 'completed':
-          if (responseTime < 30) {
-            // Fast completion - slightly reduce timing
-            adjustment = Math.max(-10, adjustment - 1);
-          } else if (responseTime > 120) {
-            // Slow completion - increase timing
-            adjustment = Math.min(10, adjustment + 2);
-          }
-          break;
-          
-        case 'dismissed':
-          adjustment = Math.min(15, adjustment + 5);
-          break;
-          
-        case 'snoozed':
-          adjustment = Math.min(10, adjustment + 3);
-          break;
-      }
+      const routine = await Routine.findById(routineId).populate('user');
+      if (!routine || !routine.adaptiveTiming?.enabled || routine.team) return;
+
+      const offset = getResponseOffset(notification, notification.userResponse?.action, { snoozeMinutes });
+      if (offset === null) return;
 
-      // Update routine with new adjustment
-      routine.adaptiveTiming.adjustment = adjustment;
+      const timeZone = notification.metadata?.timezone || resolveTimeZone(routine, routine.user);
+      const bucketKey = getBucketKey(notification.metadata.occurrenceAt, timeZone);
+      learnFromResponse(routine.adaptiveTiming, bucketKey, offset);
+
+      // Routine-wide shift, shown in the UI; occurrences use their own bucket
+      routine.adaptiveTiming.adjustment = getAdjustment(routine, null, timeZone).minutes;
       routine.adaptiveTiming.lastAdjustment = new Date();
+      routine.markModified('adaptiveTiming');
       await routine.save();
-      
-      console.log(`📊 Updated adaptive timing for ${routine.title}: ${adjustment}min adjustment`);
 
+      console.log(`📊 Adaptive timing for ${routine.title}: answered ${offset.toFixed(1)}min from the occurrence, routine shift ${routine.adaptiveTiming.adjustment}min`);
+
+      await this.scheduleRoutineNotifications(routine);
     } catch (error) {
       console.error('❌ Error updating adaptive timing:', error);
     }
@@ -411,16 +1115,28 @@ class NotificationScheduler {
     }
   }
 
-  stop() {
+  async stop() {
+    this.stopLeaderJobs();
     this.isRunning = false;
+
+    try {
+      await this.elector.stop();
+    } catch (error) {
+      console.error('❌ Error releasing scheduler lease:', error);
+    }
+
     console.log('🛑 Notification scheduler stopped');
   }
 
   getStatus() {
     return {
       isRunning: this.isRunning,
+      isLeader: this.elector.isLeader,
+      instanceId: this.elector.instanceId,
       lastChecked: new Date(),
-      activeCronJobs: 3 // scheduler, snooze checker, cleanup
+      lastEvaluatedMinute: this.lastEvaluatedMinute || null,
+      queuedTimers: this.timerWheel.size,
+      activeCronJobs: this.cronJobs.length // dispatcher, replenisher, snooze checker, escalations, sequences, cleanup
     };
   }
 }
@@ -0,0 +1,157 @@
+const {
+  getServerTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays
+} = require('./timezone');
+const { expandRecurrence } = require('./recurrence');
+
+// Routine override wins over the owner's zone, which wins over the server zone
+const resolveTimeZone = (routine, user) => {
+  return routine?.timezone || user?.timezone || routine?.user?.timezone || getServerTimeZone();
+};
+
+const parseTime = (time) => {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return { hour, minute };
+};
+
+const DEFAULT_BREAK_INTERVAL = 60;
+const DEFAULT_WORKING_HOURS = { start: '09:00', end: '17:00' };
+
+const hasSchedule = (routine) => {
+  return routine?.kind === 'interval' ||
+    (routine?.schedule?.length > 0) ||
+    !!routine?.recurrence?.frequency;
+};
+
+// Interval settings with the owner's preferences filled in
+const resolveIntervalSettings = (routine, user = routine?.user) => {
+  const settings = routine?.intervalSettings || {};
+  const preferences = user?.preferences || {};
+
+  return {
+    everyMinutes: settings.everyMinutes || preferences.breakInterval || DEFAULT_BREAK_INTERVAL,
+    windowStart: settings.windowStart || preferences.workingHours?.start || DEFAULT_WORKING_HOURS.start,
+    windowEnd: settings.windowEnd || preferences.workingHours?.end || DEFAULT_WORKING_HOURS.end,
+    days: settings.days?.length > 0 ? settings.days : [1, 2, 3, 4, 5],
+    anchorAt: settings.anchorAt || null
+  };
+};
+
+// Interval routines fire every `everyMinutes` inside the daily window. Each
+// day starts counting at the window start; on the day of the last response
+// counting restarts from that response instead.
+const getIntervalOccurrences = (routine, from, to, timeZone) => {
+  const occurrences = [];
+  const { everyMinutes, windowStart, windowEnd, days, anchorAt } = resolveIntervalSettings(routine);
+  const stepMs = everyMinutes * 60 * 1000;
+  const start = parseTime(windowStart);
+  const end = parseTime(windowEnd);
+
+  const lastDate = getZonedParts(to, timeZone);
+  let date = addDays(getZonedParts(from, timeZone), -1);
+  const lastKey = Date.UTC(lastDate.year, lastDate.month - 1, lastDate.day);
+
+  while (Date.UTC(date.year, date.month - 1, date.day) <= lastKey) {
+    if (days.includes(date.weekday)) {
+      const windowOpen = zonedTimeToUtc({ ...date, ...start }, timeZone);
+      const windowClose = zonedTimeToUtc({ ...date, ...end }, timeZone);
+      const anchor = anchorAt && anchorAt >= windowOpen && anchorAt < windowClose
+        ? new Date(anchorAt)
+        : windowOpen;
+
+      for (let at = anchor.getTime() + stepMs; at <= windowClose.getTime(); at += stepMs) {
+        if (at >= from.getTime() && at < to.getTime()) {
+          const local = getZonedParts(new Date(at), timeZone);
+          occurrences.push({
+            at: new Date(at),
+            time: `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`
+          });
+        }
+      }
+    }
+
+    date = addDays(date, 1);
+  }
+
+  return occurrences;
+};
+
+// Expand the simple weekly `schedule` entries into UTC instants within [from, to)
+const getWeeklyOccurrences = (schedule, from, to, timeZone) => {
+  const occurrences = [];
+  if (!schedule || schedule.length === 0) return occurrences;
+
+  // Start a day early so times shifted out of a DST gap near midnight are not missed
+  const lastDate = getZonedParts(to, timeZone);
+  let date = addDays(getZonedParts(from, timeZone), -1);
+  const lastKey = Date.UTC(lastDate.year, lastDate.month - 1, lastDate.day);
+
+  while (Date.UTC(date.year, date.month - 1, date.day) <= lastKey) {
+    schedule.forEach(entry => {
+      if (!entry.time || !Array.isArray(entry.days) || !entry.days.includes(date.weekday)) return;
+
+      const { hour, minute } = parseTime(entry.time);
+      const at = zonedTimeToUtc({ ...date, hour, minute }, timeZone);
+
+      if (at >= from && at < to) {
+        occurrences.push({ at, time: entry.time });
+      }
+    });
+
+    date = addDays(date, 1);
+  }
+
+  return occurrences;
+};
+
+// All occurrences of a routine within [from, to): the interval window for
+// interval routines, otherwise weekly schedule entries plus the recurrence rule
+const getOccurrencesBetween = (routine, from, to, timeZone = resolveTimeZone(routine)) => {
+  if (!hasSchedule(routine) || from >= to) return [];
+
+  const occurrences = routine.kind === 'interval'
+    ? getIntervalOccurrences(routine, from, to, timeZone)
+    : [
+      ...getWeeklyOccurrences(routine.schedule, from, to, timeZone),
+      ...expandRecurrence(routine.recurrence, from, to, timeZone, routine.createdAt)
+    ];
+
+  // Two entries can resolve to the same instant (overlapping rules, DST gaps)
+  const seen = new Set();
+  return occurrences
+    .sort((a, b) => a.at - b.at)
+    .filter(occurrence => {
+      const key = occurrence.at.getTime();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(occurrence => ({ ...occurrence, timeZone }));
+};
+
+// Next `count` occurrences at or after `from`, looking at most `maxDays` ahead.
+// The default horizon is long enough to find the next yearly occurrence.
+const getUpcomingOccurrences = (routine, from, count, timeZone = resolveTimeZone(routine), maxDays = 400) => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const horizon = new Date(from.getTime() + maxDays * dayMs);
+  const upcoming = [];
+  let windowStart = from;
+
+  while (hasSchedule(routine) && upcoming.length < count && windowStart < horizon) {
+    const windowEnd = new Date(Math.min(windowStart.getTime() + 7 * dayMs, horizon.getTime()));
+    upcoming.push(...getOccurrencesBetween(routine, windowStart, windowEnd, timeZone));
+    windowStart = windowEnd;
+  }
+
+  return upcoming.slice(0, count);
+};
+
+module.exports = {
+  resolveTimeZone,
+  hasSchedule,
+  resolveIntervalSettings,
+  getOccurrencesBetween,
+  getUpcomingOccurrences
+};
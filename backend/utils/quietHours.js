@@ -0,0 +1,80 @@
+const { getZonedParts, zonedTimeToUtc, addDays } = require('./timezone');
+
+// What happens to a routine's alarm while the user is in Do-Not-Disturb,
+// keyed by routine priority. Critical routines (priority 5) always ring.
+const DND_ACTIONS = ['suppress', 'defer', 'silent', 'deliver'];
+const DND_PRIORITY_KEYS = { 1: 'low', 2: 'medium', 3: 'high', 4: 'urgent' };
+const DEFAULT_DND_RULES = {
+  low: 'suppress',
+  medium: 'defer',
+  high: 'defer',
+  urgent: 'silent'
+};
+const BREAKTHROUGH_PRIORITY = 5;
+
+const toMinutes = (time) => {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// The quiet period `now` falls into, or null. Quiet hours are wall-clock
+// times in the user's zone and may wrap midnight (22:00-07:00).
+const getQuietPeriod = (user, now = new Date(), timeZone) => {
+  if (user?.dndUntil && new Date(user.dndUntil) > now) {
+    return { reason: 'manual', until: new Date(user.dndUntil) };
+  }
+
+  const quietHours = user?.preferences?.quietHours;
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return null;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return null;
+
+  const local = getZonedParts(now, timeZone);
+  const current = local.hour * 60 + local.minute;
+  const wraps = start > end;
+  const isQuiet = wraps
+    ? (current >= start || current < end)
+    : (current >= start && current < end);
+
+  if (!isQuiet) return null;
+
+  // Quiet hours end today, or tomorrow when the window wraps past midnight
+  const endDate = wraps && current >= start ? addDays(local, 1) : local;
+  const until = zonedTimeToUtc({
+    year: endDate.year,
+    month: endDate.month,
+    day: endDate.day,
+    hour: Math.floor(end / 60),
+    minute: end % 60
+  }, timeZone);
+
+  return { reason: 'quiet-hours', until };
+};
+
+// Decide how to deliver a routine's alarm right now. Returns null outside
+// quiet periods, otherwise { action, reason, until } where action is one of
+// suppress, defer, silent or breakthrough.
+const getDndDecision = (user, routine, now = new Date(), timeZone) => {
+  const period = getQuietPeriod(user, now, timeZone);
+  if (!period) return null;
+
+  const priority = routine?.priority || 1;
+  if (priority >= BREAKTHROUGH_PRIORITY) {
+    return { ...period, action: 'breakthrough' };
+  }
+
+  const key = DND_PRIORITY_KEYS[priority] || 'low';
+  const action = user?.preferences?.quietHours?.rules?.[key] || DEFAULT_DND_RULES[key];
+
+  return { ...period, action: action === 'deliver' ? 'breakthrough' : action };
+};
+
+module.exports = {
+  DND_ACTIONS,
+  DEFAULT_DND_RULES,
+  BREAKTHROUGH_PRIORITY,
+  getQuietPeriod,
+  getDndDecision
+};
@@ -0,0 +1,236 @@
+const { getZonedParts, zonedTimeToUtc, addDays } = require('./timezone');
+
+// RRULE-style recurrence evaluation on local calendar dates.
+//
+// A recurrence picks days (frequency + interval + by* filters, bounded by
+// startDate/endDate, minus excludeDates) and times within each picked day:
+// - daily/weekly/monthly/yearly use the explicit `times` list
+// - minutely/hourly step through [windowStart, windowEnd] every `interval`
+//   minutes/hours, restarting at windowStart each day
+// `count` limits the total number of occurrences since startDate; as in
+// RFC 5545, excluded dates still use up the count.
+
+const FREQUENCIES = ['minutely', 'hourly', 'daily', 'weekly', 'monthly', 'yearly'];
+const MIN_MINUTELY_INTERVAL = 5; // Anything tighter is an alarm storm
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return addDays({ year, month, day }, 0);
+};
+
+const formatDate = ({ year, month, day }) => {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const toMinutes = (time) => {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+const formatTime = (minutes) => {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// YYYY-MM-DD that names a real calendar day
+const isCalendarDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  return formatDate(parseDate(value)) === formatDate({ year, month, day });
+};
+
+const dayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// byMonthDay accepts negative values counted from the end (-1 = last day);
+// byNthWeekday accepts nth 1-5 or -1 for the last such weekday of the month
+const matchesDayOfMonth = (recurrence, date, anchor) => {
+  const byMonthDay = recurrence.byMonthDay || [];
+  const byNthWeekday = recurrence.byNthWeekday || [];
+
+  if (byMonthDay.length === 0 && byNthWeekday.length === 0) {
+    return date.day === anchor.day;
+  }
+
+  const lastDay = daysInMonth(date.year, date.month);
+  if (byMonthDay.some(day => (day > 0 ? day : lastDay + day + 1) === date.day)) {
+    return true;
+  }
+
+  const nth = Math.ceil(date.day / 7);
+  const isLast = date.day + 7 > lastDay;
+  return byNthWeekday.some(rule =>
+    rule.weekday === date.weekday && (rule.nth === nth || (rule.nth === -1 && isLast))
+  );
+};
+
+const matchesDate = (recurrence, date, anchor) => {
+  const interval = Math.max(1, recurrence.interval || 1);
+  const byWeekday = recurrence.byWeekday || [];
+
+  switch (recurrence.frequency) {
+    case 'minutely':
+    case 'hourly':
+      return byWeekday.length === 0 || byWeekday.includes(date.weekday);
+
+    case 'daily':
+      if (byWeekday.length > 0 && !byWeekday.includes(date.weekday)) return false;
+      return (dayNumber(date) - dayNumber(anchor)) % interval === 0;
+
+    case 'weekly': {
+      const weekdays = byWeekday.length > 0 ? byWeekday : [anchor.weekday];
+      if (!weekdays.includes(date.weekday)) return false;
+
+      // Weeks start on Sunday, matching the 0-6 weekday numbering
+      const weekStart = (d) => dayNumber(d) - d.weekday;
+      return ((weekStart(date) - weekStart(anchor)) / 7) % interval === 0;
+    }
+
+    case 'monthly': {
+      const months = (date.year - anchor.year) * 12 + date.month - anchor.month;
+      if (months % interval !== 0) return false;
+      return matchesDayOfMonth(recurrence, date, anchor);
+    }
+
+    case 'yearly': {
+      if ((date.year - anchor.year) % interval !== 0) return false;
+      const byMonth = recurrence.byMonth?.length > 0 ? recurrence.byMonth : [anchor.month];
+      if (!byMonth.includes(date.month)) return false;
+      return matchesDayOfMonth(recurrence, date, anchor);
+    }
+
+    default:
+      return false;
+  }
+};
+
+// Minutes after midnight at which the recurrence fires on a matching day
+const getTimesOfDay = (recurrence) => {
+  if (recurrence.frequency === 'minutely' || recurrence.frequency === 'hourly') {
+    const step = Math.max(1, recurrence.interval || 1) * (recurrence.frequency === 'hourly' ? 60 : 1);
+    const start = toMinutes(recurrence.windowStart || '00:00');
+    const end = toMinutes(recurrence.windowEnd || '23:59');
+    const times = [];
+
+    for (let minutes = start; minutes <= end; minutes += step) {
+      times.push(minutes);
+    }
+    return times;
+  }
+
+  return [...new Set((recurrence.times || []).map(toMinutes))].sort((a, b) => a - b);
+};
+
+// Expand a recurrence into concrete UTC instants within [from, to).
+// `anchorDate` is used as the start when the recurrence has no startDate.
+const expandRecurrence = (recurrence, from, to, timeZone, anchorDate = from) => {
+  const occurrences = [];
+  if (!recurrence?.frequency || from >= to) return occurrences;
+
+  const times = getTimesOfDay(recurrence);
+  if (times.length === 0) return occurrences;
+
+  const anchor = recurrence.startDate
+    ? parseDate(recurrence.startDate)
+    : addDays(getZonedParts(new Date(anchorDate), timeZone), 0);
+  const excluded = new Set(recurrence.excludeDates || []);
+  const count = recurrence.count || 0;
+
+  // Start a day early so times shifted out of a DST gap near midnight are not missed
+  const windowStartKey = dayNumber(getZonedParts(from, timeZone)) - 1;
+  let lastKey = dayNumber(getZonedParts(to, timeZone));
+  if (recurrence.endDate) {
+    lastKey = Math.min(lastKey, dayNumber(parseDate(recurrence.endDate)));
+  }
+
+  // With a count every occurrence since the anchor has to be counted,
+  // otherwise evaluation can start right at the window
+  let date = anchor;
+  if (!count && dayNumber(anchor) < windowStartKey) {
+    date = addDays(anchor, windowStartKey - dayNumber(anchor));
+  }
+
+  let generated = 0;
+
+  while (dayNumber(date) <= lastKey) {
+    if (matchesDate(recurrence, date, anchor)) {
+      const inWindow = dayNumber(date) >= windowStartKey;
+      const isExcluded = excluded.has(formatDate(date));
+
+      for (const minutes of times) {
+        generated++;
+        if (count && generated > count) return occurrences;
+        if (!inWindow || isExcluded) continue;
+
+        const at = zonedTimeToUtc({
+          ...date,
+          hour: Math.floor(minutes / 60),
+          minute: minutes % 60
+        }, timeZone);
+
+        if (at >= from && at < to) {
+          occurrences.push({ at, time: formatTime(minutes) });
+        }
+      }
+    }
+
+    date = addDays(date, 1);
+  }
+
+  return occurrences;
+};
+
+// Cross-field checks that a per-path validator cannot express.
+// Returns an error message, or null when the recurrence is usable.
+const validateRecurrence = (recurrence) => {
+  if (!recurrence || !recurrence.frequency) return null;
+
+  const { frequency, interval = 1 } = recurrence;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+
+  if (frequency === 'minutely' && interval < MIN_MINUTELY_INTERVAL) {
+    return `Minute-based recurrences must be at least ${MIN_MINUTELY_INTERVAL} minutes apart`;
+  }
+
+  if (frequency === 'minutely' || frequency === 'hourly') {
+    for (const time of [recurrence.windowStart, recurrence.windowEnd]) {
+      if (time && !TIME_PATTERN.test(time)) return 'Window times must be in HH:MM format';
+    }
+    if (recurrence.windowStart && recurrence.windowEnd &&
+        toMinutes(recurrence.windowEnd) < toMinutes(recurrence.windowStart)) {
+      return 'Window end must be after window start';
+    }
+  } else {
+    if (!recurrence.times || recurrence.times.length === 0) {
+      return 'Add at least one time of day to the recurrence';
+    }
+    if (recurrence.times.some(time => !TIME_PATTERN.test(time))) {
+      return 'Recurrence times must be in HH:MM format';
+    }
+  }
+
+  const dates = [recurrence.startDate, recurrence.endDate, ...(recurrence.excludeDates || [])];
+  if (dates.some(date => date && !isCalendarDate(date))) {
+    return 'Recurrence dates must be valid YYYY-MM-DD dates';
+  }
+
+  if (recurrence.startDate && recurrence.endDate && recurrence.endDate < recurrence.startDate) {
+    return 'End date must not be before start date';
+  }
+
+  return null;
+};
+
+module.exports = {
+  FREQUENCIES,
+  isCalendarDate,
+  getTimesOfDay,
+  expandRecurrence,
+  validateRecurrence
+};
@@ -0,0 +1,231 @@
+const Routine = require('../models/Routine');
+
+// Portable routine bundles (JSON or CSV) for moving routine definitions
+// between accounts. Only the definition travels: learned timing, holds,
+// import markers and ids stay with the original account.
+
+const BUNDLE_FORMAT = 'notifyflow-routines';
+const BUNDLE_VERSION = 1;
+const MAX_ROUTINES = 500;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const SCALAR_FIELDS = ['title', 'description', 'category', 'kind', 'timezone', 'sound', 'volume', 'isActive', 'priority'];
+const OBJECT_FIELDS = ['recurrence', 'intervalSettings', 'notificationSettings', 'adaptiveTiming'];
+const ADAPTIVE_SETTINGS = ['enabled', 'minAdjustment', 'maxAdjustment', 'smoothing'];
+const CSV_COLUMNS = ['version', ...SCALAR_FIELDS, 'schedule', ...OBJECT_FIELDS];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source?.[field] !== undefined && source[field] !== null).map(field => [field, source[field]])
+);
+
+// Definition fields of a routine, without Mongo ids and server-owned state
+const toBundleRoutine = (routine) => {
+  const plain = typeof routine.toObject === 'function' ? routine.toObject({ versionKey: false }) : routine;
+  const { anchorAt, ...intervalSettings } = plain.intervalSettings || {};
+
+  return JSON.parse(JSON.stringify({
+    ...pick(plain, SCALAR_FIELDS),
+    schedule: (plain.schedule || []).map(entry => ({ time: entry.time, days: entry.days })),
+    ...(plain.recurrence?.frequency ? { recurrence: plain.recurrence } : {}),
+    ...(plain.kind === 'interval' ? { intervalSettings } : {}),
+    notificationSettings: plain.notificationSettings,
+    adaptiveTiming: pick(plain.adaptiveTiming, ADAPTIVE_SETTINGS)
+  }));
+};
+
+const toJsonBundle = (routines, now = new Date()) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: now.toISOString(),
+  count: routines.length,
+  routines: routines.map(toBundleRoutine)
+});
+
+// "09:00 Mon,Wed,Fri; 17:30 Sat"
+const formatSchedule = (schedule = []) => schedule
+  .map(entry => `${entry.time} ${entry.days.map(day => DAY_NAMES[day]).join(',')}`)
+  .join('; ');
+
+const parseSchedule = (value) => String(value || '')
+  .split(';')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [time, days = ''] = entry.split(/\s+/);
+    return {
+      time,
+      days: days.split(',').filter(Boolean).map(day => {
+        const index = DAY_NAMES.findIndex(name => name.toLowerCase() === day.toLowerCase());
+        if (index === -1) throw new Error(`Unknown day "${day}" in schedule`);
+        return index;
+      })
+    };
+  });
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per routine; nested settings are JSON inside their cell
+const toCsvBundle = (routines) => {
+  const rows = routines.map(toBundleRoutine).map(routine => CSV_COLUMNS.map(column => {
+    if (column === 'version') return BUNDLE_VERSION;
+    if (column === 'schedule') return formatSchedule(routine.schedule);
+    if (OBJECT_FIELDS.includes(column)) return routine[column] ? JSON.stringify(routine[column]) : '';
+    return routine[column];
+  }));
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+};
+
+// RFC 4180 rows: quoted cells may contain commas, quotes ("") and newlines
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const parseCsvValue = (column, value) => {
+  if (value === '') return undefined;
+  if (column === 'schedule') return parseSchedule(value);
+  if (OBJECT_FIELDS.includes(column)) return JSON.parse(value);
+  if (column === 'volume' || column === 'priority' || column === 'version') return Number(value);
+  if (column === 'isActive') return value.trim().toLowerCase() === 'true';
+  return value;
+};
+
+// { version, routines, errors }; rows that can't be read become errors
+// with their line number (the header is row 1)
+const parseCsvBundle = (text) => {
+  const [header = [], ...rows] = parseCsvRows(String(text || ''));
+  const columns = header.map(column => column.trim());
+  const routines = [];
+  const errors = [];
+
+  if (!columns.includes('title')) {
+    throw new Error('The CSV needs a header row with at least a "title" column');
+  }
+
+  let version = BUNDLE_VERSION;
+  rows.forEach((cells, index) => {
+    const row = index + 2;
+    const routine = { row };
+
+    try {
+      columns.forEach((column, columnIndex) => {
+        if (!CSV_COLUMNS.includes(column)) return;
+        const value = parseCsvValue(column, (cells[columnIndex] || '').trim());
+        if (value === undefined) return;
+        if (column === 'version') version = Math.max(version, value);
+        else routine[column] = value;
+      });
+      routines.push(routine);
+    } catch (error) {
+      errors.push({ row, title: cells[columns.indexOf('title')] || '', errors: [error.message] });
+    }
+  });
+
+  return { version, routines, errors };
+};
+
+const parseJsonBundle = (data) => {
+  const bundle = typeof data === 'string' ? JSON.parse(data) : data;
+  const routines = Array.isArray(bundle) ? bundle : bundle?.routines;
+
+  if (!Array.isArray(routines)) {
+    throw new Error('The JSON needs a "routines" list');
+  }
+  if (!Array.isArray(bundle) && bundle.format && bundle.format !== BUNDLE_FORMAT) {
+    throw new Error(`Unknown bundle format "${bundle.format}"`);
+  }
+
+  return {
+    version: Array.isArray(bundle) ? BUNDLE_VERSION : Number(bundle.version || BUNDLE_VERSION),
+    routines: routines.map((routine, index) => ({ ...routine, row: index + 1 })),
+    errors: []
+  };
+};
+
+// Reads a bundle and validates every routine against the Routine schema.
+// Returns { routines: [{ row, data }], errors: [{ row, title, errors }] }.
+const readBundle = (data, format, userId) => {
+  const parsed = format === 'csv' ? parseCsvBundle(data) : parseJsonBundle(data);
+
+  if (parsed.version > BUNDLE_VERSION) {
+    throw new Error(`This bundle is version ${parsed.version}; only version ${BUNDLE_VERSION} and older can be imported`);
+  }
+  if (parsed.routines.length > MAX_ROUTINES) {
+    throw new Error(`Bundles can have at most ${MAX_ROUTINES} routines`);
+  }
+
+  const routines = [];
+  const errors = [...parsed.errors];
+
+  parsed.routines.forEach(({ row, ...routine }) => {
+    const data = {
+      ...pick(routine, SCALAR_FIELDS),
+      schedule: routine.schedule || [],
+      ...pick(routine, ['recurrence', 'intervalSettings', 'notificationSettings']),
+      ...(routine.adaptiveTiming ? { adaptiveTiming: pick(routine.adaptiveTiming, ADAPTIVE_SETTINGS) } : {})
+    };
+    if (data.intervalSettings) delete data.intervalSettings.anchorAt;
+
+    const validationError = new Routine({ ...data, user: userId }).validateSync();
+    if (validationError) {
+      errors.push({
+        row,
+        title: routine.title || '',
+        errors: [...new Set(Object.values(validationError.errors).map(error => error.message))]
+      });
+    } else {
+      routines.push({ row, data });
+    }
+  });
+
+  return { routines, errors: errors.sort((a, b) => a.row - b.row) };
+};
+
+module.exports = {
+  BUNDLE_VERSION,
+  toBundleRoutine,
+  toJsonBundle,
+  toCsvBundle,
+  readBundle
+};
@@ -0,0 +1,89 @@
+const { zonedTimeToUtc, addDays, getServerTimeZone } = require('./timezone');
+const { getUpcomingOccurrences } = require('./occurrences');
+
+// Temporary holds keep occurrences from being queued without deactivating
+// the routine: a pause until a date, skipping one occurrence, or the owner's
+// vacation. All of them are plain timestamps, so they end on their own.
+
+const parseDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return { year, month, day };
+};
+
+// Vacation as an instant range: from local midnight of the first day to
+// local midnight after the last day, in the user's time zone
+const getVacationWindow = (user) => {
+  const vacation = user?.vacation;
+  if (!vacation?.startDate || !vacation?.endDate) return null;
+
+  const timeZone = user.timezone || getServerTimeZone();
+  return {
+    start: zonedTimeToUtc(parseDate(vacation.startDate), timeZone),
+    end: zonedTimeToUtc(addDays(parseDate(vacation.endDate), 1), timeZone)
+  };
+};
+
+// Why an occurrence must not ring, or null. Returns { reason, until } where
+// reason is 'paused', 'skipped' or 'vacation'.
+const getHold = (routine, user, occurrenceAt) => {
+  const at = new Date(occurrenceAt);
+
+  if (routine.pausedUntil && at < new Date(routine.pausedUntil)) {
+    return { reason: 'paused', until: new Date(routine.pausedUntil) };
+  }
+
+  if (routine.skipOccurrenceAt && at.getTime() === new Date(routine.skipOccurrenceAt).getTime()) {
+    return { reason: 'skipped', until: at };
+  }
+
+  const vacation = getVacationWindow(user);
+  if (vacation && at >= vacation.start && at < vacation.end) {
+    return { reason: 'vacation', until: vacation.end };
+  }
+
+  return null;
+};
+
+// When occurrences can ring again, counted from `now`
+const getResumeAt = (routine, user, now = new Date()) => {
+  let resumeAt = now;
+
+  if (routine.pausedUntil && new Date(routine.pausedUntil) > resumeAt) {
+    resumeAt = new Date(routine.pausedUntil);
+  }
+
+  const vacation = getVacationWindow(user);
+  if (vacation && resumeAt >= vacation.start && resumeAt < vacation.end) {
+    resumeAt = vacation.end;
+  }
+
+  return resumeAt;
+};
+
+const isHeld = (routine, user, occurrenceAt) => !!getHold(routine, user, occurrenceAt);
+
+// Next `count` occurrences that will actually ring. Held occurrences don't
+// count towards the queue, so a skipped alarm or a vacation starting next
+// week doesn't leave the queue short.
+const getDeliverableOccurrences = (routine, user, now, count, timeZone) => {
+  const deliverable = [];
+  let from = getResumeAt(routine, user, now);
+
+  for (let pass = 0; pass < 3 && deliverable.length < count; pass++) {
+    const batch = getUpcomingOccurrences(routine, from, count + 1, timeZone);
+    if (batch.length === 0) break;
+
+    deliverable.push(...batch.filter(occurrence => !isHeld(routine, user, occurrence.at)));
+    from = getResumeAt(routine, user, new Date(batch[batch.length - 1].at.getTime() + 1));
+  }
+
+  return deliverable.slice(0, count);
+};
+
+module.exports = {
+  getVacationWindow,
+  getHold,
+  getResumeAt,
+  isHeld,
+  getDeliverableOccurrences
+};
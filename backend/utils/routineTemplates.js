@@ -0,0 +1,332 @@
+const Routine = require('../models/Routine');
+const { toBundleRoutine } = require('./routineBundle');
+
+// Routine templates: a routine definition with "{{key}}" placeholders plus
+// the parameters that fill them. Built-in templates live here; users can
+// save their own (models/RoutineTemplate) from any routine they have.
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+const EXACT_PLACEHOLDER = /^\{\{(\w+)\}\}$/;
+const WORK_DAYS = [1, 2, 3, 4, 5];
+
+// Defaults taken from the user's preferences instead of a fixed value
+const USER_DEFAULTS = {
+  workStart: user => user?.preferences?.workingHours?.start || '09:00',
+  workEnd: user => user?.preferences?.workingHours?.end || '17:00'
+};
+
+const workHoursParameters = [
+  { key: 'workStart', label: 'Work starts', type: 'time', defaultFrom: 'workStart' },
+  { key: 'workEnd', label: 'Work ends', type: 'time', defaultFrom: 'workEnd' },
+  { key: 'days', label: 'Days', type: 'days', defaultValue: WORK_DAYS }
+];
+
+const everyMinutesParameter = (defaultValue) => ({
+  key: 'everyMinutes', label: 'Every (minutes)', type: 'number', defaultValue, min: 5, max: 720
+});
+
+const intervalRoutine = (routine) => ({
+  kind: 'interval',
+  intervalSettings: {
+    everyMinutes: '{{everyMinutes}}',
+    windowStart: '{{workStart}}',
+    windowEnd: '{{workEnd}}',
+    days: '{{days}}'
+  },
+  ...routine
+});
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'pomodoro',
+    name: 'Pomodoro',
+    description: 'A short break after every focus block during work hours',
+    icon: '🍅',
+    category: 'break',
+    parameters: [everyMinutesParameter(30), ...workHoursParameters],
+    routine: intervalRoutine({
+      title: 'Pomodoro break',
+      description: 'Stand up and rest your eyes for 5 minutes',
+      category: 'break',
+      sound: 'bell',
+      priority: 3
+    })
+  },
+  {
+    id: 'hydration',
+    name: 'Hydration',
+    description: 'A reminder to drink water',
+    icon: '💧',
+    category: 'health',
+    parameters: [everyMinutesParameter(60), ...workHoursParameters],
+    routine: intervalRoutine({
+      title: 'Drink water',
+      description: 'Have a glass of water',
+      category: 'health',
+      sound: 'nature',
+      priority: 2
+    })
+  },
+  {
+    id: 'posture-check',
+    name: 'Posture check',
+    description: 'Sit up straight and relax your shoulders',
+    icon: '🪑',
+    category: 'health',
+    parameters: [everyMinutesParameter(45), ...workHoursParameters],
+    routine: intervalRoutine({
+      title: 'Posture check',
+      description: 'Feet flat, back straight, shoulders down',
+      category: 'health',
+      sound: 'chime',
+      priority: 2
+    })
+  },
+  {
+    id: 'stretch',
+    name: 'Stretch break',
+    description: 'A few minutes of stretching away from the desk',
+    icon: '🤸',
+    category: 'exercise',
+    parameters: [everyMinutesParameter(90), ...workHoursParameters],
+    routine: intervalRoutine({
+      title: 'Stretch',
+      description: 'Neck, shoulders, wrists and back',
+      category: 'exercise',
+      sound: 'nature',
+      priority: 2
+    })
+  },
+  {
+    id: 'morning-planning',
+    name: 'Morning planning',
+    description: 'Pick the day\'s priorities when work starts',
+    icon: '🗒️',
+    category: 'work',
+    parameters: [
+      { key: 'time', label: 'Time', type: 'time', defaultFrom: 'workStart' },
+      { key: 'days', label: 'Days', type: 'days', defaultValue: WORK_DAYS }
+    ],
+    routine: {
+      title: 'Plan the day',
+      description: 'Choose the top three tasks for today',
+      category: 'work',
+      schedule: [{ time: '{{time}}', days: '{{days}}' }],
+      sound: 'digital',
+      priority: 3
+    }
+  },
+  {
+    id: 'end-of-day-review',
+    name: 'End-of-day review',
+    description: 'Look back on the day before signing off',
+    icon: '🌇',
+    category: 'work',
+    parameters: [
+      { key: 'time', label: 'Time', type: 'time', defaultFrom: 'workEnd' },
+      { key: 'days', label: 'Days', type: 'days', defaultValue: WORK_DAYS }
+    ],
+    routine: {
+      title: 'End-of-day review',
+      description: 'What got done, what moves to tomorrow',
+      category: 'work',
+      schedule: [{ time: '{{time}}', days: '{{days}}' }],
+      sound: 'chime',
+      priority: 3
+    }
+  }
+];
+
+// Packs add several templates at once; only the listed parameters are asked
+// for and shared, the rest keep each template's defaults
+const BUILT_IN_PACKS = [
+  {
+    id: 'healthy-workday',
+    name: 'Healthy workday',
+    description: 'Water, posture and stretching through the work day',
+    icon: '🌱',
+    templates: ['hydration', 'posture-check', 'stretch'],
+    parameters: ['workStart', 'workEnd', 'days']
+  },
+  {
+    id: 'focused-workday',
+    name: 'Focused workday',
+    description: 'Plan in the morning, work in Pomodoros, review before leaving',
+    icon: '🎯',
+    templates: ['morning-planning', 'pomodoro', 'end-of-day-review'],
+    parameters: ['days']
+  }
+];
+
+const findBuiltInTemplate = (id) => BUILT_IN_TEMPLATES.find(template => template.id === id);
+const findBuiltInPack = (id) => BUILT_IN_PACKS.find(pack => pack.id === id);
+
+// Parameters with their defaults worked out for this user
+const resolveParameters = (parameters, user) => parameters.map(({ defaultFrom, ...parameter }) => ({
+  ...parameter,
+  defaultValue: defaultFrom ? USER_DEFAULTS[defaultFrom](user) : parameter.defaultValue
+}));
+
+// User templates are Mongo documents, built-in ones plain objects
+const toPlain = (template) => (
+  typeof template.toObject === 'function' ? template.toObject({ versionKey: false }) : template
+);
+
+// Template as sent to the gallery
+const describeTemplate = (template, user) => {
+  const plain = toPlain(template);
+
+  return {
+    id: plain.id || String(plain._id),
+    name: plain.name,
+    description: plain.description || '',
+    icon: plain.icon,
+    category: plain.category,
+    builtIn: Boolean(findBuiltInTemplate(plain.id)),
+    parameters: resolveParameters(plain.parameters || [], user),
+    routine: plain.routine,
+    createdAt: plain.createdAt
+  };
+};
+
+const describePack = (pack, user) => {
+  const parameters = pack.parameters.map(key => pack.templates
+    .map(findBuiltInTemplate)
+    .flatMap(template => template.parameters)
+    .find(parameter => parameter.key === key));
+
+  return { ...pack, parameters: resolveParameters(parameters, user) };
+};
+
+const checkParameter = (parameter, value) => {
+  switch (parameter.type) {
+    case 'time':
+      if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+        return { error: `${parameter.label} must be in HH:MM format` };
+      }
+      return { value };
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || value === null || !Number.isFinite(number)) {
+        return { error: `${parameter.label} must be a number` };
+      }
+      if ((parameter.min !== undefined && number < parameter.min) ||
+          (parameter.max !== undefined && number > parameter.max)) {
+        return { error: `${parameter.label} must be between ${parameter.min ?? '-∞'} and ${parameter.max ?? '∞'}` };
+      }
+      return { value: number };
+    }
+    case 'days': {
+      const days = Array.isArray(value) ? [...new Set(value.map(Number))].sort((a, b) => a - b) : [];
+      if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return { error: `${parameter.label} needs at least one day (0 = Sunday … 6 = Saturday)` };
+      }
+      return { value: days };
+    }
+    default:
+      if (typeof value !== 'string' || value.trim() === '' || value.length > 100) {
+        return { error: `${parameter.label} must be between 1 and 100 characters` };
+      }
+      return { value: value.trim() };
+  }
+};
+
+// Checks given values, falling back to defaults. Returns { values, errors }.
+const validateParams = (parameters, params) => {
+  const values = {};
+  const errors = [];
+
+  if (params === undefined || params === null) params = {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return { values, errors: ['Parameters must be an object of values'] };
+  }
+
+  parameters.forEach(parameter => {
+    const given = params[parameter.key];
+    const checked = checkParameter(parameter, given === undefined ? parameter.defaultValue : given);
+    if (checked.error) errors.push(checked.error);
+    else values[parameter.key] = checked.value;
+  });
+
+  return { values, errors };
+};
+
+// Replaces placeholders at any depth. A string that is only "{{key}}" takes
+// the value as is, so numbers and day lists keep their type.
+const fillTemplate = (value, values) => {
+  if (Array.isArray(value)) return value.map(item => fillTemplate(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillTemplate(item, values)]));
+  }
+  if (typeof value !== 'string') return value;
+
+  const exact = value.match(EXACT_PLACEHOLDER);
+  if (exact && values[exact[1]] !== undefined) return values[exact[1]];
+  return value.replace(PLACEHOLDER, (placeholder, key) => (values[key] === undefined ? placeholder : String(values[key])));
+};
+
+// Routine fields for a template filled with params.
+// Returns { data, errors }; data is only set when the routine is valid.
+const instantiateTemplate = (template, params, user) => {
+  const plain = toPlain(template);
+  const parameters = resolveParameters(plain.parameters || [], user);
+  const { values, errors } = validateParams(parameters, params);
+  if (errors.length > 0) return { errors };
+
+  const data = fillTemplate(plain.routine, values);
+  const validationError = new Routine({ ...data, user: user._id }).validateSync();
+  if (validationError) {
+    return { errors: [...new Set(Object.values(validationError.errors).map(error => error.message))] };
+  }
+
+  return { data, errors: [] };
+};
+
+// Template fields for a user's routine. Work window, interval and days of
+// interval routines, or the time and days of a single weekly schedule entry,
+// become parameters that default to the routine's current values.
+const deriveTemplate = (routine) => {
+  const { adaptiveTiming, ...definition } = toBundleRoutine(routine);
+  const parameters = [
+    { key: 'title', label: 'Title', type: 'text', defaultValue: definition.title }
+  ];
+  definition.title = '{{title}}';
+
+  const addParameter = (parameter, target, field) => {
+    if (target?.[field] === undefined) return;
+    parameters.push({ ...parameter, defaultValue: target[field] });
+    target[field] = `{{${parameter.key}}}`;
+  };
+
+  if (definition.kind === 'interval') {
+    const settings = definition.intervalSettings;
+    addParameter(everyMinutesParameter(), settings, 'everyMinutes');
+    addParameter(workHoursParameters[0], settings, 'windowStart');
+    addParameter(workHoursParameters[1], settings, 'windowEnd');
+    addParameter(workHoursParameters[2], settings, 'days');
+  } else if (!definition.recurrence && definition.schedule.length === 1) {
+    addParameter({ key: 'time', label: 'Time', type: 'time' }, definition.schedule[0], 'time');
+    addParameter({ key: 'days', label: 'Days', type: 'days' }, definition.schedule[0], 'days');
+  }
+
+  return {
+    category: definition.category,
+    parameters: parameters.map(({ defaultFrom, ...parameter }) => parameter),
+    routine: { ...definition, adaptiveTiming },
+    sourceRoutine: routine._id
+  };
+};
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  BUILT_IN_PACKS,
+  findBuiltInTemplate,
+  findBuiltInPack,
+  describeTemplate,
+  describePack,
+  validateParams,
+  fillTemplate,
+  instantiateTemplate,
+  deriveTemplate
+};
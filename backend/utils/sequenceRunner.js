@@ -0,0 +1,223 @@
+const Sequence = require('../models/Sequence');
+const SequenceRun = require('../models/SequenceRun');
+
+const STALE_RUN_MS = 24 * 60 * 60 * 1000; // Runs still going after a day are abandoned
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000);
+
+// When the step after `index` starts anyway, if it has a timeout
+const getTimeoutAt = (steps, index, deliveredAt) => {
+  const nextStep = steps[index + 1];
+  return nextStep?.timeoutMinutes ? addMinutes(deliveredAt, nextStep.timeoutMinutes) : undefined;
+};
+
+const emitProgress = (scheduler, run) => {
+  if (!scheduler?.io || !run) return;
+  scheduler.io.to(toId(run.user)).emit('sequence-progress', {
+    runId: run._id.toString(),
+    sequenceId: toId(run.sequence),
+    status: run.status,
+    currentStep: run.currentStep,
+    timestamp: new Date()
+  });
+};
+
+// Start a run for every active sequence whose first routine just rang
+const startSequenceRuns = async (notification, scheduler) => {
+  const deliveredAt = notification.deliveredAt || new Date();
+  const sequences = await Sequence.find({
+    user: toId(notification.user),
+    isActive: true,
+    'steps.0.routine': toId(notification.routine)
+  });
+
+  for (const sequence of sequences) {
+    const steps = sequence.steps.map((step, index) => ({
+      routine: step.routine,
+      delayMinutes: step.delayMinutes || 0,
+      timeoutMinutes: step.timeoutMinutes,
+      ...(index === 0
+        ? { notification: notification._id, status: 'delivered', deliveredAt }
+        : {})
+    }));
+
+    const run = await SequenceRun.create({
+      sequence: sequence._id,
+      user: sequence.user,
+      steps,
+      nextTimeoutAt: getTimeoutAt(steps, 0, deliveredAt),
+      startedAt: deliveredAt
+    });
+
+    console.log(`🔗 Started sequence ${sequence.name}`);
+    emitProgress(scheduler, run);
+  }
+};
+
+// Called whenever a notification rings. A sequence step moves to
+// 'delivered'; the first routine of a sequence starts a new run.
+const handleSequenceDelivery = async (notification, scheduler) => {
+  try {
+    const runId = notification.metadata?.sequenceRun;
+
+    if (!runId) {
+      // Snoozed alarms ring again - that must not start a second run
+      const existing = await SequenceRun.exists({ 'steps.notification': notification._id });
+      if (!existing) await startSequenceRuns(notification, scheduler);
+      return;
+    }
+
+    const index = notification.metadata.sequenceStep;
+    const run = await SequenceRun.findOne({ _id: runId, status: 'running', currentStep: index });
+    if (!run || run.steps[index]?.status !== 'scheduled') return;
+
+    const deliveredAt = notification.deliveredAt || new Date();
+    const updated = await SequenceRun.findOneAndUpdate(
+      { _id: run._id, status: 'running', currentStep: index, [`steps.${index}.status`]: 'scheduled' },
+      {
+        $set: {
+          [`steps.${index}.status`]: 'delivered',
+          [`steps.${index}.deliveredAt`]: deliveredAt,
+          nextTimeoutAt: getTimeoutAt(run.steps, index, deliveredAt)
+        }
+      },
+      { new: true }
+    );
+
+    emitProgress(scheduler, updated);
+  } catch (error) {
+    console.error('❌ Error tracking sequence delivery:', error);
+  }
+};
+
+const abandonRun = async (run, index, scheduler) => {
+  const now = new Date();
+  const abandoned = await SequenceRun.findOneAndUpdate(
+    { _id: run._id, status: 'running', currentStep: index },
+    {
+      $set: { status: 'abandoned', finishedAt: now, [`steps.${index}.finishedAt`]: now },
+      $unset: { nextTimeoutAt: 1 }
+    },
+    { new: true }
+  );
+
+  if (abandoned) {
+    console.log(`🛑 Sequence run ${run._id} abandoned at step ${index + 1}`);
+    emitProgress(scheduler, abandoned);
+  }
+  return abandoned;
+};
+
+// Finish step `index` with `outcome` and queue the next routine. Completed
+// steps wait the next step's delay; timed-out or skipped steps start it now.
+const advanceRun = async (run, index, outcome, scheduler) => {
+  const now = new Date();
+  const next = index + 1;
+  const isLast = next >= run.steps.length;
+  const update = {
+    $set: {
+      [`steps.${index}.status`]: outcome,
+      [`steps.${index}.finishedAt`]: now
+    },
+    $unset: { nextTimeoutAt: 1 }
+  };
+
+  let startAt = now;
+  if (isLast) {
+    update.$set.status = 'completed';
+    update.$set.finishedAt = now;
+  } else {
+    if (outcome === 'completed') {
+      startAt = addMinutes(now, run.steps[next].delayMinutes || 0);
+    }
+    update.$set.currentStep = next;
+    update.$set[`steps.${next}.status`] = 'scheduled';
+    update.$set[`steps.${next}.scheduledFor`] = startAt;
+  }
+
+  const advanced = await SequenceRun.findOneAndUpdate(
+    {
+      _id: run._id,
+      status: 'running',
+      currentStep: index,
+      [`steps.${index}.status`]: { $in: ['scheduled', 'delivered'] }
+    },
+    update,
+    { new: true }
+  );
+
+  if (!advanced) return null;
+
+  if (isLast) {
+    console.log(`🏁 Sequence run ${run._id} completed`);
+    emitProgress(scheduler, advanced);
+    return advanced;
+  }
+
+  const notification = await scheduler.queueSequenceStep(advanced, next, startAt);
+  if (!notification) {
+    // The routine was deleted or paused - move on to the one after it
+    return advanceRun(advanced, next, 'skipped', scheduler);
+  }
+
+  await SequenceRun.updateOne(
+    { _id: advanced._id },
+    { $set: { [`steps.${next}.notification`]: notification._id } }
+  );
+  emitProgress(scheduler, advanced);
+  return advanced;
+};
+
+// React to the user's (or the escalation chain's) answer to a notification
+// that is the current step of a running sequence
+const handleSequenceResponse = async (notification, action, scheduler) => {
+  try {
+    const runs = await SequenceRun.find({ status: 'running', 'steps.notification': notification._id });
+
+    for (const run of runs) {
+      const index = run.steps.findIndex(step => toId(step.notification) === notification._id.toString());
+      if (index !== run.currentStep) continue;
+
+      if (action === 'completed') {
+        await advanceRun(run, index, 'completed', scheduler);
+      } else if (action === 'suppressed') {
+        await advanceRun(run, index, 'skipped', scheduler);
+      } else if (action === 'dismissed' || (action === 'ignored' && !run.nextTimeoutAt)) {
+        // Ignored steps with a timeout are picked up by processSequenceTimeouts
+        await abandonRun(run, index, scheduler);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error advancing sequence:', error);
+  }
+};
+
+// Start the next step of runs whose current step timed out, and drop runs
+// that have been hanging around for a day
+const processSequenceTimeouts = async (scheduler) => {
+  const now = new Date();
+  const runs = await SequenceRun.find({ status: 'running', nextTimeoutAt: { $lte: now } });
+
+  for (const run of runs) {
+    try {
+      console.log(`⏱️ Sequence step ${run.currentStep + 1} timed out, starting the next one`);
+      await advanceRun(run, run.currentStep, 'timed-out', scheduler);
+    } catch (error) {
+      console.error(`❌ Error timing out sequence run ${run._id}:`, error);
+    }
+  }
+
+  await SequenceRun.updateMany(
+    { status: 'running', startedAt: { $lt: new Date(now.getTime() - STALE_RUN_MS) } },
+    { $set: { status: 'abandoned', finishedAt: now }, $unset: { nextTimeoutAt: 1 } }
+  );
+};
+
+module.exports = {
+  handleSequenceDelivery,
+  handleSequenceResponse,
+  processSequenceTimeouts,
+  abandonRun
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<session id>.<secret>" so the session can be found
+// without storing the secret itself
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const issueTokens = (user, session, refreshToken) => ({
+  token: user.generateAuthToken(session._id),
+  refreshToken,
+  sessionId: session._id
+});
+
+// Start a session for a device that just signed in
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'pending',
+    userAgent: String(req.get('user-agent') || '').slice(0, 500),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return issueTokens(user, session, refreshToken);
+};
+
+const findSession = (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  return /^[a-f0-9]{24}$/.test(sessionId) ? Session.findById(sessionId).populate('user') : null;
+};
+
+// Swap a refresh token for a new pair. Returns null when the token is not
+// valid. Presenting an already used token revokes the whole session, since
+// one of the two holders is not the owner. The swap is a single conditional
+// update so two refreshes racing with the same token can't both succeed.
+const rotateSession = async (refreshToken) => {
+  const session = await findSession(refreshToken);
+  if (!session || !session.isLive() || !session.user?.isActive) return null;
+
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: { $exists: false } },
+    {
+      $set: {
+        previousTokenHash: hash,
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    if (hash === session.previousTokenHash) {
+      await Session.updateOne({ _id: session._id }, { $set: { revokedAt: new Date() } });
+      console.warn(`🚨 Refresh token reuse detected, session ${session._id} revoked`);
+    }
+    return null;
+  }
+
+  return { ...issueTokens(session.user, rotated, nextToken), user: session.user };
+};
+
+const isSessionLive = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return Boolean(session && session.isLive());
+};
+
+// Revoke sessions and drop their live sockets. Sockets join a
+// "session:<id>" room during the handshake.
+const revokeSessions = async (io, query) => {
+  const sessions = await Session.find({ ...query, revokedAt: { $exists: false } }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (io) {
+    sessions.forEach(session => io.in(`session:${session._id}`).disconnectSockets(true));
+  }
+  return sessions.length;
+};
+
+// A short label like "Chrome on Windows" for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+  if (!browser && !system) return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+
+  return [browser?.[1] || 'Unknown browser', system?.[1]].filter(Boolean).join(' on ');
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionLive,
+  revokeSessions,
+  describeDevice
+};
@@ -0,0 +1,90 @@
+// Hashed timer wheel: a single interval drives any number of timers.
+// Each slot covers `tickMs`; timers further away than one revolution
+// carry a `rounds` counter that is decremented every time the slot passes.
+class TimerWheel {
+  constructor({ tickMs = 1000, slotCount = 60 } = {}) {
+    this.tickMs = tickMs;
+    this.slotCount = slotCount;
+    this.slots = Array.from({ length: slotCount }, () => new Map());
+    this.timers = new Map(); // id -> slot index
+    this.cursor = 0;
+    this.interval = null;
+  }
+
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.tick(), this.tickMs);
+    // Do not keep the process alive just for pending timers
+    if (this.interval.unref) this.interval.unref();
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // Schedule (or reschedule) `callback` to run at `at`; ids are unique
+  schedule(id, at, callback) {
+    this.cancel(id);
+
+    const delayTicks = Math.max(0, Math.ceil((new Date(at).getTime() - Date.now()) / this.tickMs));
+    const slot = (this.cursor + delayTicks) % this.slotCount;
+    const rounds = Math.floor(delayTicks / this.slotCount);
+
+    this.slots[slot].set(id, { rounds, callback });
+    this.timers.set(id, slot);
+  }
+
+  cancel(id) {
+    const slot = this.timers.get(id);
+    if (slot === undefined) return false;
+
+    this.slots[slot].delete(id);
+    this.timers.delete(id);
+    return true;
+  }
+
+  // Drop every timer without running it
+  clear() {
+    this.slots.forEach(slot => slot.clear());
+    this.timers.clear();
+  }
+
+  has(id) {
+    return this.timers.has(id);
+  }
+
+  get size() {
+    return this.timers.size;
+  }
+
+  tick() {
+    const bucket = this.slots[this.cursor];
+    const due = [];
+
+    bucket.forEach((timer, id) => {
+      if (timer.rounds > 0) {
+        timer.rounds -= 1;
+        return;
+      }
+      due.push([id, timer.callback]);
+    });
+
+    due.forEach(([id]) => {
+      bucket.delete(id);
+      this.timers.delete(id);
+    });
+
+    this.cursor = (this.cursor + 1) % this.slotCount;
+
+    due.forEach(([id, callback]) => {
+      Promise.resolve()
+        .then(() => callback(id))
+        .catch(error => console.error(`❌ Timer ${id} failed:`, error));
+    });
+  }
+}
+
+module.exports = TimerWheel;
@@ -0,0 +1,110 @@
+// Time zone helpers built on the Intl API (no external date library needed)
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+// Time zone the server process runs in, used when neither user nor routine set one
+const getServerTimeZone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant as seen in the given time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+};
+
+// Offset of the zone from UTC in minutes at the given instant (e.g. -300 for EST)
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// Convert a local wall-clock time in a zone to a UTC instant.
+//
+// DST rules:
+// - Repeated hour (clocks fall back): the first occurrence is used, so the
+//   alarm fires once and not again when the hour repeats.
+// - Skipped hour (clocks spring forward): the time is shifted forward by the
+//   length of the gap (02:30 becomes 03:30), so the alarm is never dropped.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  const offsetBefore = getTimeZoneOffset(new Date(asUtc - dayMs), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(asUtc + dayMs), timeZone);
+
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => asUtc - offset * 60000)
+    .filter(candidate => {
+      const parts = getZonedParts(new Date(candidate), timeZone);
+      return parts.year === year && parts.month === month && parts.day === day &&
+        parts.hour === hour && parts.minute === minute;
+    });
+
+  if (matches.length > 0) {
+    return new Date(Math.min(...matches));
+  }
+
+  // Wall time falls inside a DST gap - interpret it with the pre-transition offset
+  return new Date(asUtc - offsetBefore * 60000);
+};
+
+// Calendar date arithmetic on plain { year, month, day } objects
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+};
+
+module.exports = {
+  getServerTimeZone,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  addDays
+};
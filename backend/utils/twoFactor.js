@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_AUDIENCE = 'two-factor-login';
+
+// Recovery codes are compared without dashes, spaces or case
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code || '').toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+// Fresh one-time codes like "3f9a-c2d1"; only the hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Short-lived proof that the password step of a login succeeded
+const createLoginChallenge = (user) => jwt.sign(
+  { id: user._id },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m', audience: CHALLENGE_AUDIENCE }
+);
+
+const readLoginChallenge = (token) => {
+  try {
+    return jwt.verify(String(token || ''), process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE }).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check an authenticator code or a recovery code for a user with 2FA on.
+// Both are single-use: the code's time step and the recovery code are
+// claimed in the same update that accepts them. Returns the method used, or
+// null when the code is wrong or already used.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } }
+    );
+    return result.modifiedCount === 1 ? 'recovery' : null;
+  }
+
+  const user = await User.findById(userId).select('+twoFactor.secret');
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null) return null;
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1 ? 'totp' : null;
+};
+
+const countRecoveryCodes = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+  return user?.twoFactor?.recoveryCodes?.length || 0;
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  createLoginChallenge,
+  readLoginChallenge,
+  verifySecondFactor,
+  countRecoveryCodes
+};
@@ -0,0 +1,160 @@
+const Routine = require('../models/Routine');
+const Team = require('../models/Team');
+const Notification = require('../models/Notification');
+const { resolveTimeZone, getOccurrencesBetween } = require('./occurrences');
+const { isHeld } = require('./routineHolds');
+const { getAdjustment } = require('./adaptiveTiming');
+const { getDndDecision } = require('./quietHours');
+
+const ROUTINE_FIELDS = ['_id', 'title', 'category', 'priority', 'sound'];
+const MAX_RESULTS = 500;
+const SHIFT_PADDING_MS = 60 * 60 * 1000; // Largest adaptive shift allowed
+
+const summarizeRoutine = (routine) => (
+  routine ? Object.fromEntries(ROUTINE_FIELDS.map(field => [field, routine[field]])) : null
+);
+
+// When an occurrence is queued to fire: the occurrence shifted by the
+// routine's learned adjustment. The scheduler materializes with this too.
+const planOccurrence = (routine, occurrenceAt, timeZone) => {
+  const adaptiveAdjustment = getAdjustment(routine, occurrenceAt, timeZone).minutes;
+  return {
+    occurrenceAt,
+    scheduledFor: new Date(occurrenceAt.getTime() + adaptiveAdjustment * 60 * 1000),
+    adaptiveAdjustment
+  };
+};
+
+// What Do-Not-Disturb will do at fire time: suppressed alarms don't ring,
+// deferred ones ring when the quiet period ends
+const applyDnd = (entry, user, routine, timeZone) => {
+  const dnd = getDndDecision(user, routine, entry.fireAt, timeZone);
+  if (!dnd) return entry;
+
+  const deferred = dnd.action === 'defer';
+  return {
+    ...entry,
+    fireAt: deferred ? dnd.until : entry.fireAt,
+    dnd: { action: dnd.action, reason: dnd.reason, until: dnd.until }
+  };
+};
+
+// Team routines ring at the same moment for everyone, in the lead's time
+// zone, as the scheduler materializes them
+const routineTimeZone = (routine, user) => (
+  resolveTimeZone(routine, routine?.team ? routine.user : user)
+);
+
+// Entry for a row that is already in the queue
+const fromQueuedRow = (notification, user) => {
+  const isSnoozed = notification.status === 'snoozed';
+  const occurrenceAt = notification.metadata?.occurrenceAt;
+  const timeZone = routineTimeZone(notification.routine, user);
+
+  let kind = 'scheduled';
+  if (isSnoozed) kind = 'snoozed';
+  else if (notification.metadata?.sequenceRun) kind = 'sequence';
+  else if (!occurrenceAt) kind = 'one-off';
+
+  return applyDnd({
+    kind,
+    routine: summarizeRoutine(notification.routine),
+    title: notification.title,
+    notification: notification._id,
+    occurrenceAt: occurrenceAt || notification.scheduledFor,
+    fireAt: isSnoozed ? notification.snoozedUntil : notification.scheduledFor,
+    adaptiveAdjustment: notification.metadata?.adaptiveAdjustment || 0,
+    rescheduled: !!notification.metadata?.rescheduled,
+    timezone: timeZone,
+    dnd: null
+  }, user, notification.routine, timeZone);
+};
+
+// Everything that will ring for a user between `from` and `to`, sorted by
+// fire time: routine occurrences (respecting holds, adaptive timing and
+// Do-Not-Disturb), queued rows that already moved, snoozes and sequence steps
+const getUpcomingForUser = async (user, from, to, now = new Date()) => {
+  // The user's own routines plus those of their teams they haven't opted
+  // out of. Interval routines read their default window and step from the owner.
+  const teams = await Team.find({ 'members.user': user._id }).select('_id');
+  const routines = await Routine.find({
+    isActive: true,
+    $or: [
+      { user: user._id, team: { $exists: false } },
+      { team: { $in: teams.map(team => team._id) }, optedOut: { $ne: user._id } }
+    ]
+  }).populate('user');
+  const queued = await Notification.find({
+    user: user._id,
+    $or: [
+      { status: 'pending', scheduledFor: { $lt: to } },
+      { status: 'snoozed', snoozedUntil: { $lt: to } }
+    ]
+  }).populate({ path: 'routine', populate: { path: 'user' } });
+
+  // Queued rows win over computed occurrences: they carry deferrals and
+  // the timing that was fixed when they were materialized
+  const queuedByOccurrence = new Map();
+  queued.forEach(notification => {
+    const occurrenceAt = notification.metadata?.occurrenceAt;
+    if (notification.status === 'pending' && occurrenceAt && notification.routine) {
+      queuedByOccurrence.set(`${notification.routine._id}:${occurrenceAt.getTime()}`, notification);
+    }
+  });
+
+  const entries = [];
+  const used = new Set();
+
+  for (const routine of routines) {
+    const timeZone = routineTimeZone(routine, user);
+    // Adaptive timing can move a fire time up to an hour either way
+    const occurrences = getOccurrencesBetween(
+      routine,
+      new Date(from.getTime() - SHIFT_PADDING_MS),
+      new Date(to.getTime() + SHIFT_PADDING_MS),
+      timeZone
+    );
+
+    for (const occurrence of occurrences) {
+      if (isHeld(routine, user, occurrence.at)) continue;
+
+      const row = queuedByOccurrence.get(`${routine._id}:${occurrence.at.getTime()}`);
+      if (row) {
+        used.add(row._id.toString());
+        entries.push(fromQueuedRow(row, user));
+        continue;
+      }
+
+      // Occurrences already due are only upcoming while their row is queued
+      if (occurrence.at < now) continue;
+
+      const planned = planOccurrence(routine, occurrence.at, timeZone);
+      entries.push(applyDnd({
+        kind: 'scheduled',
+        routine: summarizeRoutine(routine),
+        title: routine.title,
+        notification: null,
+        occurrenceAt: planned.occurrenceAt,
+        fireAt: planned.scheduledFor,
+        adaptiveAdjustment: planned.adaptiveAdjustment,
+        timezone: timeZone,
+        dnd: null
+      }, user, routine, timeZone));
+    }
+  }
+
+  // Snoozes, sequence steps, and deferred rows far from their occurrence
+  queued
+    .filter(notification => !used.has(notification._id.toString()))
+    .forEach(notification => entries.push(fromQueuedRow(notification, user)));
+
+  return entries
+    .filter(entry => entry.fireAt >= from && entry.fireAt < to)
+    .sort((a, b) => a.fireAt - b.fireAt)
+    .slice(0, MAX_RESULTS);
+};
+
+module.exports = {
+  planOccurrence,
+  getUpcomingForUser
+};
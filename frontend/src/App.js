@@ -15,10 +15,20 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 // Components
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
 import Dashboard from './components/Dashboard';
 import RoutineManager from './components/RoutineManager';
+import ImportCalendar from './components/ImportCalendar';
+import RoutineBundle from './components/RoutineBundle';
+import TemplateGallery from './components/TemplateGallery';
+import TeamManager from './components/TeamManager';
+import AdminConsole from './components/AdminConsole';
+import EmailVerificationBanner from './components/EmailVerificationBanner';
 import AddRoutine from './components/AddRoutine';
 import Analytics from './components/Analytics';
+import Agenda from './components/Agenda';
 import SoundSettings from './components/SoundSettings';
 import NotificationModal from './components/NotificationModal';
 
@@ -31,6 +41,9 @@ import { apiService } from './services/api';
 import { useRoutines } from './hooks/useRoutines';
 import { useNotifications } from './hooks/useNotifications';
 
+// Utils
+import { hasRole } from './utils/roles';
+
 // Styles
 import './App.css';
 
@@ -142,6 +155,34 @@ const EditRoutineWrapper = ({ routines, onUpdateRoutine, onDeleteRoutine, onTest
   );
 };
 
+// New team routine; the lead owns it, so it also shows up in their routines
+const AddTeamRoutineWrapper = ({ onCreated, onTestSound }) => {
+  const { teamId } = useParams();
+  const navigate = useNavigate();
+
+  const handleSave = async (routineData) => {
+    try {
+      const response = await apiService.teams.createRoutine(teamId, routineData);
+      if (!response.data?.success) {
+        throw new Error(response.data?.errors?.join(', ') || response.data?.message || 'Failed to create team routine');
+      }
+      await onCreated(response.data.routine);
+      navigate('/teams');
+    } catch (error) {
+      console.error('❌ Error creating team routine:', error);
+      alert(`Error creating team routine: ${error.message}`);
+    }
+  };
+
+  return (
+    <AddRoutine
+      onSaveRoutine={handleSave}
+      onCancel={() => navigate('/teams')}
+      onTestSound={onTestSound}
+    />
+  );
+};
+
 // Main Layout Component
 const MainLayout = () => {
   const { user, logout } = useAuth();
@@ -156,6 +197,7 @@ const MainLayout = () => {
     updateRoutine,
     deleteRoutine,
     toggleRoutineActive,
+    updateRoutineHold,
     loadRoutines,
   } = useRoutines();
 
@@ -384,6 +426,16 @@ const MainLayout = () => {
     }
   }, [toggleRoutineActive, loadRoutines]);
 
+  const handleRoutineHold = useCallback(async (routineId, action, until) => {
+    try {
+      return await updateRoutineHold(routineId, action, until);
+    } catch (error) {
+      console.error('Error updating routine hold:', error);
+      alert(error.message);
+      return null;
+    }
+  }, [updateRoutineHold]);
+
   // Refresh data
   const handleRefreshData = useCallback(async () => {
     try {
@@ -446,6 +498,7 @@ const MainLayout = () => {
   const isActive = (path) => {
     if (path === '/dashboard') return location.pathname === '/dashboard';
     if (path === '/routines') return location.pathname.startsWith('/routines');
+    if (path === '/agenda') return location.pathname === '/agenda';
     if (path === '/analytics') return location.pathname === '/analytics';
     if (path === '/settings') return location.pathname === '/settings';
     return false;
@@ -477,6 +530,18 @@ const MainLayout = () => {
           >
             Routines
           </button>
+          <button 
+            className={`nav-link ${isActive('/teams') ? 'active' : ''}`}
+            onClick={() => navigate('/teams')}
+          >
+            Teams
+          </button>
+          <button 
+            className={`nav-link ${isActive('/agenda') ? 'active' : ''}`}
+            onClick={() => navigate('/agenda')}
+          >
+            Agenda
+          </button>
           <button 
             className={`nav-link ${isActive('/analytics') ? 'active' : ''}`}
             onClick={() => navigate('/analytics')}
@@ -489,6 +554,14 @@ const MainLayout = () => {
           >
             Settings
           </button>
+          {hasRole(user, 'system-admin') && (
+            <button 
+              className={`nav-link ${isActive('/admin') ? 'active' : ''}`}
+              onClick={() => navigate('/admin')}
+            >
+              Admin
+            </button>
+          )}
           <button 
             className="nav-link refresh-btn"
             onClick={handleRefreshData}
@@ -523,6 +596,7 @@ const MainLayout = () => {
       {/* Main Content */}
       <main className="main-content">
         <div className="content-container">
+          <EmailVerificationBanner user={user} />
           <Routes>
             <Route path="/dashboard" element={
               <Dashboard 
@@ -543,9 +617,43 @@ const MainLayout = () => {
                 onEditRoutine={(routine) => navigate(`/routines/edit/${routine._id}`)}
                 onDeleteRoutine={handleDeleteRoutine}
                 onToggleRoutine={handleToggleRoutine}
+                onRoutineHold={handleRoutineHold}
+                onImportCalendar={() => navigate('/routines/import')}
+                onTransferRoutines={() => navigate('/routines/transfer')}
+                onBrowseTemplates={() => navigate('/routines/templates')}
+              />
+            } />
+
+            <Route path="/routines/import" element={
+              <ImportCalendar
+                onImported={async () => {
+                  await loadRoutines();
+                  navigate('/routines');
+                }}
+                onCancel={() => navigate('/routines')}
+              />
+            } />
+
+            <Route path="/routines/transfer" element={
+              <RoutineBundle
+                onImported={async () => {
+                  await loadRoutines();
+                  navigate('/routines');
+                }}
+                onCancel={() => navigate('/routines')}
               />
             } />
             
+            <Route path="/routines/templates" element={
+              <TemplateGallery
+                onCreated={async () => {
+                  await loadRoutines();
+                  navigate('/routines');
+                }}
+                onCancel={() => navigate('/routines')}
+              />
+            } />
+
             <Route path="/routines/add" element={
               <AddRoutine 
                 onSaveRoutine={async (routineData) => {
@@ -557,9 +665,16 @@ const MainLayout = () => {
                   }
                 }}
                 onCancel={() => navigate('/routines')}
+                onBrowseTemplates={() => navigate('/routines/templates')}
                 onTestSound={(soundType, volume) => soundService.testSound(soundType, volume)}
               />
             } />
+
+            <Route path="/admin" element={
+              hasRole(user, 'system-admin')
+                ? <AdminConsole />
+                : <Navigate to="/dashboard" replace />
+            } />
             
             <Route 
               path="/routines/edit/:id" 
@@ -587,6 +702,25 @@ const MainLayout = () => {
               } 
             />
             
+            <Route path="/teams" element={
+              <TeamManager
+                onAddTeamRoutine={(teamId) => navigate(`/teams/${teamId}/routines/add`)}
+                onEditRoutine={(routine) => navigate(`/routines/edit/${routine._id}`)}
+                onTeamChanged={loadRoutines}
+              />
+            } />
+
+            <Route path="/teams/:teamId/routines/add" element={
+              <AddTeamRoutineWrapper
+                onCreated={loadRoutines}
+                onTestSound={(soundType, volume) => soundService.testSound(soundType, volume)}
+              />
+            } />
+
+            <Route path="/agenda" element={
+              <Agenda routines={routines} />
+            } />
+            
             <Route path="/analytics" element={
               <Analytics 
                 routines={routines} 
@@ -697,6 +831,16 @@ function App() {
               <Register />
             </PublicRoute>
           } />
+
+          <Route path="/forgot-password" element={
+            <PublicRoute>
+              <ForgotPassword />
+            </PublicRoute>
+          } />
+
+          {/* Emailed links work signed in or out */}
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
           
           {/* Protected Routes */}
           <Route path="/*" element={
@@ -0,0 +1,79 @@
+// src/components/ActiveSessions.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+
+// Devices signed in to this account, with sign-out per device or everywhere
+const ActiveSessions = () => {
+  const { logoutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await apiService.auth.getSessions();
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Could not load sessions');
+      }
+      setSessions(response.data.sessions);
+    } catch (loadError) {
+      console.error('❌ Error loading sessions:', loadError);
+      setError(loadError.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session) => {
+    try {
+      setError('');
+      const response = await apiService.auth.revokeSession(session.id);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Failed to sign out device');
+      }
+      await loadSessions();
+    } catch (revokeError) {
+      console.error('❌ Error revoking session:', revokeError);
+      setError(revokeError.message);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Sign out on every device, including this one?')) return;
+    await logoutEverywhere();
+  };
+
+  return (
+    <div className="settings-card">
+      <h2>🔐 Signed-in Devices</h2>
+      {error && <span className="error-text">{error}</span>}
+
+      <ul className="team-members">
+        {sessions.map(session => (
+          <li key={session.id}>
+            <span>
+              {session.device}
+              {session.current && ' (this device)'}
+              <span className="activity-time">
+                {' '}{session.ip} · last active {new Date(session.lastUsedAt).toLocaleString()}
+              </span>
+            </span>
+            {!session.current && (
+              <button className="stop-btn" onClick={() => handleRevoke(session)}>
+                Sign out
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <button className="stop-btn" onClick={handleLogoutEverywhere}>
+        Log out everywhere
+      </button>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -1,7 +1,28 @@
 import React, { useState, useEffect } from 'react';
-import { ROUTINE_CATEGORIES, DAYS_OF_WEEK, SOUND_OPTIONS, PRIORITY_LEVELS } from '../config';
+import { useAuth } from '../context/AuthContext';
+import {
+  ROUTINE_CATEGORIES,
+  DAYS_OF_WEEK,
+  SOUND_OPTIONS,
+  PRIORITY_LEVELS,
+  TIME_ZONES,
+  MISSED_POLICIES,
+  ESCALATION_OPTIONS,
+  ESCALATION_VOLUME_STEPS,
+  DEFAULT_ESCALATION_CHAIN,
+  DEFAULT_ADAPTIVE_TIMING,
+  DEFAULT_NOTIFICATION_SETTINGS,
+  DEFAULT_RECURRENCE,
+  DEFAULT_INTERVAL_SETTINGS,
+  DEFAULT_SETTINGS
+} from '../config';
+import RecurrenceBuilder from './RecurrenceBuilder';
+import { toRecurrenceForm, toRecurrencePayload } from '../utils/recurrence';
+
+const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, onBrowseTemplates, isEditing = false }) => {
+  const { user } = useAuth();
+  const preferences = { ...DEFAULT_SETTINGS, ...(user?.preferences || {}) };
 
-const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, isEditing = false }) => {
   // Initialize form data with empty values or routine data
   const [formData, setFormData] = useState({
     title: '',
@@ -11,9 +32,17 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
     sound: 'chime',
     volume: 0.7,
     priority: 1,
-    adaptiveTiming: { enabled: true }
+    timezone: '',
+    adaptiveTiming: { ...DEFAULT_ADAPTIVE_TIMING },
+    notificationSettings: { ...DEFAULT_NOTIFICATION_SETTINGS }
   });
 
+  // 'weekly' edits the simple schedule entries, 'custom' a recurrence rule,
+  // 'interval' an every-N-minutes routine
+  const [scheduleMode, setScheduleMode] = useState('weekly');
+  const [recurrence, setRecurrence] = useState({ ...DEFAULT_RECURRENCE });
+  const [intervalSettings, setIntervalSettings] = useState({ ...DEFAULT_INTERVAL_SETTINGS });
+
   const [errors, setErrors] = useState({});
   const [isInitialized, setIsInitialized] = useState(false);
 
@@ -48,7 +77,32 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
         sound: routine.sound || 'chime',
         volume: typeof routine.volume === 'number' ? routine.volume : 0.7,
         priority: routine.priority || 1,
-        adaptiveTiming: routine.adaptiveTiming || { enabled: true }
+        timezone: routine.timezone || '',
+        adaptiveTiming: {
+          ...DEFAULT_ADAPTIVE_TIMING,
+          ...(routine.adaptiveTiming || {})
+        },
+        notificationSettings: {
+          ...DEFAULT_NOTIFICATION_SETTINGS,
+          ...(routine.notificationSettings || {}),
+          escalationChain: {
+            ...DEFAULT_ESCALATION_CHAIN,
+            ...(routine.notificationSettings?.escalationChain || {}),
+            ignoreAfterMinutes: routine.notificationSettings?.escalationChain?.ignoreAfterMinutes || ''
+          }
+        }
+      });
+      setScheduleMode(routine.kind === 'interval'
+        ? 'interval'
+        : (routine.recurrence?.frequency ? 'custom' : 'weekly'));
+      setRecurrence(toRecurrenceForm(routine.recurrence, DEFAULT_RECURRENCE));
+      setIntervalSettings({
+        everyMinutes: routine.intervalSettings?.everyMinutes || '',
+        windowStart: routine.intervalSettings?.windowStart || '',
+        windowEnd: routine.intervalSettings?.windowEnd || '',
+        days: routine.intervalSettings?.days?.length > 0
+          ? [...routine.intervalSettings.days]
+          : [...DEFAULT_INTERVAL_SETTINGS.days]
       });
       
       setIsInitialized(true);
@@ -63,8 +117,13 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
         sound: 'chime',
         volume: 0.7,
         priority: 1,
-        adaptiveTiming: { enabled: true }
+        timezone: '',
+        adaptiveTiming: { ...DEFAULT_ADAPTIVE_TIMING },
+        notificationSettings: { ...DEFAULT_NOTIFICATION_SETTINGS }
       });
+      setScheduleMode('weekly');
+      setRecurrence({ ...DEFAULT_RECURRENCE });
+      setIntervalSettings({ ...DEFAULT_INTERVAL_SETTINGS });
       setIsInitialized(true);
     }
   }, [routine, isEditing]);
@@ -93,6 +152,51 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
     }
   };
 
+  const handleNotificationSettingChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      notificationSettings: { ...prev.notificationSettings, [field]: value }
+    }));
+  };
+
+  const handleAdaptiveTimingChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      adaptiveTiming: { ...prev.adaptiveTiming, [field]: value }
+    }));
+  };
+
+  const handleEscalationChainChange = (changes) => {
+    setFormData(prev => ({
+      ...prev,
+      notificationSettings: {
+        ...prev.notificationSettings,
+        escalationChain: { ...prev.notificationSettings.escalationChain, ...changes }
+      }
+    }));
+  };
+
+  const handleEscalationStepChange = (index, field, value) => {
+    const steps = formData.notificationSettings.escalationChain.steps.map((step, i) =>
+      i === index ? { ...step, [field]: value } : step
+    );
+    handleEscalationChainChange({ steps });
+  };
+
+  const addEscalationStep = () => {
+    const { steps } = formData.notificationSettings.escalationChain;
+    const lastMinutes = steps.length > 0 ? parseInt(steps[steps.length - 1].afterMinutes, 10) || 0 : 0;
+    handleEscalationChainChange({
+      steps: [...steps, { afterMinutes: lastMinutes + 5, volumeIncrease: 0, sound: '' }]
+    });
+  };
+
+  const removeEscalationStep = (index) => {
+    handleEscalationChainChange({
+      steps: formData.notificationSettings.escalationChain.steps.filter((_, i) => i !== index)
+    });
+  };
+
   const handleScheduleChange = (index, field, value) => {
     console.log(`📅 Schedule ${index} changed: ${field} = ${value}`);
     
@@ -139,6 +243,19 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
     setFormData(prev => ({ ...prev, schedule: updatedSchedule }));
   };
 
+  const handleIntervalChange = (field, value) => {
+    setIntervalSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleIntervalDay = (day) => {
+    setIntervalSettings(prev => ({
+      ...prev,
+      days: prev.days.includes(day)
+        ? prev.days.filter(d => d !== day)
+        : [...prev.days, day].sort()
+    }));
+  };
+
   const validateForm = () => {
     console.log('🔍 Validating form...');
     const newErrors = {};
@@ -152,27 +269,112 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
     }
 
     // Validate schedule
-    formData.schedule.forEach((schedule, index) => {
-      if (!schedule.time) {
-        newErrors[`schedule-${index}-time`] = 'Time is required';
+    if (scheduleMode === 'weekly') {
+      formData.schedule.forEach((schedule, index) => {
+        if (!schedule.time) {
+          newErrors[`schedule-${index}-time`] = 'Time is required';
+        }
+        if (!schedule.days || schedule.days.length === 0) {
+          newErrors[`schedule-${index}-days`] = 'Select at least one day';
+        }
+      });
+    } else if (scheduleMode === 'interval') {
+      const windowStart = intervalSettings.windowStart || preferences.workingHours.start;
+      const windowEnd = intervalSettings.windowEnd || preferences.workingHours.end;
+
+      if (intervalSettings.everyMinutes && intervalSettings.everyMinutes < 5) {
+        newErrors.everyMinutes = 'Breaks must be at least 5 minutes apart';
       }
-      if (!schedule.days || schedule.days.length === 0) {
-        newErrors[`schedule-${index}-days`] = 'Select at least one day';
+      if (windowEnd <= windowStart) {
+        newErrors.intervalWindow = 'End time must be after start time';
+      }
+      if (intervalSettings.days.length === 0) {
+        newErrors.intervalDays = 'Select at least one day';
+      }
+    } else {
+      const isWindowed = recurrence.frequency === 'minutely' || recurrence.frequency === 'hourly';
+      const recurrenceErrors = {};
+
+      if (recurrence.frequency === 'minutely' && recurrence.interval < 5) {
+        recurrenceErrors.interval = 'Alarms must be at least 5 minutes apart';
+      }
+      if (isWindowed && (!recurrence.windowStart || !recurrence.windowEnd || recurrence.windowEnd < recurrence.windowStart)) {
+        recurrenceErrors.window = 'End time must be after start time';
+      }
+      if (!isWindowed && recurrence.times.filter(Boolean).length === 0) {
+        recurrenceErrors.times = 'Add at least one time';
+      }
+      if (recurrence.startDate && recurrence.endDate && recurrence.endDate < recurrence.startDate) {
+        recurrenceErrors.endDate = 'End date must not be before start date';
       }
-    });
+
+      if (Object.keys(recurrenceErrors).length > 0) {
+        newErrors.recurrence = recurrenceErrors;
+      }
+    }
 
     setErrors(newErrors);
     console.log('✅ Validation errors:', newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  // Only the fields of the selected schedule mode are sent
+  const buildRoutinePayload = () => {
+    const { escalationChain } = formData.notificationSettings;
+    const { adaptiveTiming } = formData;
+    const base = {
+      ...formData,
+      // Only the settings; the learned model stays on the server
+      adaptiveTiming: {
+        enabled: adaptiveTiming.enabled,
+        minAdjustment: parseInt(adaptiveTiming.minAdjustment, 10) || 0,
+        maxAdjustment: parseInt(adaptiveTiming.maxAdjustment, 10) || 0
+      },
+      notificationSettings: {
+        ...formData.notificationSettings,
+        escalationChain: {
+          enabled: escalationChain.enabled,
+          steps: escalationChain.steps
+            .filter(step => parseInt(step.afterMinutes, 10) > 0)
+            .map(step => ({
+              afterMinutes: parseInt(step.afterMinutes, 10),
+              volumeIncrease: step.volumeIncrease || 0,
+              sound: step.sound || undefined
+            })),
+          ignoreAfterMinutes: parseInt(escalationChain.ignoreAfterMinutes, 10) || undefined
+        }
+      }
+    };
+
+    if (scheduleMode === 'interval') {
+      return {
+        ...base,
+        kind: 'interval',
+        schedule: [],
+        recurrence: null,
+        intervalSettings: {
+          everyMinutes: parseInt(intervalSettings.everyMinutes, 10) || undefined,
+          windowStart: intervalSettings.windowStart || undefined,
+          windowEnd: intervalSettings.windowEnd || undefined,
+          days: intervalSettings.days
+        }
+      };
+    }
+
+    if (scheduleMode === 'custom') {
+      return { ...base, kind: 'scheduled', schedule: [], recurrence: toRecurrencePayload(recurrence) };
+    }
+
+    return { ...base, kind: 'scheduled', recurrence: null };
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     console.log('🚀 Form submitted, isEditing:', isEditing);
     
     if (validateForm()) {
       console.log('✅ Form valid, saving routine:', formData.title);
-      onSaveRoutine(formData);
+      onSaveRoutine(buildRoutinePayload());
     } else {
       console.log('❌ Form has errors');
     }
@@ -195,6 +397,11 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
       <div className="page-header">
         <h1>{isEditing ? 'Edit Routine' : 'Create New Routine'}</h1>
         <p>{isEditing ? 'Update your routine details' : 'Set up a new routine with custom schedule and notifications'}</p>
+        {!isEditing && onBrowseTemplates && (
+          <button type="button" className="btn-secondary" onClick={onBrowseTemplates}>
+            📚 Start from a template
+          </button>
+        )}
       </div>
 
       {isEditing && routine && (
@@ -278,63 +485,173 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
 
         <div className="form-section">
           <h3>Schedule</h3>
-          {formData.schedule.map((schedule, index) => (
-            <div key={index} className="schedule-item">
-              <div className="schedule-time">
-                <label>Time *</label>
+          <div className="days-selector schedule-mode">
+            <button
+              type="button"
+              className={`day-btn ${scheduleMode === 'weekly' ? 'selected' : ''}`}
+              onClick={() => setScheduleMode('weekly')}
+              disabled={!isInitialized}
+            >
+              📅 Weekly times
+            </button>
+            <button
+              type="button"
+              className={`day-btn ${scheduleMode === 'custom' ? 'selected' : ''}`}
+              onClick={() => setScheduleMode('custom')}
+              disabled={!isInitialized}
+            >
+              🔁 Custom recurrence
+            </button>
+            <button
+              type="button"
+              className={`day-btn ${scheduleMode === 'interval' ? 'selected' : ''}`}
+              onClick={() => setScheduleMode('interval')}
+              disabled={!isInitialized}
+            >
+              ⏱️ Every N minutes
+            </button>
+          </div>
+
+          {scheduleMode === 'interval' && (
+            <div className="recurrence-builder">
+              <div className="form-group">
+                <label htmlFor="everyMinutes">Every (minutes)</label>
                 <input
-                  type="time"
-                  value={schedule.time || ''}
-                  onChange={(e) => handleScheduleChange(index, 'time', e.target.value)}
-                  className={errors[`schedule-${index}-time`] ? 'error' : ''}
+                  type="number"
+                  id="everyMinutes"
+                  min="5"
+                  max="720"
+                  value={intervalSettings.everyMinutes}
+                  placeholder={`${preferences.breakInterval} (my break interval)`}
+                  onChange={(e) => handleIntervalChange('everyMinutes', e.target.value)}
+                  className={errors.everyMinutes ? 'error' : ''}
                   disabled={!isInitialized}
                 />
-                {errors[`schedule-${index}-time`] && (
-                  <span className="error-text">{errors[`schedule-${index}-time`]}</span>
-                )}
+                {errors.everyMinutes && <span className="error-text">{errors.everyMinutes}</span>}
               </div>
-              
-              <div className="schedule-days">
-                <label>Days *</label>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="intervalWindowStart">Between</label>
+                  <input
+                    type="time"
+                    id="intervalWindowStart"
+                    value={intervalSettings.windowStart || preferences.workingHours.start}
+                    onChange={(e) => handleIntervalChange('windowStart', e.target.value)}
+                    className={errors.intervalWindow ? 'error' : ''}
+                    disabled={!isInitialized}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="intervalWindowEnd">And</label>
+                  <input
+                    type="time"
+                    id="intervalWindowEnd"
+                    value={intervalSettings.windowEnd || preferences.workingHours.end}
+                    onChange={(e) => handleIntervalChange('windowEnd', e.target.value)}
+                    className={errors.intervalWindow ? 'error' : ''}
+                    disabled={!isInitialized}
+                  />
+                  {errors.intervalWindow && <span className="error-text">{errors.intervalWindow}</span>}
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>On</label>
                 <div className="days-selector">
                   {DAYS_OF_WEEK.map(day => (
                     <button
                       key={day.value}
                       type="button"
-                      className={`day-btn ${(schedule.days || []).includes(day.value) ? 'selected' : ''}`}
-                      onClick={() => toggleDay(index, day.value)}
+                      className={`day-btn ${intervalSettings.days.includes(day.value) ? 'selected' : ''}`}
+                      onClick={() => toggleIntervalDay(day.value)}
                       disabled={!isInitialized}
                     >
                       {day.short}
                     </button>
                   ))}
                 </div>
-                {errors[`schedule-${index}-days`] && (
-                  <span className="error-text">{errors[`schedule-${index}-days`]}</span>
-                )}
+                {errors.intervalDays && <span className="error-text">{errors.intervalDays}</span>}
               </div>
 
-              {formData.schedule.length > 1 && (
-                <button
-                  type="button"
-                  className="remove-schedule-btn"
-                  onClick={() => removeSchedule(index)}
-                  title="Remove this schedule"
-                  disabled={!isInitialized}
-                >
-                  🗑️
-                </button>
-              )}
+              <p className="recurrence-summary">
+                ⏱️ The timer restarts whenever you complete or snooze an alarm, so breaks
+                are spaced from your last one. Empty fields follow your working hours and
+                break interval in Settings.
+              </p>
             </div>
-          ))}
-          <button 
-            type="button" 
-            className="add-schedule-btn" 
-            onClick={addSchedule}
-            disabled={!isInitialized}
-          >
-            ➕ Add Another Time
-          </button>
+          )}
+
+          {scheduleMode === 'custom' && (
+            <RecurrenceBuilder
+              recurrence={recurrence}
+              onChange={setRecurrence}
+              errors={errors.recurrence}
+              disabled={!isInitialized}
+            />
+          )}
+
+          {scheduleMode === 'weekly' && (
+            <>
+              {formData.schedule.map((schedule, index) => (
+                <div key={index} className="schedule-item">
+                  <div className="schedule-time">
+                    <label>Time *</label>
+                    <input
+                      type="time"
+                      value={schedule.time || ''}
+                      onChange={(e) => handleScheduleChange(index, 'time', e.target.value)}
+                      className={errors[`schedule-${index}-time`] ? 'error' : ''}
+                      disabled={!isInitialized}
+                    />
+                    {errors[`schedule-${index}-time`] && (
+                      <span className="error-text">{errors[`schedule-${index}-time`]}</span>
+                    )}
+                  </div>
+              
+                  <div className="schedule-days">
+                    <label>Days *</label>
+                    <div className="days-selector">
+                      {DAYS_OF_WEEK.map(day => (
+                        <button
+                          key={day.value}
+                          type="button"
+                          className={`day-btn ${(schedule.days || []).includes(day.value) ? 'selected' : ''}`}
+                          onClick={() => toggleDay(index, day.value)}
+                          disabled={!isInitialized}
+                        >
+                          {day.short}
+                        </button>
+                      ))}
+                    </div>
+                    {errors[`schedule-${index}-days`] && (
+                      <span className="error-text">{errors[`schedule-${index}-days`]}</span>
+                    )}
+                  </div>
+
+                  {formData.schedule.length > 1 && (
+                    <button
+                      type="button"
+                      className="remove-schedule-btn"
+                      onClick={() => removeSchedule(index)}
+                      title="Remove this schedule"
+                      disabled={!isInitialized}
+                    >
+                      🗑️
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button 
+                type="button" 
+                className="add-schedule-btn" 
+                onClick={addSchedule}
+                disabled={!isInitialized}
+              >
+                ➕ Add Another Time
+              </button>
+            </>
+          )}
         </div>
 
         <div className="form-section">
@@ -374,6 +691,137 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
             </div>
           </div>
           
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="snoozeDuration">Snooze length (minutes)</label>
+              <input
+                type="number"
+                id="snoozeDuration"
+                min="1"
+                max="30"
+                value={formData.notificationSettings.snoozeDuration}
+                onChange={(e) => handleNotificationSettingChange('snoozeDuration', parseInt(e.target.value, 10) || 1)}
+                disabled={!isInitialized}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="maxSnoozes">Snoozes allowed</label>
+              <input
+                type="number"
+                id="maxSnoozes"
+                min="0"
+                max="10"
+                value={formData.notificationSettings.maxSnoozes}
+                onChange={(e) => handleNotificationSettingChange('maxSnoozes', parseInt(e.target.value, 10) || 0)}
+                disabled={!isInitialized}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="escalation">When snoozes run out</label>
+            <select
+              id="escalation"
+              value={formData.notificationSettings.escalation}
+              onChange={(e) => handleNotificationSettingChange('escalation', e.target.value)}
+              disabled={!isInitialized}
+            >
+              {ESCALATION_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group escalation-chain">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={formData.notificationSettings.escalationChain.enabled}
+                onChange={(e) => handleEscalationChainChange({ enabled: e.target.checked })}
+                disabled={!isInitialized}
+              />
+              Re-ring if I don't answer
+            </label>
+
+            {formData.notificationSettings.escalationChain.enabled && (
+              <>
+                {formData.notificationSettings.escalationChain.steps.length === 0 && (
+                  <p className="recurrence-summary">Using the default re-rings for this priority.</p>
+                )}
+
+                {formData.notificationSettings.escalationChain.steps.map((step, index) => (
+                  <div key={index} className="escalation-step">
+                    <span>After</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="240"
+                      value={step.afterMinutes}
+                      onChange={(e) => handleEscalationStepChange(index, 'afterMinutes', e.target.value)}
+                      disabled={!isInitialized}
+                    />
+                    <span>min</span>
+                    <select
+                      value={step.volumeIncrease || 0}
+                      onChange={(e) => handleEscalationStepChange(index, 'volumeIncrease', parseFloat(e.target.value))}
+                      disabled={!isInitialized}
+                    >
+                      {ESCALATION_VOLUME_STEPS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={step.sound || ''}
+                      onChange={(e) => handleEscalationStepChange(index, 'sound', e.target.value)}
+                      disabled={!isInitialized}
+                    >
+                      <option value="">Same sound</option>
+                      {SOUND_OPTIONS.map(sound => (
+                        <option key={sound.value} value={sound.value}>
+                          {sound.label}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      className="remove-schedule-btn"
+                      onClick={() => removeEscalationStep(index)}
+                      disabled={!isInitialized}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+
+                <button
+                  type="button"
+                  className="add-schedule-btn"
+                  onClick={addEscalationStep}
+                  disabled={!isInitialized}
+                >
+                  + Add re-ring
+                </button>
+
+                <label htmlFor="ignoreAfterMinutes">Mark as ignored after (minutes)</label>
+                <input
+                  type="number"
+                  id="ignoreAfterMinutes"
+                  min="1"
+                  max="1440"
+                  placeholder="Default for this priority"
+                  value={formData.notificationSettings.escalationChain.ignoreAfterMinutes}
+                  onChange={(e) => handleEscalationChainChange({ ignoreAfterMinutes: e.target.value })}
+                  disabled={!isInitialized}
+                />
+              </>
+            )}
+          </div>
+          
           <div className="form-group">
             <button
               type="button"
@@ -388,6 +836,60 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
 
         <div className="form-section">
           <h3>Advanced Settings</h3>
+          <div className="form-group">
+            <label htmlFor="timezone">Time Zone</label>
+            <select
+              id="timezone"
+              name="timezone"
+              value={formData.timezone}
+              onChange={handleChange}
+              disabled={!isInitialized}
+            >
+              <option value="">Use my account time zone</option>
+              {formData.timezone && !TIME_ZONES.includes(formData.timezone) && (
+                <option value={formData.timezone}>{formData.timezone}</option>
+              )}
+              {TIME_ZONES.map(zone => (
+                <option key={zone} value={zone}>
+                  {zone}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="missedPolicy">If an alarm is missed</label>
+              <select
+                id="missedPolicy"
+                value={formData.notificationSettings.missedPolicy}
+                onChange={(e) => handleNotificationSettingChange('missedPolicy', e.target.value)}
+                disabled={!isInitialized}
+              >
+                {MISSED_POLICIES.map(policy => (
+                  <option key={policy.value} value={policy.value}>
+                    {policy.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {formData.notificationSettings.missedPolicy === 'fire-late' && (
+              <div className="form-group">
+                <label htmlFor="catchUpMinutes">Fire late for up to (minutes)</label>
+                <input
+                  type="number"
+                  id="catchUpMinutes"
+                  min="1"
+                  max="1440"
+                  value={formData.notificationSettings.catchUpMinutes}
+                  onChange={(e) => handleNotificationSettingChange('catchUpMinutes', parseInt(e.target.value, 10) || 1)}
+                  disabled={!isInitialized}
+                />
+              </div>
+            )}
+          </div>
+
           <div className="checkbox-group">
             <label className="checkbox-label">
               <input
@@ -402,10 +904,39 @@ const AddRoutine = ({ routine, onSaveRoutine, onCancel, onDelete, onTestSound, i
               <span className="checkmark"></span>
               Enable Smart Timing
               <span className="setting-description">
-                Adjust notification timing based on your responsiveness patterns
+                Learns when you usually get to this routine and shifts the alarm within these bounds
               </span>
             </label>
           </div>
+
+          {formData.adaptiveTiming?.enabled && (
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="minAdjustment">Earliest shift (minutes)</label>
+                <input
+                  type="number"
+                  id="minAdjustment"
+                  min="-60"
+                  max="0"
+                  value={formData.adaptiveTiming.minAdjustment}
+                  onChange={(e) => handleAdaptiveTimingChange('minAdjustment', e.target.value)}
+                  disabled={!isInitialized}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="maxAdjustment">Latest shift (minutes)</label>
+                <input
+                  type="number"
+                  id="maxAdjustment"
+                  min="0"
+                  max="60"
+                  value={formData.adaptiveTiming.maxAdjustment}
+                  onChange={(e) => handleAdaptiveTimingChange('maxAdjustment', e.target.value)}
+                  disabled={!isInitialized}
+                />
+              </div>
+            </div>
+          )}
         </div>
 
         <div className="form-actions">
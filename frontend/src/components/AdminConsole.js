@@ -0,0 +1,268 @@
+// src/components/AdminConsole.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+import { USER_ROLES } from '../config';
+
+const FAILED_WINDOWS = [
+  { hours: 24, label: '24 hours' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: 'Week' }
+];
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// System admins: users and their roles, scheduler health, and replaying
+// alarms the scheduler never delivered
+const AdminConsole = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  const [scheduler, setScheduler] = useState(null);
+  const [failed, setFailed] = useState([]);
+  const [failedHours, setFailedHours] = useState(24);
+  const [selected, setSelected] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadUsers = useCallback(async (query = '') => {
+    try {
+      const response = await apiService.admin.getUsers(query);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Could not load users');
+      }
+      setUsers(response.data.users);
+      setTotal(response.data.total);
+    } catch (loadError) {
+      console.error('❌ Error loading users:', loadError);
+      setError(loadError.message);
+    }
+  }, []);
+
+  const loadScheduler = useCallback(async () => {
+    try {
+      const response = await apiService.admin.getScheduler();
+      if (response.data?.success) setScheduler(response.data);
+    } catch (loadError) {
+      console.error('❌ Error loading scheduler status:', loadError);
+    }
+  }, []);
+
+  const loadFailed = useCallback(async (hours) => {
+    try {
+      const response = await apiService.admin.getFailedDeliveries(hours);
+      if (response.data?.success) {
+        setFailed(response.data.notifications);
+        setSelected([]);
+      }
+    } catch (loadError) {
+      console.error('❌ Error loading failed deliveries:', loadError);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+    loadScheduler();
+  }, [loadUsers, loadScheduler]);
+
+  useEffect(() => {
+    loadFailed(failedHours);
+  }, [failedHours, loadFailed]);
+
+  const updateUser = async (target, updates) => {
+    if (updates.isActive === false && !window.confirm(`Deactivate ${target.email}? They will be signed out and their routines stop ringing.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      const response = await apiService.admin.updateUser(target._id, updates);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Failed to update user');
+      }
+      setUsers(prev => prev.map(item => (item._id === target._id ? response.data.user : item)));
+    } catch (updateError) {
+      console.error('❌ Error updating user:', updateError);
+      setError(updateError.message);
+    }
+  };
+
+  const handleTriggerCheck = async () => {
+    try {
+      const response = await apiService.test.triggerSchedulerCheck();
+      setMessage(response.data?.message || '');
+      await loadScheduler();
+    } catch (triggerError) {
+      console.error('❌ Error triggering scheduler check:', triggerError);
+      setError(triggerError.message);
+    }
+  };
+
+  const handleReplay = async (ids) => {
+    try {
+      setError('');
+      const response = await apiService.admin.replayDeliveries(ids);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Failed to replay notifications');
+      }
+      setMessage(response.data.message);
+      await Promise.all([loadFailed(failedHours), loadScheduler()]);
+    } catch (replayError) {
+      console.error('❌ Error replaying notifications:', replayError);
+      setError(replayError.message);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  return (
+    <div className="admin-console">
+      <div className="page-header">
+        <h1>Admin Console</h1>
+      </div>
+
+      {message && <p className="activity-time">{message}</p>}
+      {error && <span className="error-text">{error}</span>}
+
+      <div className="form-section">
+        <div className="page-header">
+          <h3>Scheduler</h3>
+          <div className="vacation-form">
+            <button className="btn-secondary" onClick={loadScheduler}>🔄 Refresh</button>
+            <button className="btn-secondary" onClick={handleTriggerCheck}>🔍 Run check now</button>
+          </div>
+        </div>
+        {scheduler && (
+          <ul className="admin-stats">
+            <li>{scheduler.scheduler?.isRunning ? '🟢 Running' : '🔴 Stopped'}</li>
+            <li>{scheduler.scheduler?.isLeader ? '👑 This instance is the leader' : 'Follower instance'}</li>
+            <li>Timers queued: {scheduler.scheduler?.queuedTimers ?? '—'}</li>
+            <li>Last evaluated: {formatDateTime(scheduler.scheduler?.lastEvaluatedMinute)}</li>
+            <li>Pending: {scheduler.queue.pending}</li>
+            <li>Overdue: {scheduler.queue.overdue}</li>
+            <li>Delivered (24h): {scheduler.queue.deliveredLast24h}</li>
+            <li>Missed (24h): {scheduler.queue.missedLast24h}</li>
+          </ul>
+        )}
+      </div>
+
+      <div className="form-section">
+        <div className="page-header">
+          <h3>Failed deliveries</h3>
+          <div className="vacation-form">
+            <select value={failedHours} onChange={(e) => setFailedHours(Number(e.target.value))}>
+              {FAILED_WINDOWS.map(option => (
+                <option key={option.hours} value={option.hours}>{option.label}</option>
+              ))}
+            </select>
+            <button className="btn-secondary" onClick={() => handleReplay(selected)} disabled={selected.length === 0}>
+              🔁 Replay {selected.length || ''} selected
+            </button>
+          </div>
+        </div>
+
+        {failed.length === 0 ? (
+          <p className="activity-time">No missed alarms in this period.</p>
+        ) : (
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>
+                  <input
+                    type="checkbox"
+                    checked={selected.length === failed.length}
+                    onChange={() => setSelected(selected.length === failed.length ? [] : failed.map(item => item.id))}
+                  />
+                </th>
+                <th>Alarm</th>
+                <th>User</th>
+                <th>Due</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {failed.map(item => (
+                <tr key={item.id}>
+                  <td>
+                    <input type="checkbox" checked={selected.includes(item.id)} onChange={() => toggleSelected(item.id)} />
+                  </td>
+                  <td>{item.title}</td>
+                  <td>{item.user?.email || '—'}</td>
+                  <td>{formatDateTime(item.scheduledFor)}</td>
+                  <td>
+                    <button className="edit-btn" onClick={() => handleReplay([item.id])} title="Deliver now">🔁</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="form-section">
+        <div className="page-header">
+          <h3>Users ({total})</h3>
+          <form className="vacation-form" onSubmit={(e) => { e.preventDefault(); loadUsers(search); }}>
+            <input
+              type="search"
+              placeholder="Name, username or email"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <button type="submit" className="btn-secondary">🔍 Search</button>
+          </form>
+        </div>
+
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>User</th>
+              <th>Role</th>
+              <th>Last login</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(item => {
+              const isSelf = item._id === currentUser?.id;
+              return (
+                <tr key={item._id} className={item.isActive ? '' : 'inactive'}>
+                  <td>
+                    {item.firstName} {item.lastName}
+                    <span className="activity-time"> {item.email}</span>
+                  </td>
+                  <td>
+                    <select
+                      value={item.role || 'user'}
+                      disabled={isSelf}
+                      onChange={(e) => updateUser(item, { role: e.target.value })}
+                    >
+                      {USER_ROLES.map(role => (
+                        <option key={role.value} value={role.value}>{role.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>{formatDateTime(item.lastLogin)}</td>
+                  <td>
+                    <button
+                      className={item.isActive ? 'stop-btn' : 'btn-secondary'}
+                      disabled={isSelf}
+                      onClick={() => updateUser(item, { isActive: !item.isActive })}
+                    >
+                      {item.isActive ? 'Deactivate' : 'Reactivate'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,130 @@
+// src/components/Agenda.js
+import React, { useState } from 'react';
+import { ROUTINE_CATEGORIES, AGENDA_RANGES } from '../config';
+import { useUpcoming } from '../hooks/useUpcoming';
+import Calendar from './Calendar';
+
+const KIND_LABELS = {
+  snoozed: '😴 Snoozed',
+  sequence: '🔗 Sequence step',
+  'one-off': '📌 One-off'
+};
+
+const DND_LABELS = {
+  suppress: '🌙 Suppressed by Do-Not-Disturb',
+  defer: '🌙 Held until quiet hours end',
+  silent: '🌙 Rings silently',
+  breakthrough: '🚨 Rings through Do-Not-Disturb'
+};
+
+const groupByDay = (entries) => entries.reduce((days, entry) => {
+  const day = new Date(entry.fireAt).toDateString();
+  const group = days.find(d => d.day === day);
+  if (group) {
+    group.entries.push(entry);
+  } else {
+    days.push({ day, entries: [entry] });
+  }
+  return days;
+}, []);
+
+// Everything that will ring in the coming days, exactly as the scheduler
+// will ring it: adaptive shifts, snoozes, holds and quiet hours included
+const Agenda = ({ routines = [] }) => {
+  const [mode, setMode] = useState('list');
+  const [days, setDays] = useState(AGENDA_RANGES[0].days);
+  const { upcoming, loading, error, loadUpcoming } = useUpcoming(days, routines);
+
+  const getCategoryIcon = (category) => {
+    const cat = ROUTINE_CATEGORIES.find(c => c.value === category);
+    return cat ? cat.icon : '🎯';
+  };
+
+  const formatDayHeading = (day) => {
+    const date = new Date(day);
+    const today = new Date();
+    const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+    if (date.toDateString() === today.toDateString()) return 'Today';
+    if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow';
+    return date.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' });
+  };
+
+  return (
+    <div className="agenda">
+      <div className="page-header">
+        <h1>Agenda</h1>
+        <div className="agenda-ranges">
+          <button className={`nav-link ${mode === 'list' ? 'active' : ''}`} onClick={() => setMode('list')}>
+            📋 List
+          </button>
+          <button className={`nav-link ${mode === 'calendar' ? 'active' : ''}`} onClick={() => setMode('calendar')}>
+            🗓️ Calendar
+          </button>
+        </div>
+      </div>
+
+      {mode === 'calendar' ? (
+        <Calendar routines={routines} />
+      ) : (
+        <>
+          <div className="agenda-ranges">
+            {AGENDA_RANGES.map(range => (
+              <button
+                key={range.days}
+                className={`nav-link ${days === range.days ? 'active' : ''}`}
+                onClick={() => setDays(range.days)}
+              >
+                {range.label}
+              </button>
+            ))}
+            <button className="nav-link refresh-btn" onClick={loadUpcoming} title="Refresh">
+              🔄
+            </button>
+          </div>
+
+          {error && <span className="error-text">{error}</span>}
+
+          {!loading && upcoming.length === 0 && (
+            <div className="empty-state">
+              <div className="empty-icon">🗓️</div>
+              <h3>Nothing Scheduled</h3>
+              <p>No alarms will ring in this period.</p>
+            </div>
+          )}
+
+          {groupByDay(upcoming).map(group => (
+            <div key={group.day} className="agenda-day">
+              <h2>{formatDayHeading(group.day)}</h2>
+              {group.entries.map(entry => (
+                <div
+                  key={`${entry.notification || entry.routine?._id}-${entry.occurrenceAt}`}
+                  className={`agenda-entry ${entry.dnd?.action === 'suppress' ? 'suppressed' : ''}`}
+                >
+                  <span className="agenda-time">
+                    {new Date(entry.fireAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                  <span className="category-icon">{getCategoryIcon(entry.routine?.category)}</span>
+                  <div className="agenda-details">
+                    <span className="agenda-title">{entry.routine?.title || entry.title}</span>
+                    <span className="activity-time">
+                      {[
+                        KIND_LABELS[entry.kind],
+                        entry.rescheduled ? '📆 Moved' : null,
+                        entry.adaptiveAdjustment
+                          ? `🧠 ${entry.adaptiveAdjustment > 0 ? '+' : ''}${entry.adaptiveAdjustment} min from ${new Date(entry.occurrenceAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                          : null,
+                        DND_LABELS[entry.dnd?.action]
+                      ].filter(Boolean).join(' · ')}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Agenda;
@@ -0,0 +1,151 @@
+// src/components/ApiTokens.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+import { API_TOKEN_SCOPES, API_TOKEN_EXPIRY_OPTIONS } from '../config';
+
+const scopeLabel = (scope) => API_TOKEN_SCOPES.find(option => option.value === scope)?.label || scope;
+
+// Personal API tokens for scripts: create with scopes and an expiry, revoke
+const ApiTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['routines:read']);
+  const [expiresInDays, setExpiresInDays] = useState('90');
+  const [newToken, setNewToken] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const response = await apiService.tokens.getAll();
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Could not load API tokens');
+      }
+      setTokens(response.data.tokens);
+    } catch (loadError) {
+      console.error('❌ Error loading API tokens:', loadError);
+      setError(loadError.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTokens();
+  }, [loadTokens]);
+
+  const toggleScope = (scope) => {
+    setScopes(current => (current.includes(scope)
+      ? current.filter(value => value !== scope)
+      : [...current, scope]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setError('');
+      const response = await apiService.tokens.create({
+        name: name.trim(),
+        scopes,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null
+      });
+      if (!response.data?.success) {
+        throw new Error(response.data?.errors?.join(', ') || response.data?.message || 'Could not create API token');
+      }
+      setNewToken({ name: response.data.apiToken.name, token: response.data.token });
+      setName('');
+      await loadTokens();
+    } catch (createError) {
+      console.error('❌ Error creating API token:', createError);
+      setError(createError.message);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+    try {
+      setError('');
+      const response = await apiService.tokens.revoke(token.id);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Could not revoke API token');
+      }
+      await loadTokens();
+    } catch (revokeError) {
+      console.error('❌ Error revoking API token:', revokeError);
+      setError(revokeError.message);
+    }
+  };
+
+  const describeUse = (token) => {
+    const used = token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'never used';
+    if (token.expired) return `${used} · expired`;
+    return token.expiresAt
+      ? `${used} · expires ${new Date(token.expiresAt).toLocaleDateString()}`
+      : `${used} · never expires`;
+  };
+
+  return (
+    <div className="settings-card">
+      <h2>🧩 API Tokens</h2>
+      {error && <span className="error-text">{error}</span>}
+
+      {newToken && (
+        <div className="setting-group">
+          <label>Your new token "{newToken.name}" – copy it now, it is only shown once</label>
+          <code className="api-token-value">{newToken.token}</code>
+          <p className="activity-time">Send it as <code>Authorization: Bearer &lt;token&gt;</code></p>
+          <button className="btn-secondary" onClick={() => setNewToken(null)}>
+            Done
+          </button>
+        </div>
+      )}
+
+      <ul className="team-members">
+        {tokens.map(token => (
+          <li key={token.id}>
+            <span>
+              {token.name} <code>{token.prefix}…</code>
+              <span className="activity-time">
+                {' '}{token.scopes.map(scopeLabel).join(', ')} · {describeUse(token)}
+              </span>
+            </span>
+            <button className="stop-btn" onClick={() => handleRevoke(token)}>
+              Revoke
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form className="setting-group" onSubmit={handleCreate}>
+        <label>New token for a script or integration</label>
+        <input
+          type="text"
+          placeholder="Token name, e.g. Home automation"
+          maxLength={100}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        {API_TOKEN_SCOPES.map(scope => (
+          <label key={scope.value} className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={scopes.includes(scope.value)}
+              onChange={() => toggleScope(scope.value)}
+            />
+            {scope.label}
+          </label>
+        ))}
+        <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)}>
+          {API_TOKEN_EXPIRY_OPTIONS.map(option => (
+            <option key={option.label} value={option.value ?? ''}>
+              {option.value ? `Expires in ${option.label}` : 'Never expires'}
+            </option>
+          ))}
+        </select>
+        <button type="submit" className="test-sound-btn" disabled={!name.trim() || scopes.length === 0}>
+          Create token
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ApiTokens;
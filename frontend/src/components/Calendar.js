@@ -0,0 +1,293 @@
+// src/components/Calendar.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+import { CALENDAR_STATUS, DAYS_OF_WEEK } from '../config';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+// Visible days: the week (Sunday first) or the month around `anchor`
+const getRange = (view, anchor) => {
+  if (view === 'week') {
+    const start = addDays(startOfDay(anchor), -anchor.getDay());
+    return { start, end: addDays(start, 7) };
+  }
+  const start = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  return { start, end: new Date(anchor.getFullYear(), anchor.getMonth() + 1, 1) };
+};
+
+const getDays = ({ start, end }) => {
+  const days = [];
+  for (let day = start; day < end; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+const formatClock = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Past notifications and future occurrences on a week or month grid.
+// Future occurrences can be dragged to move them once; past ones open
+// the user's response.
+const Calendar = ({ routines = [] }) => {
+  const [view, setView] = useState('week');
+  const [anchor, setAnchor] = useState(new Date());
+  const [entries, setEntries] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [dragged, setDragged] = useState(null);
+  const [error, setError] = useState('');
+
+  const range = getRange(view, anchor);
+  const rangeStart = range.start.getTime();
+  const rangeEnd = range.end.getTime();
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setError('');
+      const now = Date.now();
+      const loaded = [];
+
+      if (rangeStart < now) {
+        const response = await apiService.notifications.getAll({
+          from: new Date(rangeStart).toISOString(),
+          to: new Date(Math.min(rangeEnd, now)).toISOString(),
+          limit: 500
+        });
+        (response.data || []).forEach(notification => loaded.push({
+          id: notification._id,
+          status: notification.status,
+          at: new Date(notification.deliveredAt || notification.scheduledFor),
+          title: notification.routine?.title || notification.title,
+          notification
+        }));
+      }
+
+      if (rangeEnd > now) {
+        const response = await apiService.routines.getUpcoming(
+          new Date(Math.max(rangeStart, now)).toISOString(),
+          new Date(rangeEnd).toISOString()
+        );
+        (response.data?.upcoming || []).forEach(entry => loaded.push({
+          id: `${entry.notification || entry.routine?._id}-${entry.occurrenceAt}`,
+          status: entry.dnd?.action === 'suppress' ? 'suppressed' : 'upcoming',
+          at: new Date(entry.fireAt),
+          title: entry.routine?.title || entry.title,
+          upcoming: entry
+        }));
+      }
+
+      setEntries(loaded);
+    } catch (loadError) {
+      console.error('❌ Error loading calendar:', loadError);
+      setError(loadError.response?.data?.message || loadError.message);
+    }
+  }, [rangeStart, rangeEnd]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries, routines]);
+
+  const move = (direction) => {
+    setSelected(null);
+    setAnchor(prev => (view === 'week'
+      ? addDays(prev, 7 * direction)
+      : new Date(prev.getFullYear(), prev.getMonth() + direction, 1)));
+  };
+
+  // Only routine occurrences can be moved; snoozes and sequence steps follow their own timing
+  const canDrag = (entry) => entry.status === 'upcoming'
+    && entry.upcoming.kind === 'scheduled'
+    && !!entry.upcoming.routine;
+
+  const handleDrop = async (day, hour) => {
+    if (!dragged) return;
+    const entry = dragged;
+    setDragged(null);
+
+    const target = new Date(day);
+    target.setHours(hour ?? entry.at.getHours(), entry.at.getMinutes(), 0, 0);
+    if (target.getTime() === entry.at.getTime()) return;
+
+    try {
+      const response = await apiService.routines.rescheduleOccurrence(
+        entry.upcoming.routine._id,
+        entry.upcoming.occurrenceAt,
+        target.toISOString()
+      );
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Failed to move occurrence');
+      }
+      loadEntries();
+    } catch (moveError) {
+      console.error('❌ Error moving occurrence:', moveError);
+      alert(`Could not move "${entry.title}": ${moveError.response?.data?.message || moveError.message}`);
+    }
+  };
+
+  const dropTarget = (day, hour) => ({
+    onDragOver: (e) => e.preventDefault(),
+    onDrop: (e) => {
+      e.preventDefault();
+      handleDrop(day, hour);
+    }
+  });
+
+  const renderEntry = (entry) => {
+    const status = CALENDAR_STATUS[entry.status] || CALENDAR_STATUS.delivered;
+    return (
+      <div
+        key={entry.id}
+        className={`calendar-entry ${entry.status} ${selected?.id === entry.id ? 'selected' : ''}`}
+        title={`${status.label}: ${entry.title}`}
+        draggable={canDrag(entry)}
+        onDragStart={() => setDragged(entry)}
+        onDragEnd={() => setDragged(null)}
+        onClick={() => setSelected(entry)}
+      >
+        <span>{status.icon}</span>
+        <span className="calendar-entry-time">{formatClock(entry.at)}</span>
+        <span className="calendar-entry-title">{entry.title}</span>
+      </div>
+    );
+  };
+
+  const entriesFor = (day, hour) => entries
+    .filter(entry => entry.at >= day && entry.at < addDays(day, 1)
+      && (hour === undefined || entry.at.getHours() === hour))
+    .sort((a, b) => a.at - b.at);
+
+  const days = getDays(range);
+  const today = startOfDay(new Date()).getTime();
+  const title = view === 'week'
+    ? `${range.start.toLocaleDateString([], { month: 'short', day: 'numeric' })} – ${addDays(range.end, -1).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : anchor.toLocaleDateString([], { month: 'long', year: 'numeric' });
+
+  return (
+    <div className="calendar">
+      <div className="calendar-toolbar">
+        <div className="agenda-ranges">
+          <button className="nav-link" onClick={() => move(-1)}>‹</button>
+          <button className="nav-link" onClick={() => { setSelected(null); setAnchor(new Date()); }}>Today</button>
+          <button className="nav-link" onClick={() => move(1)}>›</button>
+        </div>
+        <h2>{title}</h2>
+        <div className="agenda-ranges">
+          {['week', 'month'].map(option => (
+            <button
+              key={option}
+              className={`nav-link ${view === option ? 'active' : ''}`}
+              onClick={() => { setSelected(null); setView(option); }}
+            >
+              {option === 'week' ? 'Week' : 'Month'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="calendar-legend">
+        {Object.entries(CALENDAR_STATUS).map(([key, status]) => (
+          <span key={key} className={`calendar-entry ${key}`}>{status.icon} {status.label}</span>
+        ))}
+      </div>
+
+      {error && <span className="error-text">{error}</span>}
+
+      {view === 'week' ? (
+        <div className="calendar-week">
+          <div className="calendar-hour-label" />
+          {days.map(day => (
+            <div key={day.getTime()} className={`calendar-day-heading ${day.getTime() === today ? 'today' : ''}`}>
+              {day.toLocaleDateString([], { weekday: 'short', day: 'numeric' })}
+            </div>
+          ))}
+          {HOURS.map(hour => (
+            <React.Fragment key={hour}>
+              <div className="calendar-hour-label">{String(hour).padStart(2, '0')}:00</div>
+              {days.map(day => (
+                <div key={day.getTime()} className="calendar-slot" {...dropTarget(day, hour)}>
+                  {entriesFor(day, hour).map(renderEntry)}
+                </div>
+              ))}
+            </React.Fragment>
+          ))}
+        </div>
+      ) : (
+        <div className="calendar-month">
+          {[...DAYS_OF_WEEK].sort((a, b) => a.value - b.value).map(day => (
+            <div key={day.value} className="calendar-day-heading">
+              {day.short}
+            </div>
+          ))}
+          {days.map((day, index) => (
+            <div
+              key={day.getTime()}
+              className={`calendar-cell ${day.getTime() === today ? 'today' : ''}`}
+              style={index === 0 ? { gridColumnStart: day.getDay() + 1 } : undefined}
+              {...dropTarget(day)}
+            >
+              <span className="calendar-date">{day.getDate()}</span>
+              {entriesFor(day).map(renderEntry)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selected && (
+        <div className="calendar-details">
+          <div className="sequence-run-header">
+            <h3>{selected.title}</h3>
+            <button className="remove-schedule-btn" onClick={() => setSelected(null)}>✕</button>
+          </div>
+          {selected.notification ? (
+            <ul>
+              <li>Status: {CALENDAR_STATUS[selected.status]?.label || selected.status}</li>
+              <li>Scheduled: {new Date(selected.notification.scheduledFor).toLocaleString()}</li>
+              {selected.notification.deliveredAt && (
+                <li>Delivered: {new Date(selected.notification.deliveredAt).toLocaleString()}</li>
+              )}
+              {selected.notification.userResponse?.action ? (
+                <>
+                  <li>Response: {selected.notification.userResponse.action}</li>
+                  {selected.notification.userResponse.timestamp && (
+                    <li>Answered: {new Date(selected.notification.userResponse.timestamp).toLocaleString()}</li>
+                  )}
+                  {typeof selected.notification.userResponse.responseTime === 'number' && (
+                    <li>Response time: {selected.notification.userResponse.responseTime}s</li>
+                  )}
+                </>
+              ) : (
+                <li>No response recorded</li>
+              )}
+              {selected.notification.snoozeCount > 0 && (
+                <li>Snoozed {selected.notification.snoozeCount}×</li>
+              )}
+              {selected.notification.dnd?.action && (
+                <li>Do-Not-Disturb: {selected.notification.dnd.action}</li>
+              )}
+            </ul>
+          ) : (
+            <ul>
+              <li>Rings: {selected.at.toLocaleString()}</li>
+              {selected.upcoming.adaptiveAdjustment !== 0 && (
+                <li>Adaptive timing: {selected.upcoming.adaptiveAdjustment > 0 ? '+' : ''}{selected.upcoming.adaptiveAdjustment} min</li>
+              )}
+              {selected.upcoming.rescheduled && <li>Moved from {new Date(selected.upcoming.occurrenceAt).toLocaleString()}</li>}
+              {canDrag(selected) && <li>Drag it to another slot to move just this occurrence.</li>}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Calendar;
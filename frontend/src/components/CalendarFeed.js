@@ -0,0 +1,108 @@
+// src/components/CalendarFeed.js
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { downloadBlob } from '../utils/download';
+
+// Routines in other calendar apps: a one-time .ics download, or a secret
+// subscription URL that always serves the current schedules
+const CalendarFeed = () => {
+  const [feed, setFeed] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    apiService.routines.getCalendarFeed()
+      .then(response => setFeed(response.data?.feed || null))
+      .catch(error => console.error('❌ Error loading calendar feed:', error));
+  }, []);
+
+  const handleDownload = async () => {
+    try {
+      const response = await apiService.routines.exportCalendar();
+      if (response.status >= 400) {
+        throw new Error('Failed to export routines');
+      }
+
+      downloadBlob(response.data, 'notifyflow-routines.ics');
+    } catch (error) {
+      console.error('❌ Error exporting calendar:', error);
+      alert(`Error exporting calendar: ${error.message}`);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (feed && !window.confirm('Calendars subscribed with the current URL will stop updating. Create a new URL?')) {
+      return;
+    }
+
+    try {
+      const response = await apiService.routines.createCalendarFeed();
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Failed to create calendar feed');
+      }
+      setFeed(response.data.feed);
+      setCopied(false);
+    } catch (error) {
+      console.error('❌ Error creating calendar feed:', error);
+      alert(`Error creating calendar feed: ${error.message}`);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Calendars subscribed with this URL will stop updating. Revoke it?')) return;
+
+    try {
+      const response = await apiService.routines.revokeCalendarFeed();
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Failed to revoke calendar feed');
+      }
+      setFeed(null);
+    } catch (error) {
+      console.error('❌ Error revoking calendar feed:', error);
+      alert(`Error revoking calendar feed: ${error.message}`);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setCopied(true);
+    } catch (error) {
+      console.error('❌ Error copying feed URL:', error);
+    }
+  };
+
+  return (
+    <div className="calendar-feed">
+      <span className="vacation-status">📅 Calendar apps</span>
+
+      <div className="vacation-form">
+        <button className="btn-secondary" onClick={handleDownload}>
+          ⬇️ Download .ics
+        </button>
+        <button className="btn-secondary" onClick={handleCreate}>
+          {feed ? '🔄 New subscription URL' : '🔗 Create subscription URL'}
+        </button>
+        {feed && (
+          <button className="stop-btn" onClick={handleRevoke}>
+            Revoke
+          </button>
+        )}
+      </div>
+
+      {feed && (
+        <div className="calendar-feed-url">
+          <input type="text" value={feed.url} readOnly onFocus={(e) => e.target.select()} />
+          <button className="btn-secondary" onClick={handleCopy}>
+            {copied ? '✅ Copied' : '📋 Copy'}
+          </button>
+          <a className="btn-secondary" href={feed.webcalUrl}>
+            Subscribe
+          </a>
+          <small>Anyone with this URL can see your routine schedules. It updates whenever your routines change.</small>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeed;
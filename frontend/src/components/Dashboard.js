@@ -2,6 +2,10 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { ROUTINE_CATEGORIES } from '../config';
+import { describeRecurrence, describeInterval } from '../utils/recurrence';
+import { getVacation, formatDay, formatOccurrence } from '../utils/routineHolds';
+import { useUpcoming } from '../hooks/useUpcoming';
+import SequenceProgress from './SequenceProgress';
 
 const Dashboard = ({ 
   routines = [], 
@@ -16,9 +20,11 @@ const Dashboard = ({
   const [stats, setStats] = useState({
     activeRoutines: 0,
     completedToday: 0,
-    productivityScore: 0,
-    nextNotification: null
+    productivityScore: 0
   });
+  // Next week of fire times as the scheduler will ring them
+  const { upcoming } = useUpcoming(7, routines);
+  const nextNotification = upcoming.find(entry => entry.dnd?.action !== 'suppress');
   
   // Local state for routines with updating status
   const [localRoutines, setLocalRoutines] = useState(routines || []);
@@ -36,7 +42,7 @@ const Dashboard = ({
     calculateStats();
 
     return () => clearInterval(timer);
-  }, [localRoutines, notifications]);
+  }, [localRoutines, notifications, user]);
 
   const calculateStats = () => {
     const safeRoutines = localRoutines || [];
@@ -56,37 +62,13 @@ const Dashboard = ({
       ? Math.round((completedNotifications / totalNotifications) * 100) 
       : 0;
 
-    // Find next scheduled notification
-    const now = new Date();
-    const currentTime = now.getHours() * 60 + now.getMinutes();
-    
-    let nextNotification = null;
-    safeRoutines.forEach(routine => {
-      if (routine.isActive && routine.schedule) {
-        routine.schedule.forEach(schedule => {
-          if (schedule.time && schedule.days) {
-            const [hours, minutes] = schedule.time.split(':').map(Number);
-            const scheduleTime = hours * 60 + minutes;
-            
-            if (scheduleTime > currentTime && schedule.days.includes(now.getDay())) {
-              if (!nextNotification || scheduleTime < nextNotification.time) {
-                nextNotification = {
-                  routine: routine.title,
-                  time: schedule.time,
-                  scheduleTime
-                };
-              }
-            }
-          }
-        });
-      }
-    });
+    const vacation = getVacation(user);
 
     setStats({
       activeRoutines,
       completedToday,
       productivityScore,
-      nextNotification
+      vacation
     });
   };
 
@@ -210,10 +192,12 @@ const Dashboard = ({
           <div className="stat-content">
             <h3>Next Alarm</h3>
             <span className="stat-value">
-              {stats.nextNotification ? formatTime(stats.nextNotification.time) : 'None'}
+              {nextNotification ? formatOccurrence(nextNotification.fireAt) : 'None'}
             </span>
             <span className="stat-label">
-              {stats.nextNotification ? stats.nextNotification.routine : 'No scheduled routines'}
+              {stats.vacation?.isActive
+                ? `🏖️ On vacation until ${formatDay(stats.vacation.endDate)}`
+                : (nextNotification ? (nextNotification.routine?.title || nextNotification.title) : 'No alarms in the next 7 days')}
             </span>
           </div>
         </div>
@@ -241,6 +225,9 @@ const Dashboard = ({
         </div>
       </div>
 
+      {/* Running sequences */}
+      <SequenceProgress />
+
       {/* Active Routines */}
       <div className="routines-section">
         <div className="section-header">
@@ -295,6 +282,16 @@ const Dashboard = ({
                       </span>
                     </div>
                   ))}
+                  {routine.kind === 'interval' && (
+                    <div className="schedule-item recurrence-display">
+                      <span className="schedule-days">⏱️ {describeInterval(routine.intervalSettings, user?.preferences)}</span>
+                    </div>
+                  )}
+                  {routine.recurrence?.frequency && (
+                    <div className="schedule-item recurrence-display">
+                      <span className="schedule-days">🔁 {describeRecurrence(routine.recurrence)}</span>
+                    </div>
+                  )}
                 </div>
                 
                 <div className="routine-footer">
@@ -325,7 +322,10 @@ const Dashboard = ({
                 <div className="activity-icon">
                   {notification.status === 'completed' ? '✅' : 
                    notification.status === 'snoozed' ? '⏰' : 
-                   notification.status === 'dismissed' ? '❌' : '🔔'}
+                   notification.status === 'dismissed' ? '❌' : 
+                   notification.status === 'missed' ? '📭' : 
+                   notification.status === 'ignored' ? '🙈' : 
+                   notification.status === 'suppressed' ? '🌙' : '🔔'}
                 </div>
                 <div className="activity-content">
                   <p>{notification.title}</p>
@@ -0,0 +1,39 @@
+// src/components/EmailVerificationBanner.js
+import React, { useState } from 'react';
+import { apiService } from '../services/api';
+
+// Reminder for accounts whose email address isn't confirmed yet
+const EmailVerificationBanner = ({ user }) => {
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await apiService.auth.resendVerification();
+      setMessage(response.data?.message || 'Could not send the email');
+    } catch (error) {
+      console.error('❌ Error resending verification email:', error);
+      setMessage(error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verification-banner">
+      <span>📧 Please confirm your email address ({user.email}) using the link we sent you.</span>
+      {message ? (
+        <span className="activity-time">{message}</span>
+      ) : (
+        <button className="btn-secondary" onClick={handleResend} disabled={sending}>
+          Resend email
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,166 @@
+// src/components/ImportCalendar.js
+import React, { useState } from 'react';
+import { apiService } from '../services/api';
+import { IMPORT_STATUS } from '../config';
+import { describeRecurrence } from '../utils/recurrence';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const describeSchedule = (routine) => {
+  if (routine.recurrence?.frequency) return describeRecurrence(routine.recurrence);
+  return (routine.schedule || [])
+    .map(entry => `${entry.days.map(day => DAY_NAMES[day]).join(', ')} at ${entry.time}`)
+    .join('; ');
+};
+
+// Upload an .ics file, check how each event converts, then create
+// routines from the events that were picked
+const ImportCalendar = ({ onImported, onCancel }) => {
+  const [ics, setIcs] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [events, setEvents] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // Validation errors of the last import attempt, by event index
+  const [eventErrors, setEventErrors] = useState({});
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      setEventErrors({});
+      setEvents([]);
+
+      const text = await file.text();
+      const response = await apiService.routines.previewImport(text);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Could not read the calendar');
+      }
+
+      setIcs(text);
+      setFileName(file.name);
+      setEvents(response.data.events);
+      setSelected(response.data.events
+        .filter(event => event.routine && !event.duplicate)
+        .map(event => event.index));
+    } catch (previewError) {
+      console.error('❌ Error previewing calendar import:', previewError);
+      setError(previewError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleEvent = (index) => {
+    setSelected(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setEventErrors({});
+
+      const response = await apiService.routines.importCalendar(ics, selected);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Import failed');
+      }
+
+      console.log(`📥 ${response.data.message}`);
+      await onImported(response.data.routines);
+    } catch (importError) {
+      console.error('❌ Error importing calendar:', importError);
+      const rejected = importError.response?.data?.errors || [];
+      setEventErrors(Object.fromEntries(rejected.map(entry => [entry.index, entry.errors])));
+      setError(importError.response?.data?.message || importError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const counts = events.reduce((totals, event) => {
+    const status = event.duplicate ? 'duplicate' : event.status;
+    return { ...totals, [status]: (totals[status] || 0) + 1 };
+  }, {});
+
+  return (
+    <div className="import-calendar">
+      <div className="page-header">
+        <h1>Import from Calendar</h1>
+        <button className="btn-secondary" onClick={onCancel}>
+          Back to Routines
+        </button>
+      </div>
+
+      <div className="form-section">
+        <p>Recurring events become routines; an event's reminder sets when the alarm rings.</p>
+        <input type="file" accept=".ics,text/calendar" onChange={handleFile} disabled={loading} />
+        {loading && <span className="activity-time">Reading {fileName || 'calendar'}…</span>}
+        {error && <span className="error-text">{error}</span>}
+      </div>
+
+      {events.length > 0 && (
+        <>
+          <div className="calendar-legend">
+            {Object.entries(IMPORT_STATUS)
+              .filter(([status]) => counts[status])
+              .map(([status, info]) => (
+                <span key={status}>
+                  {info.icon} {counts[status]} {info.label.toLowerCase()}
+                </span>
+              ))}
+          </div>
+
+          <div className="import-events">
+            {events.map(event => {
+              const status = IMPORT_STATUS[event.duplicate ? 'duplicate' : event.status];
+              const problems = [...event.problems, ...(eventErrors[event.index] || [])];
+              return (
+                <label
+                  key={event.index}
+                  className={`import-event ${event.status} ${event.duplicate ? 'duplicate' : ''}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(event.index)}
+                    disabled={!event.routine}
+                    onChange={() => toggleEvent(event.index)}
+                  />
+                  <div className="import-event-details">
+                    <span className="agenda-title">{event.summary}</span>
+                    <span className="activity-time">
+                      {status.icon} {status.label}
+                      {event.routine && ` · ${describeSchedule(event.routine)}`}
+                      {event.routine?.timezone && ` (${event.routine.timezone})`}
+                    </span>
+                    {[...problems, ...event.warnings].length > 0 && (
+                      <ul>
+                        {problems.map(problem => <li key={problem} className="error-text">{problem}</li>)}
+                        {event.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                      </ul>
+                    )}
+                  </div>
+                </label>
+              );
+            })}
+          </div>
+
+          <div className="form-actions">
+            <button className="btn-secondary" onClick={onCancel}>
+              Cancel
+            </button>
+            <button className="btn-primary" onClick={handleImport} disabled={loading || selected.length === 0}>
+              📥 Import {selected.length} routine{selected.length === 1 ? '' : 's'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportCalendar;
@@ -22,22 +22,6 @@ const NotificationModal = ({ notification, onResponse, onClose, responseTime })
     responseRef.current.responseTime = responseTime;
   }, [responseTime]);
 
-  // Auto-dismiss after 5 minutes
-  useEffect(() => {
-    if (!notification || isProcessing) return;
-
-    const autoDismissTimer = setTimeout(() => {
-      if (!responseRef.current.hasResponded && !cleanupRef.current) {
-        console.log('⏰ Auto-dismissing notification after 5 minutes');
-        handleResponse('dismissed', responseRef.current.responseTime);
-      }
-    }, 300000);
-
-    return () => {
-      clearTimeout(autoDismissTimer);
-    };
-  }, [notification, isProcessing]);
-
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -119,24 +103,17 @@ const NotificationModal = ({ notification, onResponse, onClose, responseTime })
     setShowSnoozeOptions(false);
   }, [handleResponse]);
 
+  // The server caps snoozes at the routine's snoozeDuration, so only offer lengths up to it
+  const snoozeDuration = notification?.snoozeDuration || notification?.routine?.notificationSettings?.snoozeDuration || 5;
+  const snoozesRemaining = notification?.snoozesRemaining;
+  const canSnooze = snoozesRemaining === undefined || snoozesRemaining > 0;
+
   const getSnoozeOptions = () => {
-    const routineSnoozeDuration = notification?.routine?.notificationSettings?.snoozeDuration;
-    
-    if (routineSnoozeDuration) {
-      return [
-        { minutes: routineSnoozeDuration, label: `${routineSnoozeDuration} minutes` },
-        { minutes: routineSnoozeDuration * 2, label: `${routineSnoozeDuration * 2} minutes` },
-        { minutes: 15, label: '15 minutes' },
-        { minutes: 30, label: '30 minutes' },
-      ];
-    }
-    
-    return [
-      { minutes: 5, label: '5 minutes' },
-      { minutes: 10, label: '10 minutes' },
-      { minutes: 15, label: '15 minutes' },
-      { minutes: 30, label: '30 minutes' },
-    ];
+    const minutes = [...new Set([1, 5, 10, 15, 30, snoozeDuration])]
+      .filter(m => m <= snoozeDuration)
+      .sort((a, b) => a - b);
+
+    return minutes.map(m => ({ minutes: m, label: `${m} minute${m === 1 ? '' : 's'}` }));
   };
 
   const handleEmergencyStop = useCallback(() => {
@@ -160,8 +137,13 @@ const NotificationModal = ({ notification, onResponse, onClose, responseTime })
               {isProcessing ? '⏳' : '🔔'}
             </div>
           </div>
-          <h2>Time for your routine!</h2>
+          <h2>
+            {notification.escalation
+              ? 'Snooze limit reached!'
+              : notification.reRing ? 'Still waiting for you!' : 'Time for your routine!'}
+          </h2>
           <p>Response time: {responseTime}s {syncStatus === 'syncing' && '(Syncing...)'}</p>
+          {notification.silent && <p>🌙 Delivered quietly during Do-Not-Disturb</p>}
         </div>
 
         {/* Error Display */}
@@ -225,11 +207,16 @@ const NotificationModal = ({ notification, onResponse, onClose, responseTime })
               <button 
                 className={`action-btn snooze-btn ${isProcessing ? 'processing' : ''}`}
                 onClick={() => setShowSnoozeOptions(true)}
-                disabled={isProcessing}
+                disabled={isProcessing || !canSnooze}
+                title={canSnooze ? undefined : 'No snoozes left for this alarm'}
               >
                 <span className="btn-icon">⏰</span>
                 <span className="btn-text">Snooze</span>
-                <span className="btn-hint">Remind me later</span>
+                <span className="btn-hint">
+                  {canSnooze
+                    ? (snoozesRemaining !== undefined ? `${snoozesRemaining} left` : 'Remind me later')
+                    : 'No snoozes left'}
+                </span>
               </button>
 
               <button 
@@ -259,11 +246,11 @@ const NotificationModal = ({ notification, onResponse, onClose, responseTime })
                 <button 
                   className="snooze-option custom"
                   onClick={() => {
-                    const minutes = prompt('Enter custom snooze time (minutes):', '10');
-                    if (minutes && !isNaN(minutes) && minutes > 0 && minutes <= 480) {
+                    const minutes = prompt(`Enter custom snooze time (1-${snoozeDuration} minutes):`, String(snoozeDuration));
+                    if (minutes && !isNaN(minutes) && minutes > 0 && minutes <= snoozeDuration) {
                       handleSnooze(parseInt(minutes));
                     } else {
-                      alert('Please enter a valid number between 1 and 480 minutes.');
+                      alert(`Please enter a valid number between 1 and ${snoozeDuration} minutes.`);
                     }
                   }}
                   disabled={isProcessing}
@@ -0,0 +1,356 @@
+import React, { useState } from 'react';
+import {
+  DAYS_OF_WEEK,
+  MONTHS,
+  NTH_WEEKDAY_OPTIONS,
+  RECURRENCE_FREQUENCIES
+} from '../config';
+import { describeRecurrence, toRecurrencePayload } from '../utils/recurrence';
+
+const MONTH_DAYS = Array.from({ length: 31 }, (_, i) => i + 1);
+
+// Builder for RRULE-style recurrence rules. Controlled: `recurrence` is the
+// form state (see toRecurrenceForm) and every edit is reported via onChange.
+const RecurrenceBuilder = ({ recurrence, onChange, errors = {}, disabled = false }) => {
+  const [excludeDate, setExcludeDate] = useState('');
+
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.value === recurrence.frequency);
+  const isWindowed = recurrence.frequency === 'minutely' || recurrence.frequency === 'hourly';
+  const usesDayOfMonth = recurrence.frequency === 'monthly' || recurrence.frequency === 'yearly';
+  const monthlyMode = recurrence.byNthWeekday.length > 0 ? 'nth' : 'day';
+  const endMode = recurrence.count ? 'after' : (recurrence.endDate ? 'on' : 'never');
+
+  const update = (changes) => onChange({ ...recurrence, ...changes });
+
+  const toggleValue = (field, value) => {
+    const current = recurrence[field] || [];
+    update({
+      [field]: current.includes(value)
+        ? current.filter(v => v !== value)
+        : [...current, value].sort((a, b) => a - b)
+    });
+  };
+
+  const handleTimeChange = (index, value) => {
+    const times = [...recurrence.times];
+    times[index] = value;
+    update({ times });
+  };
+
+  const handleMonthlyModeChange = (mode) => {
+    if (mode === 'nth') {
+      update({ byMonthDay: [], byNthWeekday: [{ nth: 1, weekday: 1 }] });
+    } else {
+      update({ byNthWeekday: [], byMonthDay: [1] });
+    }
+  };
+
+  const handleEndModeChange = (mode) => {
+    update({
+      endDate: mode === 'on' ? (recurrence.endDate || recurrence.startDate || '') : '',
+      count: mode === 'after' ? (recurrence.count || 10) : ''
+    });
+  };
+
+  const addExcludeDate = () => {
+    if (!excludeDate || recurrence.excludeDates.includes(excludeDate)) return;
+    update({ excludeDates: [...recurrence.excludeDates, excludeDate].sort() });
+    setExcludeDate('');
+  };
+
+  const nthRule = recurrence.byNthWeekday[0] || { nth: 1, weekday: 1 };
+
+  return (
+    <div className="recurrence-builder">
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="recurrence-frequency">Repeats</label>
+          <select
+            id="recurrence-frequency"
+            value={recurrence.frequency}
+            onChange={(e) => update({
+              frequency: e.target.value,
+              interval: e.target.value === 'minutely' ? Math.max(15, recurrence.interval) : recurrence.interval
+            })}
+            disabled={disabled}
+          >
+            {RECURRENCE_FREQUENCIES.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="recurrence-interval">Every ({frequency?.unit})</label>
+          <input
+            type="number"
+            id="recurrence-interval"
+            min={recurrence.frequency === 'minutely' ? 5 : 1}
+            max="1000"
+            value={recurrence.interval}
+            onChange={(e) => update({ interval: parseInt(e.target.value, 10) || 1 })}
+            className={errors.interval ? 'error' : ''}
+            disabled={disabled}
+          />
+          {errors.interval && <span className="error-text">{errors.interval}</span>}
+        </div>
+      </div>
+
+      {isWindowed ? (
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="recurrence-window-start">Between</label>
+            <input
+              type="time"
+              id="recurrence-window-start"
+              value={recurrence.windowStart}
+              onChange={(e) => update({ windowStart: e.target.value })}
+              className={errors.window ? 'error' : ''}
+              disabled={disabled}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="recurrence-window-end">And</label>
+            <input
+              type="time"
+              id="recurrence-window-end"
+              value={recurrence.windowEnd}
+              onChange={(e) => update({ windowEnd: e.target.value })}
+              className={errors.window ? 'error' : ''}
+              disabled={disabled}
+            />
+            {errors.window && <span className="error-text">{errors.window}</span>}
+          </div>
+        </div>
+      ) : (
+        <div className="form-group">
+          <label>At</label>
+          <div className="recurrence-times">
+            {recurrence.times.map((time, index) => (
+              <div key={index} className="recurrence-time">
+                <input
+                  type="time"
+                  value={time}
+                  onChange={(e) => handleTimeChange(index, e.target.value)}
+                  className={errors.times ? 'error' : ''}
+                  disabled={disabled}
+                />
+                {recurrence.times.length > 1 && (
+                  <button
+                    type="button"
+                    className="remove-schedule-btn"
+                    onClick={() => update({ times: recurrence.times.filter((_, i) => i !== index) })}
+                    title="Remove this time"
+                    disabled={disabled}
+                  >
+                    🗑️
+                  </button>
+                )}
+              </div>
+            ))}
+            <button
+              type="button"
+              className="day-btn"
+              onClick={() => update({ times: [...recurrence.times, '12:00'] })}
+              disabled={disabled}
+            >
+              ➕ Time
+            </button>
+          </div>
+          {errors.times && <span className="error-text">{errors.times}</span>}
+        </div>
+      )}
+
+      {!usesDayOfMonth && (
+        <div className="form-group">
+          <label>{recurrence.frequency === 'weekly' ? 'On' : 'Only on'}</label>
+          <div className="days-selector">
+            {DAYS_OF_WEEK.map(day => (
+              <button
+                key={day.value}
+                type="button"
+                className={`day-btn ${recurrence.byWeekday.includes(day.value) ? 'selected' : ''}`}
+                onClick={() => toggleValue('byWeekday', day.value)}
+                disabled={disabled}
+              >
+                {day.short}
+              </button>
+            ))}
+          </div>
+          {errors.byWeekday && <span className="error-text">{errors.byWeekday}</span>}
+        </div>
+      )}
+
+      {recurrence.frequency === 'yearly' && (
+        <div className="form-group">
+          <label>In</label>
+          <div className="days-selector">
+            {MONTHS.map((month, index) => (
+              <button
+                key={month}
+                type="button"
+                className={`day-btn ${recurrence.byMonth.includes(index + 1) ? 'selected' : ''}`}
+                onClick={() => toggleValue('byMonth', index + 1)}
+                disabled={disabled}
+              >
+                {month}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {usesDayOfMonth && (
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="recurrence-monthly-mode">On</label>
+            <select
+              id="recurrence-monthly-mode"
+              value={monthlyMode}
+              onChange={(e) => handleMonthlyModeChange(e.target.value)}
+              disabled={disabled}
+            >
+              <option value="day">Day of the month</option>
+              <option value="nth">Weekday of the month</option>
+            </select>
+          </div>
+
+          {monthlyMode === 'day' ? (
+            <div className="form-group">
+              <label htmlFor="recurrence-month-day">Day</label>
+              <select
+                id="recurrence-month-day"
+                value={recurrence.byMonthDay[0] || ''}
+                onChange={(e) => update({ byMonthDay: e.target.value ? [parseInt(e.target.value, 10)] : [] })}
+                disabled={disabled}
+              >
+                <option value="">Same day as start date</option>
+                {MONTH_DAYS.map(day => (
+                  <option key={day} value={day}>{day}</option>
+                ))}
+                <option value={-1}>Last day</option>
+              </select>
+            </div>
+          ) : (
+            <div className="form-group">
+              <label>Weekday</label>
+              <div className="recurrence-nth">
+                <select
+                  value={nthRule.nth}
+                  onChange={(e) => update({ byNthWeekday: [{ ...nthRule, nth: parseInt(e.target.value, 10) }] })}
+                  disabled={disabled}
+                >
+                  {NTH_WEEKDAY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={nthRule.weekday}
+                  onChange={(e) => update({ byNthWeekday: [{ ...nthRule, weekday: parseInt(e.target.value, 10) }] })}
+                  disabled={disabled}
+                >
+                  {DAYS_OF_WEEK.map(day => (
+                    <option key={day.value} value={day.value}>{day.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="recurrence-start">Starts</label>
+          <input
+            type="date"
+            id="recurrence-start"
+            value={recurrence.startDate}
+            onChange={(e) => update({ startDate: e.target.value })}
+            disabled={disabled}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="recurrence-end-mode">Ends</label>
+          <select
+            id="recurrence-end-mode"
+            value={endMode}
+            onChange={(e) => handleEndModeChange(e.target.value)}
+            disabled={disabled}
+          >
+            <option value="never">Never</option>
+            <option value="on">On date</option>
+            <option value="after">After a number of alarms</option>
+          </select>
+          {endMode === 'on' && (
+            <input
+              type="date"
+              value={recurrence.endDate}
+              min={recurrence.startDate || undefined}
+              onChange={(e) => update({ endDate: e.target.value })}
+              className={errors.endDate ? 'error' : ''}
+              disabled={disabled}
+            />
+          )}
+          {endMode === 'after' && (
+            <input
+              type="number"
+              min="1"
+              max="1000"
+              value={recurrence.count}
+              onChange={(e) => update({ count: parseInt(e.target.value, 10) || 1 })}
+              disabled={disabled}
+            />
+          )}
+          {errors.endDate && <span className="error-text">{errors.endDate}</span>}
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="recurrence-exclude">Skip these dates (e.g. public holidays)</label>
+        <div className="recurrence-exclude">
+          <input
+            type="date"
+            id="recurrence-exclude"
+            value={excludeDate}
+            onChange={(e) => setExcludeDate(e.target.value)}
+            disabled={disabled}
+          />
+          <button
+            type="button"
+            className="day-btn"
+            onClick={addExcludeDate}
+            disabled={disabled || !excludeDate}
+          >
+            ➕ Skip
+          </button>
+        </div>
+        {recurrence.excludeDates.length > 0 && (
+          <div className="days-selector">
+            {recurrence.excludeDates.map(date => (
+              <button
+                key={date}
+                type="button"
+                className="day-btn selected"
+                onClick={() => update({ excludeDates: recurrence.excludeDates.filter(d => d !== date) })}
+                title="Remove this date"
+                disabled={disabled}
+              >
+                {date} ✕
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <p className="recurrence-summary">
+        🔁 {describeRecurrence(toRecurrencePayload(recurrence))}
+      </p>
+    </div>
+  );
+};
+
+export default RecurrenceBuilder;
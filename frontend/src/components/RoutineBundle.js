@@ -0,0 +1,152 @@
+// src/components/RoutineBundle.js
+import React, { useState } from 'react';
+import { apiService } from '../services/api';
+import { downloadBlob } from '../utils/download';
+
+const IMPORT_MODES = [
+  { value: 'merge', label: 'Merge', description: 'Update routines with the same title, add the rest' },
+  { value: 'replace', label: 'Replace', description: 'Delete all current routines first' }
+];
+
+// Move routines between accounts: export a JSON/CSV bundle, or check a
+// bundle with a dry run and then import it
+const RoutineBundle = ({ onImported, onCancel }) => {
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleExport = async (format) => {
+    try {
+      const response = await apiService.routines.exportBundle(format);
+      if (response.status >= 400) {
+        throw new Error('Failed to export routines');
+      }
+      downloadBlob(response.data, `notifyflow-routines-${new Date().toISOString().slice(0, 10)}.${format}`);
+    } catch (exportError) {
+      console.error('❌ Error exporting routines:', exportError);
+      alert(`Error exporting routines: ${exportError.message}`);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const picked = e.target.files[0];
+    setResult(null);
+    setError('');
+    if (!picked) {
+      setFile(null);
+      return;
+    }
+
+    setFile({
+      name: picked.name,
+      format: picked.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json',
+      data: await picked.text()
+    });
+  };
+
+  const runImport = async (dryRun) => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await apiService.routines.importBundle({ data: file.data, format: file.format, mode, dryRun });
+      setResult(response.data);
+      if (!response.data?.success && !response.data?.errors?.length) {
+        throw new Error(response.data?.message || 'Import failed');
+      }
+
+      if (!dryRun && response.data.success) {
+        await onImported(response.data.routines);
+      }
+    } catch (importError) {
+      console.error('❌ Error importing routines:', importError);
+      setError(importError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const checked = result?.dryRun && result.success;
+
+  return (
+    <div className="routine-bundle">
+      <div className="page-header">
+        <h1>Import &amp; Export Routines</h1>
+        <button className="btn-secondary" onClick={onCancel}>
+          Back to Routines
+        </button>
+      </div>
+
+      <div className="form-section">
+        <h3>Export</h3>
+        <p>Download every routine with its schedule, sound, priority and notification settings.</p>
+        <div className="vacation-form">
+          <button className="btn-secondary" onClick={() => handleExport('json')}>⬇️ JSON</button>
+          <button className="btn-secondary" onClick={() => handleExport('csv')}>⬇️ CSV</button>
+        </div>
+      </div>
+
+      <div className="form-section">
+        <h3>Import</h3>
+        <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} disabled={loading} />
+
+        <div className="bundle-modes">
+          {IMPORT_MODES.map(option => (
+            <label key={option.value}>
+              <input
+                type="radio"
+                name="bundle-mode"
+                value={option.value}
+                checked={mode === option.value}
+                onChange={() => { setMode(option.value); setResult(null); }}
+              />
+              <strong>{option.label}</strong> – {option.description}
+            </label>
+          ))}
+        </div>
+
+        {error && <span className="error-text">{error}</span>}
+
+        {result && (
+          <div className="bundle-result">
+            <p>{result.message}</p>
+            <ul>
+              <li>➕ {result.created?.length || 0} to create{result.created?.length > 0 && `: ${result.created.map(r => r.title).join(', ')}`}</li>
+              <li>✏️ {result.updated?.length || 0} to update{result.updated?.length > 0 && `: ${result.updated.map(r => r.title).join(', ')}`}</li>
+              <li>🗑️ {result.deleted?.length || 0} to delete{result.deleted?.length > 0 && `: ${result.deleted.map(r => r.title).join(', ')}`}</li>
+            </ul>
+            {result.errors?.length > 0 && (
+              <ul>
+                {result.errors.map(rowError => (
+                  <li key={rowError.row} className="error-text">
+                    Row {rowError.row}{rowError.title && ` (${rowError.title})`}: {rowError.errors.join('; ')}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="form-actions">
+          <button className="btn-secondary" onClick={() => runImport(true)} disabled={!file || loading}>
+            🔍 Check (dry run)
+          </button>
+          <button
+            className="btn-primary"
+            onClick={() => {
+              if (mode === 'replace' && !window.confirm('This deletes all of your current routines. Continue?')) return;
+              runImport(false);
+            }}
+            disabled={!checked || loading}
+          >
+            📦 Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RoutineBundle;
@@ -1,15 +1,32 @@
 import React, { useState, useEffect } from 'react';
-import { ROUTINE_CATEGORIES, PRIORITY_LEVELS } from '../config';
+import { useAuth } from '../context/AuthContext';
+import { ROUTINE_CATEGORIES, PRIORITY_LEVELS, PAUSE_DURATIONS } from '../config';
+import { describeRecurrence, describeInterval } from '../utils/recurrence';
+import { apiService } from '../services/api';
+import { isPaused, getSkippedOccurrence, formatDay, formatOccurrence, toDateInput } from '../utils/routineHolds';
+import SequenceManager from './SequenceManager';
+import VacationMode from './VacationMode';
+import CalendarFeed from './CalendarFeed';
 
 const RoutineManager = ({ 
   routines = [], 
   onAddRoutine, 
   onEditRoutine, 
   onDeleteRoutine, 
-  onToggleRoutine 
+  onToggleRoutine,
+  onRoutineHold,
+  onImportCalendar,
+  onTransferRoutines,
+  onBrowseTemplates
 }) => {
+  const { user } = useAuth();
+
   // Local state for routines with updating status
   const [localRoutines, setLocalRoutines] = useState(routines || []);
+  // Adaptive timing explanations by routine id, fetched on demand
+  const [timingExplanations, setTimingExplanations] = useState({});
+  // Routine whose pause/skip menu is open
+  const [holdMenuFor, setHoldMenuFor] = useState(null);
 
   // Update local routines when prop changes
   useEffect(() => {
@@ -35,6 +52,60 @@ const RoutineManager = ({
     return `${displayHour}:${minutes} ${ampm}`;
   };
 
+  const handleExplainTiming = async (routineId) => {
+    if (timingExplanations[routineId]) {
+      setTimingExplanations(({ [routineId]: _, ...rest }) => rest);
+      return;
+    }
+
+    try {
+      const response = await apiService.routines.getAdaptiveTiming(routineId);
+      if (response.data?.success) {
+        setTimingExplanations(prev => ({ ...prev, [routineId]: response.data }));
+      }
+    } catch (error) {
+      console.error('❌ Error loading adaptive timing:', error);
+    }
+  };
+
+  const handleHold = async (routineId, action, until) => {
+    setHoldMenuFor(null);
+    if (onRoutineHold) {
+      await onRoutineHold(routineId, action, until);
+    }
+  };
+
+  const pauseForDays = (routineId, days) => {
+    const until = new Date();
+    until.setDate(until.getDate() + days);
+    until.setHours(0, 0, 0, 0);
+    handleHold(routineId, 'pause', until.toISOString());
+  };
+
+  const pauseUntilDate = (routineId, date) => {
+    if (!date) return;
+    // Paused through the chosen day, resumes the morning after
+    const until = new Date(`${date}T00:00:00`);
+    until.setDate(until.getDate() + 1);
+    handleHold(routineId, 'pause', until.toISOString());
+  };
+
+  const handleSaveTemplate = async (routine) => {
+    const name = window.prompt('Template name', routine.title);
+    if (!name) return;
+
+    try {
+      const response = await apiService.templates.save(routine._id, { name });
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Failed to save template');
+      }
+      alert(`Saved "${name}" to your templates`);
+    } catch (error) {
+      console.error('❌ Error saving template:', error);
+      alert(`Error saving template: ${error.message}`);
+    }
+  };
+
   const handleDelete = (routineId, routineTitle) => {
     if (window.confirm(`Are you sure you want to delete "${routineTitle}"?`)) {
       onDeleteRoutine(routineId);
@@ -83,11 +154,25 @@ const RoutineManager = ({
       {/* Header */}
       <div className="page-header">
         <h1>Routine Management</h1>
-        <button className="btn-primary" onClick={onAddRoutine}>
-          ➕ Add New Routine
-        </button>
+        <div className="vacation-form">
+          <button className="btn-secondary" onClick={onImportCalendar}>
+            📥 Import .ics
+          </button>
+          <button className="btn-secondary" onClick={onTransferRoutines}>
+            📦 Import / Export
+          </button>
+          <button className="btn-secondary" onClick={onBrowseTemplates}>
+            📚 Templates
+          </button>
+          <button className="btn-primary" onClick={onAddRoutine}>
+            ➕ Add New Routine
+          </button>
+        </div>
       </div>
 
+      <VacationMode />
+      <CalendarFeed />
+
       {/* Routines List */}
       <div className="routines-list">
         {localRoutines.length === 0 ? (
@@ -113,9 +198,17 @@ const RoutineManager = ({
                       {!routine.isActive && (
                         <span className="inactive-badge">Inactive</span>
                       )}
+                      {routine.team && (
+                        <span className="updating-badge">👥 Team</span>
+                      )}
                       {routine._isUpdating && (
                         <span className="updating-badge">Updating...</span>
                       )}
+                      {routine.isActive && isPaused(routine) && (
+                        <span className="inactive-badge">
+                          ⏸️ Paused until {formatDay(routine.pausedUntil)}
+                        </span>
+                      )}
                     </div>
                     <p className="routine-description">{routine.description}</p>
                   </div>
@@ -129,6 +222,16 @@ const RoutineManager = ({
                     >
                       {routine._isUpdating ? '⏳' : (routine.isActive ? '🔔' : '🔕')}
                     </button>
+                    {routine.isActive && (
+                      <button
+                        className="edit-btn"
+                        onClick={() => setHoldMenuFor(holdMenuFor === routine._id ? null : routine._id)}
+                        title="Pause or skip"
+                        disabled={routine._isUpdating}
+                      >
+                        ⏸️
+                      </button>
+                    )}
                     <button 
                       className="edit-btn"
                       onClick={() => onEditRoutine && onEditRoutine(routine)}
@@ -137,6 +240,14 @@ const RoutineManager = ({
                     >
                       ✏️
                     </button>
+                    <button
+                      className="edit-btn"
+                      onClick={() => handleSaveTemplate(routine)}
+                      title="Save as template"
+                      disabled={routine._isUpdating}
+                    >
+                      ⭐
+                    </button>
                     <button 
                       className="delete-btn"
                       onClick={() => handleDelete(routine._id, routine.title)}
@@ -148,6 +259,46 @@ const RoutineManager = ({
                   </div>
                 </div>
 
+                {holdMenuFor === routine._id && (
+                  <div className="hold-menu">
+                    {isPaused(routine) ? (
+                      <button className="btn-secondary" onClick={() => handleHold(routine._id, 'resume')}>
+                        ▶️ Resume now
+                      </button>
+                    ) : (
+                      <button className="btn-secondary" onClick={() => handleHold(routine._id, 'skip')}>
+                        ⏭️ Skip next
+                      </button>
+                    )}
+                    {PAUSE_DURATIONS.map(duration => (
+                      <button
+                        key={duration.days}
+                        className="btn-secondary"
+                        onClick={() => pauseForDays(routine._id, duration.days)}
+                      >
+                        Pause {duration.label}
+                      </button>
+                    ))}
+                    <label>
+                      Pause through
+                      <input
+                        type="date"
+                        min={toDateInput()}
+                        onChange={(e) => pauseUntilDate(routine._id, e.target.value)}
+                      />
+                    </label>
+                  </div>
+                )}
+
+                {routine.isActive && getSkippedOccurrence(routine) && (
+                  <div className="hold-notice">
+                    ⏭️ Skipping {formatOccurrence(routine.skipOccurrenceAt)}
+                    <button className="edit-btn" onClick={() => handleHold(routine._id, 'unskip')} title="Don't skip">
+                      ↩️
+                    </button>
+                  </div>
+                )}
+
                 <div className="routine-schedule">
                   {routine.schedule && routine.schedule.map((schedule, index) => (
                     <div key={index} className="schedule-display">
@@ -159,6 +310,16 @@ const RoutineManager = ({
                       </span>
                     </div>
                   ))}
+                  {routine.kind === 'interval' && (
+                    <div className="schedule-display recurrence-display">
+                      <span className="schedule-days">⏱️ {describeInterval(routine.intervalSettings, user?.preferences)}</span>
+                    </div>
+                  )}
+                  {routine.recurrence?.frequency && (
+                    <div className="schedule-display recurrence-display">
+                      <span className="schedule-days">🔁 {describeRecurrence(routine.recurrence)}</span>
+                    </div>
+                  )}
                 </div>
 
                 <div className="routine-footer">
@@ -178,11 +339,30 @@ const RoutineManager = ({
                   </div>
                   
                   {routine.adaptiveTiming?.enabled && (
-                    <span className="adaptive-badge" title="Smart timing enabled">
+                    <button
+                      type="button"
+                      className="adaptive-badge"
+                      onClick={() => handleExplainTiming(routine._id)}
+                      title="Why does this routine fire when it does?"
+                    >
                       🧠 Adaptive
-                    </span>
+                      {routine.adaptiveTiming.adjustment ? ` ${routine.adaptiveTiming.adjustment > 0 ? '+' : ''}${routine.adaptiveTiming.adjustment} min` : ''}
+                    </button>
                   )}
                 </div>
+
+                {timingExplanations[routine._id] && (
+                  <div className="adaptive-explanation">
+                    <p>{timingExplanations[routine._id].explanation}</p>
+                    {timingExplanations[routine._id].next && (
+                      <span className="activity-time">
+                        Next: {new Date(timingExplanations[routine._id].next.scheduledFor).toLocaleString([], {
+                          weekday: 'short', hour: '2-digit', minute: '2-digit'
+                        })}
+                      </span>
+                    )}
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -206,6 +386,9 @@ const RoutineManager = ({
           </div>
         </div>
       )}
+
+      {/* Sequences */}
+      {localRoutines.length > 1 && <SequenceManager routines={localRoutines} />}
     </div>
   );
 };
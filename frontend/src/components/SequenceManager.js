@@ -0,0 +1,274 @@
+// src/components/SequenceManager.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+
+const emptyStep = () => ({ routine: '', delayMinutes: 0, timeoutMinutes: '' });
+
+const emptyForm = () => ({
+  name: '',
+  steps: [emptyStep(), emptyStep()]
+});
+
+// Chains of routines: the first one rings on its own schedule, every next
+// one N minutes after the previous was completed
+const SequenceManager = ({ routines = [] }) => {
+  const [sequences, setSequences] = useState([]);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadSequences = useCallback(async () => {
+    try {
+      const response = await apiService.sequences.getAll();
+      if (response.data?.success) {
+        setSequences(response.data.sequences || []);
+      }
+    } catch (loadError) {
+      console.error('❌ Error loading sequences:', loadError);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSequences();
+  }, [loadSequences]);
+
+  const handleStepChange = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      steps: prev.steps.map((step, i) => (i === index ? { ...step, [field]: value } : step))
+    }));
+  };
+
+  const moveStep = (index, offset) => {
+    setForm(prev => {
+      const steps = [...prev.steps];
+      const target = index + offset;
+      if (target < 0 || target >= steps.length) return prev;
+      [steps[index], steps[target]] = [steps[target], steps[index]];
+      return { ...prev, steps };
+    });
+  };
+
+  const handleEdit = (sequence) => {
+    setError('');
+    setForm({
+      _id: sequence._id,
+      name: sequence.name,
+      steps: sequence.steps.map(step => ({
+        routine: step.routine?._id || step.routine || '',
+        delayMinutes: step.delayMinutes || 0,
+        timeoutMinutes: step.timeoutMinutes || ''
+      }))
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const steps = form.steps.filter(step => step.routine);
+    if (!form.name.trim()) {
+      setError('Give the sequence a name');
+      return;
+    }
+    if (steps.length < 2 || new Set(steps.map(step => step.routine)).size !== steps.length) {
+      setError('Pick at least two different routines');
+      return;
+    }
+
+    const payload = {
+      name: form.name.trim(),
+      steps: steps.map(step => ({
+        routine: step.routine,
+        delayMinutes: parseInt(step.delayMinutes, 10) || 0,
+        timeoutMinutes: parseInt(step.timeoutMinutes, 10) || undefined
+      }))
+    };
+
+    try {
+      const response = form._id
+        ? await apiService.sequences.update(form._id, payload)
+        : await apiService.sequences.create(payload);
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.errors?.join(', ') || response.data?.message || 'Failed to save sequence');
+      }
+
+      setForm(null);
+      setError('');
+      loadSequences();
+    } catch (saveError) {
+      console.error('❌ Error saving sequence:', saveError);
+      setError(saveError.message);
+    }
+  };
+
+  const handleToggle = async (sequence) => {
+    try {
+      await apiService.sequences.update(sequence._id, { isActive: !sequence.isActive });
+      loadSequences();
+    } catch (toggleError) {
+      console.error('❌ Error toggling sequence:', toggleError);
+    }
+  };
+
+  const handleDelete = async (sequence) => {
+    if (!window.confirm(`Are you sure you want to delete "${sequence.name}"?`)) return;
+
+    try {
+      await apiService.sequences.delete(sequence._id);
+      loadSequences();
+    } catch (deleteError) {
+      console.error('❌ Error deleting sequence:', deleteError);
+    }
+  };
+
+  return (
+    <div className="sequence-manager">
+      <div className="section-header">
+        <h2>🔗 Sequences</h2>
+        {!form && (
+          <button className="add-schedule-btn" onClick={() => { setError(''); setForm(emptyForm()); }}>
+            + New Sequence
+          </button>
+        )}
+      </div>
+
+      {sequences.length === 0 && !form && (
+        <p className="recurrence-summary">
+          Chain routines so the next one rings after you complete the previous one.
+        </p>
+      )}
+
+      {sequences.map(sequence => (
+        <div key={sequence._id} className={`sequence-card ${sequence.isActive ? '' : 'inactive'}`}>
+          <div className="sequence-run-header">
+            <h3>{sequence.name}</h3>
+            <div className="routine-actions">
+              <button
+                className={`toggle-btn ${sequence.isActive ? 'active' : ''}`}
+                onClick={() => handleToggle(sequence)}
+                title={sequence.isActive ? 'Disable sequence' : 'Enable sequence'}
+              >
+                {sequence.isActive ? '🔔' : '🔕'}
+              </button>
+              <button className="edit-btn" onClick={() => handleEdit(sequence)} title="Edit sequence">
+                ✏️
+              </button>
+              <button className="delete-btn" onClick={() => handleDelete(sequence)} title="Delete sequence">
+                🗑️
+              </button>
+            </div>
+          </div>
+          <ol className="sequence-steps">
+            {sequence.steps.map((step, index) => (
+              <li key={index} className="sequence-step">
+                <span>{step.routine?.title || 'Deleted routine'}</span>
+                {index > 0 && (
+                  <span className="activity-time">
+                    {step.delayMinutes ? `+${step.delayMinutes} min` : 'right after'}
+                    {step.timeoutMinutes ? `, or after ${step.timeoutMinutes} min anyway` : ''}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      ))}
+
+      {form && (
+        <form className="sequence-form" onSubmit={handleSave}>
+          <div className="form-group">
+            <label htmlFor="sequenceName">Name</label>
+            <input
+              id="sequenceName"
+              type="text"
+              value={form.name}
+              placeholder="e.g. Morning flow"
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            />
+          </div>
+
+          {form.steps.map((step, index) => (
+            <div key={index} className="escalation-step">
+              <span>{index + 1}.</span>
+              <select
+                value={step.routine}
+                onChange={(e) => handleStepChange(index, 'routine', e.target.value)}
+              >
+                <option value="">Choose a routine</option>
+                {routines.map(routine => (
+                  <option key={routine._id} value={routine._id}>
+                    {routine.title}
+                  </option>
+                ))}
+              </select>
+              {index > 0 && (
+                <>
+                  <input
+                    type="number"
+                    min="0"
+                    max="720"
+                    value={step.delayMinutes}
+                    onChange={(e) => handleStepChange(index, 'delayMinutes', e.target.value)}
+                    title="Minutes after the previous routine is completed"
+                  />
+                  <span>min after done</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="720"
+                    value={step.timeoutMinutes}
+                    placeholder="—"
+                    onChange={(e) => handleStepChange(index, 'timeoutMinutes', e.target.value)}
+                    title="Start anyway this many minutes after the previous routine rang"
+                  />
+                  <span>min timeout</span>
+                </>
+              )}
+              <button type="button" className="edit-btn" onClick={() => moveStep(index, -1)} disabled={index === 0}>
+                ↑
+              </button>
+              <button
+                type="button"
+                className="edit-btn"
+                onClick={() => moveStep(index, 1)}
+                disabled={index === form.steps.length - 1}
+              >
+                ↓
+              </button>
+              {form.steps.length > 2 && (
+                <button
+                  type="button"
+                  className="remove-schedule-btn"
+                  onClick={() => setForm(prev => ({ ...prev, steps: prev.steps.filter((_, i) => i !== index) }))}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+
+          <button
+            type="button"
+            className="add-schedule-btn"
+            onClick={() => setForm(prev => ({ ...prev, steps: [...prev.steps, emptyStep()] }))}
+          >
+            + Add Step
+          </button>
+
+          {error && <span className="error-text">{error}</span>}
+
+          <div className="form-actions">
+            <button type="button" className="btn-secondary" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary">
+              {form._id ? 'Update Sequence' : 'Create Sequence'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SequenceManager;
@@ -0,0 +1,86 @@
+// src/components/SequenceProgress.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+import { socketService } from '../services/socket';
+import { SEQUENCE_STEP_STATUS } from '../config';
+
+// Running sequences on the dashboard, refreshed whenever the server reports progress
+const SequenceProgress = () => {
+  const [runs, setRuns] = useState([]);
+
+  const loadRuns = useCallback(async () => {
+    try {
+      const response = await apiService.sequences.getRuns('running');
+      if (response.data?.success) {
+        setRuns(response.data.runs || []);
+      }
+    } catch (error) {
+      console.error('❌ Error loading sequence runs:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRuns();
+
+    const handleProgress = (data) => {
+      console.log('🔗 Sequence progress:', data);
+      loadRuns();
+    };
+
+    socketService.on('sequence-progress', handleProgress);
+    return () => socketService.off('sequence-progress', handleProgress);
+  }, [loadRuns]);
+
+  const handleCancel = async (runId) => {
+    try {
+      await apiService.sequences.cancelRun(runId);
+      setRuns(prev => prev.filter(run => run._id !== runId));
+    } catch (error) {
+      console.error('❌ Error cancelling sequence:', error);
+      alert(`Failed to cancel sequence: ${error.message}`);
+    }
+  };
+
+  if (runs.length === 0) return null;
+
+  return (
+    <div className="sequence-progress">
+      <h2>Sequences in Progress</h2>
+      {runs.map(run => (
+        <div key={run._id} className="sequence-run">
+          <div className="sequence-run-header">
+            <h3>🔗 {run.sequence?.name || 'Sequence'}</h3>
+            <span className="section-subtitle">
+              Step {Math.min(run.currentStep + 1, run.steps.length)} of {run.steps.length}
+            </span>
+            <button className="remove-schedule-btn" onClick={() => handleCancel(run._id)} title="Stop this sequence">
+              ✕
+            </button>
+          </div>
+          <ol className="sequence-steps">
+            {run.steps.map((step, index) => {
+              const status = SEQUENCE_STEP_STATUS[step.status] || SEQUENCE_STEP_STATUS.waiting;
+              return (
+                <li
+                  key={index}
+                  className={`sequence-step ${step.status} ${index === run.currentStep ? 'current' : ''}`}
+                  title={status.label}
+                >
+                  <span className="sequence-step-icon">{status.icon}</span>
+                  <span>{step.routine?.title || 'Deleted routine'}</span>
+                  {step.status === 'scheduled' && step.scheduledFor && (
+                    <span className="activity-time">
+                      {new Date(step.scheduledFor).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SequenceProgress;
@@ -1,5 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { soundService } from '../services/soundService';
+import { apiService } from '../services/api';
+import ActiveSessions from './ActiveSessions';
+import ApiTokens from './ApiTokens';
+import TwoFactorSettings from './TwoFactorSettings';
+import {
+  TIME_ZONES,
+  BROWSER_TIME_ZONE,
+  DND_ACTION_OPTIONS,
+  DND_PRIORITY_RULES,
+  DND_DURATIONS,
+  DEFAULT_QUIET_HOURS
+} from '../config';
 
 const SoundSettings = ({ user }) => {
   const [preferences, setPreferences] = useState({
@@ -10,6 +22,9 @@ const SoundSettings = ({ user }) => {
   });
 
   const [isMuted, setIsMuted] = useState(false);
+  const [timezone, setTimezone] = useState(BROWSER_TIME_ZONE);
+  const [quietHours, setQuietHours] = useState(DEFAULT_QUIET_HOURS);
+  const [dndUntil, setDndUntil] = useState(null);
 
   const soundOptions = [
     { value: 'chime', label: 'Gentle Chime', description: 'Soft and pleasant' },
@@ -23,6 +38,17 @@ const SoundSettings = ({ user }) => {
     if (user?.preferences) {
       setPreferences(user.preferences);
     }
+    if (user?.timezone) {
+      setTimezone(user.timezone);
+    }
+    if (user?.preferences?.quietHours) {
+      setQuietHours({
+        ...DEFAULT_QUIET_HOURS,
+        ...user.preferences.quietHours,
+        rules: { ...DEFAULT_QUIET_HOURS.rules, ...(user.preferences.quietHours.rules || {}) }
+      });
+    }
+    setDndUntil(user?.dndUntil && new Date(user.dndUntil) > new Date() ? new Date(user.dndUntil) : null);
   }, [user]);
 
   const handleVolumeChange = (volume) => {
@@ -52,6 +78,49 @@ const SoundSettings = ({ user }) => {
     }
   };
 
+  const handleSaveTimezone = async () => {
+    try {
+      const response = await apiService.users.updateTimezone(timezone);
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to save time zone');
+      }
+      console.log('Time zone saved:', timezone);
+      alert(`Time zone set to ${timezone}`);
+    } catch (error) {
+      console.error('Error saving time zone:', error);
+      alert(`Error saving time zone: ${error.message}`);
+    }
+  };
+
+  const handleSaveQuietHours = async () => {
+    try {
+      const response = await apiService.users.updateQuietHours(quietHours);
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to save quiet hours');
+      }
+      console.log('Quiet hours saved:', quietHours);
+      alert('Quiet hours saved');
+    } catch (error) {
+      console.error('Error saving quiet hours:', error);
+      alert(`Error saving quiet hours: ${error.message}`);
+    }
+  };
+
+  const handleDnd = async (minutes) => {
+    try {
+      const response = minutes
+        ? await apiService.users.startDnd(minutes)
+        : await apiService.users.stopDnd();
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to update Do-Not-Disturb');
+      }
+      setDndUntil(response.data?.dndUntil ? new Date(response.data.dndUntil) : null);
+    } catch (error) {
+      console.error('Error updating Do-Not-Disturb:', error);
+      alert(`Error updating Do-Not-Disturb: ${error.message}`);
+    }
+  };
+
   return (
     <div className="sound-settings">
       <div className="page-header">
@@ -162,6 +231,115 @@ const SoundSettings = ({ user }) => {
             </div>
           </div>
         </div>
+
+        <div className="settings-card">
+          <h2>🌍 Time Zone</h2>
+          <div className="setting-group">
+            <label>Routines ring at this local time</label>
+            <select
+              value={timezone}
+              onChange={(e) => setTimezone(e.target.value)}
+            >
+              {!TIME_ZONES.includes(timezone) && (
+                <option value={timezone}>{timezone}</option>
+              )}
+              {TIME_ZONES.map(zone => (
+                <option key={zone} value={zone}>
+                  {zone}
+                </option>
+              ))}
+            </select>
+            <button 
+              className="test-sound-btn"
+              onClick={handleSaveTimezone}
+            >
+              💾 Save Time Zone
+            </button>
+          </div>
+        </div>
+
+        <div className="settings-card">
+          <h2>🌙 Do Not Disturb</h2>
+          <div className="setting-group">
+            <label>
+              {dndUntil
+                ? `On until ${dndUntil.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                : 'Pause alarms for a while'}
+            </label>
+            <div className="sound-controls">
+              {DND_DURATIONS.map(duration => (
+                <button
+                  key={duration.minutes}
+                  className="sound-test-btn"
+                  onClick={() => handleDnd(duration.minutes)}
+                >
+                  {duration.label}
+                </button>
+              ))}
+              {dndUntil && (
+                <button className="stop-btn" onClick={() => handleDnd(null)}>
+                  Turn off
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="setting-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={quietHours.enabled}
+                onChange={(e) => setQuietHours({ ...quietHours, enabled: e.target.checked })}
+              />
+              Quiet hours every day
+            </label>
+            <div className="time-settings">
+              <input
+                type="time"
+                value={quietHours.start}
+                onChange={(e) => setQuietHours({ ...quietHours, start: e.target.value })}
+              />
+              <input
+                type="time"
+                value={quietHours.end}
+                onChange={(e) => setQuietHours({ ...quietHours, end: e.target.value })}
+              />
+            </div>
+          </div>
+
+          {DND_PRIORITY_RULES.map(rule => (
+            <div key={rule.key} className="setting-group">
+              <label>{rule.label} priority</label>
+              <select
+                value={quietHours.rules[rule.key]}
+                onChange={(e) => setQuietHours({
+                  ...quietHours,
+                  rules: { ...quietHours.rules, [rule.key]: e.target.value }
+                })}
+              >
+                {DND_ACTION_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+          <p className="recurrence-summary">Critical routines always ring.</p>
+
+          <button
+            className="test-sound-btn"
+            onClick={handleSaveQuietHours}
+          >
+            💾 Save Quiet Hours
+          </button>
+        </div>
+
+        <TwoFactorSettings />
+
+        <ActiveSessions />
+
+        <ApiTokens />
       </div>
       <div className="settings-actions">
         <button className="btn-primary" onClick={handleSaveSettings}>
@@ -0,0 +1,421 @@
+// src/components/TeamManager.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+import { CALENDAR_STATUS } from '../config';
+import { describeRecurrence, describeInterval } from '../utils/recurrence';
+import { hasRole } from '../utils/roles';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const describeSchedule = (routine) => {
+  if (routine.kind === 'interval') return describeInterval(routine.intervalSettings);
+  if (routine.recurrence?.frequency) return describeRecurrence(routine.recurrence);
+  return (routine.schedule || [])
+    .map(entry => `${entry.days.map(day => DAY_NAMES[day]).join(', ')} at ${entry.time}`)
+    .join('; ');
+};
+
+const memberName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Former member');
+
+const StatusCounts = ({ counts }) => (
+  <span className="activity-time">
+    {Object.entries(CALENDAR_STATUS)
+      .filter(([status]) => counts[status])
+      .map(([status, info]) => `${info.icon} ${counts[status]} ${info.label.toLowerCase()}`)
+      .join(' · ') || 'No alarms yet'}
+  </span>
+);
+
+// Lead view: who completed or ignored each recent occurrence
+const TeamRoutineReport = ({ teamId, routineId }) => {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    apiService.teams.getReport(teamId, routineId)
+      .then(response => setReport(response.data?.success ? response.data : null))
+      .catch(error => console.error('❌ Error loading team report:', error));
+  }, [teamId, routineId]);
+
+  if (!report) return <p className="activity-time">Loading report…</p>;
+
+  return (
+    <div className="team-report">
+      <h4>Members (last {report.days} days)</h4>
+      <ul>
+        {report.members.map(member => (
+          <li key={member.user._id}>
+            <strong>{memberName(member.user)}</strong>
+            {member.optedOut && ' (opted out)'} – <StatusCounts counts={member.counts} />
+          </li>
+        ))}
+      </ul>
+
+      <h4>Occurrences</h4>
+      {report.occurrences.length === 0 && <p className="activity-time">Nothing has rung yet.</p>}
+      {report.occurrences.map(occurrence => (
+        <div key={occurrence.occurrenceAt} className="team-report-occurrence">
+          <span className="agenda-title">{new Date(occurrence.occurrenceAt).toLocaleString()}</span>
+          <StatusCounts counts={occurrence.counts} />
+          <ul>
+            {occurrence.responses.map(response => (
+              <li key={response.user._id}>
+                {CALENDAR_STATUS[response.status]?.icon} {memberName(response.user)}
+                {' – '}{CALENDAR_STATUS[response.status]?.label || response.status}
+                {response.respondedAt && ` at ${new Date(response.respondedAt).toLocaleTimeString()}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Teams with shared routines that ring for every member. Leads manage
+// members and routines; members can opt out of single routines.
+const TeamManager = ({ onAddTeamRoutine, onEditRoutine, onTeamChanged }) => {
+  const { user } = useAuth();
+  const [teams, setTeams] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [newTeamName, setNewTeamName] = useState('');
+  const [memberEmail, setMemberEmail] = useState('');
+  const [reportFor, setReportFor] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadTeams = useCallback(async () => {
+    try {
+      const response = await apiService.teams.getAll();
+      if (response.data?.success) {
+        setTeams(response.data.teams);
+        setSelectedId(prev => prev || response.data.teams[0]?._id || null);
+      }
+    } catch (loadError) {
+      console.error('❌ Error loading teams:', loadError);
+    }
+  }, []);
+
+  const loadInvites = useCallback(async () => {
+    try {
+      const response = await apiService.teams.getInvites();
+      if (response.data?.success) setInvites(response.data.invites);
+    } catch (loadError) {
+      console.error('❌ Error loading team invites:', loadError);
+    }
+  }, []);
+
+  const loadDetails = useCallback(async (teamId) => {
+    if (!teamId) {
+      setDetails(null);
+      return;
+    }
+
+    try {
+      const response = await apiService.teams.getById(teamId);
+      setDetails(response.data?.success ? response.data : null);
+    } catch (loadError) {
+      console.error('❌ Error loading team:', loadError);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTeams();
+    loadInvites();
+  }, [loadTeams, loadInvites]);
+
+  useEffect(() => {
+    setReportFor(null);
+    loadDetails(selectedId);
+  }, [selectedId, loadDetails]);
+
+  // Runs a team request; returns the response data, or null after showing the error
+  const runAction = async (request, failureMessage) => {
+    try {
+      setError('');
+      const response = await request();
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || failureMessage);
+      }
+      return response.data;
+    } catch (actionError) {
+      console.error(`❌ ${failureMessage}:`, actionError);
+      setError(actionError.message);
+      return null;
+    }
+  };
+
+  const handleCreateTeam = async (e) => {
+    e.preventDefault();
+    const data = await runAction(() => apiService.teams.create(newTeamName.trim()), 'Failed to create team');
+    if (!data) return;
+
+    setNewTeamName('');
+    await loadTeams();
+    setSelectedId(data.team._id);
+  };
+
+  const handleInviteMember = async (e) => {
+    e.preventDefault();
+    const data = await runAction(() => apiService.teams.inviteMember(selectedId, memberEmail.trim()), 'Failed to invite member');
+    if (!data) return;
+
+    setMemberEmail('');
+    await loadDetails(selectedId);
+  };
+
+  const handleWithdrawInvite = async (invite) => {
+    const data = await runAction(() => apiService.teams.removeInvite(selectedId, invite._id), 'Failed to withdraw invitation');
+    if (data) await loadDetails(selectedId);
+  };
+
+  const handleAcceptInvite = async (invite) => {
+    const data = await runAction(() => apiService.teams.acceptInvite(invite.team._id, invite._id), 'Failed to join team');
+    if (!data) return;
+
+    await loadInvites();
+    await loadTeams();
+    setSelectedId(data.team._id);
+  };
+
+  const handleDeclineInvite = async (invite) => {
+    const data = await runAction(() => apiService.teams.removeInvite(invite.team._id, invite._id), 'Failed to decline invitation');
+    if (data) await loadInvites();
+  };
+
+  const handleRemoveMember = async (member) => {
+    const leaving = !details.team.isLead;
+    const question = leaving
+      ? `Leave "${details.team.name}"? Its routines will stop ringing for you.`
+      : `Remove ${memberName(member.user)} from the team?`;
+    if (!window.confirm(question)) return;
+
+    const data = await runAction(() => apiService.teams.removeMember(selectedId, member.user._id), 'Failed to remove member');
+    if (!data) return;
+
+    if (leaving) {
+      setSelectedId(null);
+      await loadTeams();
+    } else {
+      await loadDetails(selectedId);
+    }
+  };
+
+  const handleDeleteTeam = async () => {
+    if (!window.confirm(`Delete "${details.team.name}" and all of its routines?`)) return;
+
+    const data = await runAction(() => apiService.teams.delete(selectedId), 'Failed to delete team');
+    if (!data) return;
+
+    setSelectedId(null);
+    await loadTeams();
+    if (onTeamChanged) await onTeamChanged();
+  };
+
+  const handleOptOut = async (routine) => {
+    const data = await runAction(
+      () => apiService.teams.setOptOut(selectedId, routine._id, !routine.optedOut),
+      'Failed to update routine'
+    );
+    if (data) await loadDetails(selectedId);
+  };
+
+  const team = details?.team;
+
+  return (
+    <div className="team-manager">
+      <div className="page-header">
+        <h1>Teams</h1>
+        {hasRole(user, 'team-admin') && (
+          <form className="vacation-form" onSubmit={handleCreateTeam}>
+            <input
+              type="text"
+              placeholder="New team name"
+              value={newTeamName}
+              maxLength={100}
+              onChange={(e) => setNewTeamName(e.target.value)}
+            />
+            <button type="submit" className="btn-primary" disabled={!newTeamName.trim()}>
+              ➕ Create team
+            </button>
+          </form>
+        )}
+      </div>
+
+      {error && <span className="error-text">{error}</span>}
+
+      {invites.length > 0 && (
+        <div className="form-section">
+          <h3>Invitations</h3>
+          <ul className="team-members">
+            {invites.map(invite => (
+              <li key={invite._id}>
+                <span>
+                  <strong>{invite.team.name}</strong>
+                  <span className="activity-time">
+                    {' '}from {memberName(invite.invitedBy)} · its routines ring for you once you join
+                  </span>
+                </span>
+                <span className="sound-controls">
+                  <button className="btn-primary" onClick={() => handleAcceptInvite(invite)}>
+                    Join
+                  </button>
+                  <button className="stop-btn" onClick={() => handleDeclineInvite(invite)}>
+                    Decline
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {teams.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">👥</div>
+          <h3>No teams yet</h3>
+          <p>
+            {hasRole(user, 'team-admin')
+              ? 'Create a team to share routines like a daily stand-up with everyone on it.'
+              : 'Ask a team lead to invite you to their team.'}
+          </p>
+        </div>
+      ) : (
+        <div className="bundle-modes">
+          {teams.map(item => (
+            <label key={item._id}>
+              <input
+                type="radio"
+                name="team"
+                checked={selectedId === item._id}
+                onChange={() => setSelectedId(item._id)}
+              />
+              <strong>{item.name}</strong> – {item.members.length} member{item.members.length === 1 ? '' : 's'}
+              {item.isLead && ' (lead)'}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {team && (
+        <>
+          <div className="form-section">
+            <h3>Members</h3>
+            <ul className="team-members">
+              {team.members.map(member => (
+                <li key={member.user._id}>
+                  <span>
+                    {memberName(member.user)} <span className="activity-time">{member.user.email}</span>
+                    {member.user._id === team.lead && ' ⭐ Lead'}
+                  </span>
+                  {member.user._id !== team.lead && (team.isLead || member.user._id === user?.id) && (
+                    <button className="stop-btn" onClick={() => handleRemoveMember(member)}>
+                      Remove
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {team.isLead && team.invites?.length > 0 && (
+              <>
+                <h4>Invited</h4>
+                <ul className="team-members">
+                  {team.invites.map(invite => (
+                    <li key={invite._id}>
+                      <span>
+                        {invite.email}
+                        <span className="activity-time"> invited {new Date(invite.invitedAt).toLocaleDateString()}</span>
+                      </span>
+                      <button className="stop-btn" onClick={() => handleWithdrawInvite(invite)}>
+                        Withdraw
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            {team.isLead ? (
+              <form className="vacation-form" onSubmit={handleInviteMember}>
+                <input
+                  type="email"
+                  placeholder="Email to invite"
+                  value={memberEmail}
+                  onChange={(e) => setMemberEmail(e.target.value)}
+                />
+                <button type="submit" className="btn-secondary" disabled={!memberEmail.trim()}>
+                  ✉️ Invite member
+                </button>
+                <button type="button" className="stop-btn" onClick={handleDeleteTeam}>
+                  Delete team
+                </button>
+              </form>
+            ) : (
+              <button
+                className="stop-btn"
+                onClick={() => handleRemoveMember(team.members.find(member => member.user._id === user?.id))}
+              >
+                Leave team
+              </button>
+            )}
+          </div>
+
+          <div className="form-section">
+            <div className="page-header">
+              <h3>Team routines</h3>
+              {team.isLead && (
+                <button className="btn-primary" onClick={() => onAddTeamRoutine(team._id)}>
+                  ➕ Add team routine
+                </button>
+              )}
+            </div>
+
+            {details.routines.length === 0 && <p className="activity-time">No team routines yet.</p>}
+            {details.routines.map(routine => (
+              <div key={routine._id} className={`routine-card ${!routine.isActive ? 'inactive' : ''}`}>
+                <div className="routine-header">
+                  <div className="routine-info">
+                    <div className="routine-title">
+                      <h3>{routine.title}</h3>
+                      {!routine.isActive && <span className="inactive-badge">Inactive</span>}
+                      {routine.optedOut && <span className="inactive-badge">🔕 Opted out</span>}
+                    </div>
+                    <p className="routine-description">{describeSchedule(routine)}</p>
+                  </div>
+                  <div className="routine-actions">
+                    <button
+                      className={`toggle-btn ${routine.optedOut ? '' : 'active'}`}
+                      onClick={() => handleOptOut(routine)}
+                      title={routine.optedOut ? 'Ring for me again' : 'Stop ringing for me'}
+                    >
+                      {routine.optedOut ? '🔕' : '🔔'}
+                    </button>
+                    {team.isLead && (
+                      <>
+                        <button
+                          className="edit-btn"
+                          onClick={() => setReportFor(reportFor === routine._id ? null : routine._id)}
+                          title="Who responded"
+                        >
+                          📊
+                        </button>
+                        <button className="edit-btn" onClick={() => onEditRoutine(routine)} title="Edit routine">
+                          ✏️
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+                {reportFor === routine._id && <TeamRoutineReport teamId={team._id} routineId={routine._id} />}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TeamManager;
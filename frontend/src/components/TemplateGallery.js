@@ -0,0 +1,231 @@
+// src/components/TemplateGallery.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+import { DAYS_OF_WEEK } from '../config';
+
+const defaultValues = (parameters) => Object.fromEntries(
+  parameters.map(parameter => [parameter.key, parameter.defaultValue])
+);
+
+const ParameterInput = ({ parameter, value, onChange }) => {
+  if (parameter.type === 'days') {
+    const days = value || [];
+    return (
+      <div className="days-selector">
+        {DAYS_OF_WEEK.map(day => (
+          <button
+            key={day.value}
+            type="button"
+            className={`day-btn ${days.includes(day.value) ? 'selected' : ''}`}
+            onClick={() => onChange(days.includes(day.value)
+              ? days.filter(d => d !== day.value)
+              : [...days, day.value].sort((a, b) => a - b))}
+          >
+            {day.short}
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <input
+      type={parameter.type === 'text' ? 'text' : parameter.type}
+      value={value ?? ''}
+      min={parameter.min}
+      max={parameter.max}
+      onChange={(e) => onChange(parameter.type === 'number' ? e.target.value && Number(e.target.value) : e.target.value)}
+    />
+  );
+};
+
+const ParameterFields = ({ parameters, values, onChange }) => (
+  <div className="template-params">
+    {parameters.map(parameter => (
+      <div className="form-group" key={parameter.key}>
+        <label>{parameter.label}</label>
+        <ParameterInput
+          parameter={parameter}
+          value={values[parameter.key]}
+          onChange={(value) => onChange({ ...values, [parameter.key]: value })}
+        />
+      </div>
+    ))}
+  </div>
+);
+
+// Built-in and saved templates: add a whole pack in one click, or pick
+// templates, adjust their parameters and create them together
+const TemplateGallery = ({ onCreated, onCancel }) => {
+  const [templates, setTemplates] = useState([]);
+  const [packs, setPacks] = useState([]);
+  const [packValues, setPackValues] = useState({});
+  // Parameter values of the picked templates, by template id
+  const [selected, setSelected] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [templateErrors, setTemplateErrors] = useState([]);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await apiService.templates.getAll();
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Could not load templates');
+      }
+
+      setTemplates(response.data.templates);
+      setPacks(response.data.packs);
+      setPackValues(Object.fromEntries(response.data.packs.map(pack => [pack.id, defaultValues(pack.parameters)])));
+    } catch (loadError) {
+      console.error('❌ Error loading templates:', loadError);
+      setError(loadError.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const instantiate = async (request) => {
+    try {
+      setLoading(true);
+      setError('');
+      setTemplateErrors([]);
+
+      const response = await apiService.templates.instantiate(request);
+      if (!response.data?.success) {
+        setTemplateErrors(response.data?.errors || []);
+        throw new Error(response.data?.message || 'Could not create routines');
+      }
+
+      console.log(`📚 ${response.data.message}`);
+      await onCreated(response.data.routines);
+    } catch (instantiateError) {
+      console.error('❌ Error creating routines from templates:', instantiateError);
+      setError(instantiateError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleTemplate = (template) => {
+    setSelected(({ [template.id]: current, ...rest }) => (
+      current ? rest : { ...rest, [template.id]: defaultValues(template.parameters) }
+    ));
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Routines created from it are kept.`)) return;
+
+    try {
+      const response = await apiService.templates.delete(template.id);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Failed to delete template');
+      }
+      setSelected(({ [template.id]: _, ...rest }) => rest);
+      await loadTemplates();
+    } catch (deleteError) {
+      console.error('❌ Error deleting template:', deleteError);
+      alert(`Error deleting template: ${deleteError.message}`);
+    }
+  };
+
+  const selectedIds = Object.keys(selected);
+
+  return (
+    <div className="template-gallery">
+      <div className="page-header">
+        <h1>Routine Templates</h1>
+        <button className="btn-secondary" onClick={onCancel}>
+          Back to Routines
+        </button>
+      </div>
+
+      {error && <span className="error-text">{error}</span>}
+      {templateErrors.length > 0 && (
+        <ul>
+          {templateErrors.map(templateError => (
+            <li key={templateError.id} className="error-text">
+              {templateError.name || templateError.id}: {templateError.errors.join('; ')}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3>Packs</h3>
+      <div className="template-grid">
+        {packs.map(pack => (
+          <div key={pack.id} className="template-card">
+            <span className="agenda-title">{pack.icon} {pack.name}</span>
+            <span className="activity-time">{pack.description}</span>
+            <span className="activity-time">
+              {pack.templates
+                .map(id => templates.find(template => template.id === id)?.name || id)
+                .join(' · ')}
+            </span>
+            <ParameterFields
+              parameters={pack.parameters}
+              values={packValues[pack.id] || {}}
+              onChange={(values) => setPackValues(prev => ({ ...prev, [pack.id]: values }))}
+            />
+            <button
+              className="btn-primary"
+              onClick={() => instantiate({ pack: pack.id, params: packValues[pack.id] })}
+              disabled={loading}
+            >
+              ➕ Add pack
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <h3>Templates</h3>
+      <div className="template-grid">
+        {templates.map(template => (
+          <div key={template.id} className={`template-card ${selected[template.id] ? 'selected' : ''}`}>
+            <label className="template-card-header">
+              <input
+                type="checkbox"
+                checked={Boolean(selected[template.id])}
+                onChange={() => toggleTemplate(template)}
+              />
+              <span className="agenda-title">{template.icon} {template.name}</span>
+              {!template.builtIn && (
+                <button
+                  className="delete-btn"
+                  onClick={(e) => { e.preventDefault(); handleDelete(template); }}
+                  title="Delete template"
+                >
+                  🗑️
+                </button>
+              )}
+            </label>
+            <span className="activity-time">{template.description}</span>
+            {selected[template.id] && (
+              <ParameterFields
+                parameters={template.parameters}
+                values={selected[template.id]}
+                onChange={(values) => setSelected(prev => ({ ...prev, [template.id]: values }))}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="form-actions">
+        <button className="btn-secondary" onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          className="btn-primary"
+          onClick={() => instantiate({ templates: selectedIds.map(id => ({ id, params: selected[id] })) })}
+          disabled={loading || selectedIds.length === 0}
+        >
+          📚 Create {selectedIds.length} routine{selectedIds.length === 1 ? '' : 's'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateGallery;
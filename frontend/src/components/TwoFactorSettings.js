@@ -0,0 +1,158 @@
+// src/components/TwoFactorSettings.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+
+// Turn TOTP two-factor authentication on or off and manage recovery codes
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await apiService.twoFactor.getStatus();
+      if (response.data?.success) setStatus(response.data);
+    } catch (loadError) {
+      console.error('❌ Error loading two-factor status:', loadError);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // Runs a request; returns the response data, or null after showing the error
+  const runAction = async (request, failureMessage) => {
+    try {
+      setError('');
+      const response = await request();
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || failureMessage);
+      }
+      return response.data;
+    } catch (actionError) {
+      console.error(`❌ ${failureMessage}:`, actionError);
+      setError(actionError.message);
+      return null;
+    }
+  };
+
+  const handleStartSetup = async () => {
+    const data = await runAction(() => apiService.twoFactor.setup(), 'Could not start two-factor setup');
+    if (data) {
+      setSetup(data);
+      setRecoveryCodes(null);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const data = await runAction(() => apiService.twoFactor.enable(code.trim()), 'Could not turn on two-factor authentication');
+    if (!data) return;
+
+    setSetup(null);
+    setCode('');
+    setRecoveryCodes(data.recoveryCodes);
+    await loadStatus();
+  };
+
+  const handleRegenerate = async () => {
+    const data = await runAction(
+      () => apiService.twoFactor.regenerateRecoveryCodes(password),
+      'Could not create recovery codes'
+    );
+    if (!data) return;
+
+    setPassword('');
+    setRecoveryCodes(data.recoveryCodes);
+    await loadStatus();
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Turn off two-factor authentication? Signing in will only need your password.')) return;
+
+    const data = await runAction(() => apiService.twoFactor.disable(password), 'Could not turn off two-factor authentication');
+    if (!data) return;
+
+    setPassword('');
+    setRecoveryCodes(null);
+    await loadStatus();
+  };
+
+  return (
+    <div className="settings-card">
+      <h2>🔑 Two-Factor Authentication</h2>
+      {error && <span className="error-text">{error}</span>}
+
+      {recoveryCodes && (
+        <div className="setting-group">
+          <label>Recovery codes – save them somewhere safe, they are only shown once</label>
+          <ul className="recovery-codes">
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {status && !status.enabled && !setup && (
+        <div className="setting-group">
+          <label>Protect your account with a code from an authenticator app when you sign in.</label>
+          <button className="test-sound-btn" onClick={handleStartSetup}>
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+
+      {setup && (
+        <form className="setting-group" onSubmit={handleEnable}>
+          <label>Scan this QR code with your authenticator app, then enter the code it shows.</label>
+          <img className="two-factor-qr" src={setup.qrCode} alt="QR code for your authenticator app" />
+          <p className="activity-time">Can't scan it? Enter this key instead: <code>{setup.secret}</code></p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="123456"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+          <div className="sound-controls">
+            <button type="submit" className="test-sound-btn" disabled={!code.trim()}>
+              Turn on
+            </button>
+            <button type="button" className="btn-secondary" onClick={() => setSetup(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status?.enabled && (
+        <div className="setting-group">
+          <label>
+            On since {new Date(status.enabledAt).toLocaleDateString()} · {status.recoveryCodesLeft} recovery code
+            {status.recoveryCodesLeft === 1 ? '' : 's'} left
+          </label>
+          <input
+            type="password"
+            placeholder="Confirm with your password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <div className="sound-controls">
+            <button className="btn-secondary" onClick={handleRegenerate} disabled={!password}>
+              New recovery codes
+            </button>
+            <button className="stop-btn" onClick={handleDisable} disabled={!password}>
+              Turn off
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
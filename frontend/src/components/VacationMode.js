@@ -0,0 +1,83 @@
+// src/components/VacationMode.js
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+import { toDateInput, formatDay, getVacation } from '../utils/routineHolds';
+
+// Account-wide vacation: no routine rings between the two dates, and
+// everything picks up again the day after without touching the routines
+const VacationMode = () => {
+  const { user, checkAuthStatus } = useAuth();
+  const [range, setRange] = useState(null);
+  const vacation = getVacation(user);
+
+  const handleSave = async () => {
+    try {
+      const response = range
+        ? await apiService.users.startVacation(range.startDate, range.endDate)
+        : await apiService.users.endVacation();
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to update vacation mode');
+      }
+      setRange(null);
+      await checkAuthStatus();
+    } catch (error) {
+      console.error('❌ Error updating vacation mode:', error);
+      alert(`Error updating vacation mode: ${error.message}`);
+    }
+  };
+
+  const handleStart = () => {
+    const today = toDateInput();
+    setRange(vacation
+      ? { startDate: vacation.startDate, endDate: vacation.endDate }
+      : { startDate: today, endDate: today });
+  };
+
+  return (
+    <div className={`vacation-mode ${vacation?.isActive ? 'active' : ''}`}>
+      <span className="vacation-status">
+        🏖️ {vacation
+          ? `${vacation.isActive ? 'On vacation' : 'Vacation planned'}: ${formatDay(vacation.startDate)} – ${formatDay(vacation.endDate)}`
+          : 'Vacation mode is off'}
+      </span>
+
+      {range ? (
+        <div className="vacation-form">
+          <input
+            type="date"
+            value={range.startDate}
+            min={toDateInput()}
+            onChange={(e) => setRange(prev => ({ ...prev, startDate: e.target.value }))}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            value={range.endDate}
+            min={range.startDate}
+            onChange={(e) => setRange(prev => ({ ...prev, endDate: e.target.value }))}
+          />
+          <button className="btn-primary" onClick={handleSave} disabled={range.endDate < range.startDate}>
+            Save
+          </button>
+          <button className="btn-secondary" onClick={() => setRange(null)}>
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div className="vacation-form">
+          <button className="btn-secondary" onClick={handleStart}>
+            {vacation ? 'Change dates' : 'Plan vacation'}
+          </button>
+          {vacation && (
+            <button className="stop-btn" onClick={handleSave}>
+              End vacation
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VacationMode;
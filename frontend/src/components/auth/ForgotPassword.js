@@ -0,0 +1,86 @@
+// src/components/auth/ForgotPassword.js
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { apiService } from '../../services/api';
+import './Auth.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiService.auth.forgotPassword(email.trim());
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Could not send the reset email');
+      }
+      setMessage(response.data.message);
+    } catch (err) {
+      console.error('❌ Forgot password error:', err);
+      setError(err.message || 'An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Forgot Password</h1>
+          <p>We'll email you a link to choose a new one</p>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+        {message && <div className="alert alert-success">{message}</div>}
+
+        {!message && (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="email">Email Address</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <button type="submit" className="btn btn-primary btn-full" disabled={loading}>
+              {loading ? (
+                <>
+                  <div className="spinner"></div>
+                  Sending...
+                </>
+              ) : (
+                'Send Reset Link'
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            Remembered it?{' '}
+            <button type="button" className="auth-link" onClick={() => navigate('/login')}>
+              Back to sign in
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
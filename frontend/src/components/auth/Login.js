@@ -4,6 +4,13 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import './Auth.css';
 
+// When the form unlocks again
+const RetryHint = ({ retryAt, locked }) => (
+  <p className="retry-hint">
+    {locked ? '🔒 Locked' : '⏳ Paused'} until {new Date(retryAt).toLocaleTimeString()}
+  </p>
+);
+
 const Login = () => {
   const [formData, setFormData] = useState({
     email: '',
@@ -11,8 +18,13 @@ const Login = () => {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Set while the server refuses attempts after too many failures
+  const [retryAt, setRetryAt] = useState(null);
+  const [locked, setLocked] = useState(false);
   
-  const { login, isAuthenticated } = useAuth();
+  const { login, isAuthenticated, twoFactorRequired, verifyTwoFactor, cancelTwoFactor } = useAuth();
   const navigate = useNavigate();
 
   // Debug: Log authentication state
@@ -20,12 +32,32 @@ const Login = () => {
     console.log('🔍 Login component - isAuthenticated:', isAuthenticated);
   }, [isAuthenticated]);
 
+  // Re-enable the form once the wait is over
+  React.useEffect(() => {
+    if (!retryAt) return undefined;
+
+    const timer = setTimeout(() => {
+      setRetryAt(null);
+      setLocked(false);
+      setError('');
+    }, Math.max(retryAt - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [retryAt]);
+
+  const handleRefused = (result) => {
+    setError(result.message);
+    if (result.retryAfter) {
+      setRetryAt(Date.now() + result.retryAfter * 1000);
+      setLocked(Boolean(result.locked));
+    }
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
       [e.target.name]: e.target.value
     });
-    if (error) setError('');
+    if (error && !retryAt) setError('');
   };
 
   const handleSubmit = async (e) => {
@@ -45,7 +77,9 @@ const Login = () => {
       const result = await login(formData.email, formData.password);
       console.log('✅ Login result:', result);
       
-      if (result.success) {
+      if (result.twoFactorRequired) {
+        console.log('🔐 Two-factor code required');
+      } else if (result.success) {
         console.log('✅ Login successful, checking auth state...');
         
         // Check authentication state
@@ -58,7 +92,7 @@ const Login = () => {
         }, 100);
       } else {
         console.log('❌ Login failed:', result.message);
-        setError(result.message || 'Login failed. Please check your credentials.');
+        handleRefused({ ...result, message: result.message || 'Login failed. Please check your credentials.' });
       }
     } catch (err) {
       console.error('❌ Login error:', err);
@@ -69,6 +103,105 @@ const Login = () => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await verifyTwoFactor(useRecoveryCode ? { recoveryCode: code } : { code });
+      if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else {
+        handleRefused(result);
+        setCode('');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    cancelTwoFactor();
+    setCode('');
+    setError('');
+  };
+
+  if (twoFactorRequired) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h1>Two-Factor Check</h1>
+            <p>
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          {error && (
+            <div className="alert alert-error">
+              {error}
+              {retryAt && <RetryHint retryAt={retryAt} locked={locked} />}
+            </div>
+          )}
+
+          <form onSubmit={handleCodeSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="code">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+              <input
+                type="text"
+                id="code"
+                name="code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <button 
+              type="submit" 
+              className="btn btn-primary btn-full"
+              disabled={loading || !code.trim() || Boolean(retryAt)}
+            >
+              {loading ? (
+                <>
+                  <div className="spinner"></div>
+                  Verifying...
+                </>
+              ) : (
+                'Verify'
+              )}
+            </button>
+          </form>
+
+          <div className="auth-footer">
+            <p>
+              <button 
+                type="button" 
+                className="auth-link"
+                onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(''); }}
+              >
+                {useRecoveryCode ? 'Use an authenticator code' : 'Use a recovery code'}
+              </button>
+            </p>
+            <p>
+              <button type="button" className="auth-link" onClick={handleCancelTwoFactor}>
+                Back to sign in
+              </button>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -80,6 +213,7 @@ const Login = () => {
         {error && (
           <div className="alert alert-error">
             {error}
+            {retryAt && <RetryHint retryAt={retryAt} locked={locked} />}
           </div>
         )}
 
@@ -115,7 +249,7 @@ const Login = () => {
           <button 
             type="submit" 
             className="btn btn-primary btn-full"
-            disabled={loading}
+            disabled={loading || Boolean(retryAt)}
           >
             {loading ? (
               <>
@@ -129,6 +263,15 @@ const Login = () => {
         </form>
 
         <div className="auth-footer">
+          <p>
+            <button 
+              type="button" 
+              className="auth-link"
+              onClick={() => navigate('/forgot-password')}
+            >
+              Forgot your password?
+            </button>
+          </p>
           <p>
             Don't have an account?{' '}
             <button 
@@ -2,6 +2,7 @@
 import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { BROWSER_TIME_ZONE } from '../../config';
 import './Auth.css';
 
 const Register = () => {
@@ -97,7 +98,7 @@ const Register = () => {
       const { confirmPassword, ...registerData } = formData;
       console.log('Registering user:', registerData.email);
       
-      const result = await register(registerData);
+      const result = await register({ ...registerData, timezone: BROWSER_TIME_ZONE });
       console.log('Registration result:', result);
       
       if (result.success) {
@@ -0,0 +1,123 @@
+// src/components/auth/ResetPassword.js
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { apiService } from '../../services/api';
+import './Auth.css';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This reset link is incomplete. Please request a new one.');
+  const [message, setMessage] = useState('');
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiService.auth.resetPassword(token, formData.password);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'Could not reset your password');
+      }
+      setMessage(response.data.message);
+    } catch (err) {
+      console.error('❌ Reset password error:', err);
+      setError(err.message || 'An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Choose a New Password</h1>
+          <p>You'll be signed out on all of your devices</p>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+        {message && <div className="alert alert-success">{message}</div>}
+
+        {token && !message && (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="password">New Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                placeholder="At least 6 characters"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                placeholder="Repeat the new password"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <button type="submit" className="btn btn-primary btn-full" disabled={loading}>
+              {loading ? (
+                <>
+                  <div className="spinner"></div>
+                  Saving...
+                </>
+              ) : (
+                'Set Password'
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <button type="button" className="auth-link" onClick={() => navigate('/login')}>
+              Back to sign in
+            </button>
+            {' · '}
+            <button type="button" className="auth-link" onClick={() => navigate('/forgot-password')}>
+              Request a new link
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,66 @@
+// src/components/auth/VerifyEmail.js
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { apiService } from '../../services/api';
+import './Auth.css';
+
+// Opened from the confirmation email, signed in or not
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const { isAuthenticated, checkAuthStatus } = useAuth();
+  const navigate = useNavigate();
+
+  // Tokens are single-use, so send it only once even if the effect re-runs
+  const sentRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || sentRef.current) return;
+    sentRef.current = true;
+
+    apiService.auth.verifyEmail(token)
+      .then(response => {
+        setStatus(response.data?.success ? 'verified' : 'failed');
+        setMessage(response.data?.message || 'Could not confirm your email address');
+
+        // Refresh the signed-in user so the reminder banner goes away
+        if (response.data?.success && isAuthenticated) checkAuthStatus();
+      })
+      .catch(err => {
+        console.error('❌ Verify email error:', err);
+        setStatus('failed');
+        setMessage(err.message || 'Could not confirm your email address');
+      });
+  }, [token, isAuthenticated, checkAuthStatus]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Email Confirmation</h1>
+          {status === 'verifying' && <p>Confirming your email address...</p>}
+        </div>
+
+        {status === 'verified' && <div className="alert alert-success">{message}</div>}
+        {status === 'failed' && <div className="alert alert-error">{message}</div>}
+
+        <div className="auth-footer">
+          <p>
+            <button
+              type="button"
+              className="auth-link"
+              onClick={() => navigate(isAuthenticated ? '/dashboard' : '/login')}
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Go to sign in'}
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
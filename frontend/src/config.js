@@ -38,6 +38,60 @@ export const DAYS_OF_WEEK = [
   { value: 6, label: 'Saturday', short: 'Sat' }
 ];
 
+// Recurrence rule options for the routine builder
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'minutely', label: 'Every few minutes', unit: 'minutes' },
+  { value: 'hourly', label: 'Hourly', unit: 'hours' },
+  { value: 'daily', label: 'Daily', unit: 'days' },
+  { value: 'weekly', label: 'Weekly', unit: 'weeks' },
+  { value: 'monthly', label: 'Monthly', unit: 'months' },
+  { value: 'yearly', label: 'Yearly', unit: 'years' }
+];
+
+export const NTH_WEEKDAY_OPTIONS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' }
+];
+
+export const MONTHS = [
+  'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
+];
+
+export const DEFAULT_RECURRENCE = {
+  frequency: 'weekly',
+  interval: 1,
+  times: ['09:00'],
+  windowStart: '09:00',
+  windowEnd: '17:00',
+  byWeekday: [1, 2, 3, 4, 5],
+  byMonthDay: [],
+  byNthWeekday: [],
+  byMonth: [],
+  startDate: '',
+  endDate: '',
+  count: '',
+  excludeDates: []
+};
+
+// Empty fields fall back to the user's break interval and working hours
+export const DEFAULT_INTERVAL_SETTINGS = {
+  everyMinutes: '',
+  windowStart: '',
+  windowEnd: '',
+  days: [1, 2, 3, 4, 5]
+};
+
+// Time zones (IANA names); older browsers only get their own zone
+export const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+export const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [BROWSER_TIME_ZONE];
+
 // Sound options
 export const SOUND_OPTIONS = [
   { value: 'chime', label: 'Gentle Chime', description: 'Soft and pleasant' },
@@ -55,6 +109,147 @@ export const PRIORITY_LEVELS = [
   { value: 5, label: 'Critical', color: '#FF0000' }
 ];
 
+// What the scheduler does with alarms missed during downtime
+export const MISSED_POLICIES = [
+  { value: 'fire-late', label: 'Ring late' },
+  { value: 'mark-missed', label: 'Mark as missed' },
+  { value: 'skip', label: 'Skip silently' }
+];
+
+// What happens when the user tries to snooze past the routine's limit
+export const ESCALATION_OPTIONS = [
+  { value: 'force', label: 'Keep the alarm up' },
+  { value: 'urgent', label: 'Raise it to urgent' },
+  { value: 'auto-dismiss', label: 'Dismiss it as ignored' }
+];
+
+// Do-Not-Disturb: what happens to each priority during quiet hours.
+// Critical routines always ring.
+export const DND_ACTION_OPTIONS = [
+  { value: 'suppress', label: 'Drop it' },
+  { value: 'defer', label: 'Ring when quiet hours end' },
+  { value: 'silent', label: 'Show it without sound' },
+  { value: 'deliver', label: 'Ring anyway' }
+];
+
+// Scopes for personal API tokens (see backend models/ApiToken)
+export const API_TOKEN_SCOPES = [
+  { value: 'routines:read', label: 'Read routines' },
+  { value: 'routines:write', label: 'Create and change routines' },
+  { value: 'notifications:respond', label: 'List and answer notifications' }
+];
+
+// Days until a new API token stops working; null never expires
+export const API_TOKEN_EXPIRY_OPTIONS = [
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: null, label: 'Never' }
+];
+
+export const DND_PRIORITY_RULES = [
+  { key: 'low', label: 'Low' },
+  { key: 'medium', label: 'Medium' },
+  { key: 'high', label: 'High' },
+  { key: 'urgent', label: 'Urgent' }
+];
+
+export const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '07:00',
+  rules: { low: 'suppress', medium: 'defer', high: 'defer', urgent: 'silent' }
+};
+
+export const DND_DURATIONS = [
+  { minutes: 30, label: '30 min' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 120, label: '2 hours' },
+  { minutes: 480, label: '8 hours' }
+];
+
+// Calendar colors/icons by notification status; 'upcoming' is a future occurrence
+export const CALENDAR_STATUS = {
+  upcoming: { icon: '🔔', label: 'Upcoming' },
+  completed: { icon: '✅', label: 'Completed' },
+  snoozed: { icon: '😴', label: 'Snoozed' },
+  dismissed: { icon: '❌', label: 'Dismissed' },
+  missed: { icon: '📭', label: 'Missed' },
+  ignored: { icon: '🙈', label: 'Ignored' },
+  suppressed: { icon: '🌙', label: 'Suppressed' },
+  delivered: { icon: '📨', label: 'Awaiting response' }
+};
+
+// Account roles from least to most privileged
+export const USER_ROLES = [
+  { value: 'user', label: 'User' },
+  { value: 'team-admin', label: 'Team admin' },
+  { value: 'system-admin', label: 'System admin' }
+];
+
+// How an event of an imported .ics file converts into a routine
+export const IMPORT_STATUS = {
+  ok: { icon: '✅', label: 'Converts cleanly' },
+  approximate: { icon: '⚠️', label: 'Converts with changes' },
+  unsupported: { icon: '⛔', label: "Can't be represented" },
+  duplicate: { icon: '🔁', label: 'Already imported' }
+};
+
+// How far ahead the agenda looks
+export const AGENDA_RANGES = [
+  { days: 1, label: '24 hours' },
+  { days: 3, label: '3 days' },
+  { days: 7, label: 'Week' }
+];
+
+// Quick choices for pausing a routine
+export const PAUSE_DURATIONS = [
+  { days: 1, label: '1 day' },
+  { days: 3, label: '3 days' },
+  { days: 7, label: '1 week' },
+  { days: 14, label: '2 weeks' }
+];
+
+// How each step of a running sequence is shown on the dashboard
+export const SEQUENCE_STEP_STATUS = {
+  waiting: { icon: '⚪', label: 'Waiting' },
+  scheduled: { icon: '🕒', label: 'Scheduled' },
+  delivered: { icon: '🔔', label: 'Ringing' },
+  completed: { icon: '✅', label: 'Completed' },
+  'timed-out': { icon: '⏭️', label: 'Started the next one anyway' },
+  skipped: { icon: '➖', label: 'Skipped' }
+};
+
+// Re-rings for alarms nobody answers; no steps = the server's default for the priority
+export const ESCALATION_VOLUME_STEPS = [
+  { value: 0, label: 'Same volume' },
+  { value: 0.15, label: 'A bit louder' },
+  { value: 0.3, label: 'Louder' },
+  { value: 1, label: 'Full volume' }
+];
+
+export const DEFAULT_ESCALATION_CHAIN = {
+  enabled: true,
+  steps: [],
+  ignoreAfterMinutes: ''
+};
+
+// Bounds for the learned delivery shift, in minutes (see backend utils/adaptiveTiming)
+export const DEFAULT_ADAPTIVE_TIMING = {
+  enabled: true,
+  minAdjustment: -10,
+  maxAdjustment: 15
+};
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  snoozeDuration: 5,
+  maxSnoozes: 3,
+  escalation: 'force',
+  escalationChain: DEFAULT_ESCALATION_CHAIN,
+  missedPolicy: 'fire-late',
+  catchUpMinutes: 60
+};
+
 // Default settings
 export const DEFAULT_SETTINGS = {
   volume: 0.7,
@@ -16,22 +16,21 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  // Set between a correct password and the 2FA code when 2FA is on
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   // Check authentication status on app start
   useEffect(() => {
     checkAuthStatus();
   }, []);
 
-  // Store token consistently
-  const storeToken = (token) => {
-    localStorage.setItem('notifyflow_token', token);
-    // Also store with generic key for compatibility
-    localStorage.setItem('token', token);
+  // Store tokens consistently
+  const storeToken = (token, refreshToken) => {
+    apiService.setAuthToken(token, refreshToken);
   };
 
   const clearToken = () => {
-    localStorage.removeItem('notifyflow_token');
-    localStorage.removeItem('token');
+    apiService.clearAuthTokens();
   };
 
   const checkAuthStatus = async () => {
@@ -72,10 +71,10 @@ export const AuthProvider = ({ children }) => {
       const response = await apiService.auth.register(userData);
       
       if (response.data && response.data.success) {
-        const { token, user } = response.data;
+        const { token, refreshToken, user } = response.data;
         
-        // Store token
-        storeToken(token);
+        // Store tokens
+        storeToken(token, refreshToken);
         
         // Update state
         setUser(user);
@@ -99,17 +98,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Login function
+  // Login function. Leaves `loading` alone: it would unmount the login
+  // form and lose the error or lockout message it has to show.
   const login = async (email, password) => {
     try {
-      setLoading(true);
       const response = await apiService.auth.login({ email, password });
       
+      if (response.data?.success && response.data.twoFactorRequired) {
+        setTwoFactorChallenge(response.data.challengeToken);
+        return { success: false, twoFactorRequired: true, message: response.data.message };
+      }
+
       if (response.data && response.data.success) {
-        const { token, user } = response.data;
+        const { token, refreshToken, user } = response.data;
         
-        // Store token
-        storeToken(token);
+        // Store tokens
+        storeToken(token, refreshToken);
         
         // Update state
         setUser(user);
@@ -117,20 +121,57 @@ export const AuthProvider = ({ children }) => {
         
         return { success: true, user };
       } else {
+        // Throttled or locked accounts also say when to try again
         return { 
           success: false, 
-          message: response.data?.message || 'Login failed' 
+          message: response.data?.message || 'Login failed',
+          retryAfter: response.data?.retryAfter,
+          locked: response.data?.locked
         };
       }
     } catch (error) {
       console.error('Login error:', error);
       const errorMessage = error.response?.data?.message || 'Login failed. Please try again.';
       return { success: false, message: errorMessage };
-    } finally {
-      setLoading(false);
     }
   };
 
+  // Second login step: { code } from the authenticator app or { recoveryCode }
+  const verifyTwoFactor = async (codes) => {
+    try {
+      const response = await apiService.auth.verifyTwoFactor(twoFactorChallenge, codes);
+
+      if (response.data && response.data.success) {
+        const { token, refreshToken, user } = response.data;
+
+        storeToken(token, refreshToken);
+        setTwoFactorChallenge(null);
+        setUser(user);
+        setIsAuthenticated(true);
+
+        return { success: true, user };
+      }
+
+      // An expired challenge means starting over with the password
+      if (response.data?.challengeExpired) {
+        setTwoFactorChallenge(null);
+      }
+      return {
+        success: false,
+        message: response.data?.message || 'Verification failed',
+        retryAfter: response.data?.retryAfter,
+        locked: response.data?.locked
+      };
+    } catch (error) {
+      console.error('Two-factor verification error:', error);
+      return { success: false, message: 'Verification failed. Please try again.' };
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+  };
+
   // Logout function
   const logout = async () => {
     try {
@@ -144,6 +185,19 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Sign out every device, this one included
+  const logoutEverywhere = async () => {
+    try {
+      await apiService.auth.logoutEverywhere();
+    } catch (error) {
+      console.error('Logout everywhere error:', error);
+    } finally {
+      clearToken();
+      setUser(null);
+      setIsAuthenticated(false);
+    }
+  };
+
   const value = {
     user,
     loading,
@@ -151,6 +205,10 @@ export const AuthProvider = ({ children }) => {
     register,  // Added register function
     login,
     logout,
+    logoutEverywhere,
+    twoFactorRequired: Boolean(twoFactorChallenge),
+    verifyTwoFactor,
+    cancelTwoFactor,
     checkAuthStatus
   };
 
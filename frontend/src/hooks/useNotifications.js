@@ -154,7 +154,11 @@ export const useNotifications = () => {
       createdAt: new Date()
     };
 
-    setNotifications(prev => [newNotification, ...prev]);
+    // A re-ring from the server's escalation chain replaces the earlier entry
+    setNotifications(prev => [
+      newNotification,
+      ...prev.filter(notif => (notif.id || notif._id) !== newNotification._id)
+    ]);
     setCurrentNotification(newNotification);
     setProcessingAction(null);
     setSyncStatus('idle');
@@ -174,8 +178,8 @@ export const useNotifications = () => {
     responseTimerRef.current = timer;
     setResponseTimer(timer);
 
-    // Play sound for the notification
-    if (notificationData.sound) {
+    // Play sound for the notification; Do-Not-Disturb may deliver it silently
+    if (notificationData.sound && !notificationData.silent) {
       console.log(`🎵 Playing sound: ${notificationData.sound} at ${notificationData.volume || 0.7} volume`);
       
       // Stop any previous sound
@@ -455,11 +459,6 @@ export const useNotifications = () => {
     // Listen for real-time notifications
     const handleSocketNotification = (notificationData) => {
       console.log('🔔 Received real-time notification:', notificationData);
-      
-      if (notificationData.broadcast) {
-        console.log('📢 Broadcast notification:', notificationData);
-      }
-      
       addNotification(notificationData);
     };
 
@@ -491,6 +490,25 @@ export const useNotifications = () => {
       );
     };
 
+    // The server gave up on an unanswered alarm at the end of its escalation chain
+    const handleNotificationIgnored = (data) => {
+      console.log('📭 Notification ignored:', data);
+
+      setNotifications(prev =>
+        prev.map(notif =>
+          (notif.id || notif._id) === data.id
+            ? { ...notif, status: 'ignored', userResponse: { action: 'ignored', timestamp: data.timestamp } }
+            : notif
+        )
+      );
+
+      const current = currentNotificationRef.current;
+      if (current && (current.id || current._id) === data.id) {
+        cleanupAll();
+        setCurrentNotification(null);
+      }
+    };
+
     // Listen for connection established
     const handleConnectionEstablished = (data) => {
       console.log('✅ Socket connection established:', data);
@@ -500,6 +518,7 @@ export const useNotifications = () => {
 
     socketService.onNotification(handleSocketNotification);
     socketService.onNotificationUpdate(handleNotificationUpdate);
+    socketService.on('notification-ignored', handleNotificationIgnored);
     socketService.on('connection-established', handleConnectionEstablished);
 
     // Load initial notifications
@@ -511,23 +530,23 @@ export const useNotifications = () => {
       cleanupAll();
       socketService.off('notification', handleSocketNotification);
       socketService.off('notification-update', handleNotificationUpdate);
+      socketService.off('notification-ignored', handleNotificationIgnored);
       socketService.off('connection-established', handleConnectionEstablished);
     };
   }, [addNotification, cleanupAll, syncWithBackend]);
 
-  // Auto-dismiss notification after 5 minutes
+  // Stop ringing after 5 minutes without an answer. The alarm stays open;
+  // the server's escalation chain re-rings it or marks it ignored.
   useEffect(() => {
     if (!currentNotification || responseTime < 300) return;
 
-    const autoDismissTimer = setTimeout(() => {
-      if (currentNotificationRef.current && !isProcessingRef.current) {
-        console.log('⏰ Auto-dismissing notification after 5 minutes');
-        handleNotificationResponse('dismissed', 300);
-      }
-    }, 300000);
-
-    return () => clearTimeout(autoDismissTimer);
-  }, [currentNotification, responseTime, handleNotificationResponse]);
+    if (soundStopRef.current) {
+      console.log('🔇 Silencing unanswered notification after 5 minutes');
+      soundStopRef.current();
+      soundStopRef.current = null;
+      setSoundStatus(prev => ({ ...prev, isPlaying: false }));
+    }
+  }, [currentNotification, responseTime]);
 
   return {
     // State
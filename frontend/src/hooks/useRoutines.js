@@ -187,6 +187,35 @@ export const useRoutines = () => {
     }
   }, [routines]);
 
+  // Pause/resume a routine or skip/unskip its next occurrence
+  const updateRoutineHold = useCallback(async (routineId, action, until) => {
+    try {
+      setError(null);
+      console.log(`⏸️ Routine hold ${action}:`, routineId);
+
+      const requests = {
+        pause: () => apiService.routines.pause(routineId, until),
+        resume: () => apiService.routines.resume(routineId),
+        skip: () => apiService.routines.skipNext(routineId),
+        unskip: () => apiService.routines.unskipNext(routineId)
+      };
+      const response = await requests[action]();
+
+      if (response.data && response.data.success) {
+        setRoutines(prev =>
+          prev.map(routine => (routine._id === routineId ? response.data.routine : routine))
+        );
+        return response.data.routine;
+      } else {
+        throw new Error(response.data?.message || 'Failed to update routine');
+      }
+    } catch (err) {
+      console.error('❌ Error updating routine hold:', err);
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to update routine';
+      throw new Error(errorMessage);
+    }
+  }, []);
+
   // Load routines on mount
   useEffect(() => {
     loadRoutines();
@@ -213,6 +242,7 @@ export const useRoutines = () => {
     updateRoutine,
     deleteRoutine,
     toggleRoutineActive,
+    updateRoutineHold,
     loadRoutines,
     
     // Helper functions
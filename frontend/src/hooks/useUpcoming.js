@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+
+const REFRESH_MS = 60 * 1000;
+
+// Upcoming fire times for the next `days` days, as computed by the server's
+// scheduler. `refreshKey` reloads them, e.g. when routines or notifications change.
+export const useUpcoming = (days = 1, refreshKey) => {
+  const [upcoming, setUpcoming] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadUpcoming = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const from = new Date();
+      const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+      const response = await apiService.routines.getUpcoming(from.toISOString(), to.toISOString());
+
+      if (response.data && response.data.success) {
+        setUpcoming(response.data.upcoming || []);
+      } else {
+        throw new Error(response.data?.message || 'Failed to load upcoming alarms');
+      }
+    } catch (err) {
+      console.error('❌ Error loading upcoming alarms:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to load upcoming alarms');
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    loadUpcoming();
+    const timer = setInterval(loadUpcoming, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [loadUpcoming, refreshKey]);
+
+  return { upcoming, loading, error, loadUpcoming };
+};
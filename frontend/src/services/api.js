@@ -19,17 +19,61 @@ const getAuthToken = () => {
   return localStorage.getItem('notifyflow_token') || localStorage.getItem('token');
 };
 
+const getRefreshToken = () => localStorage.getItem('notifyflow_refresh_token');
+
 // Helper function to clear all tokens
 const clearAuthTokens = () => {
   localStorage.removeItem('notifyflow_token');
   localStorage.removeItem('token');
+  localStorage.removeItem('notifyflow_refresh_token');
 };
 
 // Helper function to set token
-const setAuthToken = (token) => {
+const setAuthToken = (token, refreshToken) => {
   localStorage.setItem('notifyflow_token', token);
   // Also store with generic key for compatibility
   localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('notifyflow_refresh_token', refreshToken);
+  }
+};
+
+// Requests that must not trigger a token refresh
+const PUBLIC_AUTH_URLS = ['/api/auth/login', '/api/auth/login/2fa', '/api/auth/register', '/api/auth/refresh'];
+
+// One refresh at a time; concurrent 401s wait for the same one
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+
+    refreshPromise = api.post('/api/auth/refresh', { refreshToken })
+      .then(response => {
+        if (!response.data?.success) {
+          // Another tab may have rotated the token meanwhile
+          if (getRefreshToken() && getRefreshToken() !== refreshToken) return getAuthToken();
+          throw new Error(response.data?.message || 'Session has ended');
+        }
+        setAuthToken(response.data.token, response.data.refreshToken);
+        console.log('🔄 Access token refreshed');
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const endSession = () => {
+  console.log('🔒 Session ended - Removing token and redirecting to login');
+  clearAuthTokens();
+
+  // Only redirect if not already on login page
+  if (!window.location.pathname.includes('/login')) {
+    window.location.href = '/login';
+  }
 };
 
 // Request interceptor to add auth token with better error handling
@@ -55,8 +99,23 @@ api.interceptors.request.use(
 
 // Enhanced Response interceptor for error handling
 api.interceptors.response.use(
-  (response) => {
+  async (response) => {
     console.log(`✅ API Response: ${response.status} ${response.config.url}`);
+
+    // Access tokens are short-lived: refresh once and replay the request
+    const { config } = response;
+    if (response.status === 401 && getRefreshToken() && !config._retried &&
+        !PUBLIC_AUTH_URLS.includes(config.url)) {
+      try {
+        const token = await refreshAccessToken();
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        endSession();
+        return response;
+      }
+    }
     
     // Log response data for debugging (remove in production)
     if (process.env.NODE_ENV === 'development') {
@@ -82,13 +141,7 @@ api.interceptors.response.use(
       
       if (error.response.status === 401) {
         // Token expired or invalid
-        console.log('🔒 Unauthorized - Removing token and redirecting to login');
-        clearAuthTokens();
-        
-        // Only redirect if not already on login page
-        if (!window.location.pathname.includes('/login')) {
-          window.location.href = '/login';
-        }
+        endSession();
       } else if (error.response.status === 404) {
         console.error('🔍 Route not found:', error.config.url);
       }
@@ -183,10 +236,10 @@ const registerUser = async (userData) => {
     const response = await api.post('/api/auth/register', userData);
     
     if (response.data && response.data.success) {
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
       
-      // Store the token
-      setAuthToken(token);
+      // Store the tokens
+      setAuthToken(token, refreshToken);
       
       return { 
         success: true, 
@@ -216,10 +269,10 @@ const loginUser = async (email, password) => {
     const response = await api.post('/api/auth/login', { email, password });
     
     if (response.data && response.data.success) {
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
       
-      // Store the token
-      setAuthToken(token);
+      // Store the tokens
+      setAuthToken(token, refreshToken);
       
       return { 
         success: true, 
@@ -241,7 +294,8 @@ const loginUser = async (email, password) => {
   }
 };
 
-// Helper function to handle logout
+// Helper function to handle logout; the server revokes the session so the
+// tokens stop working everywhere, not just in this browser
 const logoutUser = async () => {
   try {
     await api.post('/api/auth/logout');
@@ -261,12 +315,43 @@ export const apiService = {
     updateProfile: (profileData) => api.put('/api/auth/profile', profileData),
     changePassword: (passwordData) => api.put('/api/auth/change-password', passwordData),
     logout: () => api.post('/api/auth/logout'),
+    logoutEverywhere: () => api.post('/api/auth/logout-all'),
+    getSessions: () => api.get('/api/auth/sessions'),
+    revokeSession: (sessionId) => api.delete(`/api/auth/sessions/${sessionId}`),
+    forgotPassword: (email) => api.post('/api/auth/forgot-password', { email }),
+    resetPassword: (token, password) => api.post('/api/auth/reset-password', { token, password }),
+    verifyEmail: (token) => api.post('/api/auth/verify-email', { token }),
+    resendVerification: () => api.post('/api/auth/resend-verification'),
+    // Second login step: { code } or { recoveryCode }
+    verifyTwoFactor: (challengeToken, codes) => api.post('/api/auth/login/2fa', { challengeToken, ...codes })
+  },
+
+  // Two-factor authentication APIs
+  twoFactor: {
+    getStatus: () => api.get('/api/auth/2fa'),
+    setup: () => api.post('/api/auth/2fa/setup'),
+    enable: (code) => api.post('/api/auth/2fa/enable', { code }),
+    disable: (password) => api.post('/api/auth/2fa/disable', { password }),
+    regenerateRecoveryCodes: (password) => api.post('/api/auth/2fa/recovery-codes', { password })
+  },
+
+  // Personal API token APIs
+  tokens: {
+    getAll: () => api.get('/api/tokens'),
+    create: (tokenData) => api.post('/api/tokens', tokenData),
+    revoke: (id) => api.delete(`/api/tokens/${id}`)
   },
 
   // User APIs
   users: {
     getProfile: () => api.get('/api/users/profile'),
     updatePreferences: (preferences) => api.put('/api/users/preferences', preferences),
+    updateTimezone: (timezone) => api.put('/api/users/timezone', { timezone }),
+    updateQuietHours: (quietHours) => api.put('/api/users/quiet-hours', quietHours),
+    startDnd: (minutes) => api.post('/api/users/dnd', { minutes }),
+    stopDnd: () => api.delete('/api/users/dnd'),
+    startVacation: (startDate, endDate) => api.put('/api/users/vacation', { startDate, endDate }),
+    endVacation: () => api.delete('/api/users/vacation'),
     getMetrics: (period = '7d') => api.get(`/api/users/metrics?period=${period}`),
   },
 
@@ -278,6 +363,22 @@ export const apiService = {
     update: (id, routineData) => api.put(`/api/routines/${id}`, routineData),
     delete: (id) => api.delete(`/api/routines/${id}`),
     toggleActive: (id) => api.patch(`/api/routines/${id}/toggle`),
+    getUpcoming: (from, to) => api.get('/api/routines/upcoming', { params: { from, to } }),
+    rescheduleOccurrence: (id, occurrenceAt, scheduledFor) =>
+      api.post(`/api/routines/${id}/occurrences/reschedule`, { occurrenceAt, scheduledFor }),
+    getAdaptiveTiming: (id) => api.get(`/api/routines/${id}/adaptive-timing`),
+    pause: (id, until) => api.post(`/api/routines/${id}/pause`, { until }),
+    resume: (id) => api.delete(`/api/routines/${id}/pause`),
+    skipNext: (id) => api.post(`/api/routines/${id}/skip-next`),
+    unskipNext: (id) => api.delete(`/api/routines/${id}/skip-next`),
+    exportCalendar: () => api.get('/api/routines/calendar.ics', { responseType: 'blob' }),
+    getCalendarFeed: () => api.get('/api/routines/calendar-feed'),
+    createCalendarFeed: () => api.post('/api/routines/calendar-feed'),
+    revokeCalendarFeed: () => api.delete('/api/routines/calendar-feed'),
+    previewImport: (ics) => api.post('/api/routines/import/calendar/preview', { ics }),
+    importCalendar: (ics, events) => api.post('/api/routines/import/calendar', { ics, events }),
+    exportBundle: (format = 'json') => api.get('/api/routines/export', { params: { format }, responseType: 'blob' }),
+    importBundle: ({ data, format, mode, dryRun }) => api.post('/api/routines/import', { data, format, mode, dryRun }),
     
     // Notification scheduling endpoints
     scheduleNotifications: (id) => api.post(`/api/routines/${id}/schedule`),
@@ -285,6 +386,43 @@ export const apiService = {
     updateNotifications: (id, updates) => api.put(`/api/routines/${id}/notifications`, updates)
   },
 
+  // Template APIs - built-in and saved routine templates
+  templates: {
+    getAll: () => api.get('/api/templates'),
+    save: (routineId, { name, description, icon } = {}) =>
+      api.post('/api/templates', { routineId, name, description, icon }),
+    delete: (id) => api.delete(`/api/templates/${id}`),
+    // { templates: [{ id, params }] } or { pack, params }
+    instantiate: (request) => api.post('/api/templates/instantiate', request)
+  },
+
+  // Team APIs - shared routines that ring for every member
+  teams: {
+    getAll: () => api.get('/api/teams'),
+    getById: (id) => api.get(`/api/teams/${id}`),
+    create: (name) => api.post('/api/teams', { name }),
+    delete: (id) => api.delete(`/api/teams/${id}`),
+    inviteMember: (id, email) => api.post(`/api/teams/${id}/members`, { email }),
+    getInvites: () => api.get('/api/teams/invites'),
+    acceptInvite: (id, inviteId) => api.post(`/api/teams/${id}/invites/${inviteId}/accept`),
+    // Declines for the invitee, withdraws for the lead
+    removeInvite: (id, inviteId) => api.delete(`/api/teams/${id}/invites/${inviteId}`),
+    removeMember: (id, userId) => api.delete(`/api/teams/${id}/members/${userId}`),
+    createRoutine: (id, routineData) => api.post(`/api/teams/${id}/routines`, routineData),
+    setOptOut: (id, routineId, optedOut) => api.put(`/api/teams/${id}/routines/${routineId}/opt-out`, { optedOut }),
+    getReport: (id, routineId, days = 14) => api.get(`/api/teams/${id}/routines/${routineId}/report`, { params: { days } })
+  },
+
+  // Sequence APIs - routines chained one after another
+  sequences: {
+    getAll: () => api.get('/api/sequences'),
+    create: (sequenceData) => api.post('/api/sequences', sequenceData),
+    update: (id, sequenceData) => api.put(`/api/sequences/${id}`, sequenceData),
+    delete: (id) => api.delete(`/api/sequences/${id}`),
+    getRuns: (status) => api.get('/api/sequences/runs', { params: status ? { status } : {} }),
+    cancelRun: (id) => api.post(`/api/sequences/runs/${id}/cancel`)
+  },
+
   // Notification APIs - Updated with better error handling
   notifications: {
     getAll: (params = {}) => {
@@ -348,6 +486,15 @@ export const apiService = {
     getDaily: (date) => api.get(`/api/metrics/daily?date=${date}`),
   },
 
+  // Admin APIs - system admins only
+  admin: {
+    getUsers: (search = '', page = 1) => api.get('/api/admin/users', { params: { search, page } }),
+    updateUser: (id, updates) => api.patch(`/api/admin/users/${id}`, updates),
+    getScheduler: () => api.get('/api/admin/scheduler'),
+    getFailedDeliveries: (hours = 24) => api.get('/api/admin/deliveries/failed', { params: { hours } }),
+    replayDeliveries: (ids) => api.post('/api/admin/deliveries/replay', { ids })
+  },
+
   // Test APIs
   test: {
     testConnection: () => api.get('/api/test'),
@@ -370,6 +517,8 @@ export const apiService = {
   
   // Token management functions
   getAuthToken,
+  getRefreshToken,
+  refreshAccessToken,
   setAuthToken,
   clearAuthTokens
 };
@@ -2,6 +2,7 @@
 import io from 'socket.io-client';
 import { API_BASE_URL } from '../config';
 import { soundService } from './soundService';
+import { apiService } from './api';
 
 class SocketService {
   constructor() {
@@ -15,17 +16,16 @@ class SocketService {
 
   init() {
     try {
-      const token = localStorage.getItem('notifyflow_token') || localStorage.getItem('token');
-      
       this.socket = io(API_BASE_URL, {
         transports: ['websocket', 'polling'],
         reconnection: true,
         reconnectionAttempts: this.maxReconnectAttempts,
         reconnectionDelay: 1000,
         timeout: 20000,
-        auth: {
-          token: token
-        }
+        // Read the token on every (re)connect, since access tokens are refreshed
+        auth: (callback) => callback({
+          token: localStorage.getItem('notifyflow_token') || localStorage.getItem('token')
+        })
       });
 
       this.setupEventListeners();
@@ -53,6 +53,15 @@ class SocketService {
     this.socket.on('connect_error', (error) => {
       console.error('Socket connection error:', error);
       this.isConnected = false;
+
+      // A rejected handshake is not retried by socket.io: refresh the
+      // short-lived access token (shared with the API client) and reconnect
+      if (error.message === 'Token expired' && apiService.getRefreshToken()) {
+        apiService.refreshAccessToken()
+          .then(() => this.socket?.connect())
+          .catch(refreshError => console.error('Socket token refresh failed:', refreshError));
+        return;
+      }
       this.reconnectAttempts++;
     });
 
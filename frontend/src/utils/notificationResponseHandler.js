@@ -50,12 +50,15 @@ class NotificationResponseHandler {
       await this.stopAllSoundsCompletely();
       
       // STEP 2: Prepare response data
+      // responseId lets the server apply this response once although it
+      // arrives via both the socket and the REST API
       const responseData = {
         notificationId: notification.id || notification._id,
         action,
         responseTime: responseTime || 0,
+        responseId: `${notification.id || notification._id}-${Date.now()}`,
         timestamp: new Date().toISOString(),
-        ...(action === 'snoozed' && { snoozeMinutes: snoozeMinutes || 5 })
+        ...(action === 'snoozed' && snoozeMinutes && { snoozeMinutes })
       };
 
       console.log('📤 Sending response data:', responseData);
@@ -142,6 +145,7 @@ class NotificationResponseHandler {
         {
           action: responseData.action,
           responseTime: responseData.responseTime,
+          responseId: responseData.responseId,
           ...(responseData.snoozeMinutes && { snoozeMinutes: responseData.snoozeMinutes })
         }
       );
@@ -220,6 +224,7 @@ class NotificationResponseHandler {
           {
             action: response.action,
             responseTime: response.responseTime,
+            responseId: response.responseId,
             ...(response.snoozeMinutes && { snoozeMinutes: response.snoozeMinutes })
           }
         );
@@ -0,0 +1,129 @@
+// src/utils/recurrence.js - Human readable summaries of routine recurrence rules
+import { DAYS_OF_WEEK, MONTHS, NTH_WEEKDAY_OPTIONS, RECURRENCE_FREQUENCIES } from '../config';
+
+const dayNames = (days = []) => days
+  .map(day => DAYS_OF_WEEK.find(d => d.value === day)?.short)
+  .filter(Boolean)
+  .join(', ');
+
+const ordinal = (n) => {
+  if (n === -1) return 'last';
+  const suffix = n % 10 === 1 && n !== 11 ? 'st'
+    : n % 10 === 2 && n !== 12 ? 'nd'
+    : n % 10 === 3 && n !== 13 ? 'rd'
+    : 'th';
+  return n < 0 ? `${Math.abs(n)}${suffix} to last` : `${n}${suffix}`;
+};
+
+const describeDayOfMonth = (recurrence) => {
+  if (recurrence.byNthWeekday?.length > 0) {
+    return recurrence.byNthWeekday.map(rule => {
+      const nth = NTH_WEEKDAY_OPTIONS.find(option => option.value === rule.nth);
+      const day = DAYS_OF_WEEK.find(d => d.value === rule.weekday);
+      return `the ${(nth?.label || ordinal(rule.nth)).toLowerCase()} ${day?.label}`;
+    }).join(' and ');
+  }
+
+  if (recurrence.byMonthDay?.length > 0) {
+    return `the ${recurrence.byMonthDay.map(ordinal).join(', ')}`;
+  }
+
+  return 'the start date\'s day';
+};
+
+// e.g. "Every 2 weeks on Mon, Wed at 09:00, until 2025-12-31"
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence?.frequency) return '';
+
+  const interval = recurrence.interval || 1;
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.value === recurrence.frequency);
+  const unit = frequency?.unit || recurrence.frequency;
+  let summary = interval === 1
+    ? `Every ${unit.replace(/s$/, '')}`
+    : `Every ${interval} ${unit}`;
+
+  switch (recurrence.frequency) {
+    case 'minutely':
+    case 'hourly':
+      summary += ` between ${recurrence.windowStart || '00:00'} and ${recurrence.windowEnd || '23:59'}`;
+      if (recurrence.byWeekday?.length > 0) summary += ` on ${dayNames(recurrence.byWeekday)}`;
+      break;
+    case 'daily':
+    case 'weekly':
+      if (recurrence.byWeekday?.length > 0) summary += ` on ${dayNames(recurrence.byWeekday)}`;
+      break;
+    case 'monthly':
+      summary += ` on ${describeDayOfMonth(recurrence)}`;
+      break;
+    case 'yearly':
+      if (recurrence.byMonth?.length > 0) {
+        summary += ` in ${recurrence.byMonth.map(month => MONTHS[month - 1]).join(', ')}`;
+      }
+      summary += ` on ${describeDayOfMonth(recurrence)}`;
+      break;
+    default:
+      break;
+  }
+
+  if (recurrence.frequency !== 'minutely' && recurrence.frequency !== 'hourly' && recurrence.times?.length > 0) {
+    summary += ` at ${recurrence.times.join(', ')}`;
+  }
+
+  if (recurrence.startDate) summary += `, from ${recurrence.startDate}`;
+  if (recurrence.endDate) summary += `, until ${recurrence.endDate}`;
+  if (recurrence.count) summary += `, ${recurrence.count} times`;
+  if (recurrence.excludeDates?.length > 0) {
+    summary += ` (except ${recurrence.excludeDates.length} date${recurrence.excludeDates.length === 1 ? '' : 's'})`;
+  }
+
+  return summary;
+};
+
+// Form state for the builder: backend rule merged over the defaults
+export const toRecurrenceForm = (recurrence, defaults) => ({
+  ...defaults,
+  ...(recurrence || {}),
+  times: recurrence?.times?.length > 0 ? [...recurrence.times] : [...defaults.times],
+  count: recurrence?.count || ''
+});
+
+// Strip empty fields and options that do not apply to the chosen frequency
+export const toRecurrencePayload = (form) => {
+  const isWindowed = form.frequency === 'minutely' || form.frequency === 'hourly';
+  const usesDayOfMonth = form.frequency === 'monthly' || form.frequency === 'yearly';
+  const payload = {
+    frequency: form.frequency,
+    interval: parseInt(form.interval, 10) || 1
+  };
+
+  if (isWindowed) {
+    payload.windowStart = form.windowStart;
+    payload.windowEnd = form.windowEnd;
+  } else {
+    payload.times = form.times.filter(Boolean);
+  }
+
+  if (!usesDayOfMonth && form.byWeekday.length > 0) payload.byWeekday = form.byWeekday;
+  if (usesDayOfMonth) {
+    if (form.byNthWeekday.length > 0) payload.byNthWeekday = form.byNthWeekday;
+    else if (form.byMonthDay.length > 0) payload.byMonthDay = form.byMonthDay;
+  }
+  if (form.frequency === 'yearly' && form.byMonth.length > 0) payload.byMonth = form.byMonth;
+
+  if (form.startDate) payload.startDate = form.startDate;
+  if (form.endDate) payload.endDate = form.endDate;
+  if (form.count) payload.count = parseInt(form.count, 10);
+  if (form.excludeDates.length > 0) payload.excludeDates = form.excludeDates;
+
+  return payload;
+};
+
+// e.g. "Every 60 min between 09:00 and 17:00 on Mon, Tue, Wed, Thu, Fri"
+export const describeInterval = (intervalSettings = {}, preferences = {}) => {
+  const every = intervalSettings.everyMinutes || preferences.breakInterval || 60;
+  const start = intervalSettings.windowStart || preferences.workingHours?.start || '09:00';
+  const end = intervalSettings.windowEnd || preferences.workingHours?.end || '17:00';
+  const days = intervalSettings.days?.length > 0 ? intervalSettings.days : [1, 2, 3, 4, 5];
+
+  return `Every ${every} min between ${start} and ${end} on ${dayNames(days)}`;
+};
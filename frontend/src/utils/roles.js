@@ -0,0 +1,8 @@
+// src/utils/roles.js - Role checks for showing admin-only parts of the UI
+import { USER_ROLES } from '../config';
+
+// Roles include every role listed before them; the server has the final say
+export const hasRole = (user, role) => {
+  const ranks = USER_ROLES.map(option => option.value);
+  return ranks.indexOf(user?.role || 'user') >= ranks.indexOf(role);
+};
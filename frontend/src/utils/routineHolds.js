@@ -0,0 +1,39 @@
+// src/utils/routineHolds.js - Pause, skip-next and vacation state for display
+
+// Local calendar date (YYYY-MM-DD) in the browser's time zone
+export const toDateInput = (date = new Date()) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+export const formatDay = (value) => {
+  const date = typeof value === 'string' && value.length === 10
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+  return date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+export const formatOccurrence = (value) => new Date(value).toLocaleString([], {
+  weekday: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+// Vacation that hasn't ended yet, or null
+export const getVacation = (user, now = new Date()) => {
+  const vacation = user?.vacation;
+  if (!vacation?.startDate || !vacation?.endDate) return null;
+
+  const today = toDateInput(now);
+  if (vacation.endDate < today) return null;
+
+  return { ...vacation, isActive: vacation.startDate <= today };
+};
+
+export const isPaused = (routine, now = new Date()) => (
+  !!routine?.pausedUntil && new Date(routine.pausedUntil) > now
+);
+
+export const getSkippedOccurrence = (routine, now = new Date()) => (
+  routine?.skipOccurrenceAt && new Date(routine.skipOccurrenceAt) > now
+    ? new Date(routine.skipOccurrenceAt)
+    : null
+);